@@ -0,0 +1,122 @@
+const { parseContentXml } = require('../src/validator.js');
+const {
+  auditHtmlContent,
+  auditDocumentLanguage,
+  auditPackageAccessibility,
+  ACCESSIBILITY_RULES
+} = require('../src/accessibility.js');
+const { createDefaultRegistry, runRules } = require('../src/rules.js');
+
+function fragment(html) {
+  return new DOMParser().parseFromString(html, 'text/html').body;
+}
+
+function codes(issues) {
+  return issues.map((issue) => issue.code);
+}
+
+describe('accessibility audit', () => {
+  test('auditHtmlContent flags the common content problems', () => {
+    const issues = auditHtmlContent(
+      fragment(`
+        <h2>Intro</h2>
+        <h4>Skipped</h4>
+        <img src="content/resources/a/photo.png">
+        <img src="deco.png" alt="">
+        <a href="page.html"></a>
+        <a href="page.html"><img src="icon.png" alt="Next page"></a>
+        <a href="more.html">Haz clic aquí</a>
+        <table><tr><td>1</td></tr></table>
+        <table><tr><th>Head</th></tr></table>
+        <iframe src="https://example.com/video"></iframe>
+        <iframe src="https://example.com/map" title="Map"></iframe>
+      `)
+    );
+    expect(codes(issues)).toEqual([
+      'img-alt',
+      'empty-link',
+      'link-text',
+      'table-headers',
+      'iframe-title',
+      'heading-order'
+    ]);
+    expect(issues[0].message).toBe('Image "photo.png" has no alt attribute.');
+    expect(issues[5].message).toBe('Heading "Skipped" jumps from h2 to h4.');
+  });
+
+  test('auditDocumentLanguage compares the page language with pp_lang', () => {
+    const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+    expect(auditDocumentLanguage(parse('<html lang="es-ES"></html>'), 'es')).toEqual([]);
+    expect(codes(auditDocumentLanguage(parse('<html></html>'), 'es'))).toEqual(['lang']);
+    expect(auditDocumentLanguage(parse('<html lang="en"></html>'), 'es')[0].message).toMatch(
+      /lang="en" but the package language is "es"/
+    );
+  });
+
+  describe('package audit', () => {
+    const xml = `<?xml version="1.0"?>
+      <ode>
+        <odeNavStructures>
+          <odeNavStructure>
+            <odePageId>p1</odePageId>
+            <pageName>Start</pageName>
+            <odeNavStructureOrder>1</odeNavStructureOrder>
+            <odePagStructures>
+              <odePagStructure>
+                <odeBlockId>b1</odeBlockId>
+                <odeComponents>
+                  <odeComponent>
+                    <odeIdeviceId>c1</odeIdeviceId>
+                    <odeIdeviceTypeName>text</odeIdeviceTypeName>
+                    <htmlView><![CDATA[<p><img src="pic.png"></p>]]></htmlView>
+                  </odeComponent>
+                  <odeComponent>
+                    <odeIdeviceId>c2</odeIdeviceId>
+                    <odeIdeviceTypeName>form</odeIdeviceTypeName>
+                    <htmlView></htmlView>
+                  </odeComponent>
+                </odeComponents>
+              </odePagStructure>
+            </odePagStructures>
+          </odeNavStructure>
+        </odeNavStructures>
+      </ode>`;
+    const page = `<html lang="en"><body><main>
+      <h1>Start</h1>
+      <div id="c1" class="idevice_node text" data-idevice-type="text"><img src="pic.png"></div>
+      <div id="c2" class="idevice_node form" data-idevice-type="form"><h3>Quiz</h3><a href="#"></a></div>
+    </main></body></html>`;
+    const fileMap = new Map([['index.html', { blob: { text: async () => page } }]]);
+    const context = {
+      manifestKind: 'modern',
+      xmlDoc: parseContentXml(xml).document,
+      fileMap,
+      metadata: { properties: { pp_lang: 'es' } }
+    };
+
+    test('auditPackageAccessibility locates issues without reporting them twice', async () => {
+      const issues = await auditPackageAccessibility(context);
+      expect(issues.map((issue) => [issue.code, issue.location.ideviceId || ''])).toEqual([
+        ['img-alt', 'c1'],
+        ['lang', ''],
+        ['empty-link', 'c2'],
+        ['heading-order', 'c2']
+      ]);
+      expect(issues[0].location).toMatchObject({ pageId: 'p1', pageName: 'Start', blockId: 'b1' });
+      expect(issues[2].location).toMatchObject({ file: 'index.html', ideviceType: 'form' });
+    });
+
+    test('accessibility rules run as part of the default registry', async () => {
+      expect(ACCESSIBILITY_RULES.every((rule) => rule.category === 'accessibility')).toBe(true);
+      const findings = await runRules(createDefaultRegistry(), context, {
+        profile: { enabled: ['accessibility'] }
+      });
+      expect(findings.map((finding) => [finding.ruleId, finding.severity])).toEqual([
+        ['accessibility.img-alt', 'warning'],
+        ['accessibility.empty-link', 'warning'],
+        ['accessibility.heading-order', 'warning'],
+        ['accessibility.lang', 'warning']
+      ]);
+    });
+  });
+});
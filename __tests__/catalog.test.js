@@ -0,0 +1,126 @@
+const {
+  createCatalogRecord,
+  renderDublinCoreJsonLd,
+  renderDublinCoreXml,
+  renderLomXml,
+  resolveLicenseUrl,
+  serializeCatalogRecord
+} = require('../src/catalog.js');
+
+const metadata = {
+  properties: {
+    pp_title: 'Fractions & decimals',
+    pp_author: 'Ana Pérez',
+    pp_lang: 'es',
+    pp_description: 'Introductory unit.',
+    license: 'creative commons: attribution - share alike 4.0'
+  },
+  resources: { odeId: '20251009090601USLRYW', odeVersionName: '2' }
+};
+
+const fileList = [
+  { path: 'index.html', size: 100, mimeType: 'text/html' },
+  { path: 'html/unit.html', size: 100, mimeType: 'text/html' },
+  { path: 'content/resources/a.png', size: 300, mimeType: 'image/png' },
+  { path: 'content.xml', size: 50, mimeType: 'application/xml' },
+  { path: 'data.bin', size: 5, mimeType: 'application/octet-stream' }
+];
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+describe('catalogue records', () => {
+  const record = createCatalogRecord({
+    metadata,
+    pageCount: 14,
+    fileList,
+    totalSize: 555,
+    generatedAt: '2025-10-09T10:00:00.000Z'
+  });
+
+  test('resolveLicenseUrl maps Creative Commons text to license URLs', () => {
+    expect(resolveLicenseUrl('creative commons: attribution - share alike 4.0')).toBe(
+      'https://creativecommons.org/licenses/by-sa/4.0/'
+    );
+    expect(
+      resolveLicenseUrl('creative commons: attribution - non commercial - no derivatives 3.0')
+    ).toBe('https://creativecommons.org/licenses/by-nc-nd/3.0/');
+    expect(resolveLicenseUrl('public domain')).toBe(
+      'https://creativecommons.org/publicdomain/zero/1.0/'
+    );
+    expect(resolveLicenseUrl('copyright')).toBe('');
+  });
+
+  test('createCatalogRecord combines properties with computed data', () => {
+    expect(record).toEqual({
+      identifier: '20251009090601USLRYW',
+      title: 'Fractions & decimals',
+      creator: 'Ana Pérez',
+      language: 'es',
+      description: 'Introductory unit.',
+      rights: 'creative commons: attribution - share alike 4.0',
+      rightsUrl: 'https://creativecommons.org/licenses/by-sa/4.0/',
+      version: '2',
+      date: '2025-10-09',
+      pageCount: 14,
+      size: 555,
+      formats: ['application/xml', 'image/png', 'text/html']
+    });
+  });
+
+  test('renderLomXml produces a well-formed LOM record', () => {
+    const doc = parseXml(renderLomXml(record));
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.documentElement.namespaceURI).toBe('http://ltsc.ieee.org/xsd/LOM');
+    const text = (selector) => doc.querySelector(selector)?.textContent;
+    expect(text('general > title > string')).toBe('Fractions & decimals');
+    expect(doc.querySelector('general > title > string').getAttribute('language')).toBe('es');
+    expect(text('general > identifier > entry')).toBe('20251009090601USLRYW');
+    expect(text('lifeCycle > contribute > entity')).toContain('FN:Ana Pérez');
+    expect(doc.querySelector('lifeCycle > contribute > date')).toBeNull();
+    expect(text('metaMetadata > contribute > role > value')).toBe('creator');
+    expect(text('metaMetadata > contribute > date > dateTime')).toBe('2025-10-09');
+    expect(
+      Array.from(doc.querySelectorAll('technical > format')).map((node) => node.textContent)
+    ).toEqual(['application/xml', 'image/png', 'text/html']);
+    expect(text('technical > size')).toBe('555');
+    expect(text('educational > description > string')).toBe('14 pages');
+    expect(text('rights > description > string')).toContain('by-sa/4.0');
+  });
+
+  test('renderDublinCoreXml and JSON-LD carry the same fields', () => {
+    const doc = parseXml(renderDublinCoreXml(record));
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    const dc = (name) =>
+      Array.from(doc.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', name)).map(
+        (node) => node.textContent
+      );
+    expect(dc('title')).toEqual(['Fractions & decimals']);
+    expect(dc('format')).toHaveLength(3);
+    expect(dc('rights')).toEqual([
+      'creative commons: attribution - share alike 4.0',
+      'https://creativecommons.org/licenses/by-sa/4.0/'
+    ]);
+
+    const jsonLd = JSON.parse(renderDublinCoreJsonLd(record));
+    expect(jsonLd).toMatchObject({
+      '@type': 'dcterms:InteractiveResource',
+      'dc:title': 'Fractions & decimals',
+      'dc:language': 'es',
+      'dcterms:license': { '@id': 'https://creativecommons.org/licenses/by-sa/4.0/' },
+      'dcterms:hasVersion': '2',
+      'dcterms:extent': '14 pages, 555 bytes'
+    });
+  });
+
+  test('serializeCatalogRecord rejects unknown formats and omits empty fields', () => {
+    expect(() => serializeCatalogRecord(record, 'marc')).toThrow('Unknown catalog format');
+    const empty = createCatalogRecord({ generatedAt: '2025-01-01T00:00:00.000Z' });
+    const jsonLd = JSON.parse(serializeCatalogRecord(empty, 'jsonld'));
+    expect(Object.keys(jsonLd)).toEqual(['@context', '@type', 'dc:date']);
+    expect(
+      parseXml(serializeCatalogRecord(empty, 'lom')).getElementsByTagName('parsererror')
+    ).toHaveLength(0);
+  });
+});
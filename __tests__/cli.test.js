@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const JSZip = require('jszip');
+
+const {
+  parseCliArguments,
+  validatePackage,
+  formatCliOutput,
+  formatTextReport,
+  getExitCode
+} = require('../src/cli.js');
+const { FIXTURE_PATH } = require('../tests/helpers.js');
+
+describe('elpx-validate CLI helpers', () => {
+  test('parseCliArguments reads paths and options', () => {
+    expect(parseCliArguments(['-f', 'junit', 'a.elpx', 'courses/'])).toEqual({
+      paths: ['a.elpx', 'courses/'],
+      format: 'junit',
+      output: null,
+      help: false
+    });
+    expect(parseCliArguments(['--format=json', '--output', 'out.json', 'x.elpx'])).toMatchObject({
+      format: 'json',
+      output: 'out.json'
+    });
+    expect(parseCliArguments(['--help']).help).toBe(true);
+    expect(() => parseCliArguments(['--format', 'xml'])).toThrow(/Unknown format/);
+    expect(() => parseCliArguments(['--verbose'])).toThrow(/Unknown option/);
+    expect(() => parseCliArguments(['--output'])).toThrow(/expects a value/);
+  });
+
+  test('validatePackage runs the default rules against the fixture', async () => {
+    const data = await fs.readFile(FIXTURE_PATH);
+    const report = await validatePackage(data, { fileName: 'course.elpx', JSZip });
+    expect(report.package).toMatchObject({ fileType: 'elpx', manifestKind: 'modern' });
+    expect(report.messages.map((message) => message.ruleId)).toContain('structure.integrity');
+    expect(report.inventory.totalFiles).toBeGreaterThan(0);
+    // The fixture has no errors; its two untitled iframes only warn.
+    const ruleIds = (level) =>
+      report.messages.filter((message) => message.level === level).map((m) => m.ruleId);
+    expect(ruleIds('error')).toEqual([]);
+    expect(ruleIds('warning').filter((id) => id === 'accessibility.iframe-title')).toHaveLength(2);
+    expect(report.status).toBe('warnings');
+    expect(getExitCode([report])).toBe(0);
+  });
+
+  test('a broken link in the fixture warns like a missing resource unless a profile raises it', async () => {
+    const zip = await JSZip.loadAsync(await fs.readFile(FIXTURE_PATH));
+    const page = await zip.file('index.html').async('string');
+    zip.file('index.html', page.replace('</body>', '<a href="html/missing.html">Gone</a></body>'));
+    const data = await zip.generateAsync({ type: 'nodebuffer' });
+
+    const report = await validatePackage(data, { fileName: 'course.elpx', JSZip });
+    expect(report.status).toBe('warnings');
+    const broken = report.messages.filter((message) => message.ruleId === 'links.broken');
+    expect(broken).toHaveLength(1);
+    expect(broken[0]).toMatchObject({ level: 'warning' });
+    expect(broken[0].text).toContain('html/missing.html');
+    expect(getExitCode([report])).toBe(0);
+
+    const strict = await validatePackage(data, {
+      fileName: 'course.elpx',
+      JSZip,
+      profile: { severity: { 'links.broken': 'error' } }
+    });
+    expect(strict.status).toBe('failed');
+    const errors = strict.messages.filter((message) => message.level === 'error');
+    expect(errors.map((message) => message.ruleId)).toEqual(['links.broken']);
+    expect(getExitCode([strict])).toBe(1);
+  });
+
+  test('unreadable packages become failed reports', async () => {
+    const broken = await validatePackage(Buffer.from('not a zip'), {
+      fileName: 'broken.elpx',
+      JSZip
+    });
+    expect(broken.status).toBe('failed');
+    expect(broken.messages[0]).toMatchObject({ ruleId: 'package.read', level: 'error' });
+
+    const zip = new JSZip();
+    zip.file('index.html', '<html></html>');
+    const empty = await validatePackage(await zip.generateAsync({ type: 'nodebuffer' }), {
+      fileName: 'empty.elpx',
+      JSZip
+    });
+    expect(empty.messages[0].text).toMatch(/no content\.xml or contentv3\.xml/);
+    expect(getExitCode([empty])).toBe(1);
+
+    zip.file('imsmanifest.xml', '<manifest/>');
+    const scorm = await validatePackage(await zip.generateAsync({ type: 'nodebuffer' }), {
+      fileName: 'course-scorm12.zip',
+      JSZip
+    });
+    expect(scorm.messages[0].text).toMatch(/SCORM or IMS Common Cartridge package/);
+
+    const text = formatTextReport([broken, empty]);
+    expect(text).toContain('✖ broken.elpx — 1 error, 0 warnings');
+    expect(text).toContain('2 packages checked, 2 with errors, 0 without.');
+    expect(JSON.parse(formatCliOutput([broken], 'json'))).toHaveLength(1);
+    expect(formatCliOutput([broken], 'junit')).toContain('<testsuite name="broken.elpx"');
+  });
+});
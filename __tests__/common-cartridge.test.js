@@ -0,0 +1,154 @@
+const JSZip = require('jszip');
+const {
+  buildCartridgeManifest,
+  buildCommonCartridge,
+  collectPageDependencies
+} = require('../src/common-cartridge.js');
+const { createCatalogRecord } = require('../src/catalog.js');
+const { generateElpViewData, resolvePageFiles } = require('../src/renderer.js');
+const { extractMetadata } = require('../src/validator.js');
+const { loadFixture, record } = require('../tests/helpers.js');
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+const fileMap = new Map([
+  [
+    'index.html',
+    record(
+      '<html><head><link rel="stylesheet" href="theme/style.css"></head><body>' +
+        '<a href="html/practice.html">Next</a><img src="content/resources/a.png"></body></html>'
+    )
+  ],
+  [
+    'html/practice.html',
+    record(
+      '<html><head><link rel="stylesheet" href="../theme/style.css"></head><body>' +
+        '<a href="../content/resources/sheet.pdf">Sheet</a><img src="../missing.png"></body></html>'
+    )
+  ],
+  ['theme/style.css', record('body { background: url(img/bg.png); }', 'text/css')],
+  ['theme/img/bg.png', record('png', 'image/png')],
+  ['content/resources/a.png', record('png', 'image/png')],
+  ['content/resources/sheet.pdf', record('pdf', 'application/pdf')],
+  ['content.xml', record('<ode/>', 'application/xml')]
+]);
+const pages = [
+  {
+    id: 'p1',
+    title: 'Unit 1',
+    children: [{ id: 'p2', title: 'Practice', children: [] }]
+  }
+];
+const pageFiles = new Map([
+  ['p1', 'index.html'],
+  ['p2', 'html/practice.html']
+]);
+
+describe('IMS Common Cartridge export', () => {
+  test('collectPageDependencies follows HTML and CSS references but not page links', async () => {
+    const dependencies = await collectPageDependencies(fileMap, pageFiles.values());
+    expect(dependencies.get('index.html')).toEqual([
+      'content/resources/a.png',
+      'theme/img/bg.png',
+      'theme/style.css'
+    ]);
+    expect(dependencies.get('html/practice.html')).toEqual([
+      'content/resources/sheet.pdf',
+      'theme/img/bg.png',
+      'theme/style.css'
+    ]);
+  });
+
+  test('the manifest nests pages under folders and shares dependency resources', async () => {
+    const dependencies = await collectPageDependencies(fileMap, pageFiles.values());
+    const doc = parseXml(
+      buildCartridgeManifest({
+        pages,
+        pageFiles,
+        dependencies,
+        paths: Array.from(fileMap.keys()),
+        record: createCatalogRecord({
+          metadata: {
+            properties: {
+              pp_title: 'Unit & co',
+              pp_lang: 'en',
+              pp_author: 'Ana',
+              license: 'public domain'
+            },
+            resources: { odeId: '2025ABC' }
+          }
+        })
+      })
+    );
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.querySelector('schemaversion').textContent).toBe('1.3.0');
+
+    const lom = 'http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest';
+    expect(doc.getElementsByTagNameNS(lom, 'string')[0].textContent).toBe('Unit & co');
+    expect(doc.getElementsByTagNameNS(lom, 'language')[0].textContent).toBe('en');
+    expect(doc.getElementsByTagNameNS(lom, 'rights')).toHaveLength(1);
+    const lifeCycle = doc.getElementsByTagNameNS(lom, 'lifeCycle')[0];
+    expect(lifeCycle.getElementsByTagNameNS(lom, 'entity')[0].textContent).toContain('FN:Ana');
+    expect(lifeCycle.getElementsByTagNameNS(lom, 'date')).toHaveLength(0);
+
+    const folder = doc.querySelector('organization > item > item');
+    expect(folder.hasAttribute('identifierref')).toBe(false);
+    expect(
+      Array.from(folder.children)
+        .filter((node) => node.localName === 'item')
+        .map((node) => node.getAttribute('identifierref'))
+    ).toEqual(['RES-p1', 'RES-p2']);
+
+    const resources = Array.from(doc.querySelectorAll('resource'));
+    expect(resources.map((node) => node.getAttribute('identifier'))).toEqual([
+      'RES-p1',
+      'RES-p2',
+      'RES-FILE-1',
+      'RES-FILE-2',
+      'RES-FILE-3',
+      'RES-FILE-4',
+      'RES-PACKAGE'
+    ]);
+    expect(resources.every((node) => node.getAttribute('type') === 'webcontent')).toBe(true);
+    expect(resources[1].querySelectorAll('dependency')).toHaveLength(3);
+    expect(resources[6].querySelector('file').getAttribute('href')).toBe('content.xml');
+  });
+
+  test('the example package becomes a cartridge with every file declared', async () => {
+    const { files, document } = await loadFixture();
+    const tree = generateElpViewData(document);
+
+    const { output, pageCount } = await buildCommonCartridge(files, {
+      pages: tree,
+      pageFiles: resolvePageFiles(tree, files),
+      metadata: extractMetadata(document),
+      JSZip,
+      type: 'uint8array'
+    });
+    expect(pageCount).toBe(14);
+
+    const zip = await JSZip.loadAsync(output);
+    const manifest = parseXml(await zip.file('imsmanifest.xml').async('string'));
+    expect(manifest.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(manifest.querySelectorAll('item[identifierref]')).toHaveLength(14);
+    const declared = Array.from(manifest.querySelectorAll('file')).map((node) =>
+      decodeURI(node.getAttribute('href'))
+    );
+    expect(new Set(declared).size).toBe(declared.length);
+    expect(declared.sort()).toEqual(Array.from(files.keys()).sort());
+
+    const start = manifest.querySelector('resource[href="index.html"]');
+    const dependencyIds = Array.from(start.querySelectorAll('dependency')).map((node) =>
+      node.getAttribute('identifierref')
+    );
+    const dependencyFiles = dependencyIds.map((id) =>
+      manifest.querySelector(`resource[identifier="${id}"] file`).getAttribute('href')
+    );
+    expect(dependencyFiles).toEqual(
+      expect.arrayContaining(['content/css/base.css', 'libs/bootstrap/bootstrap.min.css'])
+    );
+    expect(dependencyFiles).not.toContain('content.xml');
+  });
+});
@@ -0,0 +1,159 @@
+const { parseContentXml } = require('../src/validator.js');
+const { comparePackages, diffWords } = require('../src/compare.js');
+
+function buildXml(pages) {
+  const navs = pages
+    .map(
+      (page) => `
+      <odeNavStructure>
+        <odePageId>${page.id}</odePageId>
+        <odeParentPageId>${page.parent || ''}</odeParentPageId>
+        <pageName>${page.title}</pageName>
+        <odeNavStructureOrder>${page.order}</odeNavStructureOrder>
+        <odePagStructures>
+          <odePagStructure>
+            <odeBlockId>b-${page.id}</odeBlockId>
+            <blockName>Block</blockName>
+            <odeComponents>
+              ${(page.components || [])
+                .map(
+                  (component) => `
+                <odeComponent>
+                  <odeIdeviceId>${component.id}</odeIdeviceId>
+                  <odeIdeviceTypeName>text</odeIdeviceTypeName>
+                  <htmlView><![CDATA[${component.html}]]></htmlView>
+                  <jsonProperties>{}</jsonProperties>
+                </odeComponent>`
+                )
+                .join('')}
+            </odeComponents>
+          </odePagStructure>
+        </odePagStructures>
+      </odeNavStructure>`
+    )
+    .join('');
+  return parseContentXml(
+    `<?xml version="1.0"?><ode><odeNavStructures>${navs}</odeNavStructures></ode>`
+  ).document;
+}
+
+describe('diffWords', () => {
+  test('returns a single equal segment for identical text', () => {
+    expect(diffWords('hola mundo', 'hola mundo')).toEqual([{ type: 'equal', text: 'hola mundo' }]);
+  });
+
+  test('marks inserted and deleted words', () => {
+    const segments = diffWords('el gato negro duerme', 'el perro negro duerme mucho');
+    expect(segments).toEqual([
+      { type: 'equal', text: 'el ' },
+      { type: 'delete', text: 'gato' },
+      { type: 'insert', text: 'perro' },
+      { type: 'equal', text: ' negro duerme' },
+      { type: 'insert', text: ' mucho' }
+    ]);
+  });
+});
+
+describe('comparePackages', () => {
+  const before = {
+    xmlDoc: buildXml([
+      {
+        id: 'p1',
+        title: 'Inicio',
+        order: 1,
+        components: [{ id: 'c1', html: '<p>Texto original</p>' }]
+      },
+      { id: 'p2', title: 'Tema 1', order: 2, components: [{ id: 'c2', html: '<p>Uno</p>' }] },
+      { id: 'p3', title: 'Tema 2', order: 3 },
+      { id: 'p4', title: 'Anexo', order: 4, components: [{ id: 'c4', html: '<p>Anexo</p>' }] }
+    ]),
+    metadata: {
+      properties: { pp_title: 'Curso', pp_lang: 'es' },
+      resources: { odeVersionName: '1' }
+    },
+    fileList: [
+      { path: 'index.html', size: 100 },
+      { path: 'content/resources/a.png', size: 2000 },
+      { path: 'old.css', size: 10 }
+    ]
+  };
+  const after = {
+    xmlDoc: buildXml([
+      {
+        id: 'p1',
+        title: 'Inicio',
+        order: 1,
+        components: [{ id: 'c1', html: '<p>Texto revisado</p>' }]
+      },
+      { id: 'p3', title: 'Tema dos', order: 2, components: [{ id: 'c2', html: '<p>Uno</p>' }] },
+      { id: 'p2', title: 'Tema 1', order: 3 },
+      {
+        id: 'p5',
+        title: 'Nuevo',
+        order: 4,
+        parent: 'p3',
+        components: [{ id: 'c5', html: '<p>Nuevo</p>' }]
+      }
+    ]),
+    metadata: {
+      properties: { pp_title: 'Curso revisado', license: 'CC BY' },
+      resources: { odeVersionName: '2' }
+    },
+    fileList: [
+      { path: 'index.html', size: 100 },
+      { path: 'content/resources/a.png', size: 1500 },
+      { path: 'new.js', size: 5 }
+    ]
+  };
+
+  test('reports page additions, removals, moves and renames', () => {
+    const { pages } = comparePackages(before, after);
+    expect(pages.added.map((page) => page.id)).toEqual(['p5']);
+    expect(pages.removed.map((page) => page.id)).toEqual(['p4']);
+    expect(pages.moved.map((page) => page.id).sort()).toEqual(['p2', 'p3']);
+    expect(pages.renamed).toEqual([{ id: 'p3', from: 'Tema 2', to: 'Tema dos' }]);
+  });
+
+  test('matches components by iDevice id and diffs their text', () => {
+    const { components } = comparePackages(before, after);
+    expect(components.added.map((component) => component.id)).toEqual(['c5']);
+    expect(components.removed.map((component) => component.id)).toEqual(['c4']);
+    expect(components.moved).toEqual([
+      { id: 'c2', type: 'text', fromPageId: 'p2', toPageId: 'p3' }
+    ]);
+    expect(components.changed).toHaveLength(1);
+    expect(components.changed[0].diff).toEqual([
+      { type: 'equal', text: 'Texto ' },
+      { type: 'delete', text: 'original' },
+      { type: 'insert', text: 'revisado' }
+    ]);
+  });
+
+  test('reports metadata and file inventory changes', () => {
+    const result = comparePackages(before, after);
+    expect(result.metadata.properties).toEqual({
+      added: [{ key: 'license', value: 'CC BY' }],
+      removed: [{ key: 'pp_lang', value: 'es' }],
+      changed: [{ key: 'pp_title', from: 'Curso', to: 'Curso revisado' }]
+    });
+    expect(result.metadata.resources.changed).toEqual([
+      { key: 'odeVersionName', from: '1', to: '2' }
+    ]);
+    expect(result.files.added.map((file) => file.path)).toEqual(['new.js']);
+    expect(result.files.removed.map((file) => file.path)).toEqual(['old.css']);
+    expect(result.files.resized).toEqual([
+      { path: 'content/resources/a.png', from: 2000, to: 1500 }
+    ]);
+    expect(result.summary.total).toBe(
+      result.summary.pages +
+        result.summary.components +
+        result.summary.metadata +
+        result.summary.files
+    );
+  });
+
+  test('finds no differences when a package is compared with itself', () => {
+    const result = comparePackages(before, before);
+    expect(result.summary.total).toBe(0);
+  });
+});
@@ -58,6 +58,14 @@ describe('ELPX fixture integration', () => {
     expect(metadata.properties.pp_lang).toBe('es');
     expect(metadata.properties.pp_author).toBe('Ignacio Gros');
     expect(metadata.resources.odeVersionName).toBe('1');
+    expect(metadata.preferences.theme).toBe('base');
+    expect(metadata.pages).toHaveLength(14);
+    expect(metadata.pages[0].properties.titlePage).toBe('Inicio');
+    expect(metadata.pages[0].blocks[0].properties).toMatchObject({
+      visibility: 'true',
+      teacherOnly: 'false',
+      minimized: 'false'
+    });
   });
 
   test('fixture archive exposes all referenced resources', async () => {
@@ -0,0 +1,220 @@
+const JSZip = require('jszip');
+const { buildEpub, renderChapter } = require('../src/epub.js');
+const { collectPageBlocks } = require('../src/static-content.js');
+const { generateElpViewData } = require('../src/renderer.js');
+const { extractMetadata } = require('../src/validator.js');
+const { loadFixture, record } = require('../tests/helpers.js');
+
+function parseXml(text, type = 'application/xml') {
+  return new DOMParser().parseFromString(text, type);
+}
+
+describe('EPUB export', () => {
+  test('renderChapter keeps chapter links and copied images and drops the rest', () => {
+    const images = new Set();
+    const xhtml = renderChapter(
+      { id: 'p1', title: 'Unit <1>' },
+      [
+        {
+          id: 'b1',
+          name: 'Reading',
+          components: [
+            {
+              id: 'i1',
+              type: 'text',
+              html:
+                '<h2>Intro</h2><p id="dup"><a href="exe-node:p2">Next</a> <a href="exe-node:p2#task">Task</a> <a href="exe-node:gone">Old</a> ' +
+                '<a href="{{context_path}}/i1/sheet.pdf">Sheet</a> <a href="https://example.com">Web</a></p>' +
+                '<img src="{{context_path}}/i1/a.png" alt="A" vspace="20" width="100%" height="40"><img src="{{context_path}}/i1/missing.png" alt="Lost">' +
+                '<p id="dup" onclick="run()">Again<br></p><script>run()</script><button>Show</button>' +
+                '<table border="1" align="center"><tr><td valign="top">Cell</td></tr></table>',
+              json: ''
+            },
+            {
+              id: 'i2',
+              type: 'text',
+              html: '<p id="dup">Copy</p><a href="#dup">Here</a> <a href="#nowhere">Nowhere</a>',
+              json: ''
+            }
+          ]
+        }
+      ],
+      {
+        fileMap: new Map([['content/resources/i1/a.png', record('png', 'image/png')]]),
+        chapters: new Map([
+          ['p1', 'chapter-1.xhtml'],
+          ['p2', 'chapter-2.xhtml']
+        ]),
+        images,
+        language: 'en'
+      }
+    );
+    const doc = parseXml(xhtml, 'application/xhtml+xml');
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.documentElement.namespaceURI).toBe('http://www.w3.org/1999/xhtml');
+    expect(doc.documentElement.getAttribute('xml:lang')).toBe('en');
+    expect(doc.querySelector('title').textContent).toBe('Unit <1>');
+    expect(Array.from(doc.querySelectorAll('h1, h2, h3')).map((node) => node.tagName)).toEqual([
+      'h1',
+      'h2',
+      'h3'
+    ]);
+    expect(Array.from(doc.querySelectorAll('a')).map((node) => node.getAttribute('href'))).toEqual([
+      'chapter-2.xhtml',
+      'chapter-2.xhtml#task',
+      'https://example.com',
+      '#dup-3'
+    ]);
+    expect(doc.getElementById('dup-3').textContent).toBe('Copy');
+    expect(doc.body.textContent).toContain('Here Nowhere');
+    expect(doc.body.textContent).toContain('Old Sheet');
+    expect(Array.from(doc.querySelectorAll('img')).map((node) => node.getAttribute('src'))).toEqual(
+      ['content/resources/i1/a.png']
+    );
+    expect(doc.body.textContent).toContain('Lost');
+    expect(Array.from(images)).toEqual(['content/resources/i1/a.png']);
+    expect(doc.querySelectorAll('[id="dup"]')).toHaveLength(1);
+    expect(doc.querySelector('script, button, [onclick]')).toBeNull();
+    const image = doc.querySelector('img');
+    expect(Array.from(image.attributes).map((attribute) => attribute.name)).toEqual([
+      'src',
+      'alt',
+      'height'
+    ]);
+    expect(doc.querySelector('table').getAttribute('border')).toBe('1');
+    expect(doc.querySelector('[align], [valign]')).toBeNull();
+  });
+
+  test('links into another chapter keep only the anchors that chapter has', async () => {
+    const pages = [
+      {
+        id: 'p1',
+        title: 'One',
+        htmlContent: '<a href="exe-node:p2#real">Real</a> <a href="exe-node:p2#gone">Gone</a>',
+        children: []
+      },
+      { id: 'p2', title: 'Two', htmlContent: '<p id="real">Target</p>', children: [] }
+    ];
+    const { output } = await buildEpub(new Map(), { pages, JSZip, type: 'uint8array' });
+    const zip = await JSZip.loadAsync(output);
+    const doc = parseXml(await zip.file('OEBPS/chapter-1.xhtml').async('string'));
+    expect(Array.from(doc.querySelectorAll('a')).map((node) => node.getAttribute('href'))).toEqual([
+      'chapter-2.xhtml#real',
+      'chapter-2.xhtml'
+    ]);
+  });
+
+  test('collectPageBlocks groups the iDevices of the example package by page and block', async () => {
+    const { document } = await loadFixture();
+    const blocks = collectPageBlocks(document);
+    const all = Array.from(blocks.values()).flat();
+    expect(all.map((block) => block.name)).toContain('Interactive Video');
+    const form = all.flatMap((block) => block.components).find((entry) => entry.type === 'form');
+    expect(form.html).toBe('');
+    expect(JSON.parse(form.json).questionsData.length).toBeGreaterThan(0);
+  });
+
+  test('the example package becomes an EPUB that meets the EPUBCheck structural rules', async () => {
+    const { files, document } = await loadFixture();
+    const pages = generateElpViewData(document);
+    const { output, chapterCount, imageCount } = await buildEpub(files, {
+      xmlDoc: document,
+      pages,
+      metadata: extractMetadata(document),
+      JSZip,
+      type: 'uint8array',
+      modified: new Date('2025-10-09T10:11:57.123Z')
+    });
+    expect(chapterCount).toBe(14);
+    expect(imageCount).toBeGreaterThan(0);
+
+    // OCF: the first entry is an uncompressed "mimetype" with no extra field.
+    const header = new DataView(output.buffer, output.byteOffset);
+    expect(header.getUint16(8, true)).toBe(0);
+    expect(header.getUint16(28, true)).toBe(0);
+    expect(String.fromCharCode(...output.slice(30, 58))).toBe('mimetypeapplication/epub+zip');
+
+    const zip = await JSZip.loadAsync(output);
+    const container = parseXml(await zip.file('META-INF/container.xml').async('string'));
+    const opfPath = container.querySelector('rootfile').getAttribute('full-path');
+    const opf = parseXml(await zip.file(opfPath).async('string'));
+    expect(opf.getElementsByTagName('parsererror')).toHaveLength(0);
+    const base = opfPath.replace(/[^/]+$/, '');
+
+    const pkg = opf.documentElement;
+    expect(pkg.getAttribute('version')).toBe('3.0');
+    const dc = (name) =>
+      Array.from(opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', name)).map(
+        (node) => node.textContent
+      );
+    expect(opf.getElementById(pkg.getAttribute('unique-identifier')).localName).toBe('identifier');
+    expect(dc('title')).toEqual(['Un contenido de ejemplo para probar estilos y catalogación']);
+    expect(dc('creator')).toEqual(['Ignacio Gros']);
+    expect(dc('language')).toEqual(['es']);
+    expect(dc('rights')[0]).toContain('creative commons: attribution - share alike 4.0');
+    expect(opf.querySelector('meta[property="dcterms:modified"]').textContent).toBe(
+      '2025-10-09T10:11:57Z'
+    );
+
+    // Every file in the container is declared once, and every declared file exists.
+    const items = Array.from(opf.querySelectorAll('manifest > item'));
+    const declared = items.map((item) => `${base}${decodeURI(item.getAttribute('href'))}`);
+    const stored = Object.values(zip.files)
+      .filter((file) => !file.dir)
+      .map((file) => file.name)
+      .filter((name) => name !== 'mimetype' && name !== opfPath && !name.startsWith('META-INF/'));
+    expect(new Set(declared).size).toBe(declared.length);
+    expect(declared.sort()).toEqual(stored.sort());
+    expect(items.filter((item) => item.getAttribute('properties') === 'nav')).toHaveLength(1);
+
+    const ids = new Set(items.map((item) => item.getAttribute('id')));
+    const spine = Array.from(opf.querySelectorAll('spine > itemref')).map((node) =>
+      node.getAttribute('idref')
+    );
+    expect(spine).toHaveLength(14);
+    expect(spine.every((id) => ids.has(id))).toBe(true);
+
+    // Content documents are well-formed XHTML whose local references are all in the manifest.
+    for (const item of items.filter(
+      (entry) => entry.getAttribute('media-type') === 'application/xhtml+xml'
+    )) {
+      const href = item.getAttribute('href');
+      const doc = parseXml(
+        await zip.file(`${base}${href}`).async('string'),
+        'application/xhtml+xml'
+      );
+      expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+      expect(doc.querySelector('script, button')).toBeNull();
+      expect(
+        doc.querySelector('[vspace], [hspace], [align], [valign], [bgcolor], img[border]')
+      ).toBeNull();
+      const elementIds = Array.from(doc.querySelectorAll('[id]')).map((node) => node.id);
+      expect(new Set(elementIds).size).toBe(elementIds.length);
+      doc.querySelectorAll('[src], [href]').forEach((node) => {
+        const url = node.getAttribute('src') || node.getAttribute('href');
+        if (/^(?:https?|mailto|tel):|^#/.test(url)) {
+          return;
+        }
+        expect(declared).toContain(`${base}${decodeURI(url.split('#')[0])}`);
+      });
+    }
+    const chapterText = await zip.file(`${base}chapter-1.xhtml`).async('string');
+    expect(chapterText).not.toContain('{{context_path}}');
+
+    const nav = parseXml(
+      await zip.file(`${base}nav.xhtml`).async('string'),
+      'application/xhtml+xml'
+    );
+    const toc = nav.querySelector('nav');
+    expect(toc.getAttributeNS('http://www.idpf.org/2007/ops', 'type')).toBe('toc');
+    expect(toc.querySelectorAll('a')).toHaveLength(14);
+    expect(toc.querySelectorAll(':scope > ol > li')).toHaveLength(pages.length);
+  });
+
+  test('buildEpub needs JSZip and at least one page', async () => {
+    await expect(buildEpub(new Map(), { pages: [{ id: 'p1', title: 'A' }] })).rejects.toThrow(
+      'JSZip is required'
+    );
+    await expect(buildEpub(new Map(), { JSZip })).rejects.toThrow('no pages');
+  });
+});
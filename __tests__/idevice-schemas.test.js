@@ -0,0 +1,124 @@
+const {
+  IDEVICE_RULES,
+  IdeviceSchemaRegistry,
+  checkShape,
+  createDefaultSchemaRegistry,
+  validateIdevicePayloads
+} = require('../src/idevice-schemas.js');
+const { RuleRegistry, runRules } = require('../src/rules.js');
+const { parseContentXml } = require('../src/validator.js');
+
+function component(id, type, json, html = '') {
+  return `<odeComponent>
+    <odeIdeviceId>${id}</odeIdeviceId>
+    <odeIdeviceTypeName>${type}</odeIdeviceTypeName>
+    <htmlView><![CDATA[${html}]]></htmlView>
+    <jsonProperties><![CDATA[${json}]]></jsonProperties>
+  </odeComponent>`;
+}
+
+function buildXml(components) {
+  return `<?xml version="1.0"?>
+<ode><odeNavStructures><odeNavStructure>
+  <odePageId>p1</odePageId><pageName>Activities</pageName>
+  <odePagStructures><odePagStructure><odeBlockId>b1</odeBlockId><odeComponents>
+  ${components.join('\n')}
+  </odeComponents></odePagStructure></odePagStructures>
+</odeNavStructure></odeNavStructures></ode>`;
+}
+
+const video = (slides) =>
+  JSON.stringify({
+    textTextarea: `<div class="exe-interactive-video"><div id="exe-interactive-video-contents">${JSON.stringify({ slides })}</div></div>`
+  });
+
+const rubricTable =
+  '<table><thead><tr><th></th><th>Good</th><th>Poor</th></tr></thead><tbody>' +
+  '<tr><th>Voice</th><td>Clear</td><td>Mumbled</td></tr>' +
+  '<tr><th>Pace</th><td>Steady</td></tr></tbody></table>';
+
+describe('iDevice payload schemas', () => {
+  test('checkShape reports paths for nested mismatches', () => {
+    const shape = {
+      type: 'object',
+      required: {
+        items: { type: 'array', minItems: 2, items: { type: 'string', nonEmpty: true } }
+      },
+      optional: { score: { type: 'number', min: 0 } }
+    };
+    expect(checkShape({ items: ['a', ''], score: -1 }, shape)).toEqual([
+      { path: '$.items[1]', message: 'must not be empty' },
+      { path: '$.score', message: 'must be 0 or more' }
+    ]);
+    expect(checkShape({}, shape)).toEqual([{ path: '$.items', message: 'is required' }]);
+  });
+
+  test('validateIdevicePayloads flags malformed JSON and known-type shape errors', () => {
+    const { document } = parseContentXml(
+      buildXml([
+        component('i1', 'text', '{"textTextarea": "<p>x</p>"'),
+        component('i2', 'form', '{"questionsData":[{"activityType":"essay"}]}'),
+        component('i3', 'scrambled-list', '{"options":["only one"]}'),
+        component('i4', 'interactive-video', video([{ type: 'text', startTime: -2 }])),
+        component('i5', 'rubric', '', rubricTable),
+        component('i6', 'download-source-file', ''),
+        component('i7', 'form', '{"questionsData":[{"activityType":"fill","baseText":"<p>x</p>"}]}')
+      ])
+    );
+
+    const { malformed, invalid } = validateIdevicePayloads(document);
+    expect(malformed.map((entry) => entry.location.ideviceId)).toEqual(['i1']);
+    expect(malformed[0].location).toMatchObject({
+      pageId: 'p1',
+      blockId: 'b1',
+      ideviceType: 'text'
+    });
+    expect(invalid.map((entry) => [entry.location.ideviceId, entry.issues])).toEqual([
+      [
+        'i2',
+        [
+          {
+            path: '$.questionsData[0].activityType',
+            message: 'must be one of fill, dropdown, selection, true-false (got "essay")'
+          }
+        ]
+      ],
+      ['i3', [{ path: '$.options', message: 'must have at least 2 items' }]],
+      ['i4', [{ path: '$.slides[0].startTime', message: 'must be 0 or more' }]],
+      ['i5', [{ path: 'htmlView.criteria[1]', message: 'has 1 descriptor for 2 levels' }]]
+    ]);
+  });
+
+  test('IDEVICE_RULES turn payload problems into located findings', async () => {
+    const { document } = parseContentXml(
+      buildXml([component('i1', 'scrambled-list', '{oops}'), component('i2', 'form', '{}')])
+    );
+    const findings = await runRules(new RuleRegistry(IDEVICE_RULES), { xmlDoc: document });
+    expect(findings.map((finding) => [finding.ruleId, finding.severity])).toEqual([
+      ['idevices.json-syntax', 'error'],
+      ['idevices.json-schema', 'warning']
+    ]);
+    expect(findings[0].location).toMatchObject({ pageName: 'Activities', ideviceId: 'i1' });
+    expect(findings[1].message).toContain('$.questionsData is required');
+  });
+
+  test('custom schemas can be registered by iDevice type', () => {
+    const registry = createDefaultSchemaRegistry([
+      {
+        type: 'quick-questions',
+        shape: { type: 'object', required: { questions: { type: 'array' } } }
+      }
+    ]);
+    expect(registry.get('quick-questions')).toMatchObject({ requiresPayload: true });
+    expect(() => new IdeviceSchemaRegistry([{ type: 'broken' }])).toThrow(
+      'needs a shape or a validate function'
+    );
+
+    const { document } = parseContentXml(
+      buildXml([component('i1', 'quick-questions', '{"questions": {}}')])
+    );
+    expect(validateIdevicePayloads(document, registry).invalid[0].issues).toEqual([
+      { path: '$.questions', message: 'must be an array' }
+    ]);
+  });
+});
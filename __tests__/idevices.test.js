@@ -0,0 +1,92 @@
+const { collectIdeviceStats } = require('../src/idevices.js');
+const { parseContentXml } = require('../src/validator.js');
+const { loadFixture } = require('../tests/helpers.js');
+
+const xml = `<?xml version="1.0"?>
+<ode>
+  <odeNavStructures>
+    <odeNavStructure>
+      <odePageId>p1</odePageId>
+      <pageName>Intro</pageName>
+      <odePagStructures>
+        <odePagStructure>
+          <odeBlockId>b1</odeBlockId>
+          <odeComponents>
+            <odeComponent><odeIdeviceId>i1</odeIdeviceId><odeIdeviceTypeName>text</odeIdeviceTypeName></odeComponent>
+            <odeComponent><odeIdeviceId>i2</odeIdeviceId><odeIdeviceTypeName>text</odeIdeviceTypeName></odeComponent>
+            <odeComponent><odeIdeviceId>i3</odeIdeviceId><odeIdeviceTypeName>form</odeIdeviceTypeName></odeComponent>
+          </odeComponents>
+        </odePagStructure>
+      </odePagStructures>
+    </odeNavStructure>
+    <odeNavStructure>
+      <odePageId>p2</odePageId>
+      <pageName>Practice</pageName>
+      <odePagStructures>
+        <odePagStructure>
+          <odeBlockId>b2</odeBlockId>
+          <odeComponents>
+            <odeComponent><odeIdeviceId>i4</odeIdeviceId><odeIdeviceTypeName>text</odeIdeviceTypeName></odeComponent>
+          </odeComponents>
+        </odePagStructure>
+      </odePagStructures>
+    </odeNavStructure>
+  </odeNavStructures>
+</ode>`;
+
+describe('iDevice statistics', () => {
+  test('collectIdeviceStats counts types per page and measures bundles', () => {
+    const { document } = parseContentXml(xml);
+    const stats = collectIdeviceStats({
+      xmlDoc: document,
+      fileList: [
+        { path: 'idevices/text/text.js', size: 100 },
+        { path: 'idevices/text/text.css', size: 50 },
+        { path: 'idevices/rubric/rubric.js', size: 300 },
+        { path: 'idevices/readme.txt', size: 5 },
+        { path: 'content.xml', size: 10 }
+      ]
+    });
+
+    expect(stats.total).toBe(4);
+    expect(stats.bundleSize).toBe(450);
+    expect(stats.types).toEqual([
+      {
+        type: 'text',
+        count: 3,
+        pages: [
+          { pageId: 'p1', pageName: 'Intro', count: 2 },
+          { pageId: 'p2', pageName: 'Practice', count: 1 }
+        ],
+        bundled: true,
+        files: 2,
+        size: 150
+      },
+      {
+        type: 'form',
+        count: 1,
+        pages: [{ pageId: 'p1', pageName: 'Intro', count: 1 }],
+        bundled: false,
+        files: 0,
+        size: 0
+      }
+    ]);
+    expect(stats.unusedBundles).toEqual([{ type: 'rubric', files: 1, size: 300 }]);
+  });
+
+  test('the example package bundles only the iDevice types it uses', async () => {
+    const { zip, document } = await loadFixture();
+    const fileList = Object.values(zip.files)
+      .filter((entry) => !entry.dir)
+      .map((entry) => ({ path: entry.name, size: 1 }));
+
+    const stats = collectIdeviceStats({ xmlDoc: document, fileList });
+    expect(stats.total).toBe(13);
+    expect(stats.types.slice(0, 2).map((entry) => [entry.type, entry.count])).toEqual([
+      ['text', 4],
+      ['udl-content', 4]
+    ]);
+    expect(stats.types.every((entry) => entry.bundled)).toBe(true);
+    expect(stats.unusedBundles).toEqual([]);
+  });
+});
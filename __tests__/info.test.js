@@ -0,0 +1,68 @@
+const { InfoPanel } = require('../src/info.js');
+
+describe('InfoPanel', () => {
+  const unused = [
+    { path: 'content/resources/a1/old.png', size: 10 },
+    { path: 'content/resources/b2/spare.pdf', size: 20 }
+  ];
+  const state = {
+    status: 'ready',
+    fileName: 'course.elpx',
+    fileSize: 100,
+    fileType: 'elpx',
+    manifestKind: 'modern',
+    fileList: unused.map((file) => ({ ...file, mimeType: '' })),
+    summary: { totalFiles: 2, totalSize: 30 },
+    usage: { unused, candidates: 2, unusedBytes: 30 }
+  };
+
+  test('files unticked in the clean list stay unticked after a re-render', () => {
+    const root = document.createElement('div');
+    const panel = new InfoPanel(root);
+    const clean = jest.fn();
+    panel.setCleanArchiveHandler(clean);
+    panel.update(state);
+
+    const checkbox = root.querySelector('input[value="content/resources/a1/old.png"]');
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    panel.setExport({ status: 'done', message: 'Exported.' });
+
+    expect(root.querySelector('input[value="content/resources/a1/old.png"]').checked).toBe(false);
+    expect(root.querySelector('#downloadCleanedButton').textContent).toBe(
+      'Download without 1 file'
+    );
+    root.querySelector('#downloadCleanedButton').click();
+    expect(clean).toHaveBeenCalledWith(['content/resources/b2/spare.pdf']);
+
+    // A newly loaded package starts with every unused file ticked again.
+    panel.update(state);
+    expect(root.querySelectorAll('input[id^="cleanFile"]:checked')).toHaveLength(2);
+  });
+
+  test('the optimisation summary lists images that could not be re-encoded', () => {
+    const root = document.createElement('div');
+    const panel = new InfoPanel(root);
+    panel.setOptimizeHandler(jest.fn());
+    panel.update(state);
+    panel.setOptimization({
+      status: 'done',
+      settings: { maxDimension: 1920, quality: 0.8 },
+      report: {
+        before: 30,
+        after: 30,
+        saved: 0,
+        archiveSize: 30,
+        images: [],
+        removed: [],
+        failed: [{ path: 'content/resources/a1/old.png', message: 'Unsupported image' }],
+        rewritten: []
+      }
+    });
+    const alert = root.querySelector('.alert-warning');
+    expect(alert.textContent).toContain('Could not re-encode 1 image; the original is kept:');
+    expect(alert.querySelector('li').textContent).toBe(
+      'content/resources/a1/old.png: Unsupported image'
+    );
+  });
+});
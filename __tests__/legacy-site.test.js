@@ -0,0 +1,142 @@
+const { parseContentXml } = require('../src/validator.js');
+const { generateElpViewData } = require('../src/renderer.js');
+const { buildLegacySite, assignLegacyPageFiles } = require('../src/legacy-site.js');
+
+describe('buildLegacySite', () => {
+  const legacyXml = `<?xml version="1.0"?>
+    <instance xmlns="http://www.exelearning.org/content/v0.3" version="0.3" class="exe.engine.package.Package">
+      <dictionary>
+        <string role="key" value="_title"></string>
+        <unicode value="Legacy package"></unicode>
+        <string role="key" value="_children"></string>
+        <list>
+          <instance class="exe.engine.node.Node">
+            <dictionary>
+              <string role="key" value="_id"></string>
+              <unicode value="home"></unicode>
+              <string role="key" value="_title"></string>
+              <unicode value="Home"></unicode>
+              <string role="key" value="_children"></string>
+              <list>
+                <instance class="exe.engine.node.Node">
+                  <dictionary>
+                    <string role="key" value="_id"></string>
+                    <unicode value="unit"></unicode>
+                    <string role="key" value="_title"></string>
+                    <unicode value="Unidad didáctica"></unicode>
+                    <string role="key" value="_idevices"></string>
+                    <list>
+                      <instance class="exe.engine.freetextidevice.FreeTextIdevice">
+                        <dictionary>
+                          <string role="key" value="content"></string>
+                          <instance class="exe.engine.field.TextAreaField">
+                            <dictionary>
+                              <string role="key" value="content_w_resourcePaths"></string>
+                              <unicode value="&lt;p&gt;&lt;img src=&quot;resources/pic.png&quot;&gt;&lt;/p&gt;"></unicode>
+                            </dictionary>
+                          </instance>
+                        </dictionary>
+                      </instance>
+                    </list>
+                  </dictionary>
+                </instance>
+              </list>
+              <string role="key" value="_idevices"></string>
+              <list>
+                <instance class="exe.engine.idevice.TextIdevice">
+                  <dictionary>
+                    <string role="key" value="_content"></string>
+                    <unicode value="&lt;p&gt;Welcome&lt;/p&gt;"></unicode>
+                  </dictionary>
+                </instance>
+              </list>
+            </dictionary>
+          </instance>
+        </list>
+      </dictionary>
+    </instance>`;
+
+  function loadPages() {
+    const { document } = parseContentXml(legacyXml);
+    return generateElpViewData(document);
+  }
+
+  test('assigns index.html to the first page and slugged names to the rest', () => {
+    const pageFiles = assignLegacyPageFiles(loadPages());
+    expect(pageFiles.get('home')).toBe('index.html');
+    expect(pageFiles.get('unit')).toBe('unidad-didactica.html');
+  });
+
+  test('deduplicates clashing page file names', () => {
+    const pages = [
+      { id: 'a', title: 'Intro', children: [] },
+      { id: 'b', title: 'Tema', children: [] },
+      { id: 'c', title: 'Tema', children: [] }
+    ];
+    const pageFiles = assignLegacyPageFiles(pages);
+    expect(pageFiles.get('b')).toBe('tema.html');
+    expect(pageFiles.get('c')).toBe('tema-2.html');
+  });
+
+  test('generates one HTML document per page with a shared navigation menu', () => {
+    const { files } = buildLegacySite(loadPages(), {
+      properties: { pp_title: 'Legacy package', pp_lang: 'es' }
+    });
+    const paths = files.map((file) => file.path);
+    expect(paths).toEqual(['legacy-site.css', 'index.html', 'unidad-didactica.html']);
+
+    const index = files.find((file) => file.path === 'index.html').content;
+    expect(index).toContain('<html lang="es">');
+    expect(index).toContain('<p>Welcome</p>');
+    expect(index).toContain('<a href="index.html" aria-current="page">Home</a>');
+    expect(index).toContain('<a href="unidad-didactica.html">Unidad didáctica</a>');
+
+    const unit = files.find((file) => file.path === 'unidad-didactica.html').content;
+    expect(unit).toContain('<img src="resources/pic.png">');
+    expect(unit).toContain('rel="prev"');
+  });
+
+  test('never reuses a path the archive already holds', () => {
+    const { files, pageFiles, startFile } = buildLegacySite(
+      loadPages(),
+      { properties: {} },
+      {
+        reservedPaths: ['index.html', 'legacy-site.css', 'unidad-didactica.html']
+      }
+    );
+    expect(startFile).toBe('index-2.html');
+    expect(pageFiles.get('unit')).toBe('unidad-didactica-2.html');
+    expect(files.map((file) => file.path)).toEqual([
+      'legacy-site-2.css',
+      'index-2.html',
+      'unidad-didactica-2.html'
+    ]);
+    const index = files.find((file) => file.path === 'index-2.html').content;
+    expect(index).toContain('<link rel="stylesheet" href="legacy-site-2.css">');
+    expect(index).toContain('<a href="unidad-didactica-2.html">Unidad didáctica</a>');
+  });
+
+  test('reads reserved paths given as an iterator only once', () => {
+    const archive = new Map([
+      ['index.html', {}],
+      ['legacy-site.css', {}]
+    ]);
+    const { files } = buildLegacySite(
+      loadPages(),
+      { properties: {} },
+      { reservedPaths: archive.keys() }
+    );
+    expect(files.map((file) => file.path)).toEqual([
+      'legacy-site-2.css',
+      'index-2.html',
+      'unidad-didactica.html'
+    ]);
+  });
+
+  test('produces a placeholder index when the package has no pages', () => {
+    const { files, pageFiles } = buildLegacySite([], { properties: {} });
+    expect(pageFiles.size).toBe(0);
+    const index = files.find((file) => file.path === 'index.html');
+    expect(index.content).toContain('does not contain any pages');
+  });
+});
@@ -0,0 +1,137 @@
+const { parseContentXml } = require('../src/validator.js');
+const {
+  checkLinks,
+  extractCssReferences,
+  parsePageLink,
+  resolveReference,
+  LINK_RULES
+} = require('../src/links.js');
+const { RuleRegistry, runRules } = require('../src/rules.js');
+const { createFileMap } = require('../tests/helpers.js');
+
+describe('link checker', () => {
+  const fileMap = createFileMap({
+    'index.html': `<html><body>
+      <a href="html/page.html#intro">Intro</a>
+      <a href="html/page.html#missing">Missing anchor</a>
+      <a href="#top" id="top">Top</a>
+      <a href="mailto:team@example.com">Mail</a>
+      <a href="https://example.com/a">A</a>
+      <img src="content/resources/photo.png" srcset="content/resources/photo.png 1x, content/resources/photo@2x.png 2x">
+      <div style="background: url('content/img/bg.png')"></div>
+    </body></html>`,
+    'html/page.html': `<html><body>
+      <h2 id="intro">Intro</h2>
+      <a href="../index.html">Home</a>
+      <a href="../content/resources/guide%20v2.pdf">Guide</a>
+      <a href="//example.com/b">B</a>
+    </body></html>`,
+    'content/css/base.css': `@import "print.css"; .x { background: url(../img/bg.png); } .y { background: url("data:image/png;base64,AAAA"); }`,
+    'content/resources/photo.png': '',
+    'content/img/bg.png': ''
+  });
+
+  test('resolveReference resolves against the referring file', () => {
+    expect(resolveReference('html/page.html', '../content/a%20b.png#x')).toEqual({
+      type: 'internal',
+      path: 'content/a b.png',
+      fragment: 'x'
+    });
+    expect(resolveReference('html/page.html', 'sub/')).toMatchObject({
+      path: 'html/sub/index.html'
+    });
+    expect(resolveReference('index.html', 'https://Example.com/path')).toMatchObject({
+      type: 'external',
+      domain: 'example.com'
+    });
+    expect(resolveReference('index.html', 'javascript:void(0)').type).toBe('ignored');
+  });
+
+  test('parsePageLink reads the page id and anchor of content.xml links', () => {
+    expect(parsePageLink('exe-node:20251009p2')).toEqual({ pageId: '20251009p2', fragment: '' });
+    expect(parsePageLink(' exe-node:p2#a%20b ')).toEqual({ pageId: 'p2', fragment: 'a b' });
+    expect(parsePageLink('html/p2.html')).toBeNull();
+  });
+
+  test('malformed escapes are kept raw instead of stopping the link rules', async () => {
+    expect(resolveReference('index.html', 'page%E0%A4.html#%E0%A4')).toEqual({
+      type: 'internal',
+      path: 'page%E0%A4.html',
+      fragment: '%E0%A4'
+    });
+    const findings = await runRules(new RuleRegistry(LINK_RULES), {
+      manifestKind: 'modern',
+      fileMap: createFileMap({
+        'index.html': '<a href="page.html#%E0%A4">Broken anchor</a>',
+        'page.html': '<h1 id="intro">Intro</h1>'
+      })
+    });
+    expect(findings.map((finding) => finding.ruleId)).toEqual(['links.anchors']);
+    expect(findings[0].message).toContain('%E0%A4');
+  });
+
+  test('extractCssReferences reads url() and @import', () => {
+    expect(extractCssReferences(`@import 'a.css'; b { background: url( "c.png" ) }`)).toEqual([
+      'a.css',
+      'c.png'
+    ]);
+  });
+
+  test('checkLinks reports missing files, missing anchors and external domains', async () => {
+    const result = await checkLinks(fileMap);
+    expect(result.checkedFiles).toBe(3);
+    expect(result.missing.map((link) => [link.source, link.path])).toEqual([
+      ['index.html', 'content/resources/photo@2x.png'],
+      ['html/page.html', 'content/resources/guide v2.pdf'],
+      ['content/css/base.css', 'content/css/print.css']
+    ]);
+    expect(result.anchors).toEqual([
+      {
+        source: 'index.html',
+        url: 'html/page.html#missing',
+        path: 'html/page.html',
+        fragment: 'missing'
+      }
+    ]);
+    expect(result.external.get('example.com').map((link) => link.source)).toEqual([
+      'index.html',
+      'html/page.html'
+    ]);
+  });
+
+  test('markup inside hidden iDevice data containers is not checked', async () => {
+    const result = await checkLinks(
+      createFileMap({
+        'index.html': `<div id="exe-interactive-video-contents" style="display: none">{"description":"<a href=\\"https://example.com/v\\">V</a><img src=\\"x.png\\">"}</div>
+          <div class="form-data" style="display:none">[{"image":"<img src='missing.png'>"}]</div>
+          <div class="feedback" style="display: none"><img src="hidden.png"></div>`
+      })
+    );
+    expect(result.missing.map((link) => link.url)).toEqual(['hidden.png']);
+    expect(result.external.size).toBe(0);
+  });
+
+  test('link rules locate findings on their page', async () => {
+    const xml = `<?xml version="1.0"?>
+      <ode><odeNavStructures>
+        <odeNavStructure><odePageId>p1</odePageId><pageName>Home</pageName></odeNavStructure>
+        <odeNavStructure><odePageId>p2</odePageId><pageName>Page</pageName></odeNavStructure>
+      </odeNavStructures></ode>`;
+    const findings = await runRules(new RuleRegistry(LINK_RULES), {
+      manifestKind: 'modern',
+      xmlDoc: parseContentXml(xml).document,
+      fileMap
+    });
+    const broken = findings.filter((finding) => finding.ruleId === 'links.broken');
+    expect(broken).toHaveLength(3);
+    expect(broken[1].location).toEqual({ file: 'html/page.html', pageId: 'p2', pageName: 'Page' });
+    expect(broken[2].location).toEqual({ file: 'content/css/base.css' });
+    const external = findings.filter((finding) => finding.ruleId === 'links.external');
+    expect(external).toEqual([
+      expect.objectContaining({
+        severity: 'info',
+        message: '2 external links to example.com from 2 files.'
+      })
+    ]);
+  });
+});
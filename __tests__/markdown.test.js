@@ -0,0 +1,142 @@
+const JSZip = require('jszip');
+const { buildTextExport, htmlToMarkdown, renderFrontMatter } = require('../src/markdown.js');
+const { generateElpViewData, parseModernPages } = require('../src/renderer.js');
+const { loadFixture } = require('../tests/helpers.js');
+
+const pageLinks = new Map([['p2', '02-practice.md']]);
+
+describe('Markdown and plain text export', () => {
+  test('htmlToMarkdown keeps headings, emphasis, links and images', () => {
+    const markdown = htmlToMarkdown(
+      '<h2>Intro</h2><p>Some <strong>bold </strong>and <em>slanted</em> text_with *stars*.<br>Next line</p>' +
+        '<p><a href="exe-node:p2#task">Practice</a>, <a href="https://example.com">the web</a> and ' +
+        '<a href="exe-node:gone">a lost page</a>.</p>' +
+        '<p><img src="{{context_path}}/i1/a b.png" alt="A diagram"></p><script>run()</script>',
+      { pageLinks }
+    );
+    expect(markdown).toBe(
+      [
+        '## Intro',
+        'Some **bold** and _slanted_ text\\_with \\*stars\\*.\\\nNext line',
+        '[Practice](02-practice.md#task), [the web](https://example.com) and a lost page.',
+        '![A diagram](content/resources/i1/a%20b.png)'
+      ].join('\n\n')
+    );
+  });
+
+  test('htmlToMarkdown moves headings and package paths for the output file', () => {
+    const resources = new Set();
+    const markdown = htmlToMarkdown(
+      '<h1>Title</h1><p><img src="{{context_path}}/i1/a.png" alt=""> <a href="#">Top</a> <a href="#intro">Intro</a></p>',
+      {
+        resourcePrefix: '../',
+        resources,
+        headingOffset: 1
+      }
+    );
+    expect(markdown).toBe('## Title\n\n![](../content/resources/i1/a.png) Top Intro');
+    expect(Array.from(resources)).toEqual(['content/resources/i1/a.png']);
+  });
+
+  test('htmlToMarkdown writes nested lists, quotes and tables', () => {
+    const markdown = htmlToMarkdown(
+      '<ul><li>One<ul><li>One.a</li></ul></li><li><p>Two</p></li></ul>' +
+        '<ol start="3"><li>Three</li><li>Four</li></ol>' +
+        '<blockquote><p>Quoted</p><p>Twice</p></blockquote>' +
+        '<table><caption>Scores</caption><thead><tr><th>Name</th><th>Score</th></tr></thead>' +
+        '<tbody><tr><td>A | B</td><td>4</td></tr><tr><td>C</td></tr></tbody></table>'
+    );
+    expect(markdown).toBe(
+      [
+        '- One\n  - One.a\n- Two',
+        '3. Three\n4. Four',
+        '> Quoted\n>\n> Twice',
+        'Scores',
+        '| Name | Score |\n| --- | --- |\n| A \\| B | 4 |\n| C |  |'
+      ].join('\n\n')
+    );
+  });
+
+  test('the plain text flavour drops the markup but keeps link targets', () => {
+    const text = htmlToMarkdown(
+      '<h3>Intro</h3><p><strong>Read</strong> <a href="https://example.com">this</a>.</p>' +
+        '<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>',
+      { format: 'text' }
+    );
+    expect(text).toBe('Intro\n\nRead this (https://example.com).\n\nA\tB\n1\t2');
+  });
+
+  test('hidden iDevice data becomes its static version or is left out', () => {
+    const markdown = htmlToMarkdown(
+      '<div class="idevice_node" data-idevice-type="interactive-video">' +
+        '<div id="exe-interactive-video-contents" style="display: none">' +
+        '{"title":"Tour","slides":[{"text":"Welcome","startTime":2}]}</div></div>' +
+        '<p>Kept</p><div class="game-data" style="display:none">{"i18n":{"next":"Next"}}</div>'
+    );
+    expect(markdown).toBe('**Tour**\n\n1. **0:02** Welcome\n\nKept');
+  });
+
+  test('renderFrontMatter quotes strings and leaves numbers bare', () => {
+    expect(renderFrontMatter({ id: 'p1', title: 'Unit "1": intro', order: 2 })).toBe(
+      '---\nid: "p1"\ntitle: "Unit \\"1\\": intro"\norder: 2\n---'
+    );
+  });
+
+  test('the example package exports one file per page plus a combined file', async () => {
+    const { files, document } = await loadFixture();
+    const { output, pageCount, resourceCount } = await buildTextExport(
+      generateElpViewData(document),
+      {
+        title: 'Ejemplo',
+        language: 'es',
+        xmlDoc: document,
+        fileMap: files,
+        JSZip,
+        type: 'uint8array'
+      }
+    );
+    expect(pageCount).toBe(14);
+    expect(resourceCount).toBeGreaterThan(0);
+
+    const zip = await JSZip.loadAsync(output);
+    const names = Object.keys(zip.files).filter((name) => !zip.files[name].dir);
+    expect(names).toContain('combined.md');
+    const pageNames = names.filter((name) => name.startsWith('pages/')).sort();
+    expect(pageNames).toHaveLength(14);
+    expect(pageNames[0]).toBe('pages/01-inicio.md');
+
+    const first = await zip.file(pageNames[0]).async('string');
+    const [home] = parseModernPages(document);
+    expect(
+      first.startsWith(`---\nid: "${home.id}"\ntitle: "Inicio"\norder: 1\n---\n\n# Inicio\n`)
+    ).toBe(true);
+    expect(first).toContain('![](../content/resources/20251009090601SQPBIF/00.jpg)');
+    expect(zip.file('content/resources/20251009090601SQPBIF/00.jpg')).not.toBeNull();
+    expect(zip.file('index.html')).toBeNull();
+    expect(first.match(/^# /gm)).toHaveLength(1);
+    expect(first).toMatch(/\[ejemplos de texto\]\(\d\d-[a-z0-9-]+\.md\)/);
+
+    const combined = await zip.file('combined.md').async('string');
+    expect(combined.startsWith('---\ntitle: "Ejemplo"\nlanguage: "es"\npages: 14\n---')).toBe(true);
+    expect(combined.match(/<!-- id: /g)).toHaveLength(14);
+    expect(combined).toMatch(/\[ejemplos de texto\]\(pages\/\d\d-[a-z0-9-]+\.md\)/);
+    expect(combined).toContain('| --- |');
+    expect(combined).not.toContain('"slides"');
+    expect(combined).not.toContain('"i18n"');
+    // Block names are headings one level below their page.
+    expect(combined).toMatch(/^### Unidad 2\.1\.2\n[\s\S]*^#### Objetivos$/m);
+    const unit = await zip.file('pages/07-unidad-2-1-2.md').async('string');
+    expect(unit).toMatch(/^## Objetivos$/m);
+    expect(unit).toMatch(/^## Rubric$/m);
+    expect(combined).toContain('![](content/resources/20251009090601SQPBIF/00.jpg)');
+
+    const { output: textOutput } = await buildTextExport(generateElpViewData(document), {
+      format: 'text',
+      JSZip,
+      type: 'uint8array'
+    });
+    const textZip = await JSZip.loadAsync(textOutput);
+    expect(textZip.file('combined.txt')).not.toBeNull();
+    expect(textZip.file('pages/01-inicio.txt')).not.toBeNull();
+  });
+});
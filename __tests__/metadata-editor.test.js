@@ -0,0 +1,110 @@
+const JSZip = require('jszip');
+const {
+  applyPropertyChanges,
+  buildEditedPackage,
+  getToggleFields,
+  serializeContentXml,
+  updateExportedHtml
+} = require('../src/metadata-editor.js');
+const { extractMetadata, parseContentXml } = require('../src/validator.js');
+const { createFileMap } = require('../tests/helpers.js');
+
+const CONTENT_XML = `<?xml version="1.0" encoding="utf-8"?>
+<ode><odeProperties><odeProperty><key>pp_title</key><value>Old title</value></odeProperty><odeProperty><key>pp_lang</key><value>es</value></odeProperty><odeProperty><key>pp_addPagination</key><value>false</value></odeProperty></odeProperties></ode>`;
+
+const INDEX_HTML = `<html lang="es" id="exe-index"><head>
+<title>Old title</title>
+<meta name="description" content="Old description">
+</head><body lang="es"><h1 class="package-title">Old title</h1></body></html>`;
+
+const PAGE_HTML = `<html lang="es"><head>
+<title>Unit 1 | Old title</title>
+</head><body><h1 class="package-title">Old title</h1><h2 class="page-title">Unit 1</h2></body></html>`;
+
+describe('metadata editor', () => {
+  test('applyPropertyChanges updates existing properties and creates missing ones', () => {
+    const { document } = parseContentXml(CONTENT_XML);
+    const changed = applyPropertyChanges(document, {
+      pp_title: 'New title',
+      pp_lang: 'es',
+      pp_addPagination: true,
+      footer: 'Footer text'
+    });
+
+    expect(changed).toEqual(['pp_title', 'pp_addPagination', 'footer']);
+    expect(extractMetadata(document).properties).toEqual({
+      pp_title: 'New title',
+      pp_lang: 'es',
+      pp_addPagination: 'true',
+      footer: 'Footer text'
+    });
+    expect(serializeContentXml(document, CONTENT_XML)).toMatch(/^<\?xml version="1.0"/);
+  });
+
+  test('getToggleFields keeps the defaults and adds unknown pp_add* switches', () => {
+    const keys = getToggleFields({ pp_addMathJax: 'true', pp_title: 'x' }).map(
+      (field) => field.key
+    );
+    expect(keys).toEqual([
+      'pp_addExeLink',
+      'pp_addPagination',
+      'pp_addSearchBox',
+      'pp_addAccessibilityToolbar',
+      'pp_addMathJax'
+    ]);
+  });
+
+  test('updateExportedHtml patches title, description and language', () => {
+    const index = updateExportedHtml(INDEX_HTML, {
+      previousTitle: 'Old title',
+      title: 'Fish & chips',
+      description: 'Say "hi"',
+      lang: 'en'
+    });
+    expect(index).toContain('<html lang="en" id="exe-index">');
+    expect(index).toContain('<body lang="en">');
+    expect(index).toContain('<title>Fish &amp; chips</title>');
+    expect(index).toContain('<meta name="description" content="Say &quot;hi&quot;">');
+    expect(index).toContain('<h1 class="package-title">Fish &amp; chips</h1>');
+
+    const page = updateExportedHtml(PAGE_HTML, { previousTitle: 'Old title', title: 'New' });
+    expect(page).toContain('<title>Unit 1 | New</title>');
+    expect(page).toContain('<h2 class="page-title">Unit 1</h2>');
+
+    const withoutDescription = updateExportedHtml(INDEX_HTML, { description: '' });
+    expect(withoutDescription).not.toContain('name="description"');
+  });
+
+  test('buildEditedPackage rewrites the manifest and exported pages', async () => {
+    const fileMap = createFileMap({
+      'content.xml': CONTENT_XML,
+      'index.html': INDEX_HTML,
+      'html/unit-1.html': PAGE_HTML,
+      'content/css/base.css': 'body { color: red; }'
+    });
+
+    const { output, changed, rewritten } = await buildEditedPackage(
+      fileMap,
+      { pp_title: 'New title', pp_description: 'Fresh' },
+      { JSZip, type: 'uint8array' }
+    );
+
+    expect(changed).toEqual(['pp_title', 'pp_description']);
+    expect(rewritten).toEqual(['index.html', 'html/unit-1.html']);
+    const zip = await JSZip.loadAsync(output);
+    const xml = await zip.file('content.xml').async('string');
+    expect(extractMetadata(parseContentXml(xml).document).properties.pp_title).toBe('New title');
+    const index = await zip.file('index.html').async('string');
+    expect(index).toContain('<meta name="description" content="Fresh">');
+    const page = await zip.file('html/unit-1.html').async('string');
+    expect(page).toContain('<title>Unit 1 | New title</title>');
+    expect(page).not.toContain('name="description"');
+    expect(await zip.file('content/css/base.css').async('string')).toBe('body { color: red; }');
+  });
+
+  test('buildEditedPackage rejects packages without content.xml', async () => {
+    await expect(
+      buildEditedPackage(createFileMap({ 'contentv3.xml': '<x/>' }), {}, { JSZip })
+    ).rejects.toThrow('content.xml');
+  });
+});
@@ -0,0 +1,110 @@
+const { TextDecoder } = require('util');
+const {
+  DEFAULT_BUNDLE_MAX_BYTES,
+  buildOfflineBundle,
+  collectBundleFiles,
+  estimateBundleSize,
+  renderOfflineBundle
+} = require('../src/offline-bundle.js');
+const { readBlobText } = require('../src/viewer-utils.js');
+const { record } = require('../tests/helpers.js');
+
+const fileMap = new Map([
+  [
+    'index.html',
+    record(
+      '<html><head><title>Start</title><link rel="stylesheet" href="theme/style.css"></head><body>' +
+        '<a id="next" href="html/practice.html#task">Next</a><a id="top" href="#top">Top</a>' +
+        '<a id="broken" href="html/%E0%A4.html">Broken</a>' +
+        '<img src="content/resources/a%20b.png" alt=""></body></html>'
+    )
+  ],
+  [
+    'html/practice.html',
+    record(
+      '<html><head><title>Practice</title></head><body><a href="../index.html">Back</a></body></html>'
+    )
+  ],
+  ['theme/style.css', record('body { background: url(img/bg.png); }', 'text/css')],
+  ['theme/img/bg.png', record('png', 'image/png')],
+  ['content/resources/a b.png', record('png', 'image/png')],
+  ['content.xml', record('<ode/>', 'application/xml')]
+]);
+
+describe('offline HTML bundle', () => {
+  test('collectBundleFiles embeds every browsable file with its inferred type', async () => {
+    const files = await collectBundleFiles(fileMap);
+    expect(Object.keys(files)).toEqual([
+      'index.html',
+      'html/practice.html',
+      'theme/style.css',
+      'theme/img/bg.png',
+      'content/resources/a b.png'
+    ]);
+    expect(files['theme/style.css'].type).toBe('text/css');
+    expect(files['theme/img/bg.png']).toEqual({ type: 'image/png', data: btoa('png') });
+  });
+
+  test('renderOfflineBundle keeps the embedded data inside its script element', () => {
+    const html = renderOfflineBundle({
+      files: { 'a</script>.html': { type: 'text/html', data: '' } },
+      title: 'Unit <1>'
+    });
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    expect(doc.title).toBe('Unit <1>');
+    const { files } = JSON.parse(doc.getElementById('elpx-bundle-data').textContent);
+    expect(Object.keys(files)).toEqual(['a</script>.html']);
+  });
+
+  test('the loader renders pages with blob URLs and hash links between pages', async () => {
+    const { output, fileCount, oversized } = await buildOfflineBundle(fileMap, { title: 'Unit' });
+    expect(fileCount).toBe(5);
+    expect(oversized).toBe(false);
+
+    const doc = new DOMParser().parseFromString(await readBlobText(output), 'text/html');
+    const loader = doc.querySelectorAll('script')[1].textContent;
+    document.body.innerHTML = '';
+    document.body.append(
+      document.importNode(doc.getElementById('elpx-bundle-frame'), true),
+      document.importNode(doc.getElementById('elpx-bundle-data'), true)
+    );
+    const created = [];
+    const originalDecoder = global.TextDecoder;
+    const originalCreate = URL.createObjectURL;
+    global.TextDecoder = TextDecoder;
+    URL.createObjectURL = jest.fn((blob) => {
+      created.push(blob.type);
+      return `blob:${created.length}`;
+    });
+    try {
+      new Function(loader)();
+    } finally {
+      global.TextDecoder = originalDecoder;
+      URL.createObjectURL = originalCreate;
+    }
+
+    const page = new DOMParser().parseFromString(
+      document.getElementById('elpx-bundle-frame').getAttribute('srcdoc'),
+      'text/html'
+    );
+    expect(document.title).toBe('Start');
+    expect(created).toEqual(['image/png', 'image/png', 'text/css']);
+    expect(page.querySelector('img').getAttribute('src')).toBe('blob:1');
+    expect(page.querySelector('link').getAttribute('href')).toBe('blob:3');
+    expect(page.getElementById('next').getAttribute('href')).toBe('#html/practice.html#task');
+    expect(page.getElementById('next').dataset.elpxPage).toBe('html/practice.html#task');
+    expect(page.getElementById('top').getAttribute('href')).toBe('#top');
+    expect(page.getElementById('broken').getAttribute('href')).toBe('html/%E0%A4.html');
+  });
+
+  test('bundles larger than the configured size are flagged', async () => {
+    expect(DEFAULT_BUNDLE_MAX_BYTES).toBe(18 * 1024 * 1024);
+    const { size, oversized } = await buildOfflineBundle(fileMap, { maxBytes: 1024 });
+    expect(size).toBeGreaterThan(1024);
+    expect(oversized).toBe(true);
+    const estimate = estimateBundleSize(fileMap);
+    expect(estimate).toBeGreaterThan(size * 0.9);
+    expect(estimate).toBeLessThan(size * 1.1);
+    await expect(buildOfflineBundle(new Map())).rejects.toThrow('has no index.html');
+  });
+});
@@ -0,0 +1,129 @@
+const JSZip = require('jszip');
+const { optimizePackage, rewriteReferences } = require('../src/optimize.js');
+const { createFileMap } = require('../tests/helpers.js');
+
+describe('package optimisation', () => {
+  test('rewriteReferences updates relative, context and encoded paths only', () => {
+    const renames = new Map([
+      ['content/resources/a1/big photo.png', 'content/resources/a1/big photo.jpg']
+    ]);
+    const text = [
+      '<img src="{{context_path}}/a1/big photo.png">',
+      '<img src="../content/resources/a1/big%20photo.png">',
+      '<img src="../content/resources/a1/big photo.png.bak">',
+      '<img src="../content/resources/xa1/big photo.png">'
+    ].join('\n');
+    expect(rewriteReferences(text, renames).split('\n')).toEqual([
+      '<img src="{{context_path}}/a1/big photo.jpg">',
+      '<img src="../content/resources/a1/big%20photo.jpg">',
+      '<img src="../content/resources/a1/big photo.png.bak">',
+      '<img src="../content/resources/xa1/big photo.png">'
+    ]);
+  });
+
+  test('optimizePackage recompresses images, drops unused files and rewrites references', async () => {
+    const fileMap = createFileMap({
+      'content.xml': '<htmlView><![CDATA[<img src="{{context_path}}/a1/photo.png">]]></htmlView>',
+      'index.html':
+        '<img src="content/resources/a1/photo.png"><img src="content/resources/b2/pic.jpg">',
+      'content/resources/a1/photo.png': 'P'.repeat(400),
+      'content/resources/b2/pic.jpg': 'J'.repeat(300),
+      'content/resources/c3/tiny.png': 'T'.repeat(10),
+      'content/resources/d4/unused.pdf': 'U'.repeat(50)
+    });
+    const encoder = jest.fn(async (blob, { mimeType }) =>
+      mimeType === 'image/png'
+        ? { blob: new Blob(['jpeg-data']), mimeType: 'image/jpeg' }
+        : { blob: new Blob(['J'.repeat(500)]), mimeType }
+    );
+
+    const { output, report } = await optimizePackage(fileMap, {
+      JSZip,
+      encoder,
+      type: 'uint8array',
+      minBytes: 100,
+      maxDimension: 800,
+      quality: 0.7,
+      unusedPaths: ['content/resources/d4/unused.pdf']
+    });
+
+    expect(encoder).toHaveBeenCalledTimes(2);
+    expect(encoder.mock.calls[0][1]).toEqual({
+      maxDimension: 800,
+      quality: 0.7,
+      mimeType: 'image/png'
+    });
+    expect(report.images).toEqual([
+      {
+        path: 'content/resources/a1/photo.png',
+        newPath: 'content/resources/a1/photo.jpg',
+        before: 400,
+        after: 9
+      }
+    ]);
+    expect(report.removed).toEqual([{ path: 'content/resources/d4/unused.pdf', size: 50 }]);
+    expect(report.rewritten).toEqual(['content.xml', 'index.html']);
+    expect(report.saved).toBe(report.before - report.after);
+    expect(report.archiveSize).toBe(output.byteLength);
+
+    const zip = await JSZip.loadAsync(output);
+    expect(zip.file('content/resources/a1/photo.png')).toBeNull();
+    expect(await zip.file('content/resources/a1/photo.jpg').async('string')).toBe('jpeg-data');
+    expect(await zip.file('content/resources/b2/pic.jpg').async('string')).toBe('J'.repeat(300));
+    expect(zip.file('content/resources/d4/unused.pdf')).toBeNull();
+    expect(await zip.file('content.xml').async('string')).toContain(
+      '{{context_path}}/a1/photo.jpg'
+    );
+    expect(await zip.file('index.html').async('string')).toContain(
+      'content/resources/a1/photo.jpg'
+    );
+  });
+
+  test('optimizePackage leaves images scripts mention untouched', async () => {
+    const fileMap = createFileMap({
+      'index.html': '<img src="content/resources/a1/photo.png">',
+      'content/resources/a1/photo.png': 'P'.repeat(400),
+      'content/resources/b2/slide 1.png': 'S'.repeat(400),
+      'content/resources/b2/game.js':
+        "var next = 'b2/slide%201.png'; var img = root + 'a1/photo.png';"
+    });
+    const encoder = jest.fn(async () => ({ blob: new Blob(['jpeg']), mimeType: 'image/jpeg' }));
+
+    const { output, report } = await optimizePackage(fileMap, {
+      JSZip,
+      encoder,
+      type: 'uint8array',
+      minBytes: 100
+    });
+
+    expect(encoder).not.toHaveBeenCalled();
+    expect(report.images).toEqual([]);
+    expect(report.removed).toEqual([]);
+    const zip = await JSZip.loadAsync(output);
+    expect(zip.file('content/resources/a1/photo.png')).not.toBeNull();
+    expect(zip.file('content/resources/b2/slide 1.png')).not.toBeNull();
+  });
+
+  test('optimizePackage reports images the encoder could not handle', async () => {
+    const fileMap = createFileMap({
+      'content/resources/a1/broken.png': 'B'.repeat(400)
+    });
+    const encoder = jest.fn(async () => {
+      throw new Error('Unsupported image');
+    });
+
+    const { output, report } = await optimizePackage(fileMap, {
+      JSZip,
+      encoder,
+      type: 'uint8array',
+      minBytes: 100
+    });
+
+    expect(report.failed).toEqual([
+      { path: 'content/resources/a1/broken.png', message: 'Unsupported image' }
+    ]);
+    expect(report.images).toEqual([]);
+    const zip = await JSZip.loadAsync(output);
+    expect(await zip.file('content/resources/a1/broken.png').async('string')).toBe('B'.repeat(400));
+  });
+});
@@ -0,0 +1,61 @@
+const { OutlinePanel } = require('../src/outline.js');
+
+describe('OutlinePanel', () => {
+  const pages = [
+    {
+      id: 'home',
+      title: 'Inicio',
+      level: 0,
+      children: [{ id: 'child', title: 'Sección 1', level: 1, children: [] }]
+    },
+    { id: 'orphan', title: 'Sin fichero', level: 0, children: [] }
+  ];
+  const pageFiles = new Map([
+    ['home', 'index.html'],
+    ['child', 'html/seccion-1.html']
+  ]);
+
+  test('stays hidden until pages are provided', () => {
+    const root = document.createElement('aside');
+    const panel = new OutlinePanel(root);
+    expect(root.hidden).toBe(true);
+    panel.update({ pages, pageFiles });
+    expect(root.hidden).toBe(false);
+    expect(root.querySelectorAll('a.outline-link')).toHaveLength(2);
+    expect(root.querySelector('span.outline-link').textContent).toBe('Sin fichero');
+  });
+
+  test('navigates to the page file and highlights the clicked node', () => {
+    const root = document.createElement('aside');
+    const onNavigate = jest.fn();
+    const panel = new OutlinePanel(root, { onNavigate });
+    panel.update({ pages, pageFiles });
+
+    root.querySelector('[data-page-id="child"]').click();
+    expect(onNavigate).toHaveBeenCalledWith('html/seccion-1.html', pages[0].children[0]);
+    expect(root.querySelector('[data-page-id="child"]').getAttribute('aria-current')).toBe('page');
+    expect(root.querySelector('[data-page-id="home"]').classList.contains('active')).toBe(false);
+  });
+
+  test('tracks the page currently shown in the preview', () => {
+    const root = document.createElement('aside');
+    const panel = new OutlinePanel(root);
+    panel.update({ pages, pageFiles });
+    panel.setActivePath('html/seccion-1.html?x=1');
+    expect(panel.activeId).toBe('child');
+    panel.setActivePath('html/unknown.html');
+    expect(root.querySelector('.outline-link.active')).toBeNull();
+  });
+
+  test('collapses and expands the panel', () => {
+    const root = document.createElement('aside');
+    const panel = new OutlinePanel(root);
+    panel.update({ pages, pageFiles });
+    const toggle = root.querySelector('.outline-toggle');
+    toggle.click();
+    expect(root.classList.contains('is-collapsed')).toBe(true);
+    expect(toggle.getAttribute('aria-expanded')).toBe('false');
+    toggle.click();
+    expect(root.classList.contains('is-collapsed')).toBe(false);
+  });
+});
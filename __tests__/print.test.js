@@ -0,0 +1,140 @@
+const { PRINT_VIEW_PATH, choosePrintViewPath, buildPrintDocument } = require('../src/print.js');
+const { applyStaticFallbacks, shiftHeadings } = require('../src/static-content.js');
+const { generateElpViewData, resolvePageFiles } = require('../src/renderer.js');
+const { loadFixture, record } = require('../tests/helpers.js');
+
+function fragment(html) {
+  const doc = new DOMParser().parseFromString(`<div id="root">${html}</div>`, 'text/html');
+  return doc.getElementById('root');
+}
+
+const fileMap = new Map([
+  [
+    'index.html',
+    record(
+      '<html><head><link rel="stylesheet" href="theme/style.css"></head><body><main class="page">' +
+        '<div class="page-content"><article class="box"><h1 class="box-title">Intro</h1>' +
+        '<button class="box-toggle">Toggle</button><a id="next" href="html/practice.html">Next</a>' +
+        '<img src="content/resources/a.png"></article></div></main></body></html>'
+    )
+  ],
+  [
+    'html/practice.html',
+    record(
+      '<html><head><link rel="stylesheet" href="../theme/style.css"></head><body><main class="page">' +
+        '<div class="page-content"><a id="back" href="../index.html#top">Back</a>' +
+        '<img src="../content/resources/a.png"><script>run()</script></div></main></body></html>'
+    )
+  ],
+  ['theme/style.css', record('body {}', 'text/css')],
+  ['content/resources/a.png', record('png', 'image/png')]
+]);
+const pages = [
+  {
+    id: 'p1',
+    title: 'Unit <1>',
+    level: 0,
+    children: [{ id: 'p2', title: 'Practice', level: 1, children: [] }]
+  }
+];
+const pageFiles = new Map([
+  ['p1', 'index.html'],
+  ['p2', 'html/practice.html']
+]);
+
+describe('print view', () => {
+  test('applyStaticFallbacks renders form questions and replaces embedded media', () => {
+    const data = {
+      eXeFormInstructions: '<p>Answer all questions.</p>',
+      questionsData: [
+        { activityType: 'fill', baseText: '<p>The sky is <u>blue</u>.</p>' },
+        { activityType: 'true-false', baseText: '<p>Water is wet.</p>' }
+      ]
+    };
+    const root = fragment(
+      `<div class="idevice_node" data-idevice-type="form" data-idevice-json-data='${JSON.stringify(data)}'>IDEVICE_CONTENT_KEY_1</div>` +
+        '<div class="idevice_node" data-idevice-type="quick-questions">IDEVICE_CONTENT_KEY_2</div>' +
+        '<iframe src="https://example.com/video"></iframe><video></video><script>run()</script>'
+    );
+    applyStaticFallbacks(root);
+
+    const [form, other] = root.querySelectorAll('.idevice_node');
+    expect(form.textContent).toContain('Answer all questions.');
+    expect(form.textContent).not.toContain('blue');
+    expect(form.querySelector('.elpx-print-blank')).not.toBeNull();
+    expect(form.querySelectorAll('ol > li')).toHaveLength(2);
+    expect(form.querySelector('ol > li:last-child ul').textContent).toBe('☐ True☐ False');
+    expect(other.textContent).toBe(
+      'This quick-questions activity is only available in the online version.'
+    );
+    expect(root.querySelector('iframe, video, script')).toBeNull();
+    expect(root.querySelector('a[href="https://example.com/video"]')).not.toBeNull();
+    expect(root.textContent).toContain('Embedded media is only available in the online version.');
+  });
+
+  test('interactive video slides are printed as text', () => {
+    const contents = { slides: [{ startTime: 65, text: '<img src=x onerror=alert(1)> Intro' }] };
+    const root = fragment(
+      '<div class="idevice_node" data-idevice-type="interactive-video">' +
+        `<div id="exe-interactive-video-contents">${JSON.stringify(contents).replace(/</g, '&lt;')}</div></div>`
+    );
+    applyStaticFallbacks(root);
+    expect(root.querySelector('img')).toBeNull();
+    expect(root.querySelector('li').textContent).toContain('<img src=x onerror=alert(1)> Intro');
+  });
+
+  test('choosePrintViewPath leaves a packaged elpx-print.html alone', () => {
+    expect(choosePrintViewPath(['index.html'])).toBe(PRINT_VIEW_PATH);
+    expect(choosePrintViewPath(['elpx-print.html', 'elpx-print-2.html'])).toBe('elpx-print-3.html');
+  });
+
+  test('shiftHeadings moves headings down the outline without passing h6', () => {
+    const root = fragment('<h1 class="box-title">Box</h1><h5>Deep</h5>');
+    shiftHeadings(root, 3);
+    expect(root.innerHTML).toBe('<h4 class="box-title">Box</h4><h6>Deep</h6>');
+  });
+
+  test('buildPrintDocument chains pages with a table of contents and section anchors', async () => {
+    const html = await buildPrintDocument(fileMap, { pages, pageFiles, language: 'en' });
+    expect(PRINT_VIEW_PATH).toBe('elpx-print.html');
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    expect(doc.documentElement.getAttribute('lang')).toBe('en');
+    expect(doc.querySelector('h1').textContent).toBe('Unit <1>');
+    expect(doc.querySelector('link[rel="stylesheet"]').getAttribute('href')).toBe(
+      'theme/style.css'
+    );
+    expect(
+      Array.from(doc.querySelectorAll('.elpx-print-toc a')).map((a) => a.getAttribute('href'))
+    ).toEqual(['#print-p1', '#print-p2']);
+
+    const sections = doc.querySelectorAll('section.elpx-print-page');
+    expect(Array.from(sections).map((section) => section.id)).toEqual(['print-p1', 'print-p2']);
+    expect(sections[0].querySelector('.elpx-print-page-title').tagName).toBe('H2');
+    expect(sections[0].querySelector('.box-title').tagName).toBe('H3');
+    expect(sections[1].querySelector('.elpx-print-page-title').tagName).toBe('H3');
+    expect(doc.getElementById('next').getAttribute('href')).toBe('#print-p2');
+    expect(doc.getElementById('back').getAttribute('href')).toBe('#top');
+    expect(sections[1].querySelector('img').getAttribute('src')).toBe('content/resources/a.png');
+    expect(doc.querySelector('.page-content script, .box-toggle')).toBeNull();
+  });
+
+  test('the example package prints every page with its interactive content resolved', async () => {
+    const { files, document: contentDoc } = await loadFixture();
+    const tree = generateElpViewData(contentDoc);
+
+    const html = await buildPrintDocument(files, {
+      pages: tree,
+      pageFiles: resolvePageFiles(tree, files)
+    });
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    expect(doc.querySelectorAll('section.elpx-print-page')).toHaveLength(14);
+    expect(html).not.toContain('IDEVICE_CONTENT_KEY_');
+    const stylesheets = Array.from(doc.querySelectorAll('link[rel="stylesheet"]')).map((link) =>
+      link.getAttribute('href')
+    );
+    expect(stylesheets).toEqual(
+      expect.arrayContaining(['content/css/base.css', 'libs/bootstrap/bootstrap.min.css'])
+    );
+  });
+});
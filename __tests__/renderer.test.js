@@ -1,5 +1,5 @@
 const { parseContentXml } = require('../src/validator.js');
-const { generateElpViewData } = require('../src/renderer.js');
+const { generateElpViewData, createPageSlug, resolvePageFiles } = require('../src/renderer.js');
 
 describe('generateElpViewData', () => {
   test('returns empty array when there are no navigation structures', () => {
@@ -176,3 +176,58 @@ describe('generateElpViewData', () => {
     expect(pages[0].htmlContent).toContain('<p>Legacy content</p>');
   });
 });
+
+describe('page file resolution', () => {
+  test('createPageSlug mirrors the exporter file names', () => {
+    expect(createPageSlug('Sección 2.1')).toBe('seccion-2-1');
+    expect(createPageSlug('- Apartado especial -')).toBe('apartado-especial');
+    expect(createPageSlug('Apartado uno, con un título largo')).toBe(
+      'apartado-uno-con-un-titulo-largo'
+    );
+    expect(createPageSlug('¿?', 'fallback')).toBe('fallback');
+  });
+
+  test('resolvePageFiles maps the first page to index.html and the rest to html/', () => {
+    const pages = [
+      {
+        id: 'home',
+        title: 'Inicio',
+        children: [{ id: 'unit', title: 'Número tres', children: [] }]
+      },
+      { id: 'again', title: 'Número tres', children: [] },
+      { id: 'ghost', title: 'Not exported', children: [] }
+    ];
+    const files = new Map([
+      ['index.html', {}],
+      ['html/numero-tres.html', {}],
+      ['html/numero-tres-1.html', {}]
+    ]);
+    const pageFiles = resolvePageFiles(pages, files);
+    expect(pageFiles.get('home')).toBe('index.html');
+    expect(pageFiles.get('unit')).toBe('html/numero-tres.html');
+    expect(pageFiles.get('again')).toBe('html/numero-tres-1.html');
+    expect(pageFiles.has('ghost')).toBe(false);
+  });
+
+  test('resolvePageFiles only falls back to numbered files, lowest number first', () => {
+    const pages = [
+      { id: 'home', title: 'Inicio', children: [] },
+      { id: 'tema', title: 'Tema', children: [] },
+      { id: 'tema-b', title: 'Tema', children: [] },
+      { id: 'tema-c', title: 'Tema', children: [] },
+      { id: 'advanced', title: 'Tema avanzado', children: [] }
+    ];
+    const files = [
+      'index.html',
+      'html/tema-avanzado.html',
+      'html/tema-10.html',
+      'html/tema-2.html',
+      'html/tema.html'
+    ];
+    const pageFiles = resolvePageFiles(pages, files);
+    expect(pageFiles.get('tema')).toBe('html/tema.html');
+    expect(pageFiles.get('tema-b')).toBe('html/tema-2.html');
+    expect(pageFiles.get('tema-c')).toBe('html/tema-10.html');
+    expect(pageFiles.get('advanced')).toBe('html/tema-avanzado.html');
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  createValidationReport,
+  renderReportHtml,
+  renderReportJUnit,
+  serializeReport
+} = require('../src/report.js');
+
+describe('validation reports', () => {
+  const report = createValidationReport({
+    fileName: 'course.elpx',
+    fileSize: 2048,
+    fileType: 'elpx',
+    manifestKind: 'modern',
+    metadata: { properties: { pp_title: 'Course <1>' }, resources: { odeVersionName: '3.0' } },
+    compatibility: { isUnsupported: false, versionLabel: '3.0' },
+    messages: [
+      { level: 'info', text: 'The root element is <ode>.', ruleId: 'structure.root-element' },
+      {
+        level: 'error',
+        text: 'Block #1 is missing fields: blockName',
+        ruleId: 'structure.integrity',
+        category: 'structure',
+        location: { pageId: 'p1', pageName: 'Intro', blockId: 'b1' }
+      },
+      { level: 'warning', text: 'Missing 1 referenced resource.', ruleId: 'resources.missing' }
+    ],
+    summary: { totalFiles: 4, totalSize: 4096 },
+    generatedAt: '2024-01-01T00:00:00.000Z'
+  });
+
+  test('createValidationReport counts levels and derives a status', () => {
+    expect(report.status).toBe('failed');
+    expect(report.counts).toEqual({ error: 1, warning: 1, info: 1 });
+    expect(report.package).toMatchObject({ fileName: 'course.elpx', versionLabel: '3.0' });
+    expect(report.inventory).toEqual({ totalFiles: 4, totalSize: 4096 });
+    expect(JSON.parse(serializeReport(report, 'json'))).toEqual(report);
+  });
+
+  test('renderReportHtml produces an escaped standalone document', () => {
+    const html = renderReportHtml(report);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    expect(doc.title).toBe('Validation report: course.elpx');
+    expect(doc.querySelectorAll('tr.level-error')).toHaveLength(1);
+    expect(html).toContain('Course &lt;1&gt;');
+    expect(html).toContain('Intro › block b1');
+  });
+
+  test('renderReportJUnit maps errors to failures and aggregates several reports', () => {
+    const passing = createValidationReport({ fileName: 'clean.elpx', messages: [] });
+    const xml = renderReportJUnit([report, passing]);
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    expect(doc.querySelector('parsererror')).toBeNull();
+    const root = doc.documentElement;
+    expect(root.getAttribute('tests')).toBe('4');
+    expect(root.getAttribute('failures')).toBe('1');
+    expect(doc.getElementsByTagName('testsuite')).toHaveLength(2);
+    expect(doc.getElementsByTagName('failure')[0].getAttribute('message')).toBe(
+      'Block #1 is missing fields: blockName'
+    );
+  });
+
+  test('serializeReport rejects unknown formats', () => {
+    expect(() => serializeReport(report, 'pdf')).toThrow(/Unknown report format/);
+  });
+});
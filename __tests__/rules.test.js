@@ -0,0 +1,158 @@
+const { parseContentXml } = require('../src/validator.js');
+const {
+  BUILTIN_RULES,
+  RuleRegistry,
+  defineRule,
+  createDefaultRegistry,
+  runRules,
+  gatherMessages
+} = require('../src/rules.js');
+
+describe('validation rule engine', () => {
+  const validXml = `<?xml version="1.0"?>
+    <ode>
+      <odeProperties>
+        <odeProperty><key>license</key><value>propietary license</value></odeProperty>
+      </odeProperties>
+      <odeNavStructures>
+        <odeNavStructure>
+          <odePageId>p1</odePageId>
+          <pageName>Start</pageName>
+          <odeNavStructureOrder>1</odeNavStructureOrder>
+          <odePagStructures>
+            <odePagStructure>
+              <odeBlockId>b1</odeBlockId>
+              <blockName>Block</blockName>
+              <odeComponents>
+                <odeComponent>
+                  <odeIdeviceId>c1</odeIdeviceId>
+                  <odeIdeviceTypeName>text</odeIdeviceTypeName>
+                  <htmlView><![CDATA[<p><img src="content/resources/pic.png" alt=""></p>]]></htmlView>
+                  <jsonProperties>{}</jsonProperties>
+                </odeComponent>
+              </odeComponents>
+            </odePagStructure>
+          </odePagStructures>
+        </odeNavStructure>
+      </odeNavStructures>
+    </ode>`;
+  const zip = { file: jest.fn().mockReturnValue(null) };
+
+  function context(xml = validXml) {
+    return { manifestKind: 'modern', xmlDoc: parseContentXml(xml).document, zip };
+  }
+
+  test('built-in rules reproduce the default validation messages', async () => {
+    const messages = await gatherMessages(context());
+    expect(messages.map((message) => message.ruleId)).toEqual(BUILTIN_RULES.map((rule) => rule.id));
+    expect(messages[0]).toMatchObject({ level: 'info', text: 'The root element is <ode>.' });
+    expect(messages[messages.length - 1]).toMatchObject({
+      level: 'warning',
+      category: 'resources'
+    });
+    expect(messages[messages.length - 1].text).toMatch(/Missing 1 referenced resource/);
+  });
+
+  test('blocking rules stop the chain when they fail', async () => {
+    const findings = await runRules(
+      createDefaultRegistry(),
+      context('<?xml version="1.0"?><root></root>')
+    );
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({ ruleId: 'structure.root-element', severity: 'error' });
+  });
+
+  test('structural integrity issues are reported one located finding each', async () => {
+    const xml = validXml.replace('<blockName>Block</blockName>', '');
+    const findings = await runRules(createDefaultRegistry(), context(xml));
+    const integrity = findings.filter((finding) => finding.ruleId === 'structure.integrity');
+    expect(integrity).toHaveLength(1);
+    expect(integrity[0]).toMatchObject({
+      severity: 'error',
+      location: { pageId: 'p1', pageName: 'Start', blockId: 'b1' },
+      details: { kind: 'block', missing: ['blockName'] }
+    });
+  });
+
+  test('legacy manifests skip structural rules', async () => {
+    const messages = await gatherMessages({ manifestKind: 'legacy' });
+    expect(messages).toEqual([
+      {
+        level: 'warning',
+        text: 'Legacy manifest format detected. Structural validation checks were skipped.'
+      }
+    ]);
+  });
+
+  test('custom rules receive the context and report located findings', async () => {
+    const registry = createDefaultRegistry([
+      {
+        id: 'institution.cc-license',
+        severity: 'error',
+        category: 'licensing',
+        check: ({ metadata }) =>
+          /creative commons/i.test(metadata.properties.license || '')
+            ? []
+            : [{ message: 'License must be Creative Commons.', location: { pageId: 'p1' } }]
+      }
+    ]);
+    const findings = await runRules(registry, {
+      ...context(),
+      metadata: { properties: { license: 'propietary license' } }
+    });
+    const custom = findings.find((finding) => finding.ruleId === 'institution.cc-license');
+    expect(custom).toEqual({
+      ruleId: 'institution.cc-license',
+      category: 'licensing',
+      severity: 'error',
+      message: 'License must be Creative Commons.',
+      location: { pageId: 'p1' }
+    });
+  });
+
+  test('profiles enable, disable and re-rate rules', async () => {
+    const registry = createDefaultRegistry();
+    const onlyStructure = await runRules(registry, context(), {
+      profile: { enabled: ['structure'] }
+    });
+    expect(onlyStructure.every((finding) => finding.category === 'structure')).toBe(true);
+
+    const withoutResources = await runRules(registry, context(), {
+      profile: { disabled: ['resources.missing'] }
+    });
+    expect(withoutResources.some((finding) => finding.ruleId === 'resources.missing')).toBe(false);
+
+    const strict = await runRules(registry, context(), {
+      profile: { severity: { 'resources.missing': 'error' } }
+    });
+    expect(strict.find((finding) => finding.ruleId === 'resources.missing').severity).toBe('error');
+  });
+
+  test('rules that throw are reported instead of aborting validation', async () => {
+    const registry = new RuleRegistry([
+      {
+        id: 'broken',
+        check: () => {
+          throw new Error('boom');
+        }
+      },
+      { id: 'after', severity: 'info', check: () => ['still runs'] }
+    ]);
+    const findings = await runRules(registry, context());
+    expect(findings.map((finding) => finding.message)).toEqual([
+      'Rule "broken" could not run: boom',
+      'still runs'
+    ]);
+  });
+
+  test('defineRule validates rule definitions', () => {
+    expect(() => defineRule({ check: () => [] })).toThrow(/id/);
+    expect(() => defineRule({ id: 'x' })).toThrow(/check function/);
+    expect(() => defineRule({ id: 'x', severity: 'fatal', check: () => [] })).toThrow(/severity/);
+    const registry = new RuleRegistry();
+    registry.register({ id: 'x', check: () => [] });
+    expect(registry.get('x')).toMatchObject({ severity: 'error', category: 'custom' });
+    expect(registry.unregister('x')).toBe(true);
+    expect(registry.list()).toHaveLength(0);
+  });
+});
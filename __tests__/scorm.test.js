@@ -0,0 +1,176 @@
+const JSZip = require('jszip');
+const {
+  buildScormManifest,
+  buildScormPackage,
+  createScormApiScript,
+  detachScoNavigation,
+  injectScormApi
+} = require('../src/scorm.js');
+const { toManifestIdentifier } = require('../src/ims-manifest.js');
+const { resolveReference } = require('../src/links.js');
+const { generateElpViewData, resolvePageFiles } = require('../src/renderer.js');
+const { extractMetadata } = require('../src/validator.js');
+const { loadFixture } = require('../tests/helpers.js');
+
+const pages = [
+  {
+    id: '20251009p1',
+    title: 'Unit 1 & basics',
+    children: [{ id: '20251009p2', title: 'Practice', children: [] }]
+  },
+  { id: 'empty', title: 'No export', children: [] }
+];
+const pageFiles = new Map([
+  ['20251009p1', 'index.html'],
+  ['20251009p2', 'html/practice.html']
+]);
+const paths = [
+  'index.html',
+  'html/practice.html',
+  'theme/style.css',
+  'content/resources/my image.png'
+];
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+describe('SCORM export', () => {
+  test('toManifestIdentifier keeps identifiers valid XML IDs', () => {
+    expect(toManifestIdentifier('ITEM', '20251009 p1/x')).toBe('ITEM-20251009_p1_x');
+  });
+
+  test('SCORM 1.2 manifest mirrors the page tree with one SCO per page', () => {
+    const doc = parseXml(buildScormManifest({ pages, pageFiles, paths, version: 'scorm12' }));
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.querySelector('schemaversion').textContent).toBe('1.2');
+
+    const root = doc.querySelector('organization > item');
+    expect(root.getAttribute('identifierref')).toBe('RES-20251009p1');
+    expect(root.querySelector('title').textContent).toBe('Unit 1 & basics');
+    expect(root.querySelector('item').getAttribute('identifierref')).toBe('RES-20251009p2');
+    expect(doc.querySelectorAll('organization item')).toHaveLength(2);
+
+    const resources = Array.from(doc.querySelectorAll('resource'));
+    expect(resources.map((node) => node.getAttribute('adlcp:scormtype'))).toEqual([
+      'sco',
+      'sco',
+      'asset'
+    ]);
+    expect(resources[1].getAttribute('href')).toBe('html/practice.html');
+    expect(
+      Array.from(resources[2].querySelectorAll('file')).map((node) => node.getAttribute('href'))
+    ).toEqual(['theme/style.css', 'content/resources/my%20image.png']);
+  });
+
+  test('SCORM 2004 turns pages with subpages into clusters', () => {
+    const doc = parseXml(buildScormManifest({ pages, pageFiles, paths, version: 'scorm2004' }));
+    expect(doc.documentElement.namespaceURI).toBe('http://www.imsglobal.org/xsd/imscp_v1p1');
+    const root = doc.querySelector('organization > item');
+    expect(root.hasAttribute('identifierref')).toBe(false);
+    expect(
+      Array.from(root.children)
+        .filter((node) => node.localName === 'item')
+        .map((node) => node.getAttribute('identifierref'))
+    ).toEqual(['RES-20251009p1', 'RES-20251009p2']);
+    expect(doc.querySelector('resource').getAttribute('adlcp:scormType')).toBe('sco');
+    expect(() => buildScormManifest({ version: '1.3' })).toThrow('Unknown SCORM version');
+  });
+
+  test('the API wrapper reports completion once the learner has stayed at the end of the page', () => {
+    expect(injectScormApi('<html><head></head></html>', 'html/practice.html')).toContain(
+      '<script src="../scorm-api.js"></script>\n</head>'
+    );
+    jest.useFakeTimers();
+    const createApi = (status) => ({
+      Initialize: jest.fn(() => 'true'),
+      GetValue: jest.fn(() => status),
+      SetValue: jest.fn(),
+      Commit: jest.fn(),
+      Terminate: jest.fn()
+    });
+    try {
+      const api = createApi('not attempted');
+      window.API_1484_11 = api;
+      new Function(createScormApiScript('scorm2004', { completionSeconds: 10 }))();
+      expect(api.SetValue.mock.calls).toEqual([['cmi.completion_status', 'incomplete']]);
+      jest.advanceTimersByTime(9000);
+      expect(api.SetValue).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(1000);
+      expect(api.SetValue).toHaveBeenLastCalledWith('cmi.completion_status', 'completed');
+      window.dispatchEvent(new Event('pagehide'));
+      window.dispatchEvent(new Event('beforeunload'));
+      expect(api.Terminate).toHaveBeenCalledTimes(1);
+
+      // A later visit must not turn a finished SCO back into an incomplete one.
+      const revisit = createApi('completed');
+      window.API_1484_11 = revisit;
+      new Function(createScormApiScript('scorm2004'))();
+      jest.advanceTimersByTime(60000);
+      expect(revisit.SetValue).not.toHaveBeenCalled();
+    } finally {
+      delete window.API_1484_11;
+      jest.useRealTimers();
+    }
+  });
+
+  test('the example package exports as a SCORM zip that still loads as a package', async () => {
+    const { files: fileMap, document } = await loadFixture();
+    const tree = generateElpViewData(document);
+    const files = resolvePageFiles(tree, fileMap);
+
+    const { output, scoCount } = await buildScormPackage(fileMap, {
+      pages: tree,
+      pageFiles: files,
+      metadata: extractMetadata(document),
+      JSZip,
+      type: 'uint8array'
+    });
+    expect(scoCount).toBe(14);
+
+    const zip = await JSZip.loadAsync(output);
+    expect(zip.file('content.xml')).not.toBeNull();
+    expect(zip.file('scorm-api.js')).not.toBeNull();
+    expect(await zip.file('index.html').async('string')).toContain('src="scorm-api.js"');
+
+    const manifest = parseXml(await zip.file('imsmanifest.xml').async('string'));
+    expect(manifest.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(manifest.querySelectorAll('organization item[identifierref]')).toHaveLength(14);
+    const listed = Array.from(manifest.querySelectorAll('file')).map((node) =>
+      decodeURI(node.getAttribute('href'))
+    );
+    const zipped = Object.keys(zip.files).filter(
+      (name) => !zip.files[name].dir && name !== 'imsmanifest.xml'
+    );
+    expect(listed.sort()).toEqual(zipped.sort());
+
+    // The LMS moves between SCOs, so no exported page links to another one.
+    const pagePaths = new Set(files.values());
+    for (const path of pagePaths) {
+      const page = new DOMParser().parseFromString(
+        await zip.file(path).async('string'),
+        'text/html'
+      );
+      expect(page.querySelector('#siteNav, .nav-buttons')).toBeNull();
+      const linked = Array.from(page.querySelectorAll('a[href]'))
+        .map((link) => resolveReference(path, link.getAttribute('href')))
+        .filter((target) => target.type === 'internal' && target.path !== path);
+      expect(linked.filter((target) => pagePaths.has(target.path))).toEqual([]);
+    }
+  });
+
+  test('detachScoNavigation keeps the text of links to other pages', () => {
+    const html = detachScoNavigation(
+      `<!DOCTYPE html><html><head></head><body><nav id="siteNav"><a href="../index.html">Home</a></nav>
+        <p>See <a href="../index.html">the <em>start</em></a>, <a href="#top">top</a> and <a href="../theme/guide.pdf">guide</a>.</p>
+        <div class="nav-buttons"><a href="../index.html">Previous</a></div></body></html>`,
+      'html/practice.html',
+      new Set(['index.html', 'html/practice.html'])
+    );
+    expect(html.startsWith('<!DOCTYPE html>\n<html>')).toBe(true);
+    expect(html).not.toContain('siteNav');
+    expect(html).not.toContain('Previous');
+    expect(html).toContain('See the <em>start</em>, <a href="#top">top</a>');
+    expect(html).toContain('<a href="../theme/guide.pdf">guide</a>');
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  foldText,
+  normalizeSearchText,
+  extractSearchableText,
+  createSearchDocuments,
+  buildSearchIndex,
+  searchIndex,
+  findTextRange
+} = require('../src/search.js');
+
+describe('package search', () => {
+  const pages = [
+    {
+      id: 'p1',
+      title: 'Inicio',
+      htmlContent: '<p>Bienvenida al curso</p>',
+      children: [
+        {
+          id: 'p2',
+          title: 'Geografía',
+          htmlContent: '<p>La montaña más alta de España es el Teide.</p>',
+          children: []
+        }
+      ]
+    },
+    { id: 'p3', title: 'Historia', htmlContent: '<p>Nada sobre montañas aquí.</p>', children: [] }
+  ];
+
+  test('folds accents and case while keeping offsets into the original text', () => {
+    const { folded, offsets } = foldText('Ñandú ÁRBOL');
+    expect(folded).toBe('nandu arbol');
+    expect(offsets).toHaveLength(folded.length);
+    expect(offsets[6]).toBe(6);
+    expect(normalizeSearchText('Canción')).toBe('cancion');
+  });
+
+  test('extracts main content and skips navigation and scripts', () => {
+    const html = `<html><body><nav id="siteNav"><a>Menu</a></nav>
+      <main><div id="exe-client-search" data-pages="{}"></div><h1>Título</h1><p>Texto</p>
+      <script>var hidden = 1;</script></main></body></html>`;
+    expect(extractSearchableText(html)).toBe('Título Texto');
+  });
+
+  test('prefers exported HTML pages over htmlView fragments', () => {
+    const documents = createSearchDocuments({
+      pages,
+      pageFiles: new Map([
+        ['p1', 'index.html'],
+        ['p2', 'html/geografia.html']
+      ]),
+      htmlFiles: new Map([
+        ['index.html', '<main><p>Portada exportada</p></main>'],
+        ['html/extra.html', '<title>Anexo</title><main><p>Material extra</p></main>']
+      ])
+    });
+    expect(documents.map((doc) => doc.id)).toEqual(['p1', 'p2', 'p3', 'html/extra.html']);
+    expect(documents[0].text).toBe('Portada exportada');
+    expect(documents[1].text).toContain('Teide');
+    expect(documents[3].title).toBe('Anexo');
+  });
+
+  test('ranks diacritic-insensitive hits and builds snippets', () => {
+    const index = buildSearchIndex(
+      createSearchDocuments({ pages, pageFiles: new Map([['p2', 'html/geografia.html']]) })
+    );
+    const hits = searchIndex(index, 'MONTANA');
+    expect(hits.map((hit) => hit.id)).toEqual(['p2', 'p3']);
+    expect(hits[0].path).toBe('html/geografia.html');
+    expect(hits[0].snippet.match).toBe('montaña');
+    expect(hits[0].snippet.before).toBe('La ');
+    expect(hits[1].path).toBe('');
+
+    expect(searchIndex(index, 'geografia')[0].id).toBe('p2');
+    expect(searchIndex(index, 'montaña teide').map((hit) => hit.id)).toEqual(['p2']);
+    expect(searchIndex(index, '   ')).toEqual([]);
+  });
+
+  test('locates a match inside a rendered document', () => {
+    document.body.innerHTML =
+      '<nav>Montaña</nav><main><p>Texto previo</p><p>La <strong>Montaña</strong> alta</p></main>';
+    const range = findTextRange(document.body, 'montana');
+    expect(range).not.toBeNull();
+    expect(range.toString()).toBe('Montaña');
+    expect(range.startContainer.parentElement.tagName).toBe('STRONG');
+    expect(findTextRange(document.body, 'inexistente')).toBeNull();
+  });
+});
@@ -1,4 +1,4 @@
-const { parsePreviewRequest } = require('../sw.js');
+const { parsePreviewRequest, createViewModeSnippet, injectViewMode } = require('../sw.js');
 
 describe('Service worker helpers', () => {
   test('parsePreviewRequest extracts session id and path', () => {
@@ -28,4 +28,19 @@ describe('Service worker helpers', () => {
     const result = parsePreviewRequest(url, { basePath: '/app/' });
     expect(result).toEqual({ sessionId: 'foo', path: 'index.html', origin: 'https://example.com' });
   });
+
+  test('injectViewMode adds the mode snippet at the start of <head>', () => {
+    const html = '<html lang="es"><head><title>T</title></head><body></body></html>';
+    const result = injectViewMode(html, 'teacher');
+    expect(result.startsWith('<html lang="es"><head>\n<style id="elpx-viewer-mode-style">')).toBe(
+      true
+    );
+    expect(result).toContain('apply("teacher");');
+    expect(result).toContain('<title>T</title></head>');
+  });
+
+  test('injectViewMode falls back to student mode and handles fragments', () => {
+    expect(createViewModeSnippet('admin')).toContain('apply("student");');
+    expect(injectViewMode('<p>Hi</p>', 'student')).toMatch(/<\/script>\n<p>Hi<\/p>$/);
+  });
 });
@@ -0,0 +1,63 @@
+const JSZip = require('jszip');
+const { parseContentXml } = require('../src/validator.js');
+const { analyzeFileUsage, createCleanedArchive, USAGE_RULES } = require('../src/usage.js');
+const { RuleRegistry, runRules } = require('../src/rules.js');
+const { createFileMap } = require('../tests/helpers.js');
+
+describe('file usage analysis', () => {
+  const xml = `<?xml version="1.0"?>
+    <ode><odeNavStructures><odeNavStructure>
+      <odePageId>p1</odePageId><pageName>Home</pageName>
+      <odePagStructures><odePagStructure><odeComponents><odeComponent>
+        <htmlView><![CDATA[<img src="{{context_path}}/a1/from-xml.png">]]></htmlView>
+        <jsonProperties>{}</jsonProperties>
+      </odeComponent></odeComponents></odePagStructure></odePagStructures>
+    </odeNavStructure></odeNavStructures></ode>`;
+  const fileMap = createFileMap({
+    'index.html':
+      '<html><body><a href="content/resources/b2/from%20html.pdf">Guide</a></body></html>',
+    'content/css/style.css': '.x { background: url(../resources/c3/from-css.png); }',
+    'idevices/game/game.js': 'const sound = "c4/from-js.mp3";',
+    'content/resources/a1/from-xml.png': 'a',
+    'content/resources/b2/from html.pdf': 'bb',
+    'content/resources/c3/from-css.png': 'ccc',
+    'content/resources/c4/from-js.mp3': 'dddd',
+    'content/resources/d5/orphan.png': 'eeeee',
+    'content/resources/d5/orphan-2.png': 'ffffff'
+  });
+  const context = () => ({
+    manifestKind: 'modern',
+    xmlDoc: parseContentXml(xml).document,
+    fileMap
+  });
+
+  test('analyzeFileUsage reports resources nothing references', async () => {
+    const usage = await analyzeFileUsage(context());
+    expect(usage.candidates).toBe(6);
+    expect(usage.unused).toEqual([
+      { path: 'content/resources/d5/orphan.png', size: 5 },
+      { path: 'content/resources/d5/orphan-2.png', size: 6 }
+    ]);
+    expect(usage.unusedBytes).toBe(11);
+  });
+
+  test('the resources.unused rule summarises the unused files', async () => {
+    const findings = await runRules(new RuleRegistry(USAGE_RULES), context());
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({ ruleId: 'resources.unused', severity: 'warning' });
+    expect(findings[0].message).toMatch(/^2 files are not referenced by any page \(11 B;/);
+  });
+
+  test('createCleanedArchive drops the unused files', async () => {
+    const data = await createCleanedArchive(
+      fileMap,
+      ['content/resources/d5/orphan.png', 'content/resources/d5/orphan-2.png'],
+      { JSZip, type: 'uint8array' }
+    );
+    const zip = await JSZip.loadAsync(data);
+    const paths = Object.keys(zip.files).filter((path) => !zip.files[path].dir);
+    expect(paths).toHaveLength(7);
+    expect(zip.file('content/resources/d5/orphan.png')).toBeNull();
+    expect(await zip.file('content/resources/b2/from html.pdf').async('string')).toBe('bb');
+  });
+});
@@ -103,6 +103,48 @@ describe('ELP Validator helpers', () => {
     expect(result.message).toMatch(/missing fields/i);
   });
 
+  test('validateStructuralIntegrity locates each finding', () => {
+    const xml = `<?xml version="1.0"?>
+            <ode>
+                <odeNavStructures>
+                    <odeNavStructure>
+                        <odePageId>p1</odePageId>
+                        <pageName>Intro</pageName>
+                        <odeNavStructureOrder>1</odeNavStructureOrder>
+                        <odePagStructures>
+                            <odePagStructure>
+                                <odeBlockId>b1</odeBlockId>
+                                <odeComponents>
+                                    <odeComponent>
+                                        <odeIdeviceId>c1</odeIdeviceId>
+                                        <odeIdeviceTypeName>text</odeIdeviceTypeName>
+                                    </odeComponent>
+                                </odeComponents>
+                            </odePagStructure>
+                        </odePagStructures>
+                    </odeNavStructure>
+                </odeNavStructures>
+            </ode>`;
+    const { document } = parseContentXml(xml);
+    const { findings } = validateStructuralIntegrity(document);
+    expect(findings).toHaveLength(2);
+    expect(findings[0]).toMatchObject({
+      kind: 'block',
+      pageId: 'p1',
+      pageName: 'Intro',
+      blockId: 'b1',
+      missing: ['blockName']
+    });
+    expect(findings[1]).toMatchObject({
+      kind: 'component',
+      pageId: 'p1',
+      blockId: 'b1',
+      ideviceId: 'c1',
+      ideviceType: 'text',
+      missing: ['htmlView', 'jsonProperties']
+    });
+  });
+
   test('validateStructuralIntegrity succeeds for minimal valid XML', () => {
     const { document } = parseContentXml(minimalXml);
     const result = validateStructuralIntegrity(document);
@@ -136,6 +178,60 @@ describe('ELP Validator helpers', () => {
     expect(metadata.resources.odeVersionId).toBe('123');
   });
 
+  test('extractMetadata reads user preferences and page/block properties', () => {
+    const xml = `<?xml version="1.0"?>
+            <ode>
+                <userPreferences>
+                    <userPreference><key>theme</key><value>flux</value></userPreference>
+                </userPreferences>
+                <odeNavStructures>
+                    <odeNavStructure>
+                        <odePageId>p1</odePageId>
+                        <pageName>Intro</pageName>
+                        <odeNavStructureProperties>
+                            <odeNavStructureProperty><key>titlePage</key><value>Welcome</value></odeNavStructureProperty>
+                        </odeNavStructureProperties>
+                        <odePagStructures>
+                            <odePagStructure>
+                                <odeBlockId>b1</odeBlockId>
+                                <blockName>Notes</blockName>
+                                <odePagStructureProperties>
+                                    <odePagStructureProperty><key>visibility</key><value>false</value></odePagStructureProperty>
+                                    <odePagStructureProperty><key>teacherOnly</key><value>true</value></odePagStructureProperty>
+                                    <odePagStructureProperty><key>cssClass</key><value/></odePagStructureProperty>
+                                </odePagStructureProperties>
+                                <odeComponents>
+                                    <odeComponent>
+                                        <odeComponentsProperties>
+                                            <odeComponentsProperty><key>visibility</key><value>true</value></odeComponentsProperty>
+                                        </odeComponentsProperties>
+                                    </odeComponent>
+                                </odeComponents>
+                            </odePagStructure>
+                        </odePagStructures>
+                    </odeNavStructure>
+                </odeNavStructures>
+            </ode>`;
+    const { document } = parseContentXml(xml);
+    const metadata = extractMetadata(document);
+    expect(metadata.preferences).toEqual({ theme: 'flux' });
+    expect(metadata.pages).toEqual([
+      {
+        pageId: 'p1',
+        pageName: 'Intro',
+        properties: { titlePage: 'Welcome' },
+        blocks: [
+          {
+            blockId: 'b1',
+            blockName: 'Notes',
+            components: 1,
+            properties: { visibility: 'false', teacherOnly: 'true', cssClass: '' }
+          }
+        ]
+      }
+    ]);
+  });
+
   test('extractResourcePaths finds HTML and JSON references', () => {
     const { document } = parseContentXml(minimalXml);
     const resources = extractResourcePaths(document);
@@ -1,8 +1,11 @@
 const {
   detectFileType,
+  detectPackageKind,
+  formatBytes,
   inferMimeType,
   hasIndexHtml,
-  buildFileRecords
+  buildFileRecords,
+  computeCompatibility
 } = require('../src/viewer-utils.js');
 
 describe('Viewer helpers', () => {
@@ -21,9 +24,28 @@ describe('Viewer helpers', () => {
   test('detectFileType accepts .elpx and rejects unsupported extensions', () => {
     expect(detectFileType('lesson.elpx')).toBe('elpx');
     expect(detectFileType('package.elp')).toBe('elp');
+    expect(detectFileType('lesson-scorm12.zip')).toBe('zip');
     expect(detectFileType('notes.txt')).toBeNull();
   });
 
+  test('detectPackageKind reads the archive contents, not its name', () => {
+    expect(detectPackageKind(['content.xml', 'index.html', 'imsmanifest.xml'])).toEqual({
+      manifestKind: 'modern',
+      manifestPath: 'content.xml',
+      hasSite: true,
+      hasImsManifest: true
+    });
+    expect(detectPackageKind(['contentv3.xml', 'resources/a.png'])).toMatchObject({
+      manifestKind: 'legacy',
+      manifestPath: 'contentv3.xml',
+      hasSite: false
+    });
+    expect(detectPackageKind(['imsmanifest.xml', 'index.html'])).toMatchObject({
+      manifestKind: null,
+      hasImsManifest: true
+    });
+  });
+
   test('buildFileRecords produces a map with blobs and metadata', async () => {
     const entries = [
       createEntry('index.html', '<html></html>'),
@@ -49,4 +71,20 @@ describe('Viewer helpers', () => {
     expect(inferMimeType('assets/style.css')).toBe('text/css');
     expect(inferMimeType('media/video.unknown')).toBe('application/octet-stream');
   });
+
+  test('formatBytes scales sizes to binary units', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.50 KB');
+    expect(formatBytes(5 * 1024 * 1024)).toBe('5.00 MB');
+    expect(formatBytes(Number.NaN)).toBe('—');
+  });
+
+  test('computeCompatibility reads the version from resources or properties', () => {
+    expect(computeCompatibility({ resources: { odeVersionName: '3.0' } })).toEqual({
+      isUnsupported: false,
+      versionLabel: '3.0'
+    });
+    expect(computeCompatibility({ properties: { version: '2.9' } }).versionLabel).toBe('2.9');
+    expect(computeCompatibility(null).versionLabel).toBe('');
+  });
 });
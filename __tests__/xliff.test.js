@@ -0,0 +1,207 @@
+const JSZip = require('jszip');
+const {
+  XLIFF_NAMESPACE,
+  applyTranslations,
+  buildTranslatedPackage,
+  createXliff,
+  isLanguageTag,
+  parseXliff
+} = require('../src/xliff.js');
+const {
+  extractMetadata,
+  listTranslatableStrings,
+  parseContentXml,
+  validateStructuralIntegrity
+} = require('../src/validator.js');
+const { loadFixture } = require('../tests/helpers.js');
+
+// Plays the translator: every segment gets a target with the source behind a marker.
+function translate(xliff, language, marker) {
+  const doc = new DOMParser().parseFromString(xliff, 'application/xml');
+  doc.documentElement.setAttribute('trgLang', language);
+  Array.from(doc.getElementsByTagNameNS(XLIFF_NAMESPACE, 'segment')).forEach((segment) => {
+    const target = doc.createElementNS(XLIFF_NAMESPACE, 'target');
+    target.textContent = `${marker}${segment.firstElementChild.textContent}`;
+    segment.appendChild(target);
+  });
+  return new XMLSerializer().serializeToString(doc);
+}
+
+const contentXml = `<?xml version="1.0" encoding="UTF-8"?>
+<ode>
+  <odeNavStructures>
+    <odeNavStructure>
+      <odePageId>p1</odePageId>
+      <pageName>Inicio</pageName>
+      <odeNavStructureProperties>
+        <odeNavStructureProperty><key>titlePage</key><value>Inicio</value></odeNavStructureProperty>
+      </odeNavStructureProperties>
+      <odePagStructures>
+        <odePagStructure>
+          <odeBlockId>b1</odeBlockId>
+          <blockName>Lectura</blockName>
+          <odeComponents>
+            <odeComponent>
+              <odeIdeviceId>i1</odeIdeviceId>
+              <odeIdeviceTypeName>text</odeIdeviceTypeName>
+              <htmlView>&lt;p&gt;Hola&lt;/p&gt;</htmlView>
+              <jsonProperties>{"ideviceId":"i1","textTextarea":"&lt;p&gt;Hola&lt;/p&gt;","buttonText":"Comprobar","url":"https://example.com","color":"#ff0000","time":"0:30","options":["Uno",["Dos",1]]}</jsonProperties>
+            </odeComponent>
+          </odeComponents>
+        </odePagStructure>
+      </odePagStructures>
+    </odeNavStructure>
+  </odeNavStructures>
+</ode>`;
+
+describe('XLIFF round-trip', () => {
+  test('listTranslatableStrings keys text by page, block and iDevice and skips settings', () => {
+    const { document } = parseContentXml(contentXml);
+    const strings = listTranslatableStrings(document);
+    expect(strings.map((entry) => [entry.id, entry.source])).toEqual([
+      ['page-p1-name', 'Inicio'],
+      ['block-b1-name', 'Lectura'],
+      ['idevice-i1-html', '<p>Hola</p>'],
+      ['idevice-i1-json-buttonText', 'Comprobar'],
+      ['idevice-i1-json-options.0', 'Uno'],
+      ['idevice-i1-json-options.1.0', 'Dos']
+    ]);
+  });
+
+  test('units whose ids sanitise to the same value get a counter', () => {
+    const { document } = parseContentXml(
+      contentXml.replace(
+        /<jsonProperties>.*<\/jsonProperties>/,
+        '<jsonProperties>{"a.b":"Uno","a":{"b":"Dos"},"a b":"Tres","a_b":"Cuatro"}</jsonProperties>'
+      )
+    );
+    const strings = listTranslatableStrings(document).filter(
+      (entry) => entry.field === 'jsonProperties'
+    );
+    expect(strings.map((entry) => [entry.id, entry.source])).toEqual([
+      ['idevice-i1-json-a.b', 'Uno'],
+      ['idevice-i1-json-a.b-2', 'Dos'],
+      ['idevice-i1-json-a_b', 'Tres'],
+      ['idevice-i1-json-a_b-2', 'Cuatro']
+    ]);
+    applyTranslations(document, new Map([['idevice-i1-json-a.b-2', 'Two']]));
+    expect(JSON.parse(document.querySelector('jsonProperties').textContent)).toMatchObject({
+      'a.b': 'Uno',
+      a: { b: 'Two' }
+    });
+  });
+
+  test('createXliff groups units by page and block in an XLIFF 2.0 document', () => {
+    const { document } = parseContentXml(contentXml);
+    const { xliff, unitCount } = createXliff(document, { sourceLanguage: 'es' });
+    expect(unitCount).toBe(6);
+    const doc = new DOMParser().parseFromString(xliff, 'application/xml');
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.documentElement.namespaceURI).toBe(XLIFF_NAMESPACE);
+    expect(doc.documentElement.getAttribute('srcLang')).toBe('es');
+    expect(doc.documentElement.hasAttribute('trgLang')).toBe(false);
+
+    const page = doc.querySelector('file > group');
+    expect(page.getAttribute('id')).toBe('page-p1');
+    expect(page.getAttribute('name')).toBe('Inicio');
+    const block = page.querySelector('group');
+    expect(block.getAttribute('id')).toBe('block-b1');
+    expect(block.querySelector('unit[id="idevice-i1-html"] source').textContent).toBe(
+      '<p>Hola</p>'
+    );
+    expect(block.querySelector('unit[id="idevice-i1-json-buttonText"]').getAttribute('name')).toBe(
+      'jsonProperties:buttonText'
+    );
+  });
+
+  test('parseXliff reads targets, keeps ignorables and rejects other versions', () => {
+    const { translations, sourceLanguage, targetLanguage } = parseXliff(
+      `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="es" trgLang="ca"><file id="f">` +
+        '<unit id="a"><segment><source>Hola.</source><target>Hola.</target></segment>' +
+        '<ignorable><source> </source></ignorable>' +
+        '<segment><source>Adiós.</source><target>Adéu.</target></segment></unit>' +
+        '<unit id="b"><segment><source>Sin traducir</source></segment></unit>' +
+        '</file></xliff>'
+    );
+    expect(sourceLanguage).toBe('es');
+    expect(targetLanguage).toBe('ca');
+    expect(Array.from(translations.entries())).toEqual([['a', 'Hola. Adéu.']]);
+
+    expect(() =>
+      parseXliff('<xliff xmlns="urn:oasis:names:tc:xliff:document:1.2" version="1.2"/>')
+    ).toThrow('Only XLIFF 2.0');
+    expect(() => parseXliff('<xliff')).toThrow('not well-formed');
+  });
+
+  test('applyTranslations updates names, htmlView and the JSON fields that follow it', () => {
+    const { document } = parseContentXml(contentXml);
+    const result = applyTranslations(
+      document,
+      new Map([
+        ['page-p1-name', 'Home'],
+        ['idevice-i1-html', '<p>Hello</p>'],
+        ['idevice-i1-json-options.1.0', 'Two'],
+        ['unknown-unit', 'Ignored']
+      ])
+    );
+    expect(result).toEqual({ translated: 3, untranslated: 3 });
+    expect(document.querySelector('pageName').textContent).toBe('Home');
+    expect(document.querySelector('odeNavStructureProperty value').textContent).toBe('Home');
+    expect(document.querySelector('blockName').textContent).toBe('Lectura');
+    expect(document.querySelector('htmlView').textContent).toBe('<p>Hello</p>');
+    const json = JSON.parse(document.querySelector('jsonProperties').textContent);
+    expect(json.textTextarea).toBe('<p>Hello</p>');
+    expect(json.options).toEqual(['Uno', ['Two', 1]]);
+    expect(json.url).toBe('https://example.com');
+  });
+
+  test('a translated XLIFF of the example package produces a re-zipped .elpx', async () => {
+    const { files, document } = await loadFixture();
+    const { xliff, unitCount } = createXliff(document, {
+      sourceLanguage: extractMetadata(document).properties.pp_lang
+    });
+    const ids = Array.from(
+      new DOMParser()
+        .parseFromString(xliff, 'application/xml')
+        .getElementsByTagNameNS(XLIFF_NAMESPACE, 'unit')
+    ).map((unit) => unit.getAttribute('id'));
+    expect(new Set(ids).size).toBe(unitCount);
+    expect(ids.some((id) => /-json-questionsData\.0\.baseText$/.test(id))).toBe(true);
+    expect(ids.some((id) => /-json-textTextarea$/.test(id))).toBe(false);
+
+    const { output, language, translated, untranslated } = await buildTranslatedPackage(
+      files,
+      translate(xliff, 'en', '[en] '),
+      { JSZip, type: 'uint8array' }
+    );
+    expect(language).toBe('en');
+    expect(translated).toBe(unitCount);
+    expect(isLanguageTag('pt-BR')).toBe(true);
+    expect(isLanguageTag('zh-Hant-TW')).toBe(true);
+    await expect(
+      buildTranslatedPackage(files, translate(xliff, 'en', ''), {
+        language: '../en"',
+        JSZip
+      })
+    ).rejects.toThrow('is not a BCP 47 language tag');
+    expect(untranslated).toBe(0);
+
+    const zip = await JSZip.loadAsync(output);
+    expect(
+      Object.keys(zip.files)
+        .filter((name) => !zip.files[name].dir)
+        .sort()
+    ).toEqual(Array.from(files.keys()).sort());
+    const { document: result } = parseContentXml(await zip.file('content.xml').async('string'));
+    expect(extractMetadata(result).properties.pp_lang).toBe('en');
+    expect(validateStructuralIntegrity(result)).toEqual(validateStructuralIntegrity(document));
+    expect(
+      Array.from(result.getElementsByTagName('pageName')).every((node) =>
+        node.textContent.startsWith('[en] ')
+      )
+    ).toBe(true);
+    listTranslatableStrings(result).forEach((entry) => {
+      expect(entry.source.startsWith('[en] ')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import process from 'node:process';
+
+const { JSDOM } = await import('jsdom');
+const { default: JSZip } = await import('jszip');
+const { window } = new JSDOM('');
+globalThis.DOMParser = window.DOMParser;
+globalThis.NodeFilter = window.NodeFilter;
+
+const { USAGE, parseCliArguments, isPackagePath, validatePackage, formatCliOutput, getExitCode } =
+  await import('../src/cli.js');
+
+async function collectPackages(paths) {
+  const packages = [];
+  for (const path of paths) {
+    const info = await stat(path);
+    if (info.isDirectory()) {
+      const entries = await readdir(path, { withFileTypes: true });
+      const children = entries
+        .filter((entry) => entry.isDirectory() || isPackagePath(entry.name))
+        .map((entry) => join(path, entry.name))
+        .sort();
+      packages.push(...(await collectPackages(children)));
+    } else {
+      packages.push(path);
+    }
+  }
+  return packages;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCliArguments(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!options.paths.length) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let packages;
+  try {
+    packages = await collectPackages(options.paths);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const reports = [];
+  for (const path of packages) {
+    const data = await readFile(path);
+    const report = await validatePackage(data, { fileName: basename(path), JSZip });
+    report.package.path = path;
+    reports.push(report);
+  }
+
+  const output = formatCliOutput(reports, options.format);
+  if (options.output) {
+    await writeFile(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+  return getExitCode(reports);
+}
+
+process.exitCode = await main(process.argv.slice(2));
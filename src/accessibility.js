@@ -0,0 +1,320 @@
+import { flattenPages, generateElpViewData, resolvePageFiles } from './renderer.js';
+import { listComponents } from './validator.js';
+import { readBlobText } from './viewer-utils.js';
+
+// The audit reports warnings only: a finding makes the package harder to use, not invalid.
+export const ACCESSIBILITY_CHECKS = [
+  { code: 'img-alt', severity: 'warning', description: 'Images must have an alt attribute.' },
+  { code: 'empty-link', severity: 'warning', description: 'Links must have an accessible name.' },
+  {
+    code: 'iframe-title',
+    severity: 'warning',
+    description: 'Embedded frames must have a title.'
+  },
+  {
+    code: 'heading-order',
+    severity: 'warning',
+    description: 'Heading levels should not be skipped.'
+  },
+  {
+    code: 'table-headers',
+    severity: 'warning',
+    description: 'Data tables should declare header cells.'
+  },
+  {
+    code: 'link-text',
+    severity: 'warning',
+    description: 'Link text should describe its destination.'
+  },
+  {
+    code: 'lang',
+    severity: 'warning',
+    description: 'Pages should declare the package language in their lang attribute.'
+  }
+];
+
+const LOW_INFORMATION_LINK_TEXT = new Set([
+  'click here',
+  'here',
+  'more',
+  'read more',
+  'link',
+  'this link',
+  'aqui',
+  'clic aqui',
+  'haz clic aqui',
+  'pulsa aqui',
+  'pincha aqui',
+  'mas',
+  'leer mas',
+  'ver mas',
+  'enlace',
+  'este enlace'
+]);
+
+const SNIPPET_LENGTH = 120;
+const auditCache = new WeakMap();
+
+function normaliseLinkText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function isHidden(element) {
+  return (
+    element.getAttribute('aria-hidden') === 'true' ||
+    ['presentation', 'none'].includes(element.getAttribute('role'))
+  );
+}
+
+function getAccessibleName(element) {
+  const label = element.getAttribute('aria-label') || element.getAttribute('title');
+  if (label && label.trim()) {
+    return label.trim();
+  }
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy
+      .split(/\s+/)
+      .map((id) => element.ownerDocument.getElementById(id)?.textContent || '')
+      .join(' ')
+      .trim();
+    if (text) {
+      return text;
+    }
+  }
+  const images = Array.from(element.querySelectorAll('img[alt]'))
+    .map((img) => img.getAttribute('alt'))
+    .join(' ');
+  return `${element.textContent || ''} ${images}`.replace(/\s+/g, ' ').trim();
+}
+
+function createIssue(code, element, message) {
+  return {
+    code,
+    message,
+    element,
+    snippet: element ? element.outerHTML.slice(0, SNIPPET_LENGTH) : ''
+  };
+}
+
+export function auditHtmlContent(root, { include = () => true, checkHeadings = true } = {}) {
+  const issues = [];
+  if (!root) {
+    return issues;
+  }
+
+  root.querySelectorAll('img').forEach((img) => {
+    if (include(img) && !img.hasAttribute('alt') && !isHidden(img)) {
+      const source = img.getAttribute('src') || '';
+      issues.push(
+        createIssue(
+          'img-alt',
+          img,
+          `Image ${source ? `"${source.split('/').pop()}" ` : ''}has no alt attribute.`
+        )
+      );
+    }
+  });
+
+  root.querySelectorAll('a[href]').forEach((link) => {
+    if (!include(link) || isHidden(link)) {
+      return;
+    }
+    const name = getAccessibleName(link);
+    if (!name) {
+      issues.push(
+        createIssue(
+          'empty-link',
+          link,
+          `Link to "${link.getAttribute('href')}" has no text or accessible name.`
+        )
+      );
+    } else if (LOW_INFORMATION_LINK_TEXT.has(normaliseLinkText(name))) {
+      issues.push(
+        createIssue('link-text', link, `Link text "${name}" does not describe its destination.`)
+      );
+    }
+  });
+
+  root.querySelectorAll('table').forEach((table) => {
+    if (include(table) && !isHidden(table) && !table.querySelector('th')) {
+      issues.push(createIssue('table-headers', table, 'Table has no header cells (<th>).'));
+    }
+  });
+
+  root.querySelectorAll('iframe').forEach((frame) => {
+    if (include(frame) && !isHidden(frame) && !(frame.getAttribute('title') || '').trim()) {
+      const source = frame.getAttribute('src') || '';
+      issues.push(
+        createIssue(
+          'iframe-title',
+          frame,
+          `Embedded frame${source ? ` "${source}"` : ''} has no title.`
+        )
+      );
+    }
+  });
+
+  if (checkHeadings) {
+    let previousLevel = 0;
+    root.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((heading) => {
+      const level = Number(heading.tagName.slice(1));
+      if (previousLevel && level > previousLevel + 1) {
+        const text = (heading.textContent || '').replace(/\s+/g, ' ').trim();
+        issues.push(
+          createIssue(
+            'heading-order',
+            heading,
+            `Heading "${text}" jumps from h${previousLevel} to h${level}.`
+          )
+        );
+      }
+      previousLevel = level;
+    });
+  }
+
+  return issues;
+}
+
+export function auditDocumentLanguage(doc, expectedLang = '') {
+  const root = doc?.documentElement;
+  if (!root) {
+    return [];
+  }
+  const lang = (root.getAttribute('lang') || root.getAttribute('xml:lang') || '').trim();
+  if (!lang) {
+    return [
+      createIssue(
+        'lang',
+        null,
+        `The page does not declare a lang attribute${expectedLang ? ` (package language is "${expectedLang}")` : ''}.`
+      )
+    ];
+  }
+  const primary = (value) => value.toLowerCase().split(/[-_]/)[0];
+  if (expectedLang && primary(lang) !== primary(expectedLang)) {
+    return [
+      createIssue(
+        'lang',
+        null,
+        `The page declares lang="${lang}" but the package language is "${expectedLang}".`
+      )
+    ];
+  }
+  return [];
+}
+
+function describeIdevice(element) {
+  const node = element?.closest ? element.closest('.idevice_node') : null;
+  if (!node) {
+    return {};
+  }
+  return {
+    ideviceId: node.id || '',
+    ideviceType: node.getAttribute('data-idevice-type') || ''
+  };
+}
+
+export async function auditPackageAccessibility({ xmlDoc, fileMap, metadata } = {}) {
+  if (!xmlDoc) {
+    return [];
+  }
+  const expectedLang = metadata?.properties?.pp_lang || '';
+  const pages = flattenPages(generateElpViewData(xmlDoc));
+  const pageNames = new Map(pages.map((page) => [page.id, page.title]));
+  const pageFiles = fileMap ? resolvePageFiles(pages, fileMap) : new Map();
+  const parser = new DOMParser();
+  const issues = [];
+  const auditedIdevices = new Set();
+
+  listComponents(xmlDoc).forEach((component) => {
+    const html = component.node.getElementsByTagName('htmlView')[0]?.textContent.trim();
+    if (!html) {
+      return;
+    }
+    const body = parser.parseFromString(html, 'text/html').body;
+    const location = {
+      pageId: component.pageId,
+      pageName: pageNames.get(component.pageId) || component.pageId,
+      blockId: component.blockId,
+      ideviceId: component.ideviceId,
+      ideviceType: component.ideviceType
+    };
+    auditHtmlContent(body, { checkHeadings: !pageFiles.has(component.pageId) }).forEach((issue) =>
+      issues.push({ ...issue, location })
+    );
+    if (component.ideviceId) {
+      auditedIdevices.add(component.ideviceId);
+    }
+  });
+
+  for (const [pageId, path] of pageFiles.entries()) {
+    const record = fileMap.get(path);
+    if (!record?.blob) {
+      continue;
+    }
+    const doc = parser.parseFromString(await readBlobText(record.blob), 'text/html');
+    const pageLocation = { pageId, pageName: pageNames.get(pageId) || pageId, file: path };
+    // Elements rendered from an htmlView fragment were already audited with a precise location.
+    const include = (element) => {
+      const node = element.closest('.idevice_node');
+      return !node || !auditedIdevices.has(node.id);
+    };
+    [
+      ...auditDocumentLanguage(doc, expectedLang),
+      ...auditHtmlContent(doc.body, { include, checkHeadings: true })
+    ].forEach((issue) => {
+      issues.push({ ...issue, location: { ...pageLocation, ...describeIdevice(issue.element) } });
+    });
+  }
+
+  return issues;
+}
+
+// Every accessibility rule reads the same audit, so run it once per validation context.
+function getContextIssues(context) {
+  if (!auditCache.has(context)) {
+    auditCache.set(context, auditPackageAccessibility(context));
+  }
+  return auditCache.get(context);
+}
+
+export const ACCESSIBILITY_RULES = ACCESSIBILITY_CHECKS.map((check) => ({
+  id: `accessibility.${check.code}`,
+  severity: check.severity,
+  category: 'accessibility',
+  description: check.description,
+  check: async (context) => {
+    const issues = await getContextIssues(context);
+    return issues
+      .filter((issue) => issue.code === check.code)
+      .map((issue) => ({
+        message: issue.message,
+        location: issue.location,
+        ...(issue.snippet ? { details: { snippet: issue.snippet } } : {})
+      }));
+  }
+}));
+
+export default {
+  ACCESSIBILITY_CHECKS,
+  ACCESSIBILITY_RULES,
+  auditHtmlContent,
+  auditDocumentLanguage,
+  auditPackageAccessibility
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ACCESSIBILITY_CHECKS,
+    ACCESSIBILITY_RULES,
+    auditHtmlContent,
+    auditDocumentLanguage,
+    auditPackageAccessibility
+  };
+}
@@ -0,0 +1,277 @@
+import { escapeHtml } from './viewer-utils.js';
+import { indent } from './xml-utils.js';
+
+export const CATALOG_FORMATS = {
+  lom: { label: 'IEEE LOM', extension: 'lom.xml', mimeType: 'application/xml' },
+  dc: { label: 'Dublin Core XML', extension: 'dc.xml', mimeType: 'application/xml' },
+  jsonld: { label: 'Dublin Core JSON-LD', extension: 'dc.jsonld', mimeType: 'application/ld+json' }
+};
+
+const CC_VARIANTS = [
+  ['by-nc-sa', /non.?commercial.*share.?alike/],
+  ['by-nc-nd', /non.?commercial.*no.?deriv/],
+  ['by-nc', /non.?commercial/],
+  ['by-sa', /share.?alike/],
+  ['by-nd', /no.?deriv/],
+  ['by', /attribution/]
+];
+
+// eXeLearning stores licenses as free text such as "creative commons: attribution - share
+// alike 4.0"; catalogues want a URL, so well-known Creative Commons and public domain licenses
+// are resolved. Anything else is kept as text only.
+export function resolveLicenseUrl(license = '') {
+  const text = license.toLowerCase();
+  if (/public domain|dominio p[uú]blico|cc0/.test(text)) {
+    return 'https://creativecommons.org/publicdomain/zero/1.0/';
+  }
+  if (!/creative commons|\bcc\b/.test(text)) {
+    return '';
+  }
+  const variant = CC_VARIANTS.find(([, pattern]) => pattern.test(text));
+  if (!variant) {
+    return '';
+  }
+  const version = text.match(/\b([1-4]\.\d)\b/)?.[1] || '4.0';
+  return `https://creativecommons.org/licenses/${variant[0]}/${version}/`;
+}
+
+function collectFormats(fileList) {
+  const formats = new Set();
+  fileList.forEach((file) => {
+    if (file.mimeType && file.mimeType !== 'application/octet-stream') {
+      formats.add(file.mimeType);
+    }
+  });
+  return Array.from(formats).sort();
+}
+
+export function createCatalogRecord({
+  metadata = null,
+  pageCount = 0,
+  fileList = [],
+  totalSize = 0,
+  generatedAt = new Date().toISOString()
+} = {}) {
+  const properties = metadata?.properties || {};
+  const resources = metadata?.resources || {};
+  const rights = properties.license || '';
+  return {
+    identifier: resources.odeId || resources.odeVersionId || '',
+    title: properties.pp_title || properties.title || '',
+    creator: properties.pp_author || '',
+    language: properties.pp_lang || properties.language || '',
+    description: properties.pp_description || '',
+    rights,
+    rightsUrl: resolveLicenseUrl(rights),
+    version: resources.odeVersionName || properties.version || '',
+    date: generatedAt.slice(0, 10),
+    pageCount,
+    size: totalSize,
+    formats: collectFormats(fileList)
+  };
+}
+
+function langString(tag, value, language) {
+  const lang = language ? ` language="${escapeHtml(language)}"` : '';
+  return `<${tag}><string${lang}>${escapeHtml(value)}</string></${tag}>`;
+}
+
+function vocabulary(tag, value) {
+  return `<${tag}><source>LOMv1.0</source><value>${escapeHtml(value)}</value></${tag}>`;
+}
+
+// LOM has no page-count element; it is recorded as an educational description so LOM-ES
+// importers keep it next to the structure and aggregation level.
+export function renderLomXml(record) {
+  const { language } = record;
+  const general = [
+    '<general>',
+    ...indent(
+      [
+        ...(record.identifier
+          ? [
+              `<identifier><catalog>eXeLearning</catalog><entry>${escapeHtml(record.identifier)}</entry></identifier>`
+            ]
+          : []),
+        langString('title', record.title, language),
+        ...(language ? [`<language>${escapeHtml(language)}</language>`] : []),
+        ...(record.description ? [langString('description', record.description, language)] : []),
+        vocabulary('structure', record.pageCount > 1 ? 'hierarchical' : 'atomic'),
+        vocabulary('aggregationLevel', record.pageCount > 1 ? '2' : '1')
+      ],
+      1
+    ),
+    '</general>'
+  ];
+
+  const lifeCycle = [];
+  if (record.version || record.creator) {
+    const vcard = `BEGIN:VCARD\nVERSION:3.0\nFN:${record.creator}\nEND:VCARD`;
+    lifeCycle.push(
+      '<lifeCycle>',
+      ...indent(
+        [
+          ...(record.version ? [langString('version', record.version, language)] : []),
+          ...(record.creator
+            ? [
+                '<contribute>',
+                `  ${vocabulary('role', 'author')}`,
+                `  <entity>${escapeHtml(vcard)}</entity>`,
+                '</contribute>'
+              ]
+            : [])
+        ],
+        1
+      ),
+      '</lifeCycle>'
+    );
+  }
+
+  // The package records no authoring date, so the only date known is when this record was made.
+  const metaMetadata = [
+    '<metaMetadata>',
+    '  <contribute>',
+    `    ${vocabulary('role', 'creator')}`,
+    `    <date><dateTime>${escapeHtml(record.date)}</dateTime></date>`,
+    '  </contribute>',
+    '  <metadataSchema>LOMv1.0</metadataSchema>',
+    ...(language ? [`  <language>${escapeHtml(language)}</language>`] : []),
+    '</metaMetadata>'
+  ];
+
+  const technical = [
+    '<technical>',
+    ...record.formats.map((format) => `  <format>${escapeHtml(format)}</format>`),
+    `  <size>${record.size}</size>`,
+    '</technical>'
+  ];
+
+  const educational = record.pageCount
+    ? [
+        '<educational>',
+        `  ${langString('description', `${record.pageCount} page${record.pageCount === 1 ? '' : 's'}`, 'en')}`,
+        '</educational>'
+      ]
+    : [];
+
+  const rights = [
+    '<rights>',
+    `  ${vocabulary('cost', 'no')}`,
+    `  ${vocabulary('copyrightAndOtherRestrictions', record.rights ? 'yes' : 'no')}`,
+    ...(record.rights
+      ? [
+          `  ${langString('description', record.rightsUrl ? `${record.rights} (${record.rightsUrl})` : record.rights, language)}`
+        ]
+      : []),
+    '</rights>'
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<lom xmlns="http://ltsc.ieee.org/xsd/LOM">',
+    ...indent(
+      [...general, ...lifeCycle, ...metaMetadata, ...technical, ...educational, ...rights],
+      1
+    ),
+    '</lom>',
+    ''
+  ].join('\n');
+}
+
+function dublinCoreEntries(record) {
+  return [
+    ['title', record.title],
+    ['creator', record.creator],
+    ['description', record.description],
+    ['date', record.date],
+    ['type', 'InteractiveResource'],
+    ...record.formats.map((format) => ['format', format]),
+    ['identifier', record.identifier],
+    ['language', record.language],
+    ['rights', record.rights],
+    ['rights', record.rightsUrl]
+  ].filter(([, value]) => value);
+}
+
+export function renderDublinCoreXml(record) {
+  const elements = dublinCoreEntries(record).map(
+    ([name, value]) => `  <dc:${name}>${escapeHtml(value)}</dc:${name}>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">',
+    ...elements,
+    '</oai_dc:dc>',
+    ''
+  ].join('\n');
+}
+
+export function renderDublinCoreJsonLd(record) {
+  const jsonLd = {
+    '@context': {
+      dc: 'http://purl.org/dc/elements/1.1/',
+      dcterms: 'http://purl.org/dc/terms/'
+    },
+    '@type': 'dcterms:InteractiveResource'
+  };
+  const add = (key, value) => {
+    if (value !== '' && value !== null && value !== undefined) {
+      jsonLd[key] = value;
+    }
+  };
+  add('dc:identifier', record.identifier);
+  add('dc:title', record.title);
+  add('dc:creator', record.creator);
+  add('dc:description', record.description);
+  add('dc:language', record.language);
+  add('dc:date', record.date);
+  add('dc:format', record.formats.length ? record.formats : '');
+  add('dc:rights', record.rights);
+  add('dcterms:license', record.rightsUrl ? { '@id': record.rightsUrl } : '');
+  add('dcterms:hasVersion', record.version);
+  add(
+    'dcterms:extent',
+    [
+      record.pageCount ? `${record.pageCount} page${record.pageCount === 1 ? '' : 's'}` : '',
+      record.size ? `${record.size} bytes` : ''
+    ]
+      .filter(Boolean)
+      .join(', ')
+  );
+  return JSON.stringify(jsonLd, null, 2);
+}
+
+export function serializeCatalogRecord(record, format = 'lom') {
+  switch (format) {
+    case 'lom':
+      return renderLomXml(record);
+    case 'dc':
+      return renderDublinCoreXml(record);
+    case 'jsonld':
+      return renderDublinCoreJsonLd(record);
+    default:
+      throw new Error(`Unknown catalog format "${format}".`);
+  }
+}
+
+export default {
+  CATALOG_FORMATS,
+  resolveLicenseUrl,
+  createCatalogRecord,
+  renderLomXml,
+  renderDublinCoreXml,
+  renderDublinCoreJsonLd,
+  serializeCatalogRecord
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CATALOG_FORMATS,
+    resolveLicenseUrl,
+    createCatalogRecord,
+    renderLomXml,
+    renderDublinCoreXml,
+    renderDublinCoreJsonLd,
+    serializeCatalogRecord
+  };
+}
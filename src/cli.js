@@ -0,0 +1,189 @@
+import { gatherMessages } from './rules.js';
+import { createValidationReport, renderReportJUnit, renderReportJson } from './report.js';
+import {
+  extractLegacyMetadata,
+  extractMetadata,
+  normalizeLegacyMetadata,
+  parseContentXml
+} from './validator.js';
+import {
+  buildFileRecords,
+  computeCompatibility,
+  describeMissingManifest,
+  detectFileType,
+  detectPackageKind
+} from './viewer-utils.js';
+
+export const CLI_FORMATS = ['text', 'json', 'junit'];
+
+export const USAGE = `Usage: elpx-validate [options] <file-or-directory>...
+
+Validates eXeLearning .elpx/.elp packages with the same checks as the viewer.
+Directories are searched recursively.
+
+Options:
+  -f, --format <text|json|junit>  Output format (default: text)
+  -o, --output <file>             Write the report to a file instead of stdout
+  -h, --help                      Show this help
+
+Exit codes: 0 when no package has errors, 1 when at least one does, 2 on usage errors.`;
+
+export function parseCliArguments(argv = []) {
+  const options = { paths: [], format: 'text', output: null, help: false };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s, 2) : [arg, undefined];
+    const readValue = () => {
+      const value = inlineValue ?? argv[(index += 1)];
+      if (value === undefined || value === '') {
+        throw new Error(`Option ${flag} expects a value.`);
+      }
+      return value;
+    };
+    switch (flag) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-f':
+      case '--format':
+        options.format = readValue();
+        if (!CLI_FORMATS.includes(options.format)) {
+          throw new Error(
+            `Unknown format "${options.format}". Use one of: ${CLI_FORMATS.join(', ')}.`
+          );
+        }
+        break;
+      case '-o':
+      case '--output':
+        options.output = readValue();
+        break;
+      default:
+        if (flag.startsWith('-')) {
+          throw new Error(`Unknown option ${flag}.`);
+        }
+        options.paths.push(arg);
+    }
+  }
+  return options;
+}
+
+// Directory scans stick to eXeLearning extensions; arbitrary .zip files are too common to guess.
+export function isPackagePath(path) {
+  const fileType = detectFileType(path);
+  return fileType === 'elp' || fileType === 'elpx';
+}
+
+export async function validatePackage(data, { fileName, JSZip, registry, profile } = {}) {
+  const base = { fileName, fileSize: data?.byteLength ?? data?.length ?? 0 };
+  const fail = (text) =>
+    createValidationReport({
+      ...base,
+      fileType: detectFileType(fileName) || '',
+      messages: [{ level: 'error', text, ruleId: 'package.read', category: 'package' }]
+    });
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch {
+    return fail('The file could not be read as a ZIP archive.');
+  }
+
+  const kind = detectPackageKind(Object.keys(zip.files));
+  if (!kind.manifestKind) {
+    return fail(describeMissingManifest(kind));
+  }
+  const { manifestKind } = kind;
+  const parseResult = parseContentXml(await zip.file(kind.manifestPath).async('string'));
+  if (parseResult.status === 'error') {
+    return fail(parseResult.message);
+  }
+
+  const xmlDoc = parseResult.document;
+  const metadata =
+    manifestKind === 'legacy'
+      ? normalizeLegacyMetadata(extractLegacyMetadata(xmlDoc))
+      : extractMetadata(xmlDoc);
+  const { fileMap, fileList, totalSize } = await buildFileRecords(Object.values(zip.files));
+  const messages = await gatherMessages(
+    { manifestKind, xmlDoc, zip, metadata, fileMap },
+    { registry, profile }
+  );
+
+  return createValidationReport({
+    ...base,
+    fileType: manifestKind === 'legacy' ? 'elp' : 'elpx',
+    manifestKind,
+    metadata,
+    compatibility: computeCompatibility(metadata),
+    messages,
+    summary: { totalFiles: fileList.length, totalSize }
+  });
+}
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+export function formatTextReport(reports) {
+  const lines = [];
+  reports.forEach((report) => {
+    const { counts } = report;
+    const mark = report.status === 'failed' ? '✖' : report.status === 'warnings' ? '⚠' : '✔';
+    lines.push(
+      `${mark} ${report.package.fileName} — ${pluralize(counts.error, 'error')}, ${pluralize(counts.warning, 'warning')}`
+    );
+    report.messages
+      .filter((message) => message.level !== 'info')
+      .forEach((message) => {
+        const where = message.location?.pageName ? ` [${message.location.pageName}]` : '';
+        lines.push(`    ${message.level}: ${message.text}${where}`);
+      });
+  });
+  const failed = reports.filter((report) => report.status === 'failed').length;
+  lines.push('');
+  lines.push(
+    `${pluralize(reports.length, 'package')} checked, ${failed} with errors, ${reports.length - failed} without.`
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+export function formatCliOutput(reports, format = 'text') {
+  switch (format) {
+    case 'json':
+      return `${renderReportJson(reports)}\n`;
+    case 'junit':
+      return renderReportJUnit(reports);
+    default:
+      return formatTextReport(reports);
+  }
+}
+
+export function getExitCode(reports) {
+  return reports.some((report) => report.status === 'failed') ? 1 : 0;
+}
+
+export default {
+  CLI_FORMATS,
+  USAGE,
+  parseCliArguments,
+  isPackagePath,
+  validatePackage,
+  formatTextReport,
+  formatCliOutput,
+  getExitCode
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CLI_FORMATS,
+    USAGE,
+    parseCliArguments,
+    isPackagePath,
+    validatePackage,
+    formatTextReport,
+    formatCliOutput,
+    getExitCode
+  };
+}
@@ -0,0 +1,241 @@
+import { createCatalogRecord } from './catalog.js';
+import { IMS_MANIFEST_PATH, renderManifestItems, toManifestIdentifier } from './ims-manifest.js';
+import { extractCssReferences, extractHtmlReferences, resolveReference } from './links.js';
+import { escapeHtml, readBlobText } from './viewer-utils.js';
+import { fileHref, indent } from './xml-utils.js';
+
+const CC_NAMESPACE = 'http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1';
+const LOM_NAMESPACE = 'http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest';
+const SCHEMA_LOCATIONS = [
+  CC_NAMESPACE,
+  'http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_imscp_v1p2_v1p0.xsd',
+  LOM_NAMESPACE,
+  'http://www.imsglobal.org/profile/cc/ccv1p3/LOM/ccv1p3_lommanifest_v1p0.xsd'
+].join(' ');
+
+async function readReferences(fileMap, path, parser) {
+  const record = fileMap.get(path);
+  let urls = [];
+  if (!record?.blob) {
+    return urls;
+  }
+  if (/\.html?$/i.test(path)) {
+    const doc = parser.parseFromString(await readBlobText(record.blob), 'text/html');
+    urls = extractHtmlReferences(doc).map((reference) => reference.url);
+  } else if (/\.css$/i.test(path)) {
+    urls = extractCssReferences(await readBlobText(record.blob));
+  }
+  return urls
+    .map((url) => resolveReference(path, url))
+    .filter((target) => target.type === 'internal' && fileMap.has(target.path))
+    .map((target) => target.path);
+}
+
+// Dependencies are whatever a page pulls in through its HTML, followed through stylesheets and
+// embedded HTML. Links to other pages are not dependencies: those pages are resources of their own.
+export async function collectPageDependencies(fileMap, pagePaths) {
+  const parser = new DOMParser();
+  const pages = new Set(pagePaths);
+  const cache = new Map();
+  const referencesOf = async (path) => {
+    if (!cache.has(path)) {
+      cache.set(path, await readReferences(fileMap, path, parser));
+    }
+    return cache.get(path);
+  };
+
+  const dependencies = new Map();
+  for (const pagePath of pages) {
+    const found = new Set();
+    const queue = [pagePath];
+    while (queue.length) {
+      for (const target of await referencesOf(queue.shift())) {
+        if (!pages.has(target) && !found.has(target)) {
+          found.add(target);
+          queue.push(target);
+        }
+      }
+    }
+    dependencies.set(pagePath, Array.from(found).sort());
+  }
+  return dependencies;
+}
+
+function lomString(tag, value, language) {
+  const lang = language ? ` language="${escapeHtml(language)}"` : '';
+  return `<lomimscc:${tag}><lomimscc:string${lang}>${escapeHtml(value)}</lomimscc:string></lomimscc:${tag}>`;
+}
+
+// Common Cartridge only accepts its own LOM profile inside the manifest: general, lifeCycle and
+// rights, with vocabulary values written without a source.
+export function renderCartridgeLom(record) {
+  const { language } = record;
+  const lines = [
+    '<lomimscc:lom>',
+    '  <lomimscc:general>',
+    ...indent(
+      [
+        ...(record.identifier
+          ? [
+              `<lomimscc:identifier><lomimscc:catalog>eXeLearning</lomimscc:catalog><lomimscc:entry>${escapeHtml(record.identifier)}</lomimscc:entry></lomimscc:identifier>`
+            ]
+          : []),
+        lomString('title', record.title, language),
+        ...(language ? [`<lomimscc:language>${escapeHtml(language)}</lomimscc:language>`] : []),
+        ...(record.description ? [lomString('description', record.description, language)] : [])
+      ],
+      2
+    ),
+    '  </lomimscc:general>'
+  ];
+  if (record.creator) {
+    const vcard = `BEGIN:VCARD\nVERSION:3.0\nFN:${record.creator}\nEND:VCARD`;
+    lines.push(
+      '  <lomimscc:lifeCycle>',
+      '    <lomimscc:contribute>',
+      '      <lomimscc:role><lomimscc:value>author</lomimscc:value></lomimscc:role>',
+      `      <lomimscc:entity>${escapeHtml(vcard)}</lomimscc:entity>`,
+      '    </lomimscc:contribute>',
+      '  </lomimscc:lifeCycle>'
+    );
+  }
+  if (record.rights) {
+    lines.push(
+      '  <lomimscc:rights>',
+      '    <lomimscc:copyrightAndOtherRestrictions><lomimscc:value>yes</lomimscc:value></lomimscc:copyrightAndOtherRestrictions>',
+      `    ${lomString('description', record.rightsUrl ? `${record.rights} (${record.rightsUrl})` : record.rights, language)}`,
+      '  </lomimscc:rights>'
+    );
+  }
+  lines.push('</lomimscc:lom>');
+  return lines;
+}
+
+export function buildCartridgeManifest({
+  pages = [],
+  pageFiles = new Map(),
+  dependencies = new Map(),
+  paths = [],
+  record = createCatalogRecord()
+} = {}) {
+  const pagePaths = new Set(pageFiles.values());
+  const fileIds = new Map();
+  dependencies.forEach((files) => {
+    files.forEach((path) => {
+      if (!fileIds.has(path)) {
+        fileIds.set(path, `RES-FILE-${fileIds.size + 1}`);
+      }
+    });
+  });
+
+  const resources = [];
+  pageFiles.forEach((path, pageId) => {
+    resources.push(
+      `<resource identifier="${toManifestIdentifier('RES', pageId)}" type="webcontent" href="${fileHref(path)}">`,
+      `  <file href="${fileHref(path)}"/>`,
+      ...(dependencies.get(path) || []).map(
+        (dependency) => `  <dependency identifierref="${fileIds.get(dependency)}"/>`
+      ),
+      '</resource>'
+    );
+  });
+  fileIds.forEach((identifier, path) => {
+    resources.push(
+      `<resource identifier="${identifier}" type="webcontent" href="${fileHref(path)}">`,
+      `  <file href="${fileHref(path)}"/>`,
+      '</resource>'
+    );
+  });
+  // Files no page depends on (content.xml among them) still have to be declared somewhere.
+  const remaining = paths.filter(
+    (path) => !pagePaths.has(path) && !fileIds.has(path) && path !== IMS_MANIFEST_PATH
+  );
+  if (remaining.length) {
+    resources.push(
+      '<resource identifier="RES-PACKAGE" type="webcontent">',
+      ...remaining.map((path) => `  <file href="${fileHref(path)}"/>`),
+      '</resource>'
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest identifier="${toManifestIdentifier('MANIFEST', record.identifier || 'elpx')}" xmlns="${CC_NAMESPACE}" xmlns:lomimscc="${LOM_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${SCHEMA_LOCATIONS}">`,
+    ...indent(
+      [
+        '<metadata>',
+        '  <schema>IMS Common Cartridge</schema>',
+        '  <schemaversion>1.3.0</schemaversion>',
+        ...indent(renderCartridgeLom(record), 1),
+        '</metadata>',
+        '<organizations>',
+        '  <organization identifier="ORG-1" structure="rooted-hierarchy">',
+        '    <item identifier="ROOT">',
+        ...indent(renderManifestItems(pages, pageFiles), 3),
+        '    </item>',
+        '  </organization>',
+        '</organizations>',
+        '<resources>',
+        ...indent(resources, 1),
+        '</resources>'
+      ],
+      1
+    ),
+    '</manifest>',
+    ''
+  ].join('\n');
+}
+
+export async function buildCommonCartridge(
+  fileMap,
+  { pages = [], pageFiles = new Map(), metadata = null, JSZip, type = 'blob' } = {}
+) {
+  if (!JSZip) {
+    throw new Error('JSZip is required to build a Common Cartridge.');
+  }
+  const launchable = new Map(
+    Array.from(pageFiles.entries()).filter(([, path]) => fileMap.get(path)?.blob)
+  );
+  if (!launchable.size) {
+    throw new Error('No exported pages were found to package as cartridge resources.');
+  }
+  const dependencies = await collectPageDependencies(fileMap, launchable.values());
+  const zip = new JSZip();
+  fileMap.forEach((record, path) => {
+    if (path !== IMS_MANIFEST_PATH && record?.blob) {
+      zip.file(path, record.blob, {
+        date: record.lastModified ? new Date(record.lastModified) : undefined
+      });
+    }
+  });
+  const manifest = buildCartridgeManifest({
+    pages,
+    pageFiles: launchable,
+    dependencies,
+    paths: Array.from(fileMap.keys()).filter((path) => fileMap.get(path)?.blob),
+    record: createCatalogRecord({ metadata })
+  });
+  zip.file(IMS_MANIFEST_PATH, manifest);
+  const output = await zip.generateAsync({
+    type,
+    compression: 'DEFLATE',
+    mimeType: 'application/zip'
+  });
+  return { output, manifest, pageCount: launchable.size };
+}
+
+export default {
+  collectPageDependencies,
+  renderCartridgeLom,
+  buildCartridgeManifest,
+  buildCommonCartridge
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    collectPageDependencies,
+    renderCartridgeLom,
+    buildCartridgeManifest,
+    buildCommonCartridge
+  };
+}
@@ -0,0 +1,287 @@
+import { formatBytes } from './viewer-utils.js';
+
+function createSection(title, count) {
+  const section = document.createElement('section');
+  section.className = 'mb-4';
+  const heading = document.createElement('h3');
+  heading.className = 'h6 d-flex align-items-center gap-2';
+  heading.textContent = title;
+  const badge = document.createElement('span');
+  badge.className = `badge rounded-pill ${count ? 'text-bg-primary' : 'text-bg-secondary'}`;
+  badge.textContent = String(count);
+  heading.appendChild(badge);
+  section.appendChild(heading);
+  return section;
+}
+
+function createChangeList(entries, describe) {
+  const list = document.createElement('ul');
+  list.className = 'list-group list-group-flush small';
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'list-group-item d-flex align-items-start gap-2';
+    const { label, variant, text } = describe(entry);
+    const badge = document.createElement('span');
+    badge.className = `badge text-bg-${variant}`;
+    badge.textContent = label;
+    const body = document.createElement('span');
+    body.className = 'text-break flex-grow-1';
+    body.textContent = text;
+    item.append(badge, body);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+function createInlineDiff(segments) {
+  const wrapper = document.createElement('p');
+  wrapper.className = 'compare-diff small mb-0';
+  segments.forEach((segment) => {
+    if (segment.type === 'equal') {
+      wrapper.append(segment.text);
+      return;
+    }
+    const node = document.createElement(segment.type === 'insert' ? 'ins' : 'del');
+    node.textContent = segment.text;
+    wrapper.appendChild(node);
+  });
+  return wrapper;
+}
+
+function createEmptyNote(text) {
+  const note = document.createElement('p');
+  note.className = 'text-muted small mb-0';
+  note.textContent = text;
+  return note;
+}
+
+export class ComparePanel {
+  constructor(root) {
+    this.root = root;
+    this.chooseHandler = null;
+    this.state = { status: 'idle' };
+    this.render();
+  }
+
+  setChooseHandler(handler) {
+    this.chooseHandler = handler;
+    this.render();
+  }
+
+  update(state) {
+    this.state = state;
+    this.render();
+  }
+
+  render() {
+    if (!this.root) {
+      return;
+    }
+    this.root.innerHTML = '';
+    const { status } = this.state;
+
+    this.root.appendChild(this.renderToolbar());
+
+    if (status === 'loading') {
+      const spinner = document.createElement('div');
+      spinner.className = 'd-flex align-items-center gap-3';
+      spinner.innerHTML =
+        '<div class="spinner-border text-secondary" role="status" aria-hidden="true"></div><p class="mb-0">Comparing packages…</p>';
+      this.root.appendChild(spinner);
+    } else if (status === 'error') {
+      const alert = document.createElement('div');
+      alert.className = 'alert alert-danger';
+      alert.role = 'alert';
+      alert.textContent = this.state.error || 'The packages could not be compared.';
+      this.root.appendChild(alert);
+    } else if (status === 'ready') {
+      this.renderReady();
+    }
+  }
+
+  renderToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'd-flex flex-wrap align-items-center gap-3 mb-4';
+    const description = document.createElement('p');
+    description.className = 'text-muted mb-0 flex-grow-1';
+    description.textContent = this.chooseHandler
+      ? 'Compare the loaded package with a revised version of the same project.'
+      : 'Load an .elpx package first, then pick its revised version to see what changed.';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm btn-outline-primary';
+    button.textContent = 'Choose revised package…';
+    button.disabled = !this.chooseHandler || this.state.status === 'loading';
+    button.addEventListener('click', () => {
+      if (this.chooseHandler) {
+        this.chooseHandler();
+      }
+    });
+    toolbar.append(description, button);
+    return toolbar;
+  }
+
+  renderReady() {
+    const { result, beforeName, afterName } = this.state;
+    const pageTitle = (id) => result.pageTitles.after[id] || result.pageTitles.before[id] || id;
+
+    const intro = document.createElement('p');
+    intro.className = 'mb-4';
+    intro.textContent = result.summary.total
+      ? `${result.summary.total} change${result.summary.total === 1 ? '' : 's'} between ${beforeName} and ${afterName}.`
+      : `No differences found between ${beforeName} and ${afterName}.`;
+    this.root.appendChild(intro);
+
+    const { pages } = result;
+    const pageSection = createSection('Pages', result.summary.pages);
+    const pageEntries = [
+      ...pages.added.map((page) => ({ kind: 'added', page })),
+      ...pages.removed.map((page) => ({ kind: 'removed', page })),
+      ...pages.moved.map((page) => ({ kind: 'moved', page })),
+      ...pages.renamed.map((page) => ({ kind: 'renamed', page }))
+    ];
+    pageSection.appendChild(
+      pageEntries.length
+        ? createChangeList(pageEntries, ({ kind, page }) => {
+            switch (kind) {
+              case 'added':
+                return { label: 'Added', variant: 'success', text: page.title };
+              case 'removed':
+                return { label: 'Removed', variant: 'danger', text: page.title };
+              case 'moved': {
+                const parent = page.toParentId ? pageTitle(page.toParentId) : 'top level';
+                return {
+                  label: 'Moved',
+                  variant: 'warning',
+                  text: `${page.title} → position ${page.toPosition + 1} under ${parent}`
+                };
+              }
+              default:
+                return { label: 'Renamed', variant: 'info', text: `${page.from} → ${page.to}` };
+            }
+          })
+        : createEmptyNote('No page changes.')
+    );
+    this.root.appendChild(pageSection);
+
+    const { components } = result;
+    const componentSection = createSection('Content', result.summary.components);
+    const simpleEntries = [
+      ...components.added.map((component) => ({ kind: 'added', component })),
+      ...components.removed.map((component) => ({ kind: 'removed', component })),
+      ...components.moved.map((component) => ({ kind: 'moved', component }))
+    ];
+    if (simpleEntries.length) {
+      componentSection.appendChild(
+        createChangeList(simpleEntries, ({ kind, component }) => {
+          const type = component.type || 'iDevice';
+          if (kind === 'added') {
+            return {
+              label: 'Added',
+              variant: 'success',
+              text: `${type} on ${pageTitle(component.pageId)}`
+            };
+          }
+          if (kind === 'removed') {
+            return {
+              label: 'Removed',
+              variant: 'danger',
+              text: `${type} on ${pageTitle(component.pageId)}`
+            };
+          }
+          return {
+            label: 'Moved',
+            variant: 'warning',
+            text: `${type} from ${pageTitle(component.fromPageId)} to ${pageTitle(component.toPageId)}`
+          };
+        })
+      );
+    }
+    components.changed.forEach((component) => {
+      const card = document.createElement('div');
+      card.className = 'border rounded p-3 mt-2';
+      const title = document.createElement('p');
+      title.className = 'small fw-semibold mb-2';
+      title.textContent = `${component.type || 'iDevice'} on ${pageTitle(component.pageId)} (${component.id})`;
+      card.append(title, createInlineDiff(component.diff));
+      componentSection.appendChild(card);
+    });
+    if (!simpleEntries.length && !components.changed.length) {
+      componentSection.appendChild(createEmptyNote('No content changes.'));
+    }
+    this.root.appendChild(componentSection);
+
+    const metadataSection = createSection('Metadata', result.summary.metadata);
+    const metadataRows = [];
+    ['properties', 'resources'].forEach((group) => {
+      const changes = result.metadata[group];
+      changes.added.forEach(({ key, value }) => metadataRows.push([key, '—', value]));
+      changes.removed.forEach(({ key, value }) => metadataRows.push([key, value, '—']));
+      changes.changed.forEach(({ key, from, to }) => metadataRows.push([key, from, to]));
+    });
+    if (metadataRows.length) {
+      const table = document.createElement('table');
+      table.className = 'table table-sm align-middle small mb-0';
+      table.innerHTML =
+        '<thead><tr><th scope="col">Key</th><th scope="col">Before</th><th scope="col">After</th></tr></thead>';
+      const tbody = document.createElement('tbody');
+      metadataRows.forEach((cells) => {
+        const row = document.createElement('tr');
+        cells.forEach((value, index) => {
+          const cell = document.createElement('td');
+          cell.className = 'text-break';
+          if (index === 0) {
+            const code = document.createElement('code');
+            code.textContent = value;
+            cell.appendChild(code);
+          } else {
+            cell.textContent = value === '' ? '(empty)' : value;
+          }
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+      metadataSection.appendChild(table);
+    } else {
+      metadataSection.appendChild(createEmptyNote('No metadata changes.'));
+    }
+    this.root.appendChild(metadataSection);
+
+    const { files } = result;
+    const fileSection = createSection('Files', result.summary.files);
+    const fileEntries = [
+      ...files.added.map((file) => ({ kind: 'added', file })),
+      ...files.removed.map((file) => ({ kind: 'removed', file })),
+      ...files.resized.map((file) => ({ kind: 'resized', file }))
+    ];
+    fileSection.appendChild(
+      fileEntries.length
+        ? createChangeList(fileEntries, ({ kind, file }) => {
+            if (kind === 'added') {
+              return {
+                label: 'Added',
+                variant: 'success',
+                text: `${file.path} (${formatBytes(file.size)})`
+              };
+            }
+            if (kind === 'removed') {
+              return {
+                label: 'Removed',
+                variant: 'danger',
+                text: `${file.path} (${formatBytes(file.size)})`
+              };
+            }
+            return {
+              label: 'Resized',
+              variant: 'warning',
+              text: `${file.path} (${formatBytes(file.from)} → ${formatBytes(file.to)})`
+            };
+          })
+        : createEmptyNote('No file changes.')
+    );
+    this.root.appendChild(fileSection);
+  }
+}
+
+export default ComparePanel;
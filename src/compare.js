@@ -0,0 +1,301 @@
+import { parseModernPages } from './renderer.js';
+import { extractSearchableText } from './search.js';
+
+const MAX_DIFF_CELLS = 4_000_000;
+
+function getChildText(node, tagName) {
+  const match = node.getElementsByTagName(tagName)[0];
+  return match && match.textContent ? match.textContent.trim() : '';
+}
+
+function extractComponents(navStructure) {
+  const components = Array.from(navStructure.getElementsByTagName('odeComponent'));
+  return components.map((component, index) => {
+    const block = component.closest ? component.closest('odePagStructure') : null;
+    return {
+      id: getChildText(component, 'odeIdeviceId') || `component-${index + 1}`,
+      type: getChildText(component, 'odeIdeviceTypeName'),
+      blockId:
+        getChildText(component, 'odeBlockId') || (block ? getChildText(block, 'odeBlockId') : ''),
+      text: extractSearchableText(getChildText(component, 'htmlView')),
+      index
+    };
+  });
+}
+
+export function createPackageSnapshot({ xmlDoc, metadata, fileList } = {}) {
+  const pages = xmlDoc ? parseModernPages(xmlDoc) : [];
+  const navStructures = xmlDoc ? Array.from(xmlDoc.getElementsByTagName('odeNavStructure')) : [];
+  const components = new Map();
+
+  const snapshotPages = pages.map((page, index) => {
+    const pageComponents = navStructures[index] ? extractComponents(navStructures[index]) : [];
+    pageComponents.forEach((component) => {
+      components.set(component.id, { ...component, pageId: page.id });
+    });
+    return {
+      id: page.id,
+      title: page.title,
+      parentId: page.parentId,
+      order: page.order,
+      index: page.index
+    };
+  });
+
+  return {
+    pages: snapshotPages,
+    components,
+    properties: metadata?.properties || {},
+    resources: metadata?.resources || {},
+    files: fileList || []
+  };
+}
+
+function siblingPositions(pages, commonIds) {
+  const groups = new Map();
+  pages
+    .filter((page) => commonIds.has(page.id))
+    .forEach((page) => {
+      const key = page.parentId || '';
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(page);
+    });
+
+  const positions = new Map();
+  groups.forEach((siblings) => {
+    siblings
+      .sort((a, b) => a.order - b.order || a.index - b.index)
+      .forEach((page, position) => positions.set(page.id, position));
+  });
+  return positions;
+}
+
+function comparePages(before, after) {
+  const beforeById = new Map(before.pages.map((page) => [page.id, page]));
+  const afterById = new Map(after.pages.map((page) => [page.id, page]));
+  const commonIds = new Set(before.pages.filter((page) => afterById.has(page.id)).map((p) => p.id));
+  const beforePositions = siblingPositions(before.pages, commonIds);
+  const afterPositions = siblingPositions(after.pages, commonIds);
+
+  const added = after.pages.filter((page) => !beforeById.has(page.id));
+  const removed = before.pages.filter((page) => !afterById.has(page.id));
+  const moved = [];
+  const renamed = [];
+
+  commonIds.forEach((id) => {
+    const previous = beforeById.get(id);
+    const current = afterById.get(id);
+    if (
+      previous.parentId !== current.parentId ||
+      beforePositions.get(id) !== afterPositions.get(id)
+    ) {
+      moved.push({
+        id,
+        title: current.title,
+        fromParentId: previous.parentId,
+        toParentId: current.parentId,
+        fromPosition: beforePositions.get(id),
+        toPosition: afterPositions.get(id)
+      });
+    }
+    if (previous.title !== current.title) {
+      renamed.push({ id, from: previous.title, to: current.title });
+    }
+  });
+
+  return { added, removed, moved, renamed };
+}
+
+function tokenizeWords(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function pushSegment(segments, type, text) {
+  if (!text) {
+    return;
+  }
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+}
+
+export function diffWords(beforeText, afterText) {
+  const a = tokenizeWords(beforeText);
+  const b = tokenizeWords(afterText);
+  const segments = [];
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  pushSegment(segments, 'equal', a.slice(0, prefix).join(''));
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const rows = middleA.length;
+  const cols = middleB.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    // Too large for a word-level LCS; report the whole span as replaced.
+    pushSegment(segments, 'delete', middleA.join(''));
+    pushSegment(segments, 'insert', middleB.join(''));
+  } else {
+    const table = new Uint32Array((rows + 1) * (cols + 1));
+    const width = cols + 1;
+    for (let i = rows - 1; i >= 0; i -= 1) {
+      for (let j = cols - 1; j >= 0; j -= 1) {
+        table[i * width + j] =
+          middleA[i] === middleB[j]
+            ? table[(i + 1) * width + j + 1] + 1
+            : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (middleA[i] === middleB[j]) {
+        pushSegment(segments, 'equal', middleA[i]);
+        i += 1;
+        j += 1;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        pushSegment(segments, 'delete', middleA[i]);
+        i += 1;
+      } else {
+        pushSegment(segments, 'insert', middleB[j]);
+        j += 1;
+      }
+    }
+    pushSegment(segments, 'delete', middleA.slice(i).join(''));
+    pushSegment(segments, 'insert', middleB.slice(j).join(''));
+  }
+
+  pushSegment(segments, 'equal', a.slice(a.length - suffix).join(''));
+  return segments;
+}
+
+function compareComponents(before, after) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const moved = [];
+
+  after.components.forEach((component, id) => {
+    if (!before.components.has(id)) {
+      added.push(component);
+    }
+  });
+
+  before.components.forEach((component, id) => {
+    const current = after.components.get(id);
+    if (!current) {
+      removed.push(component);
+      return;
+    }
+    if (component.pageId !== current.pageId) {
+      moved.push({
+        id,
+        type: current.type,
+        fromPageId: component.pageId,
+        toPageId: current.pageId
+      });
+    }
+    if (component.text !== current.text) {
+      changed.push({
+        id,
+        type: current.type,
+        pageId: current.pageId,
+        diff: diffWords(component.text, current.text)
+      });
+    }
+  });
+
+  return { added, removed, changed, moved };
+}
+
+function compareMaps(before = {}, after = {}) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  Object.keys(after).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(before, key)) {
+      added.push({ key, value: after[key] });
+    } else if (before[key] !== after[key]) {
+      changed.push({ key, from: before[key], to: after[key] });
+    }
+  });
+  Object.keys(before).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(after, key)) {
+      removed.push({ key, value: before[key] });
+    }
+  });
+  return { added, removed, changed };
+}
+
+function compareFiles(beforeFiles, afterFiles) {
+  const beforeByPath = new Map(beforeFiles.map((file) => [file.path, file]));
+  const afterByPath = new Map(afterFiles.map((file) => [file.path, file]));
+  const added = afterFiles.filter((file) => !beforeByPath.has(file.path));
+  const removed = beforeFiles.filter((file) => !afterByPath.has(file.path));
+  const resized = [];
+  afterFiles.forEach((file) => {
+    const previous = beforeByPath.get(file.path);
+    if (previous && previous.size !== file.size) {
+      resized.push({ path: file.path, from: previous.size, to: file.size });
+    }
+  });
+  return { added, removed, resized };
+}
+
+export function comparePackages(beforeSource, afterSource) {
+  const before = createPackageSnapshot(beforeSource);
+  const after = createPackageSnapshot(afterSource);
+
+  const pages = comparePages(before, after);
+  const components = compareComponents(before, after);
+  const metadata = {
+    properties: compareMaps(before.properties, after.properties),
+    resources: compareMaps(before.resources, after.resources)
+  };
+  const files = compareFiles(before.files, after.files);
+
+  const countChanges = (group) =>
+    Object.values(group).reduce((total, entries) => total + entries.length, 0);
+  const summary = {
+    pages: countChanges(pages),
+    components: countChanges(components),
+    metadata: countChanges(metadata.properties) + countChanges(metadata.resources),
+    files: countChanges(files)
+  };
+  summary.total = summary.pages + summary.components + summary.metadata + summary.files;
+
+  return {
+    pages,
+    components,
+    metadata,
+    files,
+    summary,
+    pageTitles: {
+      before: Object.fromEntries(before.pages.map((page) => [page.id, page.title])),
+      after: Object.fromEntries(after.pages.map((page) => [page.id, page.title]))
+    }
+  };
+}
+
+export default { createPackageSnapshot, comparePackages, diffWords };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createPackageSnapshot, comparePackages, diffWords };
+}
@@ -0,0 +1,418 @@
+import { createCatalogRecord } from './catalog.js';
+import { parsePageLink, resolveReference } from './links.js';
+import { createPageSlug, flattenPages } from './renderer.js';
+import {
+  applyStaticFallbacks,
+  collectPageBlocks,
+  renderBlocks,
+  shiftHeadings
+} from './static-content.js';
+import { escapeHtml, inferMimeType } from './viewer-utils.js';
+import { fileHref, indent } from './xml-utils.js';
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+const PACKAGE_DIR = 'OEBPS';
+const PACKAGE_PATH = `${PACKAGE_DIR}/content.opf`;
+const NAV_PATH = 'nav.xhtml';
+const STYLESHEET_PATH = 'styles/book.css';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const CONTEXT_PATH_PREFIX = /^\{\{context_path\}\}\//;
+const EXTERNAL_LINK_PATTERN = /^(?:https?|mailto|tel):/i;
+// Presentational attributes HTML dropped; EPUBCheck reports them as schema errors (RSC-005).
+const OBSOLETE_ATTRIBUTES = new Set([
+  'align',
+  'background',
+  'bgcolor',
+  'border',
+  'cellpadding',
+  'cellspacing',
+  'char',
+  'charoff',
+  'clear',
+  'frame',
+  'frameborder',
+  'hspace',
+  'language',
+  'longdesc',
+  'marginheight',
+  'marginwidth',
+  'nowrap',
+  'rules',
+  'scrolling',
+  'valign',
+  'vspace'
+]);
+
+// Reading systems only have to support these image types; anything else needs a fallback the
+// package does not have, so it is left out and replaced by its alt text.
+const CORE_IMAGE_TYPES = new Set([
+  'image/gif',
+  'image/jpeg',
+  'image/png',
+  'image/svg+xml',
+  'image/webp'
+]);
+
+const BOOK_STYLES = `img { max-width: 100%; height: auto; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 0.25em 0.5em; }
+.elpx-print-fallback { border: 1px dashed #888; padding: 0.5em 1em; margin: 0.5em 0; }
+`;
+
+function chapterHref(index) {
+  return `chapter-${index + 1}.xhtml`;
+}
+
+function unwrap(element) {
+  element.replaceWith(...element.childNodes);
+}
+
+// Chapters may only point at other chapters, images copied into the book and the web. Links to
+// anything else in the package (downloads, audio, exported pages) keep their text only.
+function rewriteReferences(root, { fileMap, chapters, images }) {
+  root.querySelectorAll('a[href]').forEach((link) => {
+    const href = link.getAttribute('href').trim();
+    const page = parsePageLink(href);
+    if (page) {
+      if (chapters.has(page.pageId)) {
+        const fragment = page.fragment ? `#${page.fragment}` : '';
+        link.setAttribute('href', `${chapters.get(page.pageId)}${fragment}`);
+      } else {
+        unwrap(link);
+      }
+    } else if (!href.startsWith('#') && !EXTERNAL_LINK_PATTERN.test(href)) {
+      unwrap(link);
+    }
+  });
+  root.querySelectorAll('img').forEach((image) => {
+    const target = resolveReference(
+      'index.html',
+      (image.getAttribute('src') || '').trim().replace(CONTEXT_PATH_PREFIX, 'content/resources/')
+    );
+    if (
+      target.type === 'internal' &&
+      fileMap.get(target.path)?.blob &&
+      CORE_IMAGE_TYPES.has(inferMimeType(target.path))
+    ) {
+      images.add(target.path);
+      image.setAttribute('src', encodeURI(target.path));
+      image.removeAttribute('srcset');
+    } else {
+      image.replaceWith(image.ownerDocument.createTextNode(image.getAttribute('alt') || ''));
+    }
+  });
+  root
+    .querySelectorAll('[src]:not(img), link, source, track')
+    .forEach((element) => element.remove());
+}
+
+function linkScope(element, root) {
+  return element.closest('.idevice_node') || root;
+}
+
+// Event handlers, iDevice data and attributes the XHTML schema rejects are removed; only a table
+// may keep border="1", and width/height must be plain pixel counts.
+//
+// iDevices of the same type reuse fixed ids. Later copies get a numbered id, and "#id" links
+// inside the same iDevice follow them; links to ids the chapter does not have keep their text only.
+function cleanAttributes(root) {
+  const owners = new Map();
+  const renamed = new Map();
+  root.querySelectorAll('*').forEach((element) => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      if (
+        /^on/i.test(name) ||
+        name === 'data-idevice-json-data' ||
+        (OBSOLETE_ATTRIBUTES.has(name.toLowerCase()) &&
+          !(element.tagName === 'TABLE' && name === 'border' && /^1?$/.test(value))) ||
+        (/^(?:width|height)$/i.test(name) && !/^\d+$/.test(value.trim()))
+      ) {
+        element.removeAttribute(name);
+      }
+    });
+    if (!element.id) {
+      return;
+    }
+    const scope = linkScope(element, root);
+    if (owners.has(element.id)) {
+      let suffix = 2;
+      while (owners.has(`${element.id}-${suffix}`)) {
+        suffix += 1;
+      }
+      const renames = renamed.get(scope) || new Map();
+      if (owners.get(element.id) !== scope && !renames.has(element.id)) {
+        renames.set(element.id, `${element.id}-${suffix}`);
+        renamed.set(scope, renames);
+      }
+      element.id = `${element.id}-${suffix}`;
+    }
+    owners.set(element.id, scope);
+  });
+  root.querySelectorAll('a[href^="#"]').forEach((link) => {
+    const id = link.getAttribute('href').slice(1);
+    const target = renamed.get(linkScope(link, root))?.get(id) || id;
+    if (owners.has(target)) {
+      link.setAttribute('href', `#${target}`);
+    } else {
+      unwrap(link);
+    }
+  });
+}
+
+// A link into another chapter may name an anchor that chapter does not have; it then opens the
+// chapter at the top.
+function checkChapterFragments(documents) {
+  const ids = new Map(
+    Array.from(documents.entries()).map(([href, doc]) => [
+      href,
+      new Set(Array.from(doc.querySelectorAll('[id]')).map((element) => element.id))
+    ])
+  );
+  documents.forEach((doc) => {
+    doc.querySelectorAll('a[href*="#"]').forEach((link) => {
+      const [href, fragment] = link.getAttribute('href').split('#', 2);
+      if (ids.has(href) && !ids.get(href).has(fragment)) {
+        link.setAttribute('href', href);
+      }
+    });
+  });
+}
+
+function setLanguage(element, language) {
+  element.setAttribute('lang', language);
+  element.setAttributeNS(XML_NAMESPACE, 'xml:lang', language);
+}
+
+function serializeXhtml(doc) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n${new XMLSerializer().serializeToString(doc.documentElement)}\n`;
+}
+
+function createChapterDocument(
+  page,
+  blocks,
+  { fileMap = new Map(), chapters = new Map(), images = new Set(), language = 'und' } = {}
+) {
+  const doc = new DOMParser().parseFromString(
+    '<!DOCTYPE html><html><head></head><body></body></html>',
+    'text/html'
+  );
+  setLanguage(doc.documentElement, language);
+  doc.title = page.title;
+  const stylesheet = doc.createElement('link');
+  stylesheet.setAttribute('rel', 'stylesheet');
+  stylesheet.setAttribute('href', STYLESHEET_PATH);
+  doc.head.appendChild(stylesheet);
+
+  const heading = doc.createElement('h1');
+  heading.textContent = page.title;
+  const content = doc.createElement('div');
+  content.innerHTML = blocks.length ? renderBlocks(blocks) : page.htmlContent || '';
+  content.querySelectorAll('.idevice_node').forEach((node) => shiftHeadings(node, 1));
+  applyStaticFallbacks(content);
+  // Buttons only work with the scripts the book leaves out.
+  content.querySelectorAll('button').forEach((button) => button.remove());
+  rewriteReferences(content, { fileMap, chapters, images });
+  cleanAttributes(content);
+  doc.body.append(heading, ...content.childNodes);
+  return doc;
+}
+
+export function renderChapter(page, blocks, options) {
+  return serializeXhtml(createChapterDocument(page, blocks, options));
+}
+
+function renderNavItems(pages, chapters) {
+  const lines = [];
+  pages.forEach((page) => {
+    const link = `<a href="${escapeHtml(chapters.get(page.id))}">${escapeHtml(page.title)}</a>`;
+    if (!page.children?.length) {
+      lines.push(`<li>${link}</li>`);
+      return;
+    }
+    lines.push(
+      `<li>${link}`,
+      '  <ol>',
+      ...indent(renderNavItems(page.children, chapters), 2),
+      '  </ol>',
+      '</li>'
+    );
+  });
+  return lines;
+}
+
+export function renderNavDocument({
+  pages = [],
+  chapters = new Map(),
+  title = '',
+  language = 'und'
+} = {}) {
+  const lang = escapeHtml(language);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html>',
+    `<html xmlns="${XHTML_NAMESPACE}" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">`,
+    '  <head>',
+    `    <title>${escapeHtml(title)}</title>`,
+    '  </head>',
+    '  <body>',
+    '    <nav epub:type="toc" id="toc">',
+    `      <h1>${escapeHtml(title)}</h1>`,
+    '      <ol>',
+    ...indent(renderNavItems(pages, chapters), 4),
+    '      </ol>',
+    '    </nav>',
+    '  </body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function formatModified(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+export function renderPackageDocument({
+  record = createCatalogRecord(),
+  chapters = [],
+  images = [],
+  modified = new Date()
+} = {}) {
+  const language = record.language || 'und';
+  const identifier = `urn:exelearning:${record.identifier || createPageSlug(record.title, 'package')}`;
+  const metadata = [
+    `<dc:identifier id="book-id">${escapeHtml(identifier)}</dc:identifier>`,
+    `<dc:title>${escapeHtml(record.title || 'eXeLearning package')}</dc:title>`,
+    `<dc:language>${escapeHtml(language)}</dc:language>`,
+    ...(record.creator ? [`<dc:creator>${escapeHtml(record.creator)}</dc:creator>`] : []),
+    ...(record.description
+      ? [`<dc:description>${escapeHtml(record.description)}</dc:description>`]
+      : []),
+    ...(record.rights
+      ? [
+          `<dc:rights>${escapeHtml(record.rightsUrl ? `${record.rights} (${record.rightsUrl})` : record.rights)}</dc:rights>`
+        ]
+      : []),
+    `<meta property="dcterms:modified">${formatModified(modified)}</meta>`
+  ];
+  const manifest = [
+    `<item id="nav" href="${NAV_PATH}" media-type="application/xhtml+xml" properties="nav"/>`,
+    `<item id="css" href="${STYLESHEET_PATH}" media-type="text/css"/>`,
+    ...chapters.map(
+      (href, index) =>
+        `<item id="chapter-${index + 1}" href="${href}" media-type="application/xhtml+xml"/>`
+    ),
+    ...images.map(
+      (path, index) =>
+        `<item id="image-${index + 1}" href="${fileHref(path)}" media-type="${inferMimeType(path)}"/>`
+    )
+  ];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeHtml(language)}">`,
+    '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    ...indent(metadata, 2),
+    '  </metadata>',
+    '  <manifest>',
+    ...indent(manifest, 2),
+    '  </manifest>',
+    '  <spine>',
+    ...indent(
+      chapters.map((href, index) => `<itemref idref="chapter-${index + 1}"/>`),
+      2
+    ),
+    '  </spine>',
+    '</package>',
+    ''
+  ].join('\n');
+}
+
+function renderContainer() {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+    '  <rootfiles>',
+    `    <rootfile full-path="${PACKAGE_PATH}" media-type="application/oebps-package+xml"/>`,
+    '  </rootfiles>',
+    '</container>',
+    ''
+  ].join('\n');
+}
+
+// Chapters are rebuilt from content.xml rather than the exported pages, so the book carries the
+// text without the site's theme, menus and scripts.
+export async function buildEpub(
+  fileMap,
+  { xmlDoc = null, pages = [], metadata = null, JSZip, type = 'blob', modified = new Date() } = {}
+) {
+  if (!JSZip) {
+    throw new Error('JSZip is required to build an EPUB.');
+  }
+  const ordered = flattenPages(pages);
+  if (!ordered.length) {
+    throw new Error('The package has no pages to turn into chapters.');
+  }
+  const record = createCatalogRecord({ metadata });
+  const language = record.language || 'und';
+  const chapters = new Map(ordered.map((page, index) => [page.id, chapterHref(index)]));
+  const blocks = collectPageBlocks(xmlDoc);
+  const images = new Set();
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and stay uncompressed so readers can sniff the format.
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file(CONTAINER_PATH, renderContainer());
+  const documents = new Map(
+    ordered.map((page, index) => [
+      chapterHref(index),
+      createChapterDocument(page, blocks.get(page.id) || [], {
+        fileMap,
+        chapters,
+        images,
+        language
+      })
+    ])
+  );
+  checkChapterFragments(documents);
+  documents.forEach((doc, href) => {
+    zip.file(`${PACKAGE_DIR}/${href}`, serializeXhtml(doc));
+  });
+  images.forEach((path) => {
+    zip.file(`${PACKAGE_DIR}/${path}`, fileMap.get(path).blob);
+  });
+  zip.file(`${PACKAGE_DIR}/${STYLESHEET_PATH}`, BOOK_STYLES);
+  zip.file(
+    `${PACKAGE_DIR}/${NAV_PATH}`,
+    renderNavDocument({ pages, chapters, title: record.title || ordered[0].title, language })
+  );
+  const opf = renderPackageDocument({
+    record,
+    chapters: Array.from(chapters.values()),
+    images: Array.from(images),
+    modified
+  });
+  zip.file(PACKAGE_PATH, opf);
+
+  const output = await zip.generateAsync({
+    type,
+    compression: 'DEFLATE',
+    mimeType: 'application/epub+zip'
+  });
+  return { output, opf, chapterCount: ordered.length, imageCount: images.size };
+}
+
+export default {
+  renderChapter,
+  renderNavDocument,
+  renderPackageDocument,
+  buildEpub
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    renderChapter,
+    renderNavDocument,
+    renderPackageDocument,
+    buildEpub
+  };
+}
@@ -0,0 +1,314 @@
+import { listComponents } from './validator.js';
+
+const FORM_ACTIVITY_TYPES = ['fill', 'dropdown', 'selection', 'true-false'];
+const INTERACTIVE_VIDEO_SLIDES = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: {
+      type: { type: 'string', nonEmpty: true },
+      startTime: { type: 'number', min: 0 }
+    },
+    optional: { answers: { type: 'array', items: { type: 'array', minItems: 2 } } }
+  }
+};
+const contextCache = new WeakMap();
+
+// Minimal shape descriptors: { type, required, optional, items, minItems, enum, nonEmpty, min }.
+// They cover what the built-in iDevices need without pulling in a JSON Schema library.
+export function checkShape(value, shape, path = '$') {
+  const issues = [];
+  const fail = (message) => issues.push({ path, message });
+
+  if (shape.type === 'array') {
+    if (!Array.isArray(value)) {
+      fail('must be an array');
+      return issues;
+    }
+    if (shape.minItems && value.length < shape.minItems) {
+      fail(`must have at least ${shape.minItems} item${shape.minItems === 1 ? '' : 's'}`);
+    }
+    if (shape.items) {
+      value.forEach((item, index) => {
+        issues.push(...checkShape(item, shape.items, `${path}[${index}]`));
+      });
+    }
+  } else if (shape.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      fail('must be an object');
+      return issues;
+    }
+    Object.entries(shape.required || {}).forEach(([key, child]) => {
+      if (value[key] === undefined || value[key] === null) {
+        issues.push({ path: `${path}.${key}`, message: 'is required' });
+      } else {
+        issues.push(...checkShape(value[key], child, `${path}.${key}`));
+      }
+    });
+    Object.entries(shape.optional || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        issues.push(...checkShape(value[key], child, `${path}.${key}`));
+      }
+    });
+  } else if (shape.type === 'string') {
+    if (typeof value !== 'string') {
+      fail('must be a string');
+    } else if (shape.nonEmpty && !value.trim()) {
+      fail('must not be empty');
+    } else if (shape.enum && !shape.enum.includes(value)) {
+      fail(`must be one of ${shape.enum.join(', ')} (got "${value}")`);
+    }
+  } else if (shape.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      fail('must be a number');
+    } else if (shape.min !== undefined && value < shape.min) {
+      fail(`must be ${shape.min} or more`);
+    }
+  } else if (shape.type === 'boolean' && typeof value !== 'boolean') {
+    fail('must be true or false');
+  }
+  return issues;
+}
+
+// The interactive video keeps its slides as JSON inside the HTML stored in textTextarea.
+function readInteractiveVideoSlides(data) {
+  const html = typeof data.textTextarea === 'string' ? data.textTextarea : '';
+  const container = new DOMParser()
+    .parseFromString(html, 'text/html')
+    .getElementById('exe-interactive-video-contents');
+  if (!container) {
+    return { issues: [{ path: '$.textTextarea', message: 'has no interactive video contents' }] };
+  }
+  try {
+    return { contents: JSON.parse(container.textContent), issues: [] };
+  } catch (error) {
+    return {
+      issues: [
+        { path: '$.textTextarea', message: `contains malformed slide JSON (${error.message})` }
+      ]
+    };
+  }
+}
+
+// Rubrics store their criteria as a table in htmlView: one header row of levels and one
+// row per criterion with a label cell and a descriptor for every level.
+function checkRubricTable(html) {
+  const table = new DOMParser().parseFromString(html || '', 'text/html').querySelector('table');
+  if (!table) {
+    return [{ path: 'htmlView', message: 'has no rubric table' }];
+  }
+  const levels = table.querySelectorAll('thead th').length - 1;
+  const rows = Array.from(table.querySelectorAll('tbody tr'));
+  const issues = [];
+  if (levels < 1) {
+    issues.push({ path: 'htmlView', message: 'rubric table has no level columns' });
+  }
+  if (!rows.length) {
+    issues.push({ path: 'htmlView', message: 'rubric table has no criteria' });
+  }
+  rows.forEach((row, index) => {
+    const label = row.querySelector('th');
+    if (!label || !label.textContent.trim()) {
+      issues.push({ path: `htmlView.criteria[${index}]`, message: 'has no criterion name' });
+    }
+    const cells = row.querySelectorAll('td').length;
+    if (levels > 0 && cells !== levels) {
+      issues.push({
+        path: `htmlView.criteria[${index}]`,
+        message: `has ${cells} descriptor${cells === 1 ? '' : 's'} for ${levels} levels`
+      });
+    }
+  });
+  return issues;
+}
+
+export const BUILTIN_IDEVICE_SCHEMAS = [
+  {
+    type: 'form',
+    description: 'Form questions with a known activity type.',
+    shape: {
+      type: 'object',
+      required: {
+        questionsData: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: { activityType: { type: 'string', enum: FORM_ACTIVITY_TYPES } },
+            optional: { baseText: { type: 'string' }, answers: { type: 'array' } }
+          }
+        }
+      }
+    }
+  },
+  {
+    type: 'scrambled-list',
+    description: 'At least two non-empty list items to shuffle.',
+    shape: {
+      type: 'object',
+      required: {
+        options: { type: 'array', minItems: 2, items: { type: 'string', nonEmpty: true } }
+      },
+      optional: { instructions: { type: 'string' } }
+    }
+  },
+  {
+    type: 'rubric',
+    description: 'Every criterion has a name and one descriptor per level.',
+    requiresPayload: false,
+    validate: (data, { html }) => checkRubricTable(html)
+  },
+  {
+    type: 'interactive-video',
+    description: 'Slides with a type and a non-negative start time.',
+    shape: { type: 'object', required: { textTextarea: { type: 'string' } } },
+    validate: (data) => {
+      const { contents, issues } = readInteractiveVideoSlides(data);
+      return contents ? checkShape(contents.slides, INTERACTIVE_VIDEO_SLIDES, '$.slides') : issues;
+    }
+  }
+];
+
+export class IdeviceSchemaRegistry {
+  constructor(schemas = []) {
+    this.schemas = new Map();
+    schemas.forEach((schema) => this.register(schema));
+  }
+
+  register(schema) {
+    if (!schema || typeof schema.type !== 'string' || !schema.type.trim()) {
+      throw new Error('An iDevice schema needs a non-empty type.');
+    }
+    if (!schema.shape && typeof schema.validate !== 'function') {
+      throw new Error(`iDevice schema "${schema.type}" needs a shape or a validate function.`);
+    }
+    const definition = {
+      description: '',
+      requiresPayload: true,
+      ...schema,
+      type: schema.type.trim()
+    };
+    this.schemas.set(definition.type, definition);
+    return definition;
+  }
+
+  unregister(type) {
+    return this.schemas.delete(type);
+  }
+
+  get(type) {
+    return this.schemas.get(type) || null;
+  }
+
+  list() {
+    return Array.from(this.schemas.values());
+  }
+}
+
+export function createDefaultSchemaRegistry(extraSchemas = []) {
+  return new IdeviceSchemaRegistry([...BUILTIN_IDEVICE_SCHEMAS, ...extraSchemas]);
+}
+
+function readText(node, tagName) {
+  const match = node.getElementsByTagName(tagName)[0];
+  return match ? match.textContent || '' : '';
+}
+
+// Empty payloads are normal (rubric and download-source-file keep theirs in htmlView), so only
+// non-blank jsonProperties are parsed. Types without a schema get the syntax check only.
+export function validateIdevicePayloads(xmlDoc, registry = createDefaultSchemaRegistry()) {
+  const result = { malformed: [], invalid: [] };
+  if (!xmlDoc) {
+    return result;
+  }
+  listComponents(xmlDoc).forEach(({ node, ...component }) => {
+    const location = {
+      pageId: component.pageId,
+      pageName: component.pageName,
+      blockId: component.blockId,
+      ideviceId: component.ideviceId,
+      ideviceType: component.ideviceType
+    };
+    const text = readText(node, 'jsonProperties').trim();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        result.malformed.push({ location, error: error.message });
+        return;
+      }
+    }
+    const schema = registry.get(component.ideviceType);
+    if (!schema || (data === null && schema.requiresPayload)) {
+      return;
+    }
+    const issues = [];
+    if (schema.shape && data !== null) {
+      issues.push(...checkShape(data, schema.shape));
+    }
+    if (schema.validate && !issues.length) {
+      issues.push(...(schema.validate(data || {}, { html: readText(node, 'htmlView') }) || []));
+    }
+    if (issues.length) {
+      result.invalid.push({ location, issues });
+    }
+  });
+  return result;
+}
+
+function getPayloadReport(context) {
+  if (!contextCache.has(context)) {
+    contextCache.set(context, validateIdevicePayloads(context.xmlDoc, context.schemaRegistry));
+  }
+  return contextCache.get(context);
+}
+
+export const IDEVICE_RULES = [
+  {
+    id: 'idevices.json-syntax',
+    severity: 'error',
+    category: 'idevices',
+    description: 'iDevice jsonProperties must be valid JSON.',
+    check: (context) =>
+      getPayloadReport(context).malformed.map(({ location, error }) => ({
+        message: `The ${location.ideviceType || 'iDevice'} iDevice ${location.ideviceId} has malformed jsonProperties (${error}).`,
+        location,
+        details: { error }
+      }))
+  },
+  {
+    id: 'idevices.json-schema',
+    severity: 'warning',
+    category: 'idevices',
+    description: 'Known iDevice types must match the shape eXeLearning expects.',
+    check: (context) =>
+      getPayloadReport(context).invalid.map(({ location, issues }) => ({
+        message: `The ${location.ideviceType} iDevice ${location.ideviceId} does not match its expected shape: ${issues
+          .slice(0, 3)
+          .map((issue) => `${issue.path} ${issue.message}`)
+          .join('; ')}${issues.length > 3 ? '; …' : ''}.`,
+        location,
+        details: { issues }
+      }))
+  }
+];
+
+export default {
+  BUILTIN_IDEVICE_SCHEMAS,
+  IDEVICE_RULES,
+  IdeviceSchemaRegistry,
+  createDefaultSchemaRegistry,
+  checkShape,
+  validateIdevicePayloads
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUILTIN_IDEVICE_SCHEMAS,
+    IDEVICE_RULES,
+    IdeviceSchemaRegistry,
+    createDefaultSchemaRegistry,
+    checkShape,
+    validateIdevicePayloads
+  };
+}
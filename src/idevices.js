@@ -0,0 +1,72 @@
+import { listComponents } from './validator.js';
+
+const IDEVICE_FOLDER_PATTERN = /^idevices\/([^/]+)\/./;
+
+function collectBundles(fileList) {
+  const bundles = new Map();
+  fileList.forEach((file) => {
+    const match = IDEVICE_FOLDER_PATTERN.exec(file.path || '');
+    if (!match) {
+      return;
+    }
+    const bundle = bundles.get(match[1]) || { files: 0, size: 0 };
+    bundle.files += 1;
+    bundle.size += file.size ?? 0;
+    bundles.set(match[1], bundle);
+  });
+  return bundles;
+}
+
+export function collectIdeviceStats({ xmlDoc, fileList = [] } = {}) {
+  const components = xmlDoc ? listComponents(xmlDoc) : [];
+  const bundles = collectBundles(fileList);
+  const types = new Map();
+
+  components.forEach((component) => {
+    const type = component.ideviceType || 'unknown';
+    if (!types.has(type)) {
+      types.set(type, { type, count: 0, pages: new Map() });
+    }
+    const entry = types.get(type);
+    entry.count += 1;
+    const page = entry.pages.get(component.pageId) || {
+      pageId: component.pageId,
+      pageName: component.pageName || component.pageId,
+      count: 0
+    };
+    page.count += 1;
+    entry.pages.set(component.pageId, page);
+  });
+
+  const usedTypes = Array.from(types.values())
+    .map((entry) => {
+      const bundle = bundles.get(entry.type);
+      return {
+        type: entry.type,
+        count: entry.count,
+        pages: Array.from(entry.pages.values()),
+        bundled: Boolean(bundle),
+        files: bundle?.files ?? 0,
+        size: bundle?.size ?? 0
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+
+  const unusedBundles = Array.from(bundles.entries())
+    .filter(([type]) => !types.has(type))
+    .map(([type, bundle]) => ({ type, ...bundle }))
+    .sort((a, b) => b.size - a.size || a.type.localeCompare(b.type));
+
+  return {
+    total: components.length,
+    types: usedTypes,
+    unusedBundles,
+    bundleSize: Array.from(bundles.values()).reduce((total, bundle) => total + bundle.size, 0)
+  };
+}
+
+export default { collectIdeviceStats };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { collectIdeviceStats };
+}
@@ -0,0 +1,56 @@
+import { escapeHtml } from './viewer-utils.js';
+import { indent } from './xml-utils.js';
+
+// Shared by the SCORM and Common Cartridge exporters, which both write an IMS Content Packaging
+// manifest.
+export const IMS_MANIFEST_PATH = 'imsmanifest.xml';
+
+// Manifest identifiers are XML IDs, so they cannot start with a digit the way eXeLearning page
+// ids do; a prefix keeps them valid and readable.
+export function toManifestIdentifier(prefix, value) {
+  return `${prefix}-${String(value || '').replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+}
+
+// Mirrors the page tree as <item> elements pointing at "RES-<page id>" resources. SCORM 2004 and
+// Common Cartridge do not allow an item with children to launch content, so a page with subpages
+// becomes a container whose first child launches the page itself; SCORM 1.2 keeps it on the item.
+export function renderManifestItems(
+  pages,
+  pageFiles,
+  { parentItemsLaunch = false, itemAttributes = '' } = {}
+) {
+  const lines = [];
+  pages.forEach((page) => {
+    const path = pageFiles.get(page.id);
+    const children = renderManifestItems(page.children || [], pageFiles, {
+      parentItemsLaunch,
+      itemAttributes
+    });
+    if (!path && !children.length) {
+      return;
+    }
+    const identifier = toManifestIdentifier('ITEM', page.id);
+    const title = `<title>${escapeHtml(page.title)}</title>`;
+    const ref = ` identifierref="${toManifestIdentifier('RES', page.id)}"`;
+    if (!children.length || (path && parentItemsLaunch)) {
+      lines.push(`<item identifier="${identifier}"${ref}${itemAttributes}>`, `  ${title}`);
+    } else {
+      lines.push(`<item identifier="${identifier}"${itemAttributes}>`, `  ${title}`);
+      if (path) {
+        lines.push(
+          `  <item identifier="${identifier}-PAGE"${ref}${itemAttributes}>`,
+          `    ${title}`,
+          '  </item>'
+        );
+      }
+    }
+    lines.push(...indent(children, 1), '</item>');
+  });
+  return lines;
+}
+
+export default { IMS_MANIFEST_PATH, toManifestIdentifier, renderManifestItems };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IMS_MANIFEST_PATH, toManifestIdentifier, renderManifestItems };
+}
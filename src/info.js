@@ -4,6 +4,13 @@ import {
   normalizeLegacyMetadata,
   parseContentXml
 } from './validator.js';
+import { CATALOG_FORMATS, serializeCatalogRecord } from './catalog.js';
+import { METADATA_FIELDS, getToggleFields } from './metadata-editor.js';
+import { DEFAULT_OPTIMIZE_OPTIONS } from './optimize.js';
+import { REPORT_FORMATS } from './report.js';
+import { SCORM_VERSIONS } from './scorm.js';
+import { TEXT_FORMATS } from './markdown.js';
+import { formatBytes } from './viewer-utils.js';
 
 const PRIMARY_PROPERTY_KEYS = new Set([
   'pp_title',
@@ -17,23 +24,6 @@ const PRIMARY_PROPERTY_KEYS = new Set([
 ]);
 const PRIMARY_RESOURCE_KEYS = new Set(['odeVersionName', 'odeId', 'odeVersionId']);
 
-function formatBytes(bytes) {
-  if (!Number.isFinite(bytes)) return '—';
-  const thresh = 1024;
-  if (Math.abs(bytes) < thresh) {
-    return `${bytes} B`;
-  }
-  const units = ['KB', 'MB', 'GB', 'TB'];
-  let unitIndex = -1;
-  let value = bytes;
-  do {
-    value /= thresh;
-    unitIndex += 1;
-  } while (Math.abs(value) >= thresh && unitIndex < units.length - 1);
-  const precision = value < 10 ? 2 : value < 100 ? 1 : 0;
-  return `${value.toFixed(precision)} ${units[unitIndex]}`;
-}
-
 function createDefinitionList(entries) {
   const dl = document.createElement('dl');
   dl.className = 'row row-cols-1 row-cols-md-2 gy-2 text-break';
@@ -112,29 +102,119 @@ function createKeyValueList(entries) {
   return list;
 }
 
-function createMessagesList(messages = []) {
+function createLevelBadge(level) {
+  const badge = document.createElement('span');
+  badge.className = `badge rounded-pill text-bg-${level === 'error' ? 'danger' : level === 'warning' ? 'warning' : 'secondary'}`;
+  badge.textContent = level === 'error' ? 'Error' : level === 'warning' ? 'Warning' : 'Info';
+  return badge;
+}
+
+function describeLocation(location) {
+  const parts = [];
+  if (location.ideviceType || location.ideviceId) {
+    parts.push(
+      `iDevice ${location.ideviceType || ''}${location.ideviceId ? ` (${location.ideviceId})` : ''}`.trim()
+    );
+  }
+  if (location.blockId) {
+    parts.push(`block ${location.blockId}`);
+  }
+  return parts.join(' • ');
+}
+
+function groupMessagesByPage(messages) {
+  const general = [];
+  const groups = new Map();
+  messages.forEach((message) => {
+    const location = message.location;
+    const key = location ? location.pageId || location.pageName : '';
+    if (!key) {
+      general.push(message);
+      return;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, {
+        pageId: location.pageId || '',
+        pageName: location.pageName || location.pageId,
+        messages: []
+      });
+    }
+    groups.get(key).messages.push(message);
+  });
+  return { general, groups: Array.from(groups.values()) };
+}
+
+function createPageGroup(group, onPageLink) {
+  const item = document.createElement('li');
+  item.className = 'list-group-item';
+
+  const header = document.createElement('div');
+  header.className = 'd-flex flex-wrap align-items-center gap-2';
+  const title = document.createElement('span');
+  title.className = 'fw-semibold';
+  title.textContent = group.pageName || '(untitled page)';
+  const count = document.createElement('span');
+  count.className = 'badge rounded-pill text-bg-secondary';
+  count.textContent = `${group.messages.length} issue${group.messages.length === 1 ? '' : 's'}`;
+  header.append(title, count);
+  if (onPageLink && group.pageId) {
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'btn btn-link btn-sm p-0 ms-auto';
+    link.textContent = 'Jump to page in preview';
+    link.addEventListener('click', () => onPageLink(group.pageId));
+    header.appendChild(link);
+  }
+  item.appendChild(header);
+
+  const list = document.createElement('ul');
+  list.className = 'list-unstyled small mb-0 mt-2';
+  group.messages.forEach((message) => {
+    const entry = document.createElement('li');
+    entry.className = 'd-flex align-items-start gap-2 mb-1';
+    const text = document.createElement('span');
+    text.className = 'flex-grow-1';
+    text.textContent = message.text;
+    const where = describeLocation(message.location);
+    if (where) {
+      const detail = document.createElement('span');
+      detail.className = 'd-block text-muted';
+      detail.textContent = where;
+      text.appendChild(detail);
+    }
+    entry.append(createLevelBadge(message.level), text);
+    list.appendChild(entry);
+  });
+  item.appendChild(list);
+  return item;
+}
+
+function createMessagesList(messages = [], { onPageLink } = {}) {
   if (!messages.length) {
     return null;
   }
+  const { general, groups } = groupMessagesByPage(messages);
   const list = document.createElement('ul');
   list.className = 'list-group list-group-flush';
-  messages.forEach((message) => {
+  general.forEach((message) => {
     const item = document.createElement('li');
     item.className = 'list-group-item d-flex align-items-start gap-3';
-    const badge = document.createElement('span');
-    badge.className = `badge rounded-pill text-bg-${message.level === 'error' ? 'danger' : message.level === 'warning' ? 'warning' : 'secondary'}`;
-    badge.textContent =
-      message.level === 'error' ? 'Error' : message.level === 'warning' ? 'Warning' : 'Info';
     const text = document.createElement('p');
     text.className = 'mb-0 flex-grow-1';
     text.textContent = message.text;
-    item.append(badge, text);
+    item.append(createLevelBadge(message.level), text);
     list.appendChild(item);
   });
+  groups.forEach((group) => list.appendChild(createPageGroup(group, onPageLink)));
   return list;
 }
 
-function createInventorySection(fileList = [], summary = {}) {
+function createInventorySection(
+  fileList = [],
+  summary = {},
+  usage = null,
+  { keptPaths = new Set(), onKeepChange = () => {} } = {}
+) {
   const container = document.createElement('section');
   container.className = 'mt-4';
 
@@ -158,8 +238,69 @@ function createInventorySection(fileList = [], summary = {}) {
   downloadButton.id = 'downloadInventoryButton';
   downloadButton.textContent = 'Download JSON';
   actions.append(downloadButton);
+  let cleanButton = null;
+  if (usage?.unused.length) {
+    cleanButton = document.createElement('button');
+    cleanButton.type = 'button';
+    cleanButton.className = 'btn btn-sm btn-outline-warning';
+    cleanButton.id = 'downloadCleanedButton';
+    actions.append(cleanButton);
+  }
   container.appendChild(actions);
 
+  const unusedPaths = new Set(usage ? usage.unused.map((file) => file.path) : []);
+  if (usage) {
+    const note = document.createElement('p');
+    note.className = `small mt-3 mb-0 ${unusedPaths.size ? 'text-warning-emphasis' : 'text-muted'}`;
+    note.textContent = unusedPaths.size
+      ? `${unusedPaths.size} of ${usage.candidates} files under content/resources/ are not referenced by any page. Removing them would save ${formatBytes(usage.unusedBytes)}.`
+      : `All ${usage.candidates} files under content/resources/ are referenced.`;
+    container.appendChild(note);
+  }
+
+  // Scripts can build resource paths at run time, so the user confirms every file that is left out.
+  const cleanSelection = [];
+  if (cleanButton) {
+    const review = document.createElement('details');
+    review.className = 'mt-2';
+    review.open = true;
+    const reviewSummary = document.createElement('summary');
+    reviewSummary.className = 'small';
+    reviewSummary.textContent = 'Files the cleaned archive leaves out';
+    const hint = document.createElement('p');
+    hint.className = 'small text-muted mt-2 mb-1';
+    hint.textContent =
+      'A file counts as unused when no page, stylesheet or script mentions its path. Untick any file the package still needs.';
+    review.append(reviewSummary, hint);
+    usage.unused.forEach((file, index) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'form-check';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'form-check-input';
+      input.id = `cleanFile${index}`;
+      input.value = file.path;
+      input.checked = !keptPaths.has(file.path);
+      input.addEventListener('change', () => onKeepChange(file.path, !input.checked));
+      const label = document.createElement('label');
+      label.className = 'form-check-label small text-break';
+      label.htmlFor = input.id;
+      label.textContent = `${file.path} (${formatBytes(file.size)})`;
+      wrapper.append(input, label);
+      review.appendChild(wrapper);
+      cleanSelection.push(input);
+    });
+    container.appendChild(review);
+
+    const updateCleanButton = () => {
+      const count = cleanSelection.filter((input) => input.checked).length;
+      cleanButton.textContent = `Download without ${count} file${count === 1 ? '' : 's'}`;
+      cleanButton.disabled = count === 0;
+    };
+    review.addEventListener('change', updateCleanButton);
+    updateCleanButton();
+  }
+
   const details = document.createElement('details');
   details.className = 'mt-3';
   const summaryEl = document.createElement('summary');
@@ -181,6 +322,12 @@ function createInventorySection(fileList = [], summary = {}) {
     const row = document.createElement('tr');
     const pathCell = document.createElement('td');
     pathCell.textContent = entry.path;
+    if (unusedPaths.has(entry.path)) {
+      const badge = document.createElement('span');
+      badge.className = 'badge text-bg-warning ms-2';
+      badge.textContent = 'Unused';
+      pathCell.appendChild(badge);
+    }
     const sizeCell = document.createElement('td');
     sizeCell.textContent = formatBytes(entry.size ?? 0);
     const mimeCell = document.createElement('td');
@@ -202,13 +349,690 @@ function createInventorySection(fileList = [], summary = {}) {
   details.appendChild(tableWrapper);
   container.appendChild(details);
 
-  return { container, downloadButton };
+  return {
+    container,
+    downloadButton,
+    cleanButton,
+    readCleanPaths: () =>
+      cleanSelection.filter((input) => input.checked).map((input) => input.value)
+  };
+}
+
+function isFlagSet(properties, key) {
+  return properties[key] === 'true';
+}
+
+function createFlagBadge(text, className) {
+  const badge = document.createElement('span');
+  badge.className = `badge ${className} me-1`;
+  badge.textContent = text;
+  return badge;
+}
+
+function createStructurePropertiesSection(pages = []) {
+  const blocks = pages.flatMap((page) => page.blocks);
+  if (!blocks.length) {
+    return null;
+  }
+  const hiddenBlocks = blocks.filter((block) => block.properties.visibility === 'false').length;
+  const teacherBlocks = blocks.filter((block) => isFlagSet(block.properties, 'teacherOnly')).length;
+
+  const container = document.createElement('section');
+  container.className = 'mb-4';
+  const heading = document.createElement('h2');
+  heading.className = 'h5';
+  heading.textContent = 'Page and block properties';
+  container.appendChild(heading);
+
+  const meta = document.createElement('p');
+  meta.className = `small mb-0 ${hiddenBlocks || teacherBlocks ? 'text-warning-emphasis' : 'text-muted'}`;
+  meta.textContent = `${blocks.length} block${blocks.length === 1 ? '' : 's'} on ${pages.length} page${pages.length === 1 ? '' : 's'} • ${hiddenBlocks} hidden • ${teacherBlocks} teacher-only`;
+  container.appendChild(meta);
+
+  const details = document.createElement('details');
+  details.className = 'mt-3';
+  // Open by default when something is hidden from students, which is what reviewers look for.
+  details.open = hiddenBlocks + teacherBlocks > 0;
+  const summaryEl = document.createElement('summary');
+  summaryEl.textContent = 'Show block flags per page';
+  details.appendChild(summaryEl);
+
+  const tableWrapper = document.createElement('div');
+  tableWrapper.className = 'table-responsive mt-3';
+  const table = document.createElement('table');
+  table.className = 'table table-sm align-middle mb-0';
+  const thead = document.createElement('thead');
+  thead.innerHTML =
+    '<tr><th scope="col">Block</th><th scope="col">iDevices</th><th scope="col">Flags</th><th scope="col">CSS class</th></tr>';
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+
+  pages.forEach((page) => {
+    const pageRow = document.createElement('tr');
+    pageRow.className = 'table-light';
+    const pageCell = document.createElement('th');
+    pageCell.scope = 'rowgroup';
+    pageCell.colSpan = 4;
+    pageCell.textContent = page.pageName || page.pageId;
+    const { titlePage, visibility } = page.properties;
+    if (titlePage && titlePage !== page.pageName) {
+      const title = document.createElement('span');
+      title.className = 'fw-normal text-muted ms-2';
+      title.textContent = `(title: ${titlePage})`;
+      pageCell.appendChild(title);
+    }
+    if (visibility === 'false') {
+      pageCell.append(' ', createFlagBadge('Hidden page', 'text-bg-warning'));
+    }
+    pageRow.appendChild(pageCell);
+    tbody.appendChild(pageRow);
+
+    page.blocks.forEach((block, index) => {
+      const row = document.createElement('tr');
+      const hidden = block.properties.visibility === 'false';
+      const teacherOnly = isFlagSet(block.properties, 'teacherOnly');
+      if (hidden || teacherOnly) {
+        row.className = 'table-warning';
+      }
+      const nameCell = document.createElement('td');
+      nameCell.textContent = block.blockName || `Block ${index + 1}`;
+      const countCell = document.createElement('td');
+      countCell.textContent = String(block.components);
+      const flagsCell = document.createElement('td');
+      if (hidden) {
+        flagsCell.appendChild(createFlagBadge('Hidden', 'text-bg-warning'));
+      }
+      if (teacherOnly) {
+        flagsCell.appendChild(createFlagBadge('Teacher only', 'text-bg-info'));
+      }
+      if (isFlagSet(block.properties, 'minimized')) {
+        flagsCell.appendChild(createFlagBadge('Minimized', 'text-bg-secondary'));
+      }
+      if (!flagsCell.childNodes.length) {
+        flagsCell.textContent = '—';
+      }
+      const cssCell = document.createElement('td');
+      if (block.properties.cssClass) {
+        const code = document.createElement('code');
+        code.textContent = block.properties.cssClass;
+        cssCell.appendChild(code);
+      } else {
+        cssCell.textContent = '—';
+      }
+      row.append(nameCell, countCell, flagsCell, cssCell);
+      tbody.appendChild(row);
+    });
+  });
+
+  table.appendChild(tbody);
+  tableWrapper.appendChild(table);
+  details.appendChild(tableWrapper);
+  container.appendChild(details);
+  return container;
+}
+
+function describeIdevicePages(pages) {
+  return pages
+    .map((page) => (page.count > 1 ? `${page.pageName} (${page.count})` : page.pageName))
+    .join(', ');
+}
+
+function createIdeviceSection(stats) {
+  if (!stats || (!stats.total && !stats.unusedBundles.length)) {
+    return null;
+  }
+  const container = document.createElement('section');
+  container.className = 'mb-4';
+  const heading = document.createElement('h2');
+  heading.className = 'h5';
+  heading.textContent = 'iDevices';
+  container.appendChild(heading);
+
+  const meta = document.createElement('p');
+  meta.className = 'text-muted small mb-3';
+  meta.textContent = `${stats.total} iDevice${stats.total === 1 ? '' : 's'} of ${stats.types.length} type${stats.types.length === 1 ? '' : 's'} • ${formatBytes(stats.bundleSize)} in idevices/`;
+  container.appendChild(meta);
+
+  const tableWrapper = document.createElement('div');
+  tableWrapper.className = 'table-responsive';
+  const table = document.createElement('table');
+  table.className = 'table table-sm table-striped align-middle mb-0';
+  const thead = document.createElement('thead');
+  thead.innerHTML =
+    '<tr><th scope="col">Type</th><th scope="col">Uses</th><th scope="col">Pages</th><th scope="col">Bundle size</th></tr>';
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  stats.types.forEach((entry) => {
+    const row = document.createElement('tr');
+    const typeCell = document.createElement('td');
+    const code = document.createElement('code');
+    code.textContent = entry.type;
+    typeCell.appendChild(code);
+    const countCell = document.createElement('td');
+    countCell.textContent = String(entry.count);
+    const pagesCell = document.createElement('td');
+    pagesCell.className = 'small text-break';
+    pagesCell.textContent = describeIdevicePages(entry.pages);
+    const sizeCell = document.createElement('td');
+    sizeCell.textContent = entry.bundled
+      ? `${formatBytes(entry.size)} (${entry.files} file${entry.files === 1 ? '' : 's'})`
+      : '—';
+    row.append(typeCell, countCell, pagesCell, sizeCell);
+    tbody.appendChild(row);
+  });
+  stats.unusedBundles.forEach((bundle) => {
+    const row = document.createElement('tr');
+    row.className = 'table-warning';
+    const typeCell = document.createElement('td');
+    const code = document.createElement('code');
+    code.textContent = bundle.type;
+    typeCell.append(code, ' ', createFlagBadge('Bundled but unused', 'text-bg-warning'));
+    const countCell = document.createElement('td');
+    countCell.textContent = '0';
+    const pagesCell = document.createElement('td');
+    pagesCell.textContent = '—';
+    const sizeCell = document.createElement('td');
+    sizeCell.textContent = `${formatBytes(bundle.size)} (${bundle.files} file${bundle.files === 1 ? '' : 's'})`;
+    row.append(typeCell, countCell, pagesCell, sizeCell);
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  tableWrapper.appendChild(table);
+  container.appendChild(tableWrapper);
+
+  if (stats.unusedBundles.length) {
+    const note = document.createElement('p');
+    note.className = 'small text-warning-emphasis mt-2 mb-0';
+    const size = stats.unusedBundles.reduce((total, bundle) => total + bundle.size, 0);
+    note.textContent = `${stats.unusedBundles.length} bundled iDevice type${stats.unusedBundles.length === 1 ? ' is' : 's are'} not used by any page (${formatBytes(size)}).`;
+    container.appendChild(note);
+  }
+  return container;
+}
+
+function createCatalogSection(record) {
+  const container = document.createElement('section');
+  container.className = 'mb-4';
+  const heading = document.createElement('h2');
+  heading.className = 'h5';
+  heading.textContent = 'Catalogue record';
+  container.appendChild(heading);
+
+  const description = document.createElement('p');
+  description.className = 'text-muted small';
+  description.textContent =
+    'Learning object metadata built from the package properties, page count and file inventory, ready for LOM-ES or Dublin Core repositories.';
+  container.appendChild(description);
+
+  const controls = document.createElement('div');
+  controls.className = 'd-flex flex-wrap gap-2 align-items-center';
+  const select = document.createElement('select');
+  select.className = 'form-select form-select-sm w-auto';
+  select.id = 'catalogFormat';
+  select.setAttribute('aria-label', 'Catalogue record format');
+  Object.entries(CATALOG_FORMATS).forEach(([format, definition]) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = definition.label;
+    select.appendChild(option);
+  });
+  const downloadButton = document.createElement('button');
+  downloadButton.type = 'button';
+  downloadButton.className = 'btn btn-sm btn-outline-secondary';
+  downloadButton.textContent = 'Download record';
+  controls.append(select, downloadButton);
+  container.appendChild(controls);
+
+  const details = document.createElement('details');
+  details.className = 'mt-3';
+  const summaryEl = document.createElement('summary');
+  summaryEl.textContent = 'Preview record';
+  const preview = document.createElement('pre');
+  preview.className = 'small bg-body-tertiary border rounded p-2 mt-2 mb-0';
+  preview.style.maxHeight = '320px';
+  const updatePreview = () => {
+    preview.textContent = serializeCatalogRecord(record, select.value);
+  };
+  updatePreview();
+  select.addEventListener('change', updatePreview);
+  details.append(summaryEl, preview);
+  container.appendChild(details);
+
+  return { container, downloadButton, readFormat: () => select.value };
+}
+
+// Each target renders one row in the Export section; `choices` become a select whose value is
+// passed to the export handler as `options[name]`.
+const EXPORT_TARGETS = [
+  {
+    format: 'scorm',
+    label: 'SCORM',
+    description:
+      'One SCO per page with an organisation that mirrors the page tree, for Moodle and other LMSs.',
+    action: 'Export as SCORM',
+    choices: {
+      name: 'version',
+      label: 'SCORM version',
+      values: Object.entries(SCORM_VERSIONS).map(([value, definition]) => [value, definition.label])
+    }
+  },
+  {
+    format: 'cc',
+    label: 'IMS Common Cartridge',
+    description:
+      'IMS Common Cartridge 1.3 with one web content resource per page and LOM metadata from the package properties.',
+    action: 'Export as Common Cartridge'
+  },
+  {
+    format: 'offline',
+    label: 'Offline HTML',
+    description:
+      'Every page and asset in one HTML file that opens in any browser, for sharing by email.',
+    action: 'Export as single HTML file'
+  },
+  {
+    format: 'epub',
+    label: 'EPUB',
+    description:
+      'An EPUB 3 book for e-readers with one chapter per page, built from the text and images in content.xml.',
+    action: 'Export as EPUB'
+  },
+  {
+    format: 'text',
+    label: 'Markdown / text',
+    description:
+      'A zip with one file per page, with id, title and order front-matter, plus a combined file for translators and proofreaders.',
+    action: 'Export text',
+    choices: {
+      name: 'textFormat',
+      label: 'Text format',
+      values: Object.entries(TEXT_FORMATS).map(([value, definition]) => [value, definition.label])
+    }
+  },
+  {
+    format: 'xliff',
+    label: 'XLIFF',
+    description:
+      'An XLIFF 2.0 file with the page and block titles and iDevice text, keyed by their ids, for translation tools.',
+    action: 'Export for translation'
+  }
+];
+
+function createExportSection(exporting = {}) {
+  const container = document.createElement('section');
+  container.className = 'mb-4';
+  const heading = document.createElement('h2');
+  heading.className = 'h5';
+  heading.textContent = 'Export';
+  container.appendChild(heading);
+
+  const description = document.createElement('p');
+  description.className = 'text-muted small';
+  description.textContent =
+    'Repackages the loaded site for other platforms. The original file is left untouched.';
+  container.appendChild(description);
+
+  const running = exporting.status === 'running';
+  const controls = EXPORT_TARGETS.map((target) => {
+    const row = document.createElement('div');
+    row.className = 'd-flex flex-wrap gap-2 align-items-center mb-2';
+    row.dataset.exportFormat = target.format;
+    const name = document.createElement('span');
+    name.className = 'small fw-semibold';
+    name.textContent = target.label;
+    row.appendChild(name);
+    let select = null;
+    if (target.choices) {
+      select = document.createElement('select');
+      select.className = 'form-select form-select-sm w-auto';
+      select.id = `export-${target.format}-${target.choices.name}`;
+      select.setAttribute('aria-label', target.choices.label);
+      target.choices.values.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      if (exporting.format === target.format && exporting.options?.[target.choices.name]) {
+        select.value = exporting.options[target.choices.name];
+      }
+      row.appendChild(select);
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm btn-outline-secondary';
+    button.textContent =
+      running && exporting.format === target.format ? 'Exporting…' : target.action;
+    button.disabled = running;
+    const hint = document.createElement('span');
+    hint.className = 'small text-muted';
+    hint.textContent = target.description;
+    row.append(button, hint);
+    container.appendChild(row);
+    return {
+      format: target.format,
+      button,
+      readOptions: () => (select ? { [target.choices.name]: select.value } : {})
+    };
+  });
+
+  if (exporting.status === 'error') {
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-danger small mt-2 mb-0';
+    alert.role = 'alert';
+    alert.textContent = exporting.error || 'The package could not be exported.';
+    container.appendChild(alert);
+  } else if (exporting.status === 'done' && exporting.message) {
+    const note = document.createElement('p');
+    note.className = 'small text-success mt-2 mb-0';
+    note.textContent = exporting.message;
+    container.appendChild(note);
+  }
+
+  return { container, controls };
+}
+
+function createTranslationSection(translation = {}) {
+  const container = document.createElement('section');
+  container.className = 'mb-4';
+  const heading = document.createElement('h2');
+  heading.className = 'h5';
+  heading.textContent = 'Import translation';
+  container.appendChild(heading);
+
+  const description = document.createElement('p');
+  description.className = 'text-muted small';
+  description.textContent =
+    'Writes a translated XLIFF 2.0 file back into content.xml, sets the package language and downloads a new .elpx. Open it in eXeLearning and export it again to rebuild the pages.';
+  container.appendChild(description);
+
+  const form = document.createElement('form');
+  form.className = 'row g-2 align-items-end';
+  const fileWrapper = document.createElement('div');
+  fileWrapper.className = 'col-md-6';
+  const fileLabel = document.createElement('label');
+  fileLabel.className = 'form-label small mb-1';
+  fileLabel.htmlFor = 'translationFile';
+  fileLabel.textContent = 'Translated XLIFF file';
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.className = 'form-control form-control-sm';
+  fileInput.id = 'translationFile';
+  fileInput.accept = '.xlf,.xliff,.xml';
+  fileInput.required = true;
+  fileWrapper.append(fileLabel, fileInput);
+
+  const languageWrapper = document.createElement('div');
+  languageWrapper.className = 'col-md-3';
+  const languageLabel = document.createElement('label');
+  languageLabel.className = 'form-label small mb-1';
+  languageLabel.htmlFor = 'translationLanguage';
+  languageLabel.textContent = 'Language';
+  const languageInput = document.createElement('input');
+  languageInput.type = 'text';
+  languageInput.className = 'form-control form-control-sm';
+  languageInput.id = 'translationLanguage';
+  languageInput.placeholder = 'From trgLang';
+  languageInput.value = translation.options?.language || '';
+  languageWrapper.append(languageLabel, languageInput);
+
+  const actions = document.createElement('div');
+  actions.className = 'col-md-3';
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'btn btn-sm btn-outline-secondary';
+  submit.textContent =
+    translation.status === 'running' ? 'Importing…' : 'Import and download .elpx';
+  submit.disabled = translation.status === 'running';
+  actions.appendChild(submit);
+  form.append(fileWrapper, languageWrapper, actions);
+  container.appendChild(form);
+
+  if (translation.status === 'error') {
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-danger small mt-2 mb-0';
+    alert.role = 'alert';
+    alert.textContent = translation.error || 'The translation could not be imported.';
+    container.appendChild(alert);
+  } else if (translation.status === 'done' && translation.message) {
+    const note = document.createElement('p');
+    note.className = 'small text-success mt-2 mb-0';
+    note.textContent = translation.message;
+    container.appendChild(note);
+  }
+
+  return {
+    container,
+    form,
+    readInput: () => ({
+      file: fileInput.files?.[0] || null,
+      options: { language: languageInput.value.trim() }
+    })
+  };
+}
+
+function createNumberField(id, label, value, attributes) {
+  const wrapper = document.createElement('div');
+  const labelEl = document.createElement('label');
+  labelEl.className = 'form-label small mb-1';
+  labelEl.htmlFor = id;
+  labelEl.textContent = label;
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'form-control form-control-sm';
+  input.id = id;
+  input.value = String(value);
+  Object.entries(attributes).forEach(([name, attributeValue]) => {
+    input.setAttribute(name, attributeValue);
+  });
+  wrapper.append(labelEl, input);
+  return { wrapper, input };
+}
+
+function createOptimizeSection(optimization = {}, archiveSize = 0) {
+  const container = document.createElement('section');
+  container.className = 'mt-4';
+
+  const heading = document.createElement('h2');
+  heading.className = 'h5';
+  heading.textContent = 'Optimise package';
+  container.appendChild(heading);
+
+  const description = document.createElement('p');
+  description.className = 'text-muted small';
+  description.textContent = `Re-encodes images under content/resources/ larger than ${formatBytes(DEFAULT_OPTIMIZE_OPTIONS.minBytes)}, drops the unused files ticked in the file list and downloads a new .elpx. Images a script mentions are left unchanged.`;
+  container.appendChild(description);
+
+  const form = document.createElement('form');
+  form.className = 'd-flex flex-wrap align-items-end gap-3';
+  const dimension = createNumberField(
+    'optimizeMaxDimension',
+    'Max dimension (px)',
+    optimization.settings?.maxDimension ?? DEFAULT_OPTIMIZE_OPTIONS.maxDimension,
+    { min: '64', step: '1', required: '' }
+  );
+  const quality = createNumberField(
+    'optimizeQuality',
+    'Quality (0.1–1)',
+    optimization.settings?.quality ?? DEFAULT_OPTIMIZE_OPTIONS.quality,
+    { min: '0.1', max: '1', step: '0.05', required: '' }
+  );
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'btn btn-sm btn-primary';
+  submit.textContent = optimization.status === 'running' ? 'Optimising…' : 'Optimise and download';
+  submit.disabled = optimization.status === 'running';
+  form.append(dimension.wrapper, quality.wrapper, submit);
+  container.appendChild(form);
+
+  if (optimization.status === 'error') {
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-danger small mt-3 mb-0';
+    alert.role = 'alert';
+    alert.textContent = optimization.error || 'The package could not be optimised.';
+    container.appendChild(alert);
+  } else if (optimization.status === 'done' && optimization.report) {
+    const { report } = optimization;
+    const entries = [
+      ['Archive size', `${formatBytes(archiveSize)} → ${formatBytes(report.archiveSize)}`],
+      ['Content size', `${formatBytes(report.before)} → ${formatBytes(report.after)}`],
+      ['Saved', formatBytes(report.saved)],
+      ['Images re-encoded', String(report.images.length)],
+      ['Unused files removed', String(report.removed.length)],
+      ['Files with rewritten references', String(report.rewritten.length)]
+    ];
+    const summary = createDefinitionList(entries);
+    summary.classList.add('mt-3');
+    container.appendChild(summary);
+    if (report.failed?.length) {
+      const warning = document.createElement('div');
+      warning.className = 'alert alert-warning small mt-3 mb-0';
+      warning.role = 'alert';
+      warning.textContent = `Could not re-encode ${report.failed.length} image${report.failed.length === 1 ? '' : 's'}; the original${report.failed.length === 1 ? ' is' : 's are'} kept:`;
+      const list = document.createElement('ul');
+      list.className = 'mb-0 mt-1';
+      report.failed.forEach((file) => {
+        const item = document.createElement('li');
+        item.className = 'text-break';
+        item.textContent = `${file.path}: ${file.message}`;
+        list.appendChild(item);
+      });
+      warning.appendChild(list);
+      container.appendChild(warning);
+    }
+  }
+
+  return {
+    container,
+    form,
+    readOptions: () => ({
+      maxDimension: Number(dimension.input.value),
+      quality: Number(quality.input.value)
+    })
+  };
+}
+
+function createMetadataEditorSection(properties = {}, editing = {}) {
+  const container = document.createElement('section');
+  container.className = 'mb-4';
+
+  const heading = document.createElement('h2');
+  heading.className = 'h5';
+  heading.textContent = 'Edit metadata';
+  container.appendChild(heading);
+
+  const description = document.createElement('p');
+  description.className = 'text-muted small';
+  description.textContent =
+    'Writes the changes into content.xml, updates the page titles, description and language of the exported pages, and downloads a new .elpx. Footer, license and toggle changes appear in the pages the next time the package is exported from eXeLearning.';
+  container.appendChild(description);
+
+  const form = document.createElement('form');
+  form.className = 'row g-3';
+  const inputs = new Map();
+  // Re-renders keep what the user submitted instead of resetting to the loaded values.
+  const values = { ...properties, ...editing.changes };
+
+  METADATA_FIELDS.forEach((field) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = field.type === 'textarea' ? 'col-12' : 'col-md-6';
+    const label = document.createElement('label');
+    label.className = 'form-label small mb-1';
+    label.htmlFor = `metadataField-${field.key}`;
+    label.textContent = field.label;
+    const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+    if (field.type === 'textarea') {
+      input.rows = 2;
+    } else {
+      input.type = 'text';
+    }
+    input.className = 'form-control form-control-sm';
+    input.id = `metadataField-${field.key}`;
+    input.value = values[field.key] || '';
+    wrapper.append(label, input);
+    form.appendChild(wrapper);
+    inputs.set(field.key, { field, input });
+  });
+
+  const toggles = document.createElement('div');
+  toggles.className = 'col-12 d-flex flex-wrap gap-3';
+  getToggleFields(properties).forEach((field) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'form-check form-switch';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'form-check-input';
+    input.id = `metadataField-${field.key}`;
+    input.checked = String(values[field.key]) === 'true';
+    const label = document.createElement('label');
+    label.className = 'form-check-label small';
+    label.htmlFor = input.id;
+    label.textContent = field.label;
+    wrapper.append(input, label);
+    toggles.appendChild(wrapper);
+    inputs.set(field.key, { field, input });
+  });
+  form.appendChild(toggles);
+
+  const actions = document.createElement('div');
+  actions.className = 'col-12';
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'btn btn-sm btn-primary';
+  submit.textContent = editing.status === 'running' ? 'Saving…' : 'Save and download .elpx';
+  submit.disabled = editing.status === 'running';
+  actions.appendChild(submit);
+  form.appendChild(actions);
+  container.appendChild(form);
+
+  if (editing.status === 'error') {
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-danger small mt-3 mb-0';
+    alert.role = 'alert';
+    alert.textContent = editing.error || 'The package could not be updated.';
+    container.appendChild(alert);
+  } else if (editing.status === 'done') {
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-success small mt-3 mb-0';
+    alert.role = 'status';
+    alert.textContent = editing.changed?.length
+      ? `Updated ${editing.changed.join(', ')} and ${editing.rewritten?.length || 0} exported pages.`
+      : 'Nothing changed; the package was downloaded as it was.';
+    container.appendChild(alert);
+  }
+
+  return {
+    container,
+    form,
+    // Only fields that differ from the loaded package are written back.
+    readChanges: () => {
+      const changes = {};
+      inputs.forEach(({ field, input }) => {
+        if (field.type === 'toggle') {
+          if (input.checked !== (properties[field.key] === 'true')) {
+            changes[field.key] = input.checked;
+          }
+        } else if (input.value.trim() !== (properties[field.key] || '')) {
+          changes[field.key] = input.value.trim();
+        }
+      });
+      return changes;
+    }
+  };
 }
 
 export class InfoPanel {
   constructor(root) {
     this.root = root;
     this.downloadHandler = null;
+    this.pageLinkHandler = null;
+    this.reportHandler = null;
+    this.cleanArchiveHandler = null;
+    this.optimizeHandler = null;
+    this.metadataEditHandler = null;
+    this.catalogHandler = null;
+    this.exportHandler = null;
+    this.translationHandler = null;
     this.state = { status: 'idle' };
     this.render();
   }
@@ -217,6 +1041,61 @@ export class InfoPanel {
     this.downloadHandler = handler;
   }
 
+  setPageLinkHandler(handler) {
+    this.pageLinkHandler = handler;
+    this.render();
+  }
+
+  setCleanArchiveHandler(handler) {
+    this.cleanArchiveHandler = handler;
+  }
+
+  setOptimizeHandler(handler) {
+    this.optimizeHandler = handler;
+  }
+
+  setOptimization(optimization) {
+    this.state = { ...this.state, optimization };
+    this.render();
+  }
+
+  setMetadataEditHandler(handler) {
+    this.metadataEditHandler = handler;
+  }
+
+  setMetadataEdit(metadataEdit) {
+    this.state = { ...this.state, metadataEdit };
+    this.render();
+  }
+
+  setCatalogHandler(handler) {
+    this.catalogHandler = handler;
+    this.render();
+  }
+
+  setExportHandler(handler) {
+    this.exportHandler = handler;
+  }
+
+  setExport(exporting) {
+    this.state = { ...this.state, exporting };
+    this.render();
+  }
+
+  setTranslationHandler(handler) {
+    this.translationHandler = handler;
+  }
+
+  setTranslation(translation) {
+    this.state = { ...this.state, translation };
+    this.render();
+  }
+
+  setReportHandler(handler) {
+    this.reportHandler = handler;
+    this.render();
+  }
+
   update(state) {
     this.state = state;
     this.render();
@@ -330,6 +1209,7 @@ export class InfoPanel {
       ['File size', formatBytes(state.fileSize)],
       ['Package type', state.fileType === 'elpx' ? 'ELPX (exported site)' : 'ELP'],
       ['ELP version', state.elpVersion || '—'],
+      ['Theme', state.metadata?.preferences?.theme || '—'],
       ['Start file', state.startFile || 'index.html'],
       [
         'Manifest',
@@ -339,6 +1219,29 @@ export class InfoPanel {
 
     overview.appendChild(createDefinitionList(entries));
 
+    if (this.reportHandler) {
+      const actions = document.createElement('div');
+      actions.className = 'd-flex flex-wrap gap-2 align-items-center mt-3';
+      const label = document.createElement('span');
+      label.className = 'small text-muted';
+      label.textContent = 'Download report:';
+      actions.appendChild(label);
+      Object.entries(REPORT_FORMATS).forEach(([format, definition]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary';
+        button.dataset.reportFormat = format;
+        button.textContent = definition.label;
+        button.addEventListener('click', () => {
+          if (this.reportHandler) {
+            this.reportHandler(format);
+          }
+        });
+        actions.appendChild(button);
+      });
+      overview.appendChild(actions);
+    }
+
     container.appendChild(overview);
 
     if (state.messages && state.messages.length > 0) {
@@ -348,7 +1251,9 @@ export class InfoPanel {
       messageHeading.className = 'h5';
       messageHeading.textContent = 'Validation messages';
       messageSection.appendChild(messageHeading);
-      const list = createMessagesList(state.messages);
+      const list = createMessagesList(state.messages, {
+        onPageLink: this.pageLinkHandler
+      });
       if (list) {
         messageSection.appendChild(list);
       }
@@ -381,8 +1286,76 @@ export class InfoPanel {
     }
     container.appendChild(metadataSection);
 
+    const structureSection = createStructurePropertiesSection(state.metadata?.pages);
+    if (structureSection) {
+      container.appendChild(structureSection);
+    }
+
+    const ideviceSection = createIdeviceSection(state.idevices);
+    if (ideviceSection) {
+      container.appendChild(ideviceSection);
+    }
+
+    if (this.catalogHandler && state.catalog) {
+      const catalog = createCatalogSection(state.catalog);
+      catalog.downloadButton.addEventListener('click', () => {
+        if (this.catalogHandler) {
+          this.catalogHandler(catalog.readFormat());
+        }
+      });
+      container.appendChild(catalog.container);
+    }
+
+    if (this.exportHandler) {
+      const exportSection = createExportSection(state.exporting);
+      exportSection.controls.forEach(({ format, button, readOptions }) => {
+        button.addEventListener('click', () => {
+          if (this.exportHandler) {
+            this.exportHandler(format, readOptions());
+          }
+        });
+      });
+      container.appendChild(exportSection.container);
+    }
+
+    if (this.translationHandler) {
+      const translation = createTranslationSection(state.translation);
+      translation.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const { file, options } = translation.readInput();
+        if (file && this.translationHandler) {
+          this.translationHandler(file, options);
+        }
+      });
+      container.appendChild(translation.container);
+    }
+
+    if (this.metadataEditHandler && state.metadata) {
+      const editor = createMetadataEditorSection(state.metadata.properties, state.metadataEdit);
+      editor.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (this.metadataEditHandler) {
+          this.metadataEditHandler(editor.readChanges());
+        }
+      });
+      container.appendChild(editor.container);
+    }
+
+    let inventory = null;
     if (state.fileList && state.fileList.length > 0) {
-      const inventory = createInventorySection(state.fileList, state.summary);
+      // Unticked files stay unticked when another action re-renders the panel.
+      inventory = createInventorySection(state.fileList, state.summary, state.usage, {
+        keptPaths: state.keptPaths,
+        onKeepChange: (path, kept) => {
+          const keptPaths = new Set(this.state.keptPaths);
+          if (kept) {
+            keptPaths.add(path);
+          } else {
+            keptPaths.delete(path);
+          }
+          this.state = { ...this.state, keptPaths };
+        }
+      });
       container.appendChild(inventory.container);
       if (inventory.downloadButton) {
         inventory.downloadButton.addEventListener('click', () => {
@@ -392,6 +1365,24 @@ export class InfoPanel {
           this.downloadHandler();
         });
       }
+      if (inventory.cleanButton) {
+        inventory.cleanButton.addEventListener('click', () => {
+          if (this.cleanArchiveHandler) {
+            this.cleanArchiveHandler(inventory.readCleanPaths());
+          }
+        });
+      }
+    }
+
+    if (this.optimizeHandler && state.fileList?.length) {
+      const optimize = createOptimizeSection(state.optimization, state.fileSize);
+      optimize.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (this.optimizeHandler) {
+          this.optimizeHandler(optimize.readOptions(), inventory?.readCleanPaths() || []);
+        }
+      });
+      container.appendChild(optimize.container);
     }
 
     this.root.appendChild(container);
@@ -411,5 +1402,3 @@ export function deriveMetadata(xmlString, kind = 'modern') {
   }
   return extractMetadata(document);
 }
-
-export { formatBytes };
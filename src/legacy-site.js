@@ -0,0 +1,176 @@
+import { createPageSlug, flattenPages } from './renderer.js';
+import { escapeHtml } from './viewer-utils.js';
+
+const LEGACY_STYLESHEET_PATH = 'legacy-site.css';
+const LEGACY_STYLESHEET = `body {
+  margin: 0;
+  font-family: system-ui, -apple-system, 'Segoe UI', sans-serif;
+  color: #212529;
+  display: flex;
+  min-height: 100vh;
+}
+.legacy-nav {
+  flex: 0 0 260px;
+  background: #f1f3f5;
+  border-right: 1px solid #dee2e6;
+  padding: 1rem;
+  overflow-y: auto;
+}
+.legacy-nav ul {
+  list-style: none;
+  margin: 0;
+  padding-left: 1rem;
+}
+.legacy-nav > ul {
+  padding-left: 0;
+}
+.legacy-nav a {
+  display: block;
+  padding: 0.25rem 0;
+  color: #0d6efd;
+  text-decoration: none;
+}
+.legacy-nav a[aria-current='page'] {
+  font-weight: 600;
+  color: #212529;
+}
+.legacy-page {
+  flex: 1 1 auto;
+  padding: 1.5rem 2rem;
+  max-width: 960px;
+}
+.legacy-page img {
+  max-width: 100%;
+  height: auto;
+}
+.legacy-pagination {
+  display: flex;
+  justify-content: space-between;
+  margin-top: 2rem;
+  padding-top: 1rem;
+  border-top: 1px solid #dee2e6;
+}
+`;
+
+// Claims "<base>.<extension>", or the first free "<base>-N.<extension>" when the name is taken.
+function claimPath(base, extension, usedPaths) {
+  let path = `${base}.${extension}`;
+  let suffix = 2;
+  while (usedPaths.has(path)) {
+    path = `${base}-${suffix}.${extension}`;
+    suffix += 1;
+  }
+  usedPaths.add(path);
+  return path;
+}
+
+// Paths already in the archive are never reused, so the generated site cannot replace its files.
+export function assignLegacyPageFiles(pages, reservedPaths = []) {
+  const pageFiles = new Map();
+  const usedPaths = new Set(reservedPaths);
+  flattenPages(pages).forEach((page, index) => {
+    const base = index === 0 ? 'index' : createPageSlug(page.title, `page-${index + 1}`);
+    pageFiles.set(page.id, claimPath(base, 'html', usedPaths));
+  });
+  return pageFiles;
+}
+
+function renderNavigation(pages, pageFiles, currentId) {
+  if (!pages || !pages.length) {
+    return '';
+  }
+  const items = pages
+    .map((page) => {
+      const current = page.id === currentId ? ' aria-current="page"' : '';
+      const link = `<a href="${escapeHtml(pageFiles.get(page.id))}"${current}>${escapeHtml(page.title)}</a>`;
+      return `<li>${link}${renderNavigation(page.children, pageFiles, currentId)}</li>`;
+    })
+    .join('');
+  return `<ul>${items}</ul>`;
+}
+
+function renderPagination(previous, next, pageFiles) {
+  if (!previous && !next) {
+    return '';
+  }
+  const previousLink = previous
+    ? `<a href="${escapeHtml(pageFiles.get(previous.id))}" rel="prev">← ${escapeHtml(previous.title)}</a>`
+    : '<span></span>';
+  const nextLink = next
+    ? `<a href="${escapeHtml(pageFiles.get(next.id))}" rel="next">${escapeHtml(next.title)} →</a>`
+    : '<span></span>';
+  return `<nav class="legacy-pagination" aria-label="Pagination">${previousLink}${nextLink}</nav>`;
+}
+
+function renderDocument({ title, lang, stylesheet, navigation, body }) {
+  return `<!doctype html>
+<html lang="${escapeHtml(lang || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${escapeHtml(stylesheet)}">
+</head>
+<body>
+<nav class="legacy-nav" aria-label="Pages">${navigation}</nav>
+<main class="legacy-page">${body}</main>
+</body>
+</html>
+`;
+}
+
+export function buildLegacySite(pages, metadata = {}, { reservedPaths = [] } = {}) {
+  // Read once: callers may pass a single-use iterator such as fileMap.keys().
+  const reserved = Array.from(reservedPaths);
+  const properties = metadata?.properties || {};
+  const packageTitle = properties.pp_title || 'Untitled package';
+  const lang = properties.pp_lang || '';
+  const pageFiles = assignLegacyPageFiles(pages, reserved);
+  const flatPages = flattenPages(pages);
+  const usedPaths = new Set([...reserved, ...pageFiles.values()]);
+  const stylesheet = claimPath(LEGACY_STYLESHEET_PATH.replace(/\.css$/, ''), 'css', usedPaths);
+  const files = [{ path: stylesheet, content: LEGACY_STYLESHEET, mimeType: 'text/css' }];
+
+  if (!flatPages.length) {
+    const startFile = claimPath('index', 'html', usedPaths);
+    files.push({
+      path: startFile,
+      mimeType: 'text/html',
+      content: renderDocument({
+        title: packageTitle,
+        lang,
+        stylesheet,
+        navigation: '',
+        body: `<h1>${escapeHtml(packageTitle)}</h1><p>This package does not contain any pages.</p>`
+      })
+    });
+    return { files, pageFiles, startFile };
+  }
+
+  flatPages.forEach((page, index) => {
+    const body = [
+      `<h1>${escapeHtml(page.title)}</h1>`,
+      page.htmlContent || '<p><em>This page has no content.</em></p>',
+      renderPagination(flatPages[index - 1], flatPages[index + 1], pageFiles)
+    ].join('\n');
+    files.push({
+      path: pageFiles.get(page.id),
+      mimeType: 'text/html',
+      content: renderDocument({
+        title: page.title === packageTitle ? page.title : `${page.title} — ${packageTitle}`,
+        lang,
+        stylesheet,
+        navigation: renderNavigation(pages, pageFiles, page.id),
+        body
+      })
+    });
+  });
+
+  return { files, pageFiles, startFile: pageFiles.get(flatPages[0].id) };
+}
+
+export default { buildLegacySite, assignLegacyPageFiles };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildLegacySite, assignLegacyPageFiles };
+}
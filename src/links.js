@@ -0,0 +1,330 @@
+import { flattenPages, generateElpViewData, resolvePageFiles } from './renderer.js';
+import { readBlobText } from './viewer-utils.js';
+
+const PACKAGE_ORIGIN = 'https://package.invalid/';
+const IGNORED_SCHEMES = /^(?:mailto|tel|javascript|data|blob|about|sms):/i;
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+?)\1\s*\)|@import\s+(['"])([^'"]+)\3/gi;
+const URL_ATTRIBUTES = [
+  ['a[href]', 'href'],
+  ['area[href]', 'href'],
+  ['link[href]', 'href'],
+  ['script[src]', 'src'],
+  ['img[src]', 'src'],
+  ['iframe[src]', 'src'],
+  ['embed[src]', 'src'],
+  ['source[src]', 'src'],
+  ['track[src]', 'src'],
+  ['audio[src]', 'src'],
+  ['video[src]', 'src'],
+  ['video[poster]', 'poster'],
+  ['object[data]', 'data']
+];
+const NAVIGATION_SELECTORS = new Set(['a[href]', 'area[href]']);
+// eXe keeps iDevice data as JSON text in hidden containers, e.g. the interactive video's
+// #exe-interactive-video-contents. Markup inside that JSON is never rendered as such.
+const HIDDEN_STYLE_PATTERN = /display\s*:\s*none/i;
+const JSON_TEXT_PATTERN = /^\s*[[{]/;
+// content.xml links to other pages as "exe-node:<page id>", optionally followed by "#<anchor>".
+const PAGE_LINK_PATTERN = /^exe-node:([^#]+)(?:#(.*))?$/;
+const contextCache = new WeakMap();
+
+function isHtmlPath(path) {
+  return /\.html?$/i.test(path);
+}
+
+function isCssPath(path) {
+  return /\.css$/i.test(path);
+}
+
+export function extractCssReferences(css) {
+  const urls = [];
+  let match;
+  CSS_URL_PATTERN.lastIndex = 0;
+  while ((match = CSS_URL_PATTERN.exec(css || '')) !== null) {
+    const url = (match[2] || match[4] || '').trim();
+    if (url) {
+      urls.push(url);
+    }
+  }
+  return urls;
+}
+
+function parseSrcset(value) {
+  return value
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+export function isDataContainer(element) {
+  return (
+    element.id === 'exe-interactive-video-contents' ||
+    (HIDDEN_STYLE_PATTERN.test(element.getAttribute('style') || '') &&
+      JSON_TEXT_PATTERN.test(element.textContent))
+  );
+}
+
+function isInDataContainer(element) {
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    if (isDataContainer(node)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function extractHtmlReferences(doc) {
+  const references = [];
+  URL_ATTRIBUTES.forEach(([selector, attribute]) => {
+    doc.querySelectorAll(selector).forEach((element) => {
+      if (isInDataContainer(element)) {
+        return;
+      }
+      references.push({
+        url: element.getAttribute(attribute).trim(),
+        navigation: NAVIGATION_SELECTORS.has(selector)
+      });
+    });
+  });
+  doc.querySelectorAll('img[srcset], source[srcset]').forEach((element) => {
+    if (isInDataContainer(element)) {
+      return;
+    }
+    parseSrcset(element.getAttribute('srcset')).forEach((url) => {
+      references.push({ url, navigation: false });
+    });
+  });
+  doc.querySelectorAll('style').forEach((style) => {
+    extractCssReferences(style.textContent).forEach((url) => {
+      references.push({ url, navigation: false });
+    });
+  });
+  doc.querySelectorAll('[style]').forEach((element) => {
+    if (isInDataContainer(element)) {
+      return;
+    }
+    extractCssReferences(element.getAttribute('style')).forEach((url) => {
+      references.push({ url, navigation: false });
+    });
+  });
+  return references.filter((reference) => reference.url);
+}
+
+// Keeps the raw value when it contains malformed escapes such as "%E0%A4".
+function decodeSafely(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+export function resolveReference(basePath, url) {
+  if (!url || url.includes('{{') || IGNORED_SCHEMES.test(url)) {
+    return { type: 'ignored' };
+  }
+  let resolved;
+  try {
+    resolved = new URL(url, `${PACKAGE_ORIGIN}${basePath}`);
+  } catch {
+    return { type: 'ignored' };
+  }
+  if (resolved.origin !== new URL(PACKAGE_ORIGIN).origin) {
+    if (!/^https?:$/.test(resolved.protocol)) {
+      return { type: 'ignored' };
+    }
+    return { type: 'external', domain: resolved.hostname, url: resolved.href };
+  }
+  let path = decodeSafely(resolved.pathname.slice(1));
+  if (path === '' || path.endsWith('/')) {
+    path = `${path}index.html`;
+  }
+  const fragment = resolved.hash ? decodeSafely(resolved.hash.slice(1)) : '';
+  return { type: 'internal', path, fragment };
+}
+
+export function parsePageLink(url) {
+  const match = PAGE_LINK_PATTERN.exec((url || '').trim());
+  if (!match) {
+    return null;
+  }
+  return { pageId: match[1], fragment: match[2] ? decodeSafely(match[2]) : '' };
+}
+
+function collectAnchors(doc) {
+  const anchors = new Set();
+  doc.querySelectorAll('[id]').forEach((element) => anchors.add(element.id));
+  doc.querySelectorAll('a[name]').forEach((element) => anchors.add(element.getAttribute('name')));
+  return anchors;
+}
+
+export async function checkLinks(fileMap) {
+  const result = {
+    checkedFiles: 0,
+    missing: [],
+    anchors: [],
+    external: new Map(),
+    referenced: new Set()
+  };
+  if (!(fileMap instanceof Map)) {
+    return result;
+  }
+  const parser = new DOMParser();
+  const anchorsByPath = new Map();
+  const pending = [];
+  const seen = new Set();
+
+  for (const [path, record] of fileMap.entries()) {
+    if (!record?.blob || !(isHtmlPath(path) || isCssPath(path))) {
+      continue;
+    }
+    result.checkedFiles += 1;
+    const text = await readBlobText(record.blob);
+    let references;
+    if (isHtmlPath(path)) {
+      const doc = parser.parseFromString(text, 'text/html');
+      anchorsByPath.set(path, collectAnchors(doc));
+      references = extractHtmlReferences(doc);
+    } else {
+      references = extractCssReferences(text).map((url) => ({ url, navigation: false }));
+    }
+
+    references.forEach(({ url, navigation }) => {
+      const target = resolveReference(path, url);
+      const key = `${path}\n${url}`;
+      if (target.type === 'ignored' || seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      if (target.type === 'external') {
+        if (!result.external.has(target.domain)) {
+          result.external.set(target.domain, []);
+        }
+        result.external.get(target.domain).push({ source: path, url: target.url });
+        return;
+      }
+      if (!fileMap.has(target.path)) {
+        result.missing.push({ source: path, url, path: target.path });
+        return;
+      }
+      result.referenced.add(target.path);
+      if (navigation && target.fragment && isHtmlPath(target.path)) {
+        pending.push({ source: path, url, path: target.path, fragment: target.fragment });
+      }
+    });
+  }
+
+  // Anchors are checked once every page has been parsed, so links to later pages resolve too.
+  pending.forEach((link) => {
+    const anchors = anchorsByPath.get(link.path);
+    if (anchors && !anchors.has(link.fragment)) {
+      result.anchors.push(link);
+    }
+  });
+
+  return result;
+}
+
+function getPageLocations(xmlDoc, fileMap) {
+  const locations = new Map();
+  if (!xmlDoc || !fileMap) {
+    return locations;
+  }
+  const pages = flattenPages(generateElpViewData(xmlDoc));
+  const titles = new Map(pages.map((page) => [page.id, page.title]));
+  resolvePageFiles(pages, fileMap).forEach((path, pageId) => {
+    locations.set(path, { pageId, pageName: titles.get(pageId) || pageId });
+  });
+  return locations;
+}
+
+// All link rules share one crawl of the archive per validation context.
+export function getLinkReport(context) {
+  if (!contextCache.has(context)) {
+    contextCache.set(
+      context,
+      checkLinks(context.fileMap).then((links) => ({
+        ...links,
+        locations: getPageLocations(context.xmlDoc, context.fileMap)
+      }))
+    );
+  }
+  return contextCache.get(context);
+}
+
+function locate(locations, source) {
+  return { file: source, ...(locations.get(source) || {}) };
+}
+
+export const LINK_RULES = [
+  {
+    id: 'links.broken',
+    severity: 'warning',
+    category: 'links',
+    description: 'Links in exported HTML and CSS must point to files in the archive.',
+    check: async (context) => {
+      const { missing, locations } = await getLinkReport(context);
+      return missing.map((link) => ({
+        message: `${link.source} links to "${link.url}", which is not in the archive.`,
+        location: locate(locations, link.source),
+        details: { url: link.url, target: link.path }
+      }));
+    }
+  },
+  {
+    id: 'links.anchors',
+    severity: 'warning',
+    category: 'links',
+    description: 'Links to #fragments must match an id on the target page.',
+    check: async (context) => {
+      const { anchors, locations } = await getLinkReport(context);
+      return anchors.map((link) => ({
+        message: `${link.source} links to "${link.url}", but ${link.path} has no element with id "${link.fragment}".`,
+        location: locate(locations, link.source),
+        details: { url: link.url, target: link.path, fragment: link.fragment }
+      }));
+    }
+  },
+  {
+    id: 'links.external',
+    severity: 'info',
+    category: 'links',
+    description: 'External links are listed by domain for review.',
+    check: async (context) => {
+      const { external } = await getLinkReport(context);
+      return Array.from(external.entries())
+        .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+        .map(([domain, links]) => {
+          const sources = new Set(links.map((link) => link.source));
+          return {
+            message: `${links.length} external link${links.length === 1 ? '' : 's'} to ${domain} from ${sources.size} file${sources.size === 1 ? '' : 's'}.`,
+            details: { domain, urls: links.map((link) => link.url) }
+          };
+        });
+    }
+  }
+];
+
+export default {
+  LINK_RULES,
+  checkLinks,
+  isDataContainer,
+  getLinkReport,
+  extractCssReferences,
+  extractHtmlReferences,
+  parsePageLink,
+  resolveReference
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LINK_RULES,
+    checkLinks,
+    isDataContainer,
+    getLinkReport,
+    extractCssReferences,
+    extractHtmlReferences,
+    parsePageLink,
+    resolveReference
+  };
+}
@@ -0,0 +1,426 @@
+import { isDataContainer, parsePageLink, resolveReference } from './links.js';
+import { createPageSlug, flattenPages } from './renderer.js';
+import {
+  applyStaticFallbacks,
+  collectPageBlocks,
+  renderBlocks,
+  shiftHeadings
+} from './static-content.js';
+
+export const TEXT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md' },
+  text: { label: 'Plain text', extension: 'txt' }
+};
+
+const PAGES_DIR = 'pages';
+const CONTEXT_PATH_PREFIX = /^\{\{context_path\}\}\//;
+const SKIPPED_TAGS = new Set([
+  'SCRIPT',
+  'STYLE',
+  'NOSCRIPT',
+  'TEMPLATE',
+  'BUTTON',
+  'INPUT',
+  'SELECT',
+  'TEXTAREA',
+  'IFRAME',
+  'VIDEO',
+  'AUDIO',
+  'OBJECT',
+  'EMBED'
+]);
+const BLOCK_TAGS = new Set([
+  'ADDRESS',
+  'ARTICLE',
+  'ASIDE',
+  'BLOCKQUOTE',
+  'CAPTION',
+  'DD',
+  'DETAILS',
+  'DIV',
+  'DL',
+  'DT',
+  'FIELDSET',
+  'FIGCAPTION',
+  'FIGURE',
+  'FOOTER',
+  'FORM',
+  'H1',
+  'H2',
+  'H3',
+  'H4',
+  'H5',
+  'H6',
+  'HEADER',
+  'HR',
+  'LI',
+  'MAIN',
+  'NAV',
+  'OL',
+  'P',
+  'PRE',
+  'SECTION',
+  'SUMMARY',
+  'TABLE',
+  'UL'
+]);
+const INLINE_MARKERS = {
+  STRONG: '**',
+  B: '**',
+  EM: '_',
+  I: '_',
+  S: '~~',
+  DEL: '~~'
+};
+
+function isSkipped(node) {
+  return SKIPPED_TAGS.has(node.tagName) || isDataContainer(node);
+}
+
+function isBlock(node) {
+  return node.nodeType === 1 && (BLOCK_TAGS.has(node.tagName) || isSkipped(node));
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// Markers hug the text they wrap: "** bold **" is not bold in Markdown.
+function wrapInline(content, marker) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+}
+
+// Package references keep their place under content/ and are written relative to the output file,
+// and collected so the export can copy them; links to other pages point at their exported file.
+// Fragment-only links point into the page itself, which the export does not keep anchors for.
+function resolveTarget(url, context) {
+  const value = (url || '').trim();
+  if (value.startsWith('#')) {
+    return '';
+  }
+  const page = parsePageLink(value);
+  if (page) {
+    const file = context.pageLinks.get(page.pageId) || '';
+    return file && page.fragment ? `${file}#${page.fragment}` : file;
+  }
+  const target = resolveReference(
+    'index.html',
+    value.replace(CONTEXT_PATH_PREFIX, 'content/resources/')
+  );
+  if (target.type === 'internal') {
+    context.resources?.add(target.path);
+    return `${context.resourcePrefix || ''}${encodeURI(target.path)}${target.fragment ? `#${target.fragment}` : ''}`;
+  }
+  return target.type === 'external' || /^(?:mailto|tel):/i.test(value) ? value : '';
+}
+
+function renderInline(node, context) {
+  if (node.nodeType === 3) {
+    const text = node.textContent.replace(/\s+/g, ' ');
+    return context.markdown ? escapeMarkdown(text) : text;
+  }
+  if (node.nodeType !== 1 || isSkipped(node)) {
+    return '';
+  }
+  const children = () =>
+    Array.from(node.childNodes)
+      .map((child) => renderInline(child, context))
+      .join('');
+  switch (node.tagName) {
+    case 'BR':
+      return context.markdown ? '\\\n' : '\n';
+    case 'IMG': {
+      const alt = (node.getAttribute('alt') || '').trim();
+      const src = resolveTarget(node.getAttribute('src'), context);
+      if (context.markdown) {
+        return src ? `![${escapeMarkdown(alt)}](${src})` : escapeMarkdown(alt);
+      }
+      return src ? `[Image: ${alt || src}]` : alt;
+    }
+    case 'A': {
+      const text = children();
+      const href = resolveTarget(node.getAttribute('href'), context);
+      if (!href || !text.trim()) {
+        return text;
+      }
+      if (context.markdown) {
+        return `[${text}](${href})`;
+      }
+      return text.trim() === href ? text : `${text} (${href})`;
+    }
+    case 'CODE':
+    case 'KBD':
+    case 'SAMP':
+      return context.markdown ? `\`${node.textContent}\`` : node.textContent;
+    default:
+      return context.markdown && INLINE_MARKERS[node.tagName]
+        ? wrapInline(children(), INLINE_MARKERS[node.tagName])
+        : children();
+  }
+}
+
+function renderChildren(node, context) {
+  const blocks = [];
+  let inline = '';
+  const flush = () => {
+    const text = inline
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
+      .trim();
+    if (text) {
+      blocks.push(text);
+    }
+    inline = '';
+  };
+  node.childNodes.forEach((child) => {
+    if (isBlock(child)) {
+      flush();
+      blocks.push(...renderBlock(child, context));
+    } else {
+      inline += renderInline(child, context);
+    }
+  });
+  flush();
+  return blocks;
+}
+
+function prefixLines(text, first, rest = ' '.repeat(first.length)) {
+  return text
+    .split('\n')
+    .map((line, index) => (index === 0 ? first : line ? rest : rest.trimEnd()) + line)
+    .join('\n');
+}
+
+function renderList(list, context) {
+  const start = Number.parseInt(list.getAttribute('start'), 10) || 1;
+  return Array.from(list.children)
+    .filter((item) => item.tagName === 'LI')
+    .map((item, index) => {
+      const marker = list.tagName === 'OL' ? `${start + index}. ` : '- ';
+      return prefixLines(renderChildren(item, context).join('\n') || '', marker);
+    })
+    .join('\n');
+}
+
+function cellText(cell, context) {
+  const text = renderChildren(cell, context).join(' ').replace(/\n/g, ' ');
+  return context.markdown ? text.replace(/\|/g, '\\|') : text;
+}
+
+// The first row is the header; Markdown tables cannot have a body without one.
+function renderTable(table, context) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .filter((row) => row.closest('table') === table)
+    .map((row) =>
+      Array.from(row.children)
+        .filter((cell) => cell.tagName === 'TH' || cell.tagName === 'TD')
+        .map((cell) => cellText(cell, context))
+    )
+    .filter((cells) => cells.length);
+  if (!rows.length) {
+    return [];
+  }
+  const caption = table.querySelector('caption');
+  const blocks = caption ? renderChildren(caption, context) : [];
+  if (!context.markdown) {
+    blocks.push(rows.map((cells) => cells.join('\t')).join('\n'));
+    return blocks;
+  }
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const line = (cells) =>
+    `| ${Array.from({ length: width }, (_, index) => cells[index] || '').join(' | ')} |`;
+  blocks.push(
+    [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n')
+  );
+  return blocks;
+}
+
+function renderBlock(element, context) {
+  const { tagName } = element;
+  if (isSkipped(element)) {
+    return [];
+  }
+  if (/^H[1-6]$/.test(tagName)) {
+    const text = renderChildren(element, context).join(' ').replace(/\n/g, ' ');
+    if (!text) {
+      return [];
+    }
+    return [context.markdown ? `${'#'.repeat(Number(tagName[1]))} ${text}` : text];
+  }
+  switch (tagName) {
+    case 'UL':
+    case 'OL': {
+      const list = renderList(element, context);
+      return list ? [list] : [];
+    }
+    case 'TABLE':
+      return renderTable(element, context);
+    case 'PRE':
+      return [
+        context.markdown
+          ? `\`\`\`\n${element.textContent.replace(/\n$/, '')}\n\`\`\``
+          : element.textContent
+      ];
+    case 'HR':
+      return [context.markdown ? '---' : '----'];
+    case 'BLOCKQUOTE': {
+      const quote = renderChildren(element, context).join('\n\n');
+      return quote
+        ? [prefixLines(quote, context.markdown ? '> ' : '    ', context.markdown ? '> ' : '    ')]
+        : [];
+    }
+    default:
+      return renderChildren(element, context);
+  }
+}
+
+export function htmlToMarkdown(
+  html,
+  {
+    format = 'markdown',
+    pageLinks = new Map(),
+    resourcePrefix = '',
+    resources = null,
+    headingOffset = 0
+  } = {}
+) {
+  const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+  // iDevice headings sit at the level of their block's name, as in the EPUB chapters.
+  doc.body.querySelectorAll('.idevice_node').forEach((node) => shiftHeadings(node, 1));
+  // Interactive iDevices keep their data as hidden JSON; the print view's static versions turn
+  // it into readable text, and whatever is left in hidden data containers is skipped.
+  applyStaticFallbacks(doc.body);
+  shiftHeadings(doc.body, headingOffset);
+  return renderChildren(doc.body, {
+    markdown: format !== 'text',
+    pageLinks,
+    resourcePrefix,
+    resources
+  }).join('\n\n');
+}
+
+export function renderFrontMatter(fields) {
+  const lines = Object.entries(fields).map(
+    ([key, value]) => `${key}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`
+  );
+  return ['---', ...lines, '---'].join('\n');
+}
+
+function pageFileName(page, index, extension) {
+  return `${String(index + 1).padStart(2, '0')}-${createPageSlug(page.title)}.${extension}`;
+}
+
+// Pages are rebuilt from their blocks in content.xml when there is one, so block names stay as
+// headings; the heading offset is one less because those names are h2 rather than h1.
+function readPageContent(page, blocks) {
+  const pageBlocks = blocks.get(page.id);
+  return pageBlocks?.length
+    ? { html: renderBlocks(pageBlocks), offset: -1 }
+    : { html: page.htmlContent, offset: 0 };
+}
+
+// Every page gets its own file with front-matter that maps it back to content.xml, so translated
+// files can be matched to their pages whatever their file names become. Referenced package files
+// are copied from fileMap to their own paths, so image references keep working.
+export async function buildTextExport(
+  pages,
+  {
+    format = 'markdown',
+    title = '',
+    language = '',
+    xmlDoc = null,
+    fileMap = new Map(),
+    JSZip,
+    type = 'blob'
+  } = {}
+) {
+  if (!JSZip) {
+    throw new Error('JSZip is required to build the text export.');
+  }
+  if (!TEXT_FORMATS[format]) {
+    throw new Error(`Unknown text format "${format}".`);
+  }
+  const ordered = flattenPages(pages);
+  if (!ordered.length) {
+    throw new Error('The package has no pages to export.');
+  }
+  const { extension } = TEXT_FORMATS[format];
+  const fileNames = ordered.map((page, index) => pageFileName(page, index, extension));
+  const linksFrom = (prefix) =>
+    new Map(ordered.map((page, index) => [page.id, `${prefix}${fileNames[index]}`]));
+  const pageLinks = linksFrom('');
+  const combinedLinks = linksFrom(`${PAGES_DIR}/`);
+  const markdown = format === 'markdown';
+  const resources = new Set();
+  const blocks = collectPageBlocks(xmlDoc);
+
+  const zip = new JSZip();
+  const combined = [
+    renderFrontMatter({
+      title: title || ordered[0].title,
+      ...(language ? { language } : {}),
+      pages: ordered.length
+    })
+  ];
+  ordered.forEach((page, index) => {
+    const fields = { id: page.id, title: page.title, order: index + 1 };
+    const heading = markdown ? `# ${escapeMarkdown(page.title)}` : page.title;
+    const content = readPageContent(page, blocks);
+    const body = htmlToMarkdown(content.html, {
+      format,
+      pageLinks,
+      resourcePrefix: '../',
+      resources,
+      headingOffset: 1 + content.offset
+    });
+    zip.file(
+      `${PAGES_DIR}/${fileNames[index]}`,
+      [renderFrontMatter(fields), heading, body].filter(Boolean).join('\n\n') + '\n'
+    );
+    const level = Math.min((page.level || 0) + 1, 6);
+    combined.push(
+      markdown
+        ? `<!-- id: ${page.id}, order: ${index + 1} -->\n${'#'.repeat(level)} ${escapeMarkdown(page.title)}`
+        : `${'='.repeat(40)}\n[${index + 1}] ${page.title} (${page.id})\n${'='.repeat(40)}`,
+      htmlToMarkdown(content.html, {
+        format,
+        pageLinks: combinedLinks,
+        resources,
+        headingOffset: level + content.offset
+      })
+    );
+  });
+  zip.file(`combined.${extension}`, `${combined.filter(Boolean).join('\n\n')}\n`);
+  let resourceCount = 0;
+  resources.forEach((path) => {
+    const record = fileMap.get(path);
+    if (record?.blob) {
+      zip.file(path, record.blob);
+      resourceCount += 1;
+    }
+  });
+
+  const output = await zip.generateAsync({
+    type,
+    compression: 'DEFLATE',
+    mimeType: 'application/zip'
+  });
+  return { output, pageCount: ordered.length, resourceCount };
+}
+
+export default {
+  TEXT_FORMATS,
+  htmlToMarkdown,
+  renderFrontMatter,
+  buildTextExport
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEXT_FORMATS,
+    htmlToMarkdown,
+    renderFrontMatter,
+    buildTextExport
+  };
+}
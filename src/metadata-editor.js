@@ -0,0 +1,260 @@
+import { parseContentXml } from './validator.js';
+import { readBlobText } from './viewer-utils.js';
+
+export const METADATA_FIELDS = [
+  { key: 'pp_title', label: 'Title', type: 'text' },
+  { key: 'pp_author', label: 'Author', type: 'text' },
+  { key: 'pp_lang', label: 'Language', type: 'text' },
+  { key: 'pp_description', label: 'Description', type: 'textarea' },
+  { key: 'license', label: 'License', type: 'text' },
+  { key: 'footer', label: 'Footer', type: 'textarea' }
+];
+
+export const DEFAULT_TOGGLE_KEYS = [
+  'pp_addExeLink',
+  'pp_addPagination',
+  'pp_addSearchBox',
+  'pp_addAccessibilityToolbar'
+];
+
+const TOGGLE_LABELS = {
+  pp_addExeLink: 'Add “Made with eXeLearning” link',
+  pp_addPagination: 'Add page counter',
+  pp_addSearchBox: 'Add search box',
+  pp_addAccessibilityToolbar: 'Add accessibility toolbar'
+};
+
+const EXPORTED_PAGE_PATH = /^(index\.html|html\/[^/]+\.html)$/i;
+
+// Packages written by newer editors may carry pp_add* switches this list does not know yet.
+export function getToggleFields(properties = {}) {
+  const keys = new Set(DEFAULT_TOGGLE_KEYS);
+  Object.keys(properties)
+    .filter((key) => key.startsWith('pp_add'))
+    .forEach((key) => keys.add(key));
+  return Array.from(keys).map((key) => ({
+    key,
+    label: TOGGLE_LABELS[key] || key,
+    type: 'toggle'
+  }));
+}
+
+function findProperty(xmlDoc, key) {
+  return Array.from(xmlDoc.getElementsByTagName('odeProperty')).find((property) => {
+    const keyNode = property.getElementsByTagName('key')[0];
+    return keyNode && keyNode.textContent.trim() === key;
+  });
+}
+
+function createProperty(xmlDoc, key) {
+  const root = xmlDoc.documentElement;
+  let container = xmlDoc.getElementsByTagName('odeProperties')[0];
+  if (!container) {
+    container = xmlDoc.createElement('odeProperties');
+    root.appendChild(container);
+  }
+  const property = xmlDoc.createElement('odeProperty');
+  const keyNode = xmlDoc.createElement('key');
+  keyNode.textContent = key;
+  property.append(keyNode, xmlDoc.createElement('value'));
+  container.appendChild(property);
+  return property;
+}
+
+// Writes the changed values into the parsed content.xml and returns the keys that changed.
+export function applyPropertyChanges(xmlDoc, changes = {}) {
+  const changed = [];
+  Object.entries(changes).forEach(([key, rawValue]) => {
+    const value = typeof rawValue === 'boolean' ? String(rawValue) : String(rawValue ?? '');
+    const property = findProperty(xmlDoc, key) || createProperty(xmlDoc, key);
+    let valueNode = property.getElementsByTagName('value')[0];
+    if (!valueNode) {
+      valueNode = xmlDoc.createElement('value');
+      property.appendChild(valueNode);
+    }
+    if (valueNode.textContent !== value) {
+      valueNode.textContent = value;
+      changed.push(key);
+    }
+  });
+  return changed;
+}
+
+export function serializeContentXml(xmlDoc, originalText = '') {
+  const output = new XMLSerializer().serializeToString(xmlDoc);
+  const declaration = originalText.match(/^\s*<\?xml[^>]*\?>/);
+  if (declaration && !output.startsWith('<?xml')) {
+    return `${declaration[0].trim()}\n${output}`;
+  }
+  return output;
+}
+
+function escapeText(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+function decodeText(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function setStartTagAttribute(html, tagName, name, value) {
+  const pattern = new RegExp(`<${tagName}\\b[^>]*>`, 'i');
+  return html.replace(pattern, (tag) => {
+    const attribute = new RegExp(`(\\s${name}\\s*=\\s*)(["'])[^"']*\\2`, 'i');
+    if (attribute.test(tag)) {
+      return tag.replace(attribute, `$1"${escapeAttribute(value)}"`);
+    }
+    return tag.replace(/\s*(\/?)>$/, ` ${name}="${escapeAttribute(value)}"$1>`);
+  });
+}
+
+// Patches an exported page in place rather than re-serialising it, so the markup eXeLearning
+// produced stays byte-for-byte identical outside the edited tags. Subpages keep their
+// "Page | Package" title prefix; only the package part is replaced.
+export function updateExportedHtml(html, { previousTitle = '', title, description, lang } = {}) {
+  let output = html;
+
+  if (title !== undefined) {
+    output = output.replace(/<title>([\s\S]*?)<\/title>/i, (match, current) => {
+      const text = decodeText(current);
+      const suffix = previousTitle ? ` | ${previousTitle}` : '';
+      if (suffix && text.endsWith(suffix)) {
+        return `<title>${escapeText(`${text.slice(0, -suffix.length)} | ${title}`)}</title>`;
+      }
+      if (!previousTitle || text === previousTitle) {
+        return `<title>${escapeText(title)}</title>`;
+      }
+      return match;
+    });
+    output = output.replace(
+      /(<h1\b[^>]*class="[^"]*\bpackage-title\b[^"]*"[^>]*>)([\s\S]*?)(<\/h1>)/i,
+      (match, open, current, close) =>
+        !previousTitle || decodeText(current.trim()) === previousTitle
+          ? `${open}${escapeText(title)}${close}`
+          : match
+    );
+  }
+
+  if (description !== undefined) {
+    const meta = /<meta\s+name=(["'])description\1[^>]*>\s*/i;
+    if (meta.test(output)) {
+      output = output.replace(meta, (tag) => {
+        if (!description) {
+          return '';
+        }
+        const trailing = tag.match(/\s*$/)[0];
+        return `<meta name="description" content="${escapeAttribute(description)}">${trailing}`;
+      });
+    } else if (description && /<\/title>/i.test(output)) {
+      output = output.replace(
+        /<\/title>/i,
+        `</title>\n<meta name="description" content="${escapeAttribute(description)}">`
+      );
+    }
+  }
+
+  if (lang) {
+    output = setStartTagAttribute(output, 'html', 'lang', lang);
+    if (/<body\b[^>]*\slang\s*=/i.test(output)) {
+      output = setStartTagAttribute(output, 'body', 'lang', lang);
+    }
+  }
+
+  return output;
+}
+
+export async function buildEditedPackage(fileMap, changes, { JSZip, type = 'blob' } = {}) {
+  const manifest = fileMap.get('content.xml');
+  if (!manifest?.blob) {
+    throw new Error('Only packages with a content.xml manifest can be edited.');
+  }
+  const originalXml = await readBlobText(manifest.blob);
+  const { document: xmlDoc, status, message } = parseContentXml(originalXml);
+  if (status === 'error') {
+    throw new Error(message);
+  }
+  const previousTitle = findProperty(xmlDoc, 'pp_title')
+    ?.getElementsByTagName('value')[0]
+    ?.textContent.trim();
+  const changed = applyPropertyChanges(xmlDoc, changes);
+
+  const files = new Map(fileMap);
+  const rewritten = [];
+  if (changed.length) {
+    const blob = new Blob([serializeContentXml(xmlDoc, originalXml)], { type: 'application/xml' });
+    files.set('content.xml', { ...manifest, blob, size: blob.size });
+    const htmlChanges = { previousTitle };
+    [
+      ['pp_title', 'title'],
+      ['pp_description', 'description'],
+      ['pp_lang', 'lang']
+    ].forEach(([key, option]) => {
+      if (changed.includes(key)) {
+        htmlChanges[option] = String(changes[key]);
+      }
+    });
+    if (Object.keys(htmlChanges).length > 1) {
+      for (const [path, record] of fileMap.entries()) {
+        if (!EXPORTED_PAGE_PATH.test(path) || !record?.blob) {
+          continue;
+        }
+        const text = await readBlobText(record.blob);
+        const isIndex = path.toLowerCase() === 'index.html';
+        const updated = updateExportedHtml(text, {
+          ...htmlChanges,
+          // Only the start page carries the package description.
+          description: isIndex ? htmlChanges.description : undefined
+        });
+        if (updated !== text) {
+          const blob = new Blob([updated], { type: 'text/html' });
+          files.set(path, { ...record, blob, size: blob.size });
+          rewritten.push(path);
+        }
+      }
+    }
+  }
+
+  const zip = new JSZip();
+  files.forEach((record, path) => {
+    zip.file(path, record.blob, {
+      date: record.lastModified ? new Date(record.lastModified) : undefined
+    });
+  });
+  const output = await zip.generateAsync({
+    type,
+    compression: 'DEFLATE',
+    mimeType: 'application/zip'
+  });
+  return { output, changed, rewritten };
+}
+
+export default {
+  METADATA_FIELDS,
+  DEFAULT_TOGGLE_KEYS,
+  getToggleFields,
+  applyPropertyChanges,
+  serializeContentXml,
+  updateExportedHtml,
+  buildEditedPackage
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    METADATA_FIELDS,
+    DEFAULT_TOGGLE_KEYS,
+    getToggleFields,
+    applyPropertyChanges,
+    serializeContentXml,
+    updateExportedHtml,
+    buildEditedPackage
+  };
+}
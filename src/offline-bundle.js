@@ -0,0 +1,265 @@
+import { escapeHtml, inferMimeType, readBlobBytes } from './viewer-utils.js';
+
+// Most mail services cap attachments at 25 MB, and the attachment itself is base64-encoded
+// again on the way out, so anything much above 18 MB will bounce.
+export const DEFAULT_BUNDLE_MAX_BYTES = 18 * 1024 * 1024;
+
+// The eXeLearning manifests are only needed to edit the package, not to browse it.
+const SKIPPED_PATHS = new Set(['content.xml', 'contentv3.xml']);
+
+// The loader turns every embedded file into a blob: URL on demand. Stylesheets have their url()
+// and @import references rewritten first; pages are rewritten into the frame's srcdoc, with links
+// to other pages kept as #path hashes so the back button and shared links keep working.
+const LOADER_SCRIPT = `(function () {
+  var bundle = JSON.parse(document.getElementById('elpx-bundle-data').textContent);
+  var frame = document.getElementById('elpx-bundle-frame');
+  var origin = 'https://bundle.invalid/';
+  var urls = {};
+  var pending = {};
+  var fragment = '';
+
+  function bytes(path) {
+    var binary = atob(bundle.files[path].data);
+    var output = new Uint8Array(binary.length);
+    for (var index = 0; index < binary.length; index += 1) {
+      output[index] = binary.charCodeAt(index);
+    }
+    return output;
+  }
+
+  function text(path) {
+    return new TextDecoder().decode(bytes(path));
+  }
+
+  // A malformed escape in a link or the address bar is kept as typed instead of stopping the loader.
+  function decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  function resolve(base, url) {
+    if (!url || /^(?:[a-z][a-z0-9+.-]*:|\\/\\/|#)/i.test(url)) {
+      return null;
+    }
+    var target;
+    try {
+      target = new URL(url, origin + base);
+    } catch (error) {
+      return null;
+    }
+    var path = decode(target.pathname.slice(1));
+    if (!path || path.charAt(path.length - 1) === '/') {
+      path += 'index.html';
+    }
+    return bundle.files[path] ? { path: path, hash: target.hash } : null;
+  }
+
+  function rewriteCss(css, base) {
+    var replace = function (match, url, build) {
+      var target = resolve(base, url.trim());
+      return target && !pending[target.path] ? build(fileUrl(target.path)) : match;
+    };
+    return css
+      .replace(/url\\(\\s*(['"]?)([^'")]+?)\\1\\s*\\)/gi, function (match, quote, url) {
+        return replace(match, url, function (href) {
+          return 'url("' + href + '")';
+        });
+      })
+      .replace(/@import\\s+(['"])([^'"]+)\\1/gi, function (match, quote, url) {
+        return replace(match, url, function (href) {
+          return '@import "' + href + '"';
+        });
+      });
+  }
+
+  function fileUrl(path) {
+    if (!urls[path]) {
+      pending[path] = true;
+      var body = /\\.css$/i.test(path) ? rewriteCss(text(path), path) : bytes(path);
+      delete pending[path];
+      urls[path] = URL.createObjectURL(new Blob([body], { type: bundle.files[path].type }));
+    }
+    return urls[path];
+  }
+
+  function rewriteAttribute(element, attribute, base) {
+    var value = element.getAttribute(attribute);
+    var target = value && resolve(base, value.trim());
+    if (!target) {
+      return;
+    }
+    if (/^(a|area)$/i.test(element.tagName) && /\\.html?$/i.test(target.path)) {
+      element.setAttribute('href', '#' + target.path + target.hash);
+      element.setAttribute('data-elpx-page', target.path + target.hash);
+    } else {
+      element.setAttribute(attribute, fileUrl(target.path) + target.hash);
+    }
+  }
+
+  function render(path) {
+    var doc = new DOMParser().parseFromString(text(path), 'text/html');
+    ['src', 'href', 'poster', 'data'].forEach(function (attribute) {
+      doc.querySelectorAll('[' + attribute + ']').forEach(function (element) {
+        rewriteAttribute(element, attribute, path);
+      });
+    });
+    doc.querySelectorAll('[srcset]').forEach(function (element) {
+      var srcset = element.getAttribute('srcset').split(',').map(function (candidate) {
+        var parts = candidate.trim().split(/\\s+/);
+        var target = resolve(path, parts[0]);
+        if (target) {
+          parts[0] = fileUrl(target.path);
+        }
+        return parts.join(' ');
+      });
+      element.setAttribute('srcset', srcset.join(', '));
+    });
+    doc.querySelectorAll('style').forEach(function (style) {
+      style.textContent = rewriteCss(style.textContent, path);
+    });
+    doc.querySelectorAll('[style]').forEach(function (element) {
+      element.setAttribute('style', rewriteCss(element.getAttribute('style'), path));
+    });
+    document.title = doc.title || document.title;
+    frame.srcdoc = '<!DOCTYPE html>' + doc.documentElement.outerHTML;
+  }
+
+  function open() {
+    var parts = decode(location.hash.slice(1)).split('#');
+    var path = bundle.files[parts[0]] ? parts[0] : bundle.start;
+    fragment = parts[1] || '';
+    render(path);
+  }
+
+  // srcdoc pages resolve "#id" against this file, so in-page links are scrolled by hand.
+  function scrollToFragment(doc, id) {
+    var target = id && (doc.getElementById(id) || doc.getElementsByName(id)[0]);
+    if (target) {
+      target.scrollIntoView();
+    }
+  }
+
+  frame.addEventListener('load', function () {
+    var doc = frame.contentDocument;
+    if (!doc) {
+      return;
+    }
+    doc.addEventListener('click', function (event) {
+      var link = event.target.closest && event.target.closest('a[href]');
+      if (!link) {
+        return;
+      }
+      var page = link.getAttribute('data-elpx-page');
+      var href = link.getAttribute('href');
+      if (page) {
+        event.preventDefault();
+        location.hash = page;
+      } else if (href.charAt(0) === '#') {
+        event.preventDefault();
+        scrollToFragment(doc, decode(href.slice(1)));
+      }
+    });
+    scrollToFragment(doc, fragment);
+  });
+  window.addEventListener('hashchange', open);
+  open();
+})();
+`;
+
+function isBundled(path, record) {
+  return !SKIPPED_PATHS.has(path) && Boolean(record?.blob);
+}
+
+// Base64 grows every file by a third; the estimate lets callers warn before the slow encoding.
+export function estimateBundleSize(fileMap) {
+  let size = LOADER_SCRIPT.length;
+  for (const [path, record] of fileMap.entries()) {
+    if (isBundled(path, record)) {
+      const bytes = record.size ?? record.blob.size;
+      size += Math.ceil(bytes / 3) * 4 + path.length + 40;
+    }
+  }
+  return size;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + chunkSize));
+  }
+  return btoa(binary);
+}
+
+export async function collectBundleFiles(fileMap) {
+  const files = {};
+  for (const [path, record] of fileMap.entries()) {
+    if (!isBundled(path, record)) {
+      continue;
+    }
+    files[path] = { type: inferMimeType(path), data: toBase64(await readBlobBytes(record.blob)) };
+  }
+  return files;
+}
+
+export function renderOfflineBundle({ files = {}, startFile = 'index.html', title = '' } = {}) {
+  // Escaping "<" keeps paths and data from closing the script element early.
+  const data = JSON.stringify({ start: startFile, files }).replace(/</g, '\\u003c');
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title || 'eXeLearning package')}</title>`,
+    '<style>html, body, iframe { margin: 0; border: 0; width: 100%; height: 100%; display: block; }</style>',
+    '</head>',
+    '<body>',
+    `<iframe id="elpx-bundle-frame" title="${escapeHtml(title || 'Package preview')}"></iframe>`,
+    `<script type="application/json" id="elpx-bundle-data">${data}</script>`,
+    `<script>${LOADER_SCRIPT}</script>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+export async function buildOfflineBundle(
+  fileMap,
+  { startFile = 'index.html', title = '', maxBytes = DEFAULT_BUNDLE_MAX_BYTES } = {}
+) {
+  if (!fileMap?.get(startFile)?.blob) {
+    throw new Error(`The package has no ${startFile} to start the bundle from.`);
+  }
+  const files = await collectBundleFiles(fileMap);
+  const output = new Blob([renderOfflineBundle({ files, startFile, title })], {
+    type: 'text/html'
+  });
+  return {
+    output,
+    size: output.size,
+    fileCount: Object.keys(files).length,
+    oversized: maxBytes > 0 && output.size > maxBytes
+  };
+}
+
+export default {
+  DEFAULT_BUNDLE_MAX_BYTES,
+  estimateBundleSize,
+  collectBundleFiles,
+  renderOfflineBundle,
+  buildOfflineBundle
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_BUNDLE_MAX_BYTES,
+    estimateBundleSize,
+    collectBundleFiles,
+    renderOfflineBundle,
+    buildOfflineBundle
+  };
+}
@@ -0,0 +1,202 @@
+import { findScriptReferences } from './usage.js';
+import { inferMimeType, readBlobText } from './viewer-utils.js';
+
+export const DEFAULT_OPTIMIZE_OPTIONS = {
+  maxDimension: 1920,
+  quality: 0.8,
+  minBytes: 100 * 1024
+};
+
+const RESOURCE_PREFIX = 'content/resources/';
+const RECOMPRESSIBLE_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+const REWRITABLE_PATH = /(^content\.xml$|\.html?$|\.css$)/i;
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+function hasTransparency(context, width, height) {
+  const { data } = context.getImageData(0, 0, width, height);
+  for (let index = 3; index < data.length; index += 4) {
+    if (data[index] < 255) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Browser encoder: scales the image down to maxDimension and re-encodes it.
+// Opaque PNGs are converted to JPEG; images with transparency keep their format.
+export function createCanvasEncoder() {
+  return async (blob, { maxDimension, quality, mimeType }) => {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    const targetType =
+      mimeType === 'image/png' && !hasTransparency(context, width, height)
+        ? 'image/jpeg'
+        : mimeType;
+    const output = await canvas.convertToBlob({ type: targetType, quality });
+    return { blob: output, mimeType: targetType, width, height };
+  };
+}
+
+function renamePath(path, mimeType) {
+  const extension = EXTENSIONS[mimeType];
+  if (!extension || inferMimeType(path) === mimeType) {
+    return path;
+  }
+  return path.replace(/\.[^./]+$/, `.${extension}`);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function rewriteReferences(text, renames) {
+  let output = text;
+  renames.forEach((newPath, oldPath) => {
+    // Match the path below content/resources/ so relative, absolute and
+    // {{context_path}} references are all covered.
+    const oldTail = oldPath.slice(RESOURCE_PREFIX.length);
+    const newTail = newPath.slice(RESOURCE_PREFIX.length);
+    [
+      [oldTail, newTail],
+      [encodeURI(oldTail), encodeURI(newTail)]
+    ].forEach(([from, to]) => {
+      const pattern = new RegExp(`(^|[/"'(=\\s])${escapeRegExp(from)}(?![\\w.-])`, 'g');
+      output = output.replace(pattern, `$1${to}`);
+    });
+  });
+  return output;
+}
+
+export async function optimizePackage(
+  fileMap,
+  { encoder, unusedPaths = [], JSZip, type = 'blob', onProgress = () => {}, ...options } = {}
+) {
+  const settings = { ...DEFAULT_OPTIMIZE_OPTIONS, ...options };
+  const skip = new Set(unusedPaths);
+  const files = new Map();
+  const renames = new Map();
+  const images = [];
+  const removed = [];
+  const failed = [];
+  let before = 0;
+
+  fileMap.forEach((record, path) => {
+    const size = record.size ?? record.blob?.size ?? 0;
+    before += size;
+    if (skip.has(path)) {
+      removed.push({ path, size });
+    } else {
+      files.set(path, { blob: record.blob, size, lastModified: record.lastModified });
+    }
+  });
+
+  const recompressible = Array.from(files.entries()).filter(
+    ([path, file]) =>
+      path.startsWith(RESOURCE_PREFIX) &&
+      RECOMPRESSIBLE_TYPES.has(inferMimeType(path)) &&
+      file.size >= settings.minBytes
+  );
+  // Scripts can assemble resource paths at run time, so an image a script mentions is left as it
+  // is rather than trusting a rewrite to find every reference. Unused files follow the same rule.
+  const scripted = await findScriptReferences(
+    files,
+    recompressible.map(([path]) => path)
+  );
+  const candidates = recompressible.filter(([path]) => !scripted.has(path));
+  for (let index = 0; index < candidates.length; index += 1) {
+    const [path, file] = candidates[index];
+    onProgress(index + 1, candidates.length, path);
+    let result = null;
+    try {
+      result = encoder
+        ? await encoder(file.blob, {
+            maxDimension: settings.maxDimension,
+            quality: settings.quality,
+            mimeType: inferMimeType(path)
+          })
+        : null;
+    } catch (error) {
+      failed.push({ path, message: error?.message || String(error) });
+    }
+    if (!result?.blob || result.blob.size >= file.size) {
+      continue;
+    }
+    const newPath = renamePath(path, result.mimeType);
+    if (newPath !== path && files.has(newPath)) {
+      continue;
+    }
+    files.delete(path);
+    files.set(newPath, { blob: result.blob, size: result.blob.size });
+    if (newPath !== path) {
+      renames.set(path, newPath);
+    }
+    images.push({ path, newPath, before: file.size, after: result.blob.size });
+  }
+
+  const rewritten = [];
+  if (renames.size) {
+    for (const [path, file] of files.entries()) {
+      if (!REWRITABLE_PATH.test(path)) {
+        continue;
+      }
+      const text = await readBlobText(file.blob);
+      const updated = rewriteReferences(text, renames);
+      if (updated !== text) {
+        const blob = new Blob([updated], { type: inferMimeType(path) });
+        files.set(path, { ...file, blob, size: blob.size });
+        rewritten.push(path);
+      }
+    }
+  }
+
+  const zip = new JSZip();
+  let after = 0;
+  files.forEach((file, path) => {
+    after += file.size;
+    zip.file(path, file.blob, {
+      date: file.lastModified ? new Date(file.lastModified) : undefined
+    });
+  });
+  const output = await zip.generateAsync({
+    type,
+    compression: 'DEFLATE',
+    mimeType: 'application/zip'
+  });
+
+  return {
+    output,
+    report: {
+      before,
+      after,
+      saved: before - after,
+      archiveSize: output.size ?? output.byteLength ?? 0,
+      images,
+      removed,
+      failed,
+      rewritten,
+      settings: { maxDimension: settings.maxDimension, quality: settings.quality }
+    }
+  };
+}
+
+export default {
+  DEFAULT_OPTIMIZE_OPTIONS,
+  createCanvasEncoder,
+  rewriteReferences,
+  optimizePackage
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_OPTIMIZE_OPTIONS,
+    createCanvasEncoder,
+    rewriteReferences,
+    optimizePackage
+  };
+}
@@ -0,0 +1,150 @@
+function normalisePreviewPath(path) {
+  if (!path) {
+    return '';
+  }
+  const trimmed = path.split(/[?#]/)[0].replace(/^\/+/, '');
+  try {
+    return decodeURIComponent(trimmed);
+  } catch {
+    return trimmed;
+  }
+}
+
+export class OutlinePanel {
+  constructor(root, { onNavigate } = {}) {
+    this.root = root;
+    this.onNavigate = onNavigate || null;
+    this.pages = [];
+    this.pageFiles = new Map();
+    this.activeId = '';
+    this.collapsed = false;
+    this.render();
+  }
+
+  update({ pages = [], pageFiles = new Map() } = {}) {
+    this.pages = pages;
+    this.pageFiles = pageFiles;
+    this.activeId = '';
+    this.render();
+  }
+
+  clear() {
+    this.update();
+  }
+
+  setCollapsed(collapsed) {
+    this.collapsed = Boolean(collapsed);
+    if (!this.root) {
+      return;
+    }
+    this.root.classList.toggle('is-collapsed', this.collapsed);
+    const toggle = this.root.querySelector('.outline-toggle');
+    if (toggle) {
+      toggle.setAttribute('aria-expanded', String(!this.collapsed));
+      toggle.title = this.collapsed ? 'Show page outline' : 'Hide page outline';
+    }
+  }
+
+  findPageIdByPath(path) {
+    const target = normalisePreviewPath(path);
+    if (!target) {
+      return '';
+    }
+    for (const [pageId, file] of this.pageFiles.entries()) {
+      if (file === target) {
+        return pageId;
+      }
+    }
+    return '';
+  }
+
+  setActivePath(path) {
+    this.setActivePage(this.findPageIdByPath(path));
+  }
+
+  setActivePage(pageId) {
+    this.activeId = pageId || '';
+    if (!this.root) {
+      return;
+    }
+    this.root.querySelectorAll('[data-page-id]').forEach((link) => {
+      const isActive = link.dataset.pageId === this.activeId;
+      link.classList.toggle('active', isActive);
+      if (isActive) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  render() {
+    if (!this.root) {
+      return;
+    }
+    this.root.innerHTML = '';
+    const hasPages = this.pages.length > 0 && this.pageFiles.size > 0;
+    this.root.hidden = !hasPages;
+    if (!hasPages) {
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'outline-header d-flex align-items-center justify-content-between gap-2';
+    const title = document.createElement('h2');
+    title.className = 'h6 mb-0 outline-title';
+    title.textContent = 'Pages';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn btn-sm btn-outline-secondary outline-toggle';
+    toggle.setAttribute('aria-controls', 'outlineTree');
+    toggle.innerHTML =
+      '<span aria-hidden="true">☰</span><span class="visually-hidden">Pages</span>';
+    toggle.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+    header.append(title, toggle);
+
+    const nav = document.createElement('nav');
+    nav.id = 'outlineTree';
+    nav.className = 'outline-tree';
+    nav.setAttribute('aria-label', 'Package pages');
+    nav.appendChild(this.renderList(this.pages));
+
+    this.root.append(header, nav);
+    this.setCollapsed(this.collapsed);
+    this.setActivePage(this.activeId);
+  }
+
+  renderList(pages) {
+    const list = document.createElement('ul');
+    list.className = 'list-unstyled mb-0';
+    pages.forEach((page) => {
+      const item = document.createElement('li');
+      const file = this.pageFiles.get(page.id);
+      const link = document.createElement(file ? 'a' : 'span');
+      link.className = 'outline-link';
+      link.textContent = page.title;
+      link.style.setProperty('--outline-level', String(page.level ?? 0));
+      if (file) {
+        link.href = '#';
+        link.dataset.pageId = page.id;
+        link.addEventListener('click', (event) => {
+          event.preventDefault();
+          this.setActivePage(page.id);
+          if (this.onNavigate) {
+            this.onNavigate(file, page);
+          }
+        });
+      } else {
+        link.classList.add('text-muted');
+      }
+      item.appendChild(link);
+      if (page.children?.length) {
+        item.appendChild(this.renderList(page.children));
+      }
+      list.appendChild(item);
+    });
+    return list;
+  }
+}
+
+export default OutlinePanel;
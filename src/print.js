@@ -0,0 +1,168 @@
+import { resolveReference } from './links.js';
+import { STATIC_FALLBACKS, applyStaticFallbacks, shiftHeadings } from './static-content.js';
+import { escapeHtml, readBlobText } from './viewer-utils.js';
+
+export const PRINT_VIEW_PATH = 'elpx-print.html';
+
+// The print view sits next to index.html, so a package that ships its own elpx-print.html keeps
+// it and the view moves to the first free numbered name.
+export function choosePrintViewPath(paths) {
+  const taken = new Set(paths);
+  let path = PRINT_VIEW_PATH;
+  for (let suffix = 2; taken.has(path); suffix += 1) {
+    path = PRINT_VIEW_PATH.replace(/\.html$/, `-${suffix}.html`);
+  }
+  return path;
+}
+
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data'];
+
+const PRINT_STYLES = `
+.elpx-print { max-width: 60rem; margin: 0 auto; padding: 1rem 1.5rem; }
+.elpx-print-toolbar { position: sticky; top: 0; z-index: 10; padding: 0.5rem 0; text-align: right; background: #fff; }
+.elpx-print-toc ol { list-style: none; padding-left: 1.25rem; }
+.elpx-print-toc > ol { padding-left: 0; }
+.elpx-print-page { break-before: page; }
+.elpx-print .box-toggle, .elpx-print script { display: none !important; }
+.elpx-print .box-content { display: block !important; }
+.elpx-print img, .elpx-print figure, .elpx-print table { max-width: 100%; break-inside: avoid; }
+.elpx-print img { height: auto; }
+.elpx-print-fallback { border: 1px dashed #888; padding: 0.5rem 1rem; margin: 0.5rem 0; }
+@media print {
+  .elpx-print-toolbar { display: none; }
+  .elpx-print { max-width: none; padding: 0; }
+}
+`;
+
+function pageAnchor(pageId) {
+  return `print-${pageId}`;
+}
+
+// Every page is printed from the root of the session, so its references are rebased; links to
+// other pages point at their section of the print view instead.
+function rebaseReferences(root, pagePath, anchors) {
+  URL_ATTRIBUTES.forEach((attribute) => {
+    root.querySelectorAll(`[${attribute}]`).forEach((element) => {
+      const target = resolveReference(pagePath, element.getAttribute(attribute).trim());
+      if (target.type !== 'internal') {
+        return;
+      }
+      if (anchors.has(target.path)) {
+        element.setAttribute(attribute, `#${target.fragment || anchors.get(target.path)}`);
+      } else {
+        const hash = target.fragment ? `#${target.fragment}` : '';
+        element.setAttribute(attribute, `${encodeURI(target.path)}${hash}`);
+      }
+    });
+  });
+}
+
+function renderToc(pages, pageFiles) {
+  const items = pages
+    .map((page) => {
+      const children = renderToc(page.children || [], pageFiles);
+      const title = escapeHtml(page.title);
+      const label = pageFiles.has(page.id)
+        ? `<a href="#${escapeHtml(pageAnchor(page.id))}">${title}</a>`
+        : title;
+      return `<li>${label}${children}</li>`;
+    })
+    .join('');
+  return items ? `<ol>${items}</ol>` : '';
+}
+
+export async function buildPrintDocument(
+  fileMap,
+  {
+    pages = [],
+    pageFiles = new Map(),
+    title = '',
+    language = '',
+    fallbacks = STATIC_FALLBACKS
+  } = {}
+) {
+  const parser = new DOMParser();
+  const anchors = new Map(
+    Array.from(pageFiles.entries()).map(([pageId, path]) => [path, pageAnchor(pageId)])
+  );
+  const stylesheets = [];
+  const sections = [];
+
+  const renderPage = async (page) => {
+    const level = Math.min((page.level || 0) + 2, 6);
+    const path = pageFiles.get(page.id);
+    const record = path ? fileMap.get(path) : null;
+    let body = '';
+    if (record?.blob) {
+      const doc = parser.parseFromString(await readBlobText(record.blob), 'text/html');
+      if (!stylesheets.length) {
+        doc.querySelectorAll('link[rel~="stylesheet"][href]').forEach((link) => {
+          const target = resolveReference(path, link.getAttribute('href'));
+          if (target.type === 'internal' && fileMap.has(target.path)) {
+            stylesheets.push(target.path);
+          }
+        });
+      }
+      const content = doc.querySelector('.page-content') || doc.querySelector('main') || doc.body;
+      applyStaticFallbacks(content, fallbacks);
+      shiftHeadings(content, level);
+      rebaseReferences(content, path, anchors);
+      body = `<div class="page-content">${content.innerHTML}</div>`;
+    }
+    sections.push(
+      [
+        `<section class="elpx-print-page" id="${escapeHtml(pageAnchor(page.id))}">`,
+        `<h${level} class="elpx-print-page-title">${escapeHtml(page.title)}</h${level}>`,
+        body,
+        '</section>'
+      ].join('\n')
+    );
+    for (const child of page.children || []) {
+      await renderPage(child);
+    }
+  };
+  for (const page of pages) {
+    await renderPage(page);
+  }
+
+  const heading = title || pages[0]?.title || 'eXeLearning package';
+  const lang = language ? ` lang="${escapeHtml(language)}"` : '';
+  return [
+    '<!DOCTYPE html>',
+    `<html${lang}>`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(heading)}</title>`,
+    ...stylesheets.map((href) => `<link rel="stylesheet" href="${escapeHtml(encodeURI(href))}">`),
+    `<style>${PRINT_STYLES}</style>`,
+    '</head>',
+    '<body class="exe-export exe-web-site">',
+    '<div class="elpx-print">',
+    '<div class="elpx-print-toolbar"><button type="button" class="btn btn-primary btn-sm" onclick="window.print()">Print / Save as PDF</button></div>',
+    `<h1 class="elpx-print-title">${escapeHtml(heading)}</h1>`,
+    '<nav class="elpx-print-toc" aria-labelledby="elpx-print-toc-title">',
+    '<h2 id="elpx-print-toc-title">Contents</h2>',
+    renderToc(pages, pageFiles),
+    '</nav>',
+    ...sections,
+    '</div>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+export default {
+  PRINT_VIEW_PATH,
+  choosePrintViewPath,
+  buildPrintDocument
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PRINT_VIEW_PATH,
+    choosePrintViewPath,
+    buildPrintDocument
+  };
+}
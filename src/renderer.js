@@ -47,7 +47,7 @@ function extractHtmlFromModernNavigation(navStructure) {
   return snippets.join('\n\n');
 }
 
-function parseModernPages(xmlDoc) {
+export function parseModernPages(xmlDoc) {
   const navigationNodes = Array.from(xmlDoc.getElementsByTagName('odeNavStructure'));
   if (!navigationNodes.length) {
     return [];
@@ -90,18 +90,44 @@ function ensureArray(value) {
   return Array.isArray(value) ? value : [value];
 }
 
+const LEGACY_CONTENT_KEYS = ['_content', '_body', '_text', '_html'];
+const LEGACY_FIELD_CONTENT_KEYS = ['content_w_resourcePaths', '_content'];
+
+function extractHtmlFromLegacyField(field) {
+  if (!field || typeof field !== 'object' || Array.isArray(field)) {
+    return '';
+  }
+  const key = LEGACY_FIELD_CONTENT_KEYS.find(
+    (candidate) => typeof field[candidate] === 'string' && field[candidate].trim()
+  );
+  return key ? field[key].trim() : '';
+}
+
 function extractHtmlFromLegacyNode(node) {
   if (!node || typeof node !== 'object') {
     return '';
   }
 
-  const contentKeys = ['_content', '_body', '_text', '_html'];
   const snippets = [];
-  contentKeys.forEach((key) => {
+  LEGACY_CONTENT_KEYS.forEach((key) => {
     if (typeof node[key] === 'string' && node[key].trim()) {
       snippets.push(node[key].trim());
     }
   });
+  if (snippets.length) {
+    return snippets.join('\n\n');
+  }
+
+  // eXe 2.x iDevices keep their HTML inside nested TextAreaField instances.
+  Object.values(node).forEach((value) => {
+    const fields = Array.isArray(value) ? value : [value];
+    fields.forEach((field) => {
+      const html = extractHtmlFromLegacyField(field);
+      if (html) {
+        snippets.push(html);
+      }
+    });
+  });
   return snippets.join('\n\n');
 }
 
@@ -221,6 +247,68 @@ function buildHierarchy(flatPages) {
   return roots;
 }
 
+export function createPageSlug(title, fallback = 'page') {
+  const slug = trimText(title)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || fallback;
+}
+
+export function flattenPages(pages, accumulator = []) {
+  (pages || []).forEach((page) => {
+    accumulator.push(page);
+    if (page.children?.length) {
+      flattenPages(page.children, accumulator);
+    }
+  });
+  return accumulator;
+}
+
+export function resolvePageFiles(pages, availablePaths) {
+  const available = new Set(
+    availablePaths instanceof Map ? availablePaths.keys() : Array.from(availablePaths || [])
+  );
+  const claimed = new Set();
+  const pageFiles = new Map();
+  const claim = (page, path) => {
+    pageFiles.set(page.id, path);
+    claimed.add(path);
+  };
+  const flatPages = flattenPages(pages);
+
+  // Exact names are claimed first, so a suffixed file is never taken from the page it belongs to.
+  flatPages.forEach((page, index) => {
+    if (index === 0 && available.has('index.html')) {
+      claim(page, 'index.html');
+      return;
+    }
+    const expected = `html/${createPageSlug(page.title)}.html`;
+    if (available.has(expected) && !claimed.has(expected)) {
+      claim(page, expected);
+    }
+  });
+
+  // Duplicate titles get a numeric suffix on export (e.g. html/tema-1.html).
+  flatPages.forEach((page) => {
+    if (pageFiles.has(page.id)) {
+      return;
+    }
+    const pattern = new RegExp(`^html/${createPageSlug(page.title)}-(\\d+)\\.html$`);
+    const candidate = Array.from(available)
+      .map((path) => ({ path, match: pattern.exec(path) }))
+      .filter(({ path, match }) => match && !claimed.has(path))
+      .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))[0];
+    if (candidate) {
+      claim(page, candidate.path);
+    }
+  });
+
+  return pageFiles;
+}
+
 export function generateElpViewData(xmlDoc) {
   if (!xmlDoc || !xmlDoc.documentElement) {
     return [];
@@ -239,8 +327,20 @@ export function generateElpViewData(xmlDoc) {
   return buildHierarchy(flatPages);
 }
 
-export default { generateElpViewData };
+export default {
+  generateElpViewData,
+  parseModernPages,
+  createPageSlug,
+  flattenPages,
+  resolvePageFiles
+};
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { generateElpViewData };
+  module.exports = {
+    generateElpViewData,
+    parseModernPages,
+    createPageSlug,
+    flattenPages,
+    resolvePageFiles
+  };
 }
@@ -0,0 +1,206 @@
+import { escapeHtml } from './viewer-utils.js';
+
+const LEVELS = ['error', 'warning', 'info'];
+
+export const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  junit: { label: 'JUnit XML', extension: 'xml', mimeType: 'application/xml' }
+};
+
+function countLevels(messages) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  messages.forEach((message) => {
+    if (LEVELS.includes(message.level)) {
+      counts[message.level] += 1;
+    }
+  });
+  return counts;
+}
+
+export function createValidationReport({
+  fileName = '',
+  fileSize = 0,
+  fileType = '',
+  manifestKind = '',
+  metadata = null,
+  compatibility = null,
+  messages = [],
+  summary = {},
+  generatedAt = new Date().toISOString()
+} = {}) {
+  const normalizedMessages = messages.map((message) => ({
+    level: LEVELS.includes(message.level) ? message.level : 'info',
+    text: message.text || '',
+    ruleId: message.ruleId || null,
+    category: message.category || null,
+    location: message.location || null
+  }));
+  const counts = countLevels(normalizedMessages);
+  const status = counts.error > 0 ? 'failed' : counts.warning > 0 ? 'warnings' : 'passed';
+
+  return {
+    generatedAt,
+    status,
+    counts,
+    package: {
+      fileName,
+      fileSize,
+      fileType,
+      manifestKind,
+      versionLabel: compatibility?.versionLabel || '',
+      isUnsupported: Boolean(compatibility?.isUnsupported)
+    },
+    messages: normalizedMessages,
+    metadata: {
+      properties: metadata?.properties || {},
+      resources: metadata?.resources || {}
+    },
+    inventory: {
+      totalFiles: summary?.totalFiles ?? 0,
+      totalSize: summary?.totalSize ?? 0
+    }
+  };
+}
+
+export function renderReportJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+function formatLocation(location) {
+  if (!location) {
+    return '';
+  }
+  return [
+    location.pageName || location.pageId,
+    location.blockId && `block ${location.blockId}`,
+    location.ideviceId && `iDevice ${location.ideviceType || ''} (${location.ideviceId})`.trim()
+  ]
+    .filter(Boolean)
+    .join(' › ');
+}
+
+function renderKeyValueRows(entries) {
+  return Object.entries(entries)
+    .map(
+      ([key, value]) =>
+        `<tr><th scope="row"><code>${escapeHtml(key)}</code></th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join('');
+}
+
+export function renderReportHtml(report) {
+  const title = `Validation report: ${report.package.fileName || 'package'}`;
+  const messageRows = report.messages
+    .map(
+      (message) =>
+        `<tr class="level-${message.level}"><td>${escapeHtml(message.level)}</td><td>${escapeHtml(message.ruleId || '')}</td><td>${escapeHtml(message.text)}</td><td>${escapeHtml(formatLocation(message.location))}</td></tr>`
+    )
+    .join('');
+  const overview = {
+    'File name': report.package.fileName,
+    'File size (bytes)': report.package.fileSize,
+    'Package type': report.package.fileType,
+    Manifest: report.package.manifestKind,
+    'ELP version': report.package.versionLabel || '—',
+    Files: report.inventory.totalFiles,
+    'Total size (bytes)': report.inventory.totalSize,
+    Generated: report.generatedAt
+  };
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #212529; }
+h1 { font-size: 1.5rem; }
+h2 { font-size: 1.15rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border: 1px solid #dee2e6; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+.status { display: inline-block; padding: 0.2rem 0.6rem; border-radius: 1rem; font-weight: 600; }
+.status-passed { background: #d1e7dd; }
+.status-warnings { background: #fff3cd; }
+.status-failed { background: #f8d7da; }
+tr.level-error td:first-child { color: #b02a37; font-weight: 600; }
+tr.level-warning td:first-child { color: #997404; font-weight: 600; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p><span class="status status-${report.status}">${escapeHtml(report.status)}</span> ${report.counts.error} errors, ${report.counts.warning} warnings, ${report.counts.info} notes</p>
+<h2>Package</h2>
+<table><tbody>${renderKeyValueRows(overview)}</tbody></table>
+<h2>Validation messages</h2>
+<table>
+<thead><tr><th scope="col">Level</th><th scope="col">Rule</th><th scope="col">Message</th><th scope="col">Location</th></tr></thead>
+<tbody>${messageRows || '<tr><td colspan="4">No messages.</td></tr>'}</tbody>
+</table>
+<h2>Properties</h2>
+<table><tbody>${renderKeyValueRows(report.metadata.properties) || '<tr><td>None.</td></tr>'}</tbody></table>
+<h2>Resources</h2>
+<table><tbody>${renderKeyValueRows(report.metadata.resources) || '<tr><td>None.</td></tr>'}</tbody></table>
+</body>
+</html>
+`;
+}
+
+function renderTestSuite(report) {
+  const suiteName = report.package.fileName || 'package';
+  const cases = report.messages.length
+    ? report.messages.map((message, index) => {
+        const name = `${message.ruleId || 'validation'} #${index + 1}`;
+        const location = formatLocation(message.location);
+        const detail = location ? `${message.text} (${location})` : message.text;
+        const attributes = `name="${escapeHtml(name)}" classname="${escapeHtml(`${suiteName}.${message.category || 'general'}`)}"`;
+        if (message.level === 'error') {
+          return `    <testcase ${attributes}>\n      <failure type="error" message="${escapeHtml(message.text)}">${escapeHtml(detail)}</failure>\n    </testcase>`;
+        }
+        return `    <testcase ${attributes}>\n      <system-out>${escapeHtml(`${message.level.toUpperCase()}: ${detail}`)}</system-out>\n    </testcase>`;
+      })
+    : [`    <testcase name="validation" classname="${escapeHtml(suiteName)}"/>`];
+  const tests = Math.max(report.messages.length, 1);
+  return `  <testsuite name="${escapeHtml(suiteName)}" tests="${tests}" failures="${report.counts.error}" errors="0" skipped="0" timestamp="${escapeHtml(report.generatedAt)}">\n${cases.join('\n')}\n  </testsuite>`;
+}
+
+export function renderReportJUnit(reports) {
+  const list = Array.isArray(reports) ? reports : [reports];
+  const tests = list.reduce((total, report) => total + Math.max(report.messages.length, 1), 0);
+  const failures = list.reduce((total, report) => total + report.counts.error, 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="elpx-validate" tests="${tests}" failures="${failures}" errors="0">\n${list.map(renderTestSuite).join('\n')}\n</testsuites>\n`;
+}
+
+export function serializeReport(report, format = 'json') {
+  switch (format) {
+    case 'html':
+      return renderReportHtml(report);
+    case 'junit':
+      return renderReportJUnit(report);
+    case 'json':
+      return renderReportJson(report);
+    default:
+      throw new Error(`Unknown report format "${format}".`);
+  }
+}
+
+export default {
+  REPORT_FORMATS,
+  createValidationReport,
+  renderReportJson,
+  renderReportHtml,
+  renderReportJUnit,
+  serializeReport
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REPORT_FORMATS,
+    createValidationReport,
+    renderReportJson,
+    renderReportHtml,
+    renderReportJUnit,
+    serializeReport
+  };
+}
@@ -0,0 +1,276 @@
+import { ACCESSIBILITY_RULES } from './accessibility.js';
+import { IDEVICE_RULES } from './idevice-schemas.js';
+import { LINK_RULES } from './links.js';
+import { USAGE_RULES } from './usage.js';
+import {
+  checkNavStructures,
+  checkPagePresence,
+  checkRootElement,
+  extractResourcePaths,
+  findMissingResources,
+  validateStructuralIntegrity
+} from './validator.js';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+function statusToFindings(result, failureSeverity) {
+  if (!result) {
+    return [];
+  }
+  return [
+    {
+      severity: result.status === 'success' ? 'info' : failureSeverity,
+      message: result.message
+    }
+  ];
+}
+
+export const BUILTIN_RULES = [
+  {
+    id: 'structure.root-element',
+    severity: 'error',
+    category: 'structure',
+    description: 'The manifest root element must be <ode>.',
+    blocking: true,
+    check: ({ xmlDoc }) => statusToFindings(checkRootElement(xmlDoc), 'error')
+  },
+  {
+    id: 'structure.nav-structures',
+    severity: 'error',
+    category: 'structure',
+    description: 'The manifest must declare <odeNavStructures>.',
+    blocking: true,
+    check: ({ xmlDoc }) => statusToFindings(checkNavStructures(xmlDoc), 'error')
+  },
+  {
+    id: 'structure.page-presence',
+    severity: 'warning',
+    category: 'structure',
+    description: 'The project should contain at least one page.',
+    check: ({ xmlDoc }) => {
+      const result = checkPagePresence(xmlDoc);
+      return statusToFindings(result, result.status);
+    }
+  },
+  {
+    id: 'structure.integrity',
+    severity: 'error',
+    category: 'structure',
+    description: 'Pages, blocks and components must carry their required fields.',
+    check: ({ xmlDoc }) => {
+      const result = validateStructuralIntegrity(xmlDoc);
+      if (result.status === 'success') {
+        return statusToFindings(result, 'error');
+      }
+      return result.findings.map((finding) => ({
+        severity: 'error',
+        message: finding.message,
+        location: {
+          pageId: finding.pageId,
+          pageName: finding.pageName,
+          blockId: finding.blockId,
+          ideviceId: finding.ideviceId,
+          ideviceType: finding.ideviceType
+        },
+        details: { kind: finding.kind, missing: finding.missing }
+      }));
+    }
+  },
+  {
+    id: 'resources.missing',
+    severity: 'warning',
+    category: 'resources',
+    description: 'Resources referenced from the manifest must exist in the archive.',
+    check: ({ xmlDoc, zip }) => {
+      const resourcePaths = extractResourcePaths(xmlDoc);
+      const missingResources = zip ? findMissingResources(resourcePaths, zip) : [];
+      if (missingResources.length > 0) {
+        const preview = missingResources.slice(0, 5).join(', ');
+        return [
+          {
+            severity: 'warning',
+            message: `Missing ${missingResources.length} referenced resource${missingResources.length === 1 ? '' : 's'} (first: ${preview}${missingResources.length > 5 ? ', …' : ''}).`
+          }
+        ];
+      }
+      if (resourcePaths.length > 0) {
+        return [
+          { severity: 'info', message: `All ${resourcePaths.length} linked resources are present.` }
+        ];
+      }
+      return [{ severity: 'info', message: 'No linked resources were detected in the manifest.' }];
+    }
+  }
+];
+
+export function defineRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('A validation rule must be an object.');
+  }
+  if (typeof rule.id !== 'string' || !rule.id.trim()) {
+    throw new Error('A validation rule needs a non-empty string id.');
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Validation rule "${rule.id}" needs a check function.`);
+  }
+  const severity = rule.severity || 'error';
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Validation rule "${rule.id}" has an unknown severity "${severity}".`);
+  }
+  return {
+    category: 'custom',
+    description: '',
+    manifestKinds: ['modern'],
+    blocking: false,
+    enabled: true,
+    ...rule,
+    id: rule.id.trim(),
+    severity
+  };
+}
+
+export class RuleRegistry {
+  constructor(rules = []) {
+    this.rules = new Map();
+    rules.forEach((rule) => this.register(rule));
+  }
+
+  register(rule) {
+    const definition = defineRule(rule);
+    this.rules.set(definition.id, definition);
+    return definition;
+  }
+
+  unregister(id) {
+    return this.rules.delete(id);
+  }
+
+  get(id) {
+    return this.rules.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.rules.values());
+  }
+}
+
+export function createDefaultRegistry(extraRules = []) {
+  return new RuleRegistry([
+    ...BUILTIN_RULES,
+    ...IDEVICE_RULES,
+    ...ACCESSIBILITY_RULES,
+    ...LINK_RULES,
+    ...USAGE_RULES,
+    ...extraRules
+  ]);
+}
+
+export function isRuleEnabled(rule, profile) {
+  if (!profile) {
+    return rule.enabled !== false;
+  }
+  if (Array.isArray(profile.enabled) && profile.enabled.length > 0) {
+    return profile.enabled.includes(rule.id) || profile.enabled.includes(rule.category);
+  }
+  if (Array.isArray(profile.disabled)) {
+    if (profile.disabled.includes(rule.id) || profile.disabled.includes(rule.category)) {
+      return false;
+    }
+  }
+  return rule.enabled !== false;
+}
+
+function normaliseFinding(rule, finding, profile) {
+  const override = profile?.severity?.[rule.id];
+  const raw = typeof finding === 'string' ? { message: finding } : finding || {};
+  let severity = SEVERITIES.includes(raw.severity) ? raw.severity : rule.severity;
+  if (override && severity !== 'info' && SEVERITIES.includes(override)) {
+    severity = override;
+  }
+  return {
+    ruleId: rule.id,
+    category: rule.category,
+    severity,
+    message: raw.message || rule.description || rule.id,
+    location: raw.location || null,
+    ...(raw.details ? { details: raw.details } : {})
+  };
+}
+
+export async function runRules(registry, context, { profile } = {}) {
+  const manifestKind = context?.manifestKind || 'modern';
+  const findings = [];
+
+  for (const rule of registry.list()) {
+    if (!isRuleEnabled(rule, profile)) {
+      continue;
+    }
+    if (Array.isArray(rule.manifestKinds) && !rule.manifestKinds.includes(manifestKind)) {
+      continue;
+    }
+    let ruleFindings;
+    try {
+      ruleFindings = (await rule.check(context)) || [];
+    } catch (error) {
+      ruleFindings = [
+        { severity: 'error', message: `Rule "${rule.id}" could not run: ${error.message}` }
+      ];
+    }
+    const normalised = (Array.isArray(ruleFindings) ? ruleFindings : [ruleFindings]).map(
+      (finding) => normaliseFinding(rule, finding, profile)
+    );
+    findings.push(...normalised);
+    if (rule.blocking && normalised.some((finding) => finding.severity === 'error')) {
+      break;
+    }
+  }
+
+  return findings;
+}
+
+export function findingsToMessages(findings) {
+  return findings.map((finding) => ({
+    level: finding.severity,
+    text: finding.message,
+    ruleId: finding.ruleId,
+    category: finding.category,
+    location: finding.location
+  }));
+}
+
+export async function gatherMessages(context, { registry, profile } = {}) {
+  if (context?.manifestKind === 'legacy') {
+    return [
+      {
+        level: 'warning',
+        text: 'Legacy manifest format detected. Structural validation checks were skipped.'
+      }
+    ];
+  }
+  const findings = await runRules(registry || createDefaultRegistry(), context, { profile });
+  return findingsToMessages(findings);
+}
+
+export default {
+  BUILTIN_RULES,
+  RuleRegistry,
+  defineRule,
+  createDefaultRegistry,
+  isRuleEnabled,
+  runRules,
+  findingsToMessages,
+  gatherMessages
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUILTIN_RULES,
+    RuleRegistry,
+    defineRule,
+    createDefaultRegistry,
+    isRuleEnabled,
+    runRules,
+    findingsToMessages,
+    gatherMessages
+  };
+}
@@ -0,0 +1,299 @@
+import { IMS_MANIFEST_PATH, renderManifestItems, toManifestIdentifier } from './ims-manifest.js';
+import { resolveReference } from './links.js';
+import { escapeHtml, readBlobText } from './viewer-utils.js';
+import { fileHref, indent } from './xml-utils.js';
+
+export const SCORM_VERSIONS = {
+  scorm12: {
+    label: 'SCORM 1.2',
+    schemaVersion: '1.2',
+    namespace: 'http://www.imsproject.org/xsd/imscp_rootv1p1p2',
+    schema: 'imscp_rootv1p1p2.xsd',
+    adlcpNamespace: 'http://www.adlnet.org/xsd/adlcp_rootv1p2',
+    adlcpSchema: 'adlcp_rootv1p2.xsd',
+    scormTypeAttribute: 'adlcp:scormtype',
+    parentItemsLaunch: true,
+    api: {
+      name: 'API',
+      initialize: 'LMSInitialize',
+      getValue: 'LMSGetValue',
+      setValue: 'LMSSetValue',
+      commit: 'LMSCommit',
+      finish: 'LMSFinish',
+      statusKey: 'cmi.core.lesson_status'
+    }
+  },
+  scorm2004: {
+    label: 'SCORM 2004 (4th edition)',
+    schemaVersion: '2004 4th Edition',
+    namespace: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+    schema: 'imscp_v1p1.xsd',
+    adlcpNamespace: 'http://www.adlnet.org/xsd/adlcp_v1p3',
+    adlcpSchema: 'adlcp_v1p3.xsd',
+    scormTypeAttribute: 'adlcp:scormType',
+    parentItemsLaunch: false,
+    api: {
+      name: 'API_1484_11',
+      initialize: 'Initialize',
+      getValue: 'GetValue',
+      setValue: 'SetValue',
+      commit: 'Commit',
+      finish: 'Terminate',
+      statusKey: 'cmi.completion_status'
+    }
+  }
+};
+
+export const SCORM_API_PATH = 'scorm-api.js';
+export const DEFAULT_COMPLETION_SECONDS = 10;
+const SHARED_RESOURCE_ID = 'RES-SHARED';
+
+function getVersion(version) {
+  const definition = SCORM_VERSIONS[version];
+  if (!definition) {
+    throw new Error(`Unknown SCORM version "${version}".`);
+  }
+  return definition;
+}
+
+// The exported site has no notion of a score, so a SCO is "incomplete" once opened and
+// "completed" after the learner has reached the end of the page and stayed on it for a while.
+// A status the LMS already holds as finished is never reset by a later visit.
+export function createScormApiScript(
+  version = 'scorm12',
+  { completionSeconds = DEFAULT_COMPLETION_SECONDS } = {}
+) {
+  const config = JSON.stringify({
+    ...getVersion(version).api,
+    completionMs: Math.max(0, completionSeconds) * 1000
+  });
+  return `(function () {
+  var config = ${config};
+  function findApi(win) {
+    for (var depth = 0; win && depth < 10; depth += 1) {
+      try {
+        if (win[config.name]) {
+          return win[config.name];
+        }
+      } catch (error) {
+        return null;
+      }
+      if (win.parent === win) {
+        break;
+      }
+      win = win.parent;
+    }
+    return null;
+  }
+  var api = findApi(window) || (window.opener ? findApi(window.opener) : null);
+  if (!api || String(api[config.initialize]('')) !== 'true') {
+    return;
+  }
+  function report(status) {
+    api[config.setValue](config.statusKey, status);
+    api[config.commit]('');
+  }
+  var completed = /^(completed|passed)$/.test(String(api[config.getValue](config.statusKey)));
+  if (!completed) {
+    report('incomplete');
+  }
+  var openedAt = new Date().getTime();
+  var timer = null;
+  function reachedEnd() {
+    var root = document.documentElement;
+    var scrolled = window.pageYOffset || root.scrollTop || 0;
+    return scrolled + window.innerHeight >= root.scrollHeight - 2;
+  }
+  function check() {
+    if (completed || !reachedEnd() || new Date().getTime() - openedAt < config.completionMs) {
+      return;
+    }
+    completed = true;
+    window.clearInterval(timer);
+    window.removeEventListener('scroll', check);
+    report('completed');
+  }
+  if (!completed) {
+    timer = window.setInterval(check, 1000);
+    window.addEventListener('scroll', check);
+  }
+  var finished = false;
+  function finish() {
+    if (!finished) {
+      finished = true;
+      window.clearInterval(timer);
+      api[config.finish]('');
+    }
+  }
+  window.addEventListener('pagehide', finish);
+  window.addEventListener('beforeunload', finish);
+})();
+`;
+}
+
+export function injectScormApi(html, pagePath) {
+  const depth = pagePath.split('/').length - 1;
+  const src = `${'../'.repeat(depth)}${SCORM_API_PATH}`;
+  if (html.includes(`src="${src}"`)) {
+    return html;
+  }
+  const tag = `<script src="${src}"></script>`;
+  if (/<\/head>/i.test(html)) {
+    return html.replace(/<\/head>/i, `${tag}\n</head>`);
+  }
+  return `${tag}\n${html}`;
+}
+
+// Every page is a SCO of its own, so moving between pages is left to the LMS: following a link
+// inside the SCO frame would load the next page after this one has already terminated. The site
+// menu and previous/next buttons are removed and links to other pages keep only their text.
+export function detachScoNavigation(html, pagePath, pagePaths) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('#siteNav, .nav-buttons').forEach((element) => element.remove());
+  doc.querySelectorAll('a[href]').forEach((link) => {
+    const target = resolveReference(pagePath, link.getAttribute('href').trim());
+    if (target.type === 'internal' && target.path !== pagePath && pagePaths.has(target.path)) {
+      link.replaceWith(...link.childNodes);
+    }
+  });
+  return `${doc.doctype ? '<!DOCTYPE html>\n' : ''}${doc.documentElement.outerHTML}`;
+}
+
+export function buildScormManifest({
+  pages = [],
+  pageFiles = new Map(),
+  paths = [],
+  metadata = null,
+  version = 'scorm12'
+} = {}) {
+  const definition = getVersion(version);
+  const title = metadata?.properties?.pp_title || pages[0]?.title || 'eXeLearning package';
+  const identifier = toManifestIdentifier(
+    'MANIFEST',
+    metadata?.resources?.odeId || metadata?.resources?.odeVersionId || 'elpx'
+  );
+  const pagePaths = new Set(pageFiles.values());
+  const scoResources = [];
+  pageFiles.forEach((path, pageId) => {
+    scoResources.push(
+      `<resource identifier="${toManifestIdentifier('RES', pageId)}" type="webcontent" ${definition.scormTypeAttribute}="sco" href="${fileHref(path)}">`,
+      `  <file href="${fileHref(path)}"/>`,
+      `  <dependency identifierref="${SHARED_RESOURCE_ID}"/>`,
+      '</resource>'
+    );
+  });
+  const sharedFiles = paths
+    .filter((path) => !pagePaths.has(path) && path !== IMS_MANIFEST_PATH)
+    .map((path) => `  <file href="${fileHref(path)}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest identifier="${identifier}" version="1.0" xmlns="${definition.namespace}" xmlns:adlcp="${definition.adlcpNamespace}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${definition.namespace} ${definition.schema} ${definition.adlcpNamespace} ${definition.adlcpSchema}">`,
+    ...indent(
+      [
+        '<metadata>',
+        '  <schema>ADL SCORM</schema>',
+        `  <schemaversion>${definition.schemaVersion}</schemaversion>`,
+        '</metadata>',
+        '<organizations default="ORG-1">',
+        '  <organization identifier="ORG-1">',
+        `    <title>${escapeHtml(title)}</title>`,
+        ...indent(
+          renderManifestItems(pages, pageFiles, {
+            parentItemsLaunch: definition.parentItemsLaunch,
+            itemAttributes: ' isvisible="true"'
+          }),
+          2
+        ),
+        '  </organization>',
+        '</organizations>',
+        '<resources>',
+        ...indent(scoResources, 1),
+        `  <resource identifier="${SHARED_RESOURCE_ID}" type="webcontent" ${definition.scormTypeAttribute}="asset">`,
+        ...indent(sharedFiles, 1),
+        '  </resource>',
+        '</resources>'
+      ],
+      1
+    ),
+    '</manifest>',
+    ''
+  ].join('\n');
+}
+
+// The exported zip keeps content.xml and index.html next to the SCORM files, so it can be
+// loaded back into the viewer as a regular package.
+export async function buildScormPackage(
+  fileMap,
+  {
+    pages = [],
+    pageFiles = new Map(),
+    metadata = null,
+    version = 'scorm12',
+    JSZip,
+    type = 'blob'
+  } = {}
+) {
+  if (!JSZip) {
+    throw new Error('JSZip is required to build a SCORM package.');
+  }
+  const launchable = new Map(
+    Array.from(pageFiles.entries()).filter(([, path]) => fileMap.get(path)?.blob)
+  );
+  if (!launchable.size) {
+    throw new Error('No exported pages were found to package as SCOs.');
+  }
+  const pagePaths = new Set(launchable.values());
+  const zip = new JSZip();
+  for (const [path, record] of fileMap.entries()) {
+    if (path === IMS_MANIFEST_PATH || path === SCORM_API_PATH || !record?.blob) {
+      continue;
+    }
+    const date = record.lastModified ? new Date(record.lastModified) : undefined;
+    if (pagePaths.has(path)) {
+      const html = detachScoNavigation(await readBlobText(record.blob), path, pagePaths);
+      zip.file(path, injectScormApi(html, path), { date });
+    } else {
+      zip.file(path, record.blob, { date });
+    }
+  }
+  zip.file(SCORM_API_PATH, createScormApiScript(version));
+  const manifest = buildScormManifest({
+    pages,
+    pageFiles: launchable,
+    paths: Object.keys(zip.files).filter((path) => !zip.files[path].dir),
+    metadata,
+    version
+  });
+  zip.file(IMS_MANIFEST_PATH, manifest);
+  const output = await zip.generateAsync({
+    type,
+    compression: 'DEFLATE',
+    mimeType: 'application/zip'
+  });
+  return { output, manifest, scoCount: launchable.size };
+}
+
+export default {
+  SCORM_VERSIONS,
+  SCORM_API_PATH,
+  DEFAULT_COMPLETION_SECONDS,
+  createScormApiScript,
+  injectScormApi,
+  detachScoNavigation,
+  buildScormManifest,
+  buildScormPackage
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCORM_VERSIONS,
+    SCORM_API_PATH,
+    DEFAULT_COMPLETION_SECONDS,
+    createScormApiScript,
+    injectScormApi,
+    detachScoNavigation,
+    buildScormManifest,
+    buildScormPackage
+  };
+}
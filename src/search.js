@@ -0,0 +1,213 @@
+import { flattenPages } from './renderer.js';
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const EXCLUDED_SELECTORS = 'script, style, noscript, template, nav, #exe-client-search';
+const TITLE_WEIGHT = 5;
+const SNIPPET_RADIUS = 60;
+
+export function foldText(text) {
+  const source = String(text ?? '');
+  let folded = '';
+  const offsets = [];
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    const normalized = char.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+    for (let part = 0; part < normalized.length; part += 1) {
+      folded += normalized[part];
+      offsets.push(index);
+    }
+  }
+  return { folded, offsets };
+}
+
+export function normalizeSearchText(text) {
+  return foldText(text).folded;
+}
+
+function tokenize(query) {
+  return normalizeSearchText(query)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 0);
+}
+
+export function extractSearchableText(html) {
+  if (!html) {
+    return '';
+  }
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const root = doc.querySelector('main') || doc.body;
+  if (!root) {
+    return '';
+  }
+  root.querySelectorAll(EXCLUDED_SELECTORS).forEach((node) => node.remove());
+  root.querySelectorAll('br, p, div, li, h1, h2, h3, h4, h5, h6, td, th').forEach((node) => {
+    node.append(' ');
+  });
+  return (root.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function extractDocumentTitle(html) {
+  if (!html) {
+    return '';
+  }
+  return new DOMParser().parseFromString(html, 'text/html').title.trim();
+}
+
+export function createSearchDocuments({ pages = [], pageFiles = new Map(), htmlFiles } = {}) {
+  const files = htmlFiles instanceof Map ? htmlFiles : new Map();
+  const claimed = new Set();
+  const documents = [];
+
+  flattenPages(pages).forEach((page) => {
+    const path = pageFiles.get(page.id) || '';
+    const exported = path ? files.get(path) : undefined;
+    if (path) {
+      claimed.add(path);
+    }
+    documents.push({
+      id: page.id,
+      title: page.title,
+      path,
+      text: extractSearchableText(exported ?? page.htmlContent ?? '')
+    });
+  });
+
+  files.forEach((html, path) => {
+    if (claimed.has(path)) {
+      return;
+    }
+    documents.push({
+      id: path,
+      title: extractDocumentTitle(html) || path,
+      path,
+      text: extractSearchableText(html)
+    });
+  });
+
+  return documents;
+}
+
+export function buildSearchIndex(documents = []) {
+  return {
+    documents: documents.map((document) => {
+      const body = foldText(document.text || '');
+      return {
+        ...document,
+        foldedTitle: normalizeSearchText(document.title || ''),
+        foldedText: body.folded,
+        offsets: body.offsets
+      };
+    })
+  };
+}
+
+function countOccurrences(haystack, needle) {
+  if (!needle) {
+    return 0;
+  }
+  let count = 0;
+  let position = haystack.indexOf(needle);
+  while (position !== -1) {
+    count += 1;
+    position = haystack.indexOf(needle, position + needle.length);
+  }
+  return count;
+}
+
+function buildSnippet(document, token) {
+  const foldedIndex = document.foldedText.indexOf(token);
+  if (foldedIndex === -1) {
+    const text = document.text || '';
+    return { before: '', match: '', after: text.slice(0, SNIPPET_RADIUS * 2) };
+  }
+  const start = document.offsets[foldedIndex];
+  const end = document.offsets[foldedIndex + token.length - 1] + 1;
+  const text = document.text;
+  const snippetStart = Math.max(0, start - SNIPPET_RADIUS);
+  const snippetEnd = Math.min(text.length, end + SNIPPET_RADIUS);
+  return {
+    before: `${snippetStart > 0 ? '…' : ''}${text.slice(snippetStart, start)}`,
+    match: text.slice(start, end),
+    after: `${text.slice(end, snippetEnd)}${snippetEnd < text.length ? '…' : ''}`
+  };
+}
+
+export function searchIndex(index, query, { limit = 20 } = {}) {
+  const tokens = tokenize(query);
+  if (!index || !tokens.length) {
+    return [];
+  }
+
+  const hits = [];
+  index.documents.forEach((document) => {
+    let score = 0;
+    const matchesAll = tokens.every((token) => {
+      const inTitle = countOccurrences(document.foldedTitle, token);
+      const inText = countOccurrences(document.foldedText, token);
+      score += inTitle * TITLE_WEIGHT + inText;
+      return inTitle + inText > 0;
+    });
+    if (!matchesAll) {
+      return;
+    }
+    const snippetToken = tokens.find((token) => document.foldedText.includes(token)) || tokens[0];
+    hits.push({
+      id: document.id,
+      title: document.title,
+      path: document.path,
+      score,
+      snippet: buildSnippet(document, snippetToken),
+      term: snippetToken
+    });
+  });
+
+  hits.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+  return hits.slice(0, limit);
+}
+
+export function findTextRange(root, term) {
+  const needle = normalizeSearchText(term);
+  if (!root || !needle) {
+    return null;
+  }
+  const doc = root.ownerDocument || root;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let node = walker.nextNode();
+  while (node) {
+    const parent = node.parentElement;
+    if (!parent || !parent.closest(EXCLUDED_SELECTORS)) {
+      const { folded, offsets } = foldText(node.nodeValue);
+      const position = folded.indexOf(needle);
+      if (position !== -1) {
+        const range = doc.createRange();
+        range.setStart(node, offsets[position]);
+        range.setEnd(node, offsets[position + needle.length - 1] + 1);
+        return range;
+      }
+    }
+    node = walker.nextNode();
+  }
+  return null;
+}
+
+export default {
+  foldText,
+  normalizeSearchText,
+  extractSearchableText,
+  createSearchDocuments,
+  buildSearchIndex,
+  searchIndex,
+  findTextRange
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    foldText,
+    normalizeSearchText,
+    extractSearchableText,
+    createSearchDocuments,
+    buildSearchIndex,
+    searchIndex,
+    findTextRange
+  };
+}
@@ -0,0 +1,185 @@
+import { listComponents } from './validator.js';
+import { escapeHtml } from './viewer-utils.js';
+
+// Static versions of package content shared by the print view, the EPUB and the text exports:
+// pages rebuilt from their content.xml blocks, and interactive iDevices turned into plain HTML.
+
+const UNRENDERED_CONTENT = /IDEVICE_CONTENT_KEY_/;
+
+function readText(node, tagName) {
+  return node?.getElementsByTagName(tagName)[0]?.textContent?.trim() || '';
+}
+
+// Blocks and their iDevices per page, in document order. The htmlView of each iDevice is kept
+// with its type and jsonProperties so interactive ones can be given a static version.
+export function collectPageBlocks(xmlDoc) {
+  const pages = new Map();
+  if (!xmlDoc) {
+    return pages;
+  }
+  listComponents(xmlDoc).forEach((component) => {
+    const blocks = pages.get(component.pageId) || [];
+    let block = blocks.find((entry) => entry.id === component.blockId);
+    if (!block) {
+      block = {
+        id: component.blockId,
+        name: readText(component.node.closest('odePagStructure'), 'blockName'),
+        components: []
+      };
+      blocks.push(block);
+      pages.set(component.pageId, blocks);
+    }
+    block.components.push({
+      id: component.ideviceId,
+      type: component.ideviceType,
+      html: readText(component.node, 'htmlView'),
+      json: readText(component.node, 'jsonProperties')
+    });
+  });
+  return pages;
+}
+
+// Block names become h2 headings and each iDevice keeps its type and data for the static fallbacks.
+export function renderBlocks(blocks) {
+  return blocks
+    .map((block) => {
+      const components = block.components.map(
+        (component) =>
+          `<div class="idevice_node" data-idevice-type="${escapeHtml(component.type)}" data-idevice-json-data="${escapeHtml(component.json)}">${component.html}</div>`
+      );
+      const heading = block.name ? `<h2>${escapeHtml(block.name)}</h2>` : '';
+      return `<section class="block">${heading}${components.join('')}</section>`;
+    })
+    .join('');
+}
+
+function readJsonData(node) {
+  try {
+    return JSON.parse(node.getAttribute('data-idevice-json-data') || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function answerText(answer) {
+  if (Array.isArray(answer)) {
+    return answer.find((part) => typeof part === 'string') || '';
+  }
+  if (answer && typeof answer === 'object') {
+    return answer.text || answer.answer || '';
+  }
+  return String(answer ?? '');
+}
+
+function answerList(answers) {
+  const items = (Array.isArray(answers) ? answers : [])
+    .map(answerText)
+    .filter(Boolean)
+    .map((text) => `<li>☐ ${text}</li>`);
+  return items.length ? `<ul class="list-unstyled">${items.join('')}</ul>` : '';
+}
+
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Fallbacks render what an interactive iDevice asks of the learner, using the data its
+// script would otherwise turn into widgets. Each returns HTML or '' to keep the original.
+export const STATIC_FALLBACKS = {
+  form: (node) => {
+    const data = readJsonData(node);
+    const questions = (data.questionsData || []).map((question) => {
+      const text = (question.baseText || '').replace(
+        /<u>[\s\S]*?<\/u>/gi,
+        '<span class="elpx-print-blank">__________</span>'
+      );
+      const options = question.activityType === 'true-false' ? ['True', 'False'] : [];
+      return `<li>${text}${answerList(question.answers || options)}</li>`;
+    });
+    return `${data.eXeFormInstructions || ''}<ol>${questions.join('')}</ol>`;
+  },
+  'interactive-video': (node) => {
+    const link = node.querySelector('#exe-interactive-video-file a');
+    let contents = {};
+    try {
+      contents = JSON.parse(node.querySelector('#exe-interactive-video-contents')?.textContent);
+    } catch {
+      // Keep the video link only.
+    }
+    const slides = (contents.slides || []).map(
+      (slide) =>
+        `<li><strong>${escapeHtml(formatTime(slide.startTime))}</strong> ${escapeHtml(slide.text || slide.question || '')}${answerList(slide.answers)}</li>`
+    );
+    const href = link?.getAttribute('href') || '';
+    return [
+      contents.title ? `<p><strong>${escapeHtml(contents.title)}</strong></p>` : '',
+      href ? `<p>Video: <a href="${escapeHtml(href)}">${escapeHtml(href)}</a></p>` : '',
+      slides.length ? `<ol>${slides.join('')}</ol>` : ''
+    ].join('');
+  }
+};
+
+function replaceWithFallback(node, html) {
+  const wrapper = node.ownerDocument.createElement('div');
+  wrapper.className = 'elpx-print-fallback';
+  wrapper.innerHTML = html;
+  node.replaceChildren(wrapper);
+}
+
+export function applyStaticFallbacks(root, fallbacks = STATIC_FALLBACKS) {
+  root.querySelectorAll('.idevice_node').forEach((node) => {
+    const type = node.getAttribute('data-idevice-type') || '';
+    const html = fallbacks[type] ? fallbacks[type](node) : '';
+    if (html) {
+      replaceWithFallback(node, html);
+    } else if (UNRENDERED_CONTENT.test(node.textContent)) {
+      replaceWithFallback(
+        node,
+        `<p>This ${escapeHtml(type || 'interactive')} activity is only available in the online version.</p>`
+      );
+    }
+  });
+  root.querySelectorAll('iframe, video, audio, object, embed').forEach((media) => {
+    const src = media.getAttribute('src') || media.getAttribute('data') || '';
+    const note = root.ownerDocument.createElement('p');
+    note.className = 'elpx-print-fallback';
+    note.innerHTML = src
+      ? `Embedded media: <a href="${escapeHtml(src)}">${escapeHtml(src)}</a>`
+      : 'Embedded media is only available in the online version.';
+    media.replaceWith(note);
+  });
+  root.querySelectorAll('script, .box-toggle').forEach((element) => element.remove());
+}
+
+// Page content keeps its own heading outline below the page heading: a box title (h1) on a
+// page printed as h3 becomes h4, and nothing goes deeper than h6.
+export function shiftHeadings(root, offset) {
+  root.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((heading) => {
+    const level = Math.min(Number(heading.tagName.slice(1)) + offset, 6);
+    const replacement = heading.ownerDocument.createElement(`h${level}`);
+    Array.from(heading.attributes).forEach((attribute) => {
+      replacement.setAttribute(attribute.name, attribute.value);
+    });
+    replacement.append(...heading.childNodes);
+    heading.replaceWith(replacement);
+  });
+}
+
+export default {
+  collectPageBlocks,
+  renderBlocks,
+  STATIC_FALLBACKS,
+  applyStaticFallbacks,
+  shiftHeadings
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    collectPageBlocks,
+    renderBlocks,
+    STATIC_FALLBACKS,
+    applyStaticFallbacks,
+    shiftHeadings
+  };
+}
@@ -0,0 +1,138 @@
+import { getLinkReport } from './links.js';
+import { extractResourcePaths, normalizeResourcePath } from './validator.js';
+import { formatBytes, readBlobText } from './viewer-utils.js';
+
+const RESOURCE_PREFIX = 'content/resources/';
+const CONTEXT_PATH_PATTERN = /\{\{context_path\}\}\/([^"'\s<>)\\]+)/g;
+const contextCache = new WeakMap();
+
+function collectContextPathReferences(xmlDoc, referenced) {
+  ['htmlView', 'jsonProperties'].forEach((tagName) => {
+    Array.from(xmlDoc.getElementsByTagName(tagName)).forEach((node) => {
+      const text = node.textContent || '';
+      let match;
+      CONTEXT_PATH_PATTERN.lastIndex = 0;
+      while ((match = CONTEXT_PATH_PATTERN.exec(text)) !== null) {
+        referenced.add(normalizeResourcePath(`${RESOURCE_PREFIX}${match[1]}`));
+      }
+    });
+  });
+}
+
+// Scripts build resource URLs in too many ways to parse; any mention of the
+// resource's path below content/resources/ counts as a reference. Returns the
+// candidate paths some script in fileMap mentions.
+export async function findScriptReferences(fileMap, candidates) {
+  const found = new Set();
+  if (!candidates.length) {
+    return found;
+  }
+  for (const [path, record] of fileMap.entries()) {
+    if (!/\.m?js$/i.test(path) || !record?.blob) {
+      continue;
+    }
+    const text = await readBlobText(record.blob);
+    candidates.forEach((candidate) => {
+      const tail = candidate.slice(RESOURCE_PREFIX.length);
+      if (text.includes(tail) || text.includes(encodeURI(tail))) {
+        found.add(candidate);
+      }
+    });
+  }
+  return found;
+}
+
+export async function analyzeFileUsage(context = {}) {
+  const { xmlDoc, fileMap, fileList } = context;
+  const files =
+    fileList ||
+    Array.from(fileMap?.values() || []).map((record) => ({
+      path: record.path,
+      size: record.size ?? record.blob?.size ?? 0
+    }));
+  const candidates = files.filter((file) => file.path.startsWith(RESOURCE_PREFIX));
+  const referenced = new Set();
+
+  if (xmlDoc) {
+    extractResourcePaths(xmlDoc).forEach((path) => referenced.add(normalizeResourcePath(path)));
+    collectContextPathReferences(xmlDoc, referenced);
+  }
+  if (fileMap instanceof Map) {
+    const links = await getLinkReport(context);
+    links.referenced.forEach((path) => referenced.add(path));
+    const pending = candidates.map((file) => file.path).filter((path) => !referenced.has(path));
+    (await findScriptReferences(fileMap, pending)).forEach((path) => referenced.add(path));
+  }
+
+  const unused = candidates
+    .filter((file) => !referenced.has(file.path))
+    .map((file) => ({ path: file.path, size: file.size ?? 0 }));
+  return {
+    candidates: candidates.length,
+    unused,
+    unusedBytes: unused.reduce((total, file) => total + file.size, 0)
+  };
+}
+
+export function getFileUsage(context) {
+  if (!contextCache.has(context)) {
+    contextCache.set(context, analyzeFileUsage(context));
+  }
+  return contextCache.get(context);
+}
+
+export async function createCleanedArchive(fileMap, unusedPaths, { JSZip, type = 'blob' } = {}) {
+  const skip = new Set(unusedPaths);
+  const zip = new JSZip();
+  fileMap.forEach((record, path) => {
+    if (!skip.has(path)) {
+      zip.file(path, record.blob, {
+        date: record.lastModified ? new Date(record.lastModified) : undefined
+      });
+    }
+  });
+  return zip.generateAsync({ type, compression: 'DEFLATE', mimeType: 'application/zip' });
+}
+
+export const USAGE_RULES = [
+  {
+    id: 'resources.unused',
+    severity: 'warning',
+    category: 'resources',
+    description: 'Files under content/resources/ should be referenced by the content.',
+    check: async (context) => {
+      const { unused, unusedBytes } = await getFileUsage(context);
+      if (!unused.length) {
+        return [];
+      }
+      const preview = unused
+        .slice(0, 5)
+        .map((file) => file.path)
+        .join(', ');
+      return [
+        {
+          message: `${unused.length} file${unused.length === 1 ? ' is' : 's are'} not referenced by any page (${formatBytes(unusedBytes)}; first: ${preview}${unused.length > 5 ? ', …' : ''}).`,
+          details: { files: unused.map((file) => file.path), bytes: unusedBytes }
+        }
+      ];
+    }
+  }
+];
+
+export default {
+  USAGE_RULES,
+  analyzeFileUsage,
+  getFileUsage,
+  findScriptReferences,
+  createCleanedArchive
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    USAGE_RULES,
+    analyzeFileUsage,
+    getFileUsage,
+    findScriptReferences,
+    createCleanedArchive
+  };
+}
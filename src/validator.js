@@ -65,13 +65,15 @@ export function checkPagePresence(xmlDoc) {
   if (!pages || pages.length === 0) {
     return {
       status: 'warning',
-      message: 'No <odeNavStructure> entries were found. The project appears to be empty.'
+      message: 'No <odeNavStructure> entries were found. The project appears to be empty.',
+      pageCount: 0
     };
   }
 
   return {
     status: 'success',
-    message: `Found ${pages.length} page${pages.length === 1 ? '' : 's'}.`
+    message: `Found ${pages.length} page${pages.length === 1 ? '' : 's'}.`,
+    pageCount: pages.length
   };
 }
 
@@ -106,47 +108,226 @@ function ensureChildTags(node, requiredTags) {
   return missing;
 }
 
+function readChildText(node, tagName) {
+  const match = node.getElementsByTagName(tagName)[0];
+  return match && match.textContent ? match.textContent.trim() : '';
+}
+
 export function validateStructuralIntegrity(xmlDoc) {
-  const issues = [];
+  const findings = [];
   const navStructures = Array.from(xmlDoc.getElementsByTagName('odeNavStructure'));
 
   navStructures.forEach((navStructure, index) => {
+    const page = {
+      pageId: readChildText(navStructure, 'odePageId'),
+      pageName: readChildText(navStructure, 'pageName'),
+      pageIndex: index
+    };
     const missingNavFields = ensureChildTags(navStructure, REQUIRED_NAV_FIELDS);
     if (missingNavFields.length > 0) {
-      issues.push(
-        `Navigation structure #${index + 1} is missing fields: ${missingNavFields.join(', ')}`
-      );
+      findings.push({
+        kind: 'page',
+        ...page,
+        missing: missingNavFields,
+        message: `Page #${index + 1} is missing fields: ${missingNavFields.join(', ')}`
+      });
     }
 
     const pageStructures = navStructure.getElementsByTagName('odePagStructure');
     Array.from(pageStructures).forEach((pageStructure, blockIndex) => {
+      const block = {
+        ...page,
+        blockId: readChildText(pageStructure, 'odeBlockId'),
+        blockIndex
+      };
       const missingBlockFields = ensureChildTags(pageStructure, REQUIRED_BLOCK_FIELDS);
       if (missingBlockFields.length > 0) {
-        issues.push(
-          `Block #${blockIndex + 1} in page #${index + 1} is missing fields: ${missingBlockFields.join(', ')}`
-        );
+        findings.push({
+          kind: 'block',
+          ...block,
+          missing: missingBlockFields,
+          message: `Block #${blockIndex + 1} is missing fields: ${missingBlockFields.join(', ')}`
+        });
       }
 
       const components = pageStructure.getElementsByTagName('odeComponent');
       Array.from(components).forEach((component, componentIndex) => {
         const missingComponentFields = ensureChildTags(component, REQUIRED_COMPONENT_FIELDS);
         if (missingComponentFields.length > 0) {
-          issues.push(
-            `Component #${componentIndex + 1} in block #${blockIndex + 1} of page #${index + 1} is missing fields: ${missingComponentFields.join(', ')}`
-          );
+          findings.push({
+            kind: 'component',
+            ...block,
+            ideviceId: readChildText(component, 'odeIdeviceId'),
+            ideviceType: readChildText(component, 'odeIdeviceTypeName'),
+            componentIndex,
+            missing: missingComponentFields,
+            message: `Component #${componentIndex + 1} in block #${blockIndex + 1} is missing fields: ${missingComponentFields.join(', ')}`
+          });
         }
       });
     });
   });
 
-  if (issues.length > 0) {
+  if (findings.length > 0) {
+    const pageCount = new Set(findings.map((finding) => finding.pageIndex)).size;
     return {
       status: 'error',
-      message: issues.join(' ')
+      message: `${findings.length} element${findings.length === 1 ? ' is' : 's are'} missing fields on ${pageCount} page${pageCount === 1 ? '' : 's'}.`,
+      findings
     };
   }
 
-  return { status: 'success', message: 'The internal XML structure matches the expected layout.' };
+  return {
+    status: 'success',
+    message: 'The internal XML structure matches the expected layout.',
+    findings
+  };
+}
+
+// Flat list of every odeComponent with the page and block it belongs to, in document order.
+export function listComponents(xmlDoc) {
+  const components = [];
+  Array.from(xmlDoc.getElementsByTagName('odeNavStructure')).forEach((navStructure, pageIndex) => {
+    const pageId = readChildText(navStructure, 'odePageId');
+    const pageName = readChildText(navStructure, 'pageName');
+    const pageStructures = navStructure.getElementsByTagName('odePagStructure');
+    Array.from(pageStructures).forEach((pageStructure, blockIndex) => {
+      const blockId = readChildText(pageStructure, 'odeBlockId');
+      const nodes = pageStructure.getElementsByTagName('odeComponent');
+      Array.from(nodes).forEach((component, componentIndex) => {
+        components.push({
+          pageId,
+          pageName,
+          pageIndex,
+          blockId,
+          blockIndex,
+          ideviceId: readChildText(component, 'odeIdeviceId'),
+          ideviceType: readChildText(component, 'odeIdeviceTypeName'),
+          componentIndex,
+          node: component
+        });
+      });
+    });
+  });
+  return components;
+}
+
+// Keys and values in jsonProperties that hold settings rather than text for the learner.
+const NON_TRANSLATABLE_KEY_REGEX =
+  /(?:^id$|Id$|^type$|Type$|url$|Url$|^src$|^href$|color$|Color$|^lang$)/;
+const NON_TRANSLATABLE_VALUE_REGEX =
+  /^(?:https?:\/\/\S+|\{\{context_path\}\}\/\S+|[\d\s.,:;%+-]*|true|false|#[0-9a-f]{3,8})$/i;
+
+function collectJsonStrings(value, path, accumulator) {
+  if (typeof value === 'string') {
+    const key = path[path.length - 1];
+    const skipKey = typeof key === 'string' && NON_TRANSLATABLE_KEY_REGEX.test(key);
+    if (!skipKey && /\p{L}/u.test(value) && !NON_TRANSLATABLE_VALUE_REGEX.test(value.trim())) {
+      accumulator.push({ path, value });
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectJsonStrings(item, [...path, index], accumulator));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      collectJsonStrings(item, [...path, key], accumulator);
+    });
+  }
+  return accumulator;
+}
+
+function toUnitId(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+// Sanitising can map different ids or JSON paths ("a b" and "a_b", ["a.b"] and ["a", "b"]) to
+// the same unit id; later ones get a counter so every unit still finds its way back on import.
+function uniqueUnitIds(strings) {
+  const used = new Set();
+  strings.forEach((entry) => {
+    let id = entry.id;
+    for (let counter = 2; used.has(id); counter += 1) {
+      id = `${entry.id}-${counter}`;
+    }
+    entry.id = id;
+    used.add(id);
+  });
+  return strings;
+}
+
+// Text a translator has to see: page and block names, iDevice htmlView and the text fields of
+// jsonProperties, each with an id built from the page, block or iDevice it belongs to. JSON
+// fields that repeat the htmlView verbatim are left out; they follow the htmlView on import.
+export function listTranslatableStrings(xmlDoc) {
+  const strings = [];
+  const seenBlocks = new Set();
+  Array.from(xmlDoc.getElementsByTagName('odeNavStructure')).forEach((navStructure) => {
+    const pageId = readChildText(navStructure, 'odePageId');
+    const pageName = navStructure.getElementsByTagName('pageName')[0];
+    if (pageName?.textContent.trim()) {
+      strings.push({
+        id: `page-${toUnitId(pageId)}-name`,
+        pageId,
+        field: 'pageName',
+        source: pageName.textContent.trim(),
+        node: pageName
+      });
+    }
+  });
+  listComponents(xmlDoc).forEach((component) => {
+    const { pageId, blockId, ideviceId } = component;
+    const pageStructure = component.node.closest('odePagStructure');
+    const blockName = pageStructure?.getElementsByTagName('blockName')[0];
+    if (!seenBlocks.has(pageStructure) && blockName?.textContent.trim()) {
+      strings.push({
+        id: `block-${toUnitId(blockId)}-name`,
+        pageId,
+        blockId,
+        field: 'blockName',
+        source: blockName.textContent.trim(),
+        node: blockName
+      });
+    }
+    seenBlocks.add(pageStructure);
+
+    const unitPrefix = `idevice-${toUnitId(ideviceId)}`;
+    const htmlView = component.node.getElementsByTagName('htmlView')[0];
+    const html = htmlView ? htmlView.textContent.trim() : '';
+    if (html) {
+      strings.push({
+        id: `${unitPrefix}-html`,
+        pageId,
+        blockId,
+        ideviceId,
+        field: 'htmlView',
+        source: html,
+        node: htmlView,
+        component: component.node
+      });
+    }
+    const jsonProperties = component.node.getElementsByTagName('jsonProperties')[0];
+    let data = null;
+    try {
+      data = JSON.parse(jsonProperties?.textContent || 'null');
+    } catch {
+      // Unparseable jsonProperties are reported by the iDevice schema checks.
+    }
+    collectJsonStrings(data, [], [])
+      .filter(({ value }) => value.trim() !== html)
+      .forEach(({ path, value }) => {
+        strings.push({
+          id: `${unitPrefix}-json-${path.map(toUnitId).join('.')}`,
+          pageId,
+          blockId,
+          ideviceId,
+          field: 'jsonProperties',
+          path,
+          source: value,
+          node: jsonProperties,
+          component: component.node
+        });
+      });
+  });
+  return uniqueUnitIds(strings);
 }
 
 const RESOURCE_ATTRIBUTE_REGEX = /(?:src|href)=["']([^"']+)["']/gi;
@@ -234,38 +415,50 @@ export function findMissingResources(paths, zip) {
   return missing;
 }
 
-export function extractMetadata(xmlDoc) {
-  const metadata = { properties: {}, resources: {} };
-
-  const propertyNodes = Array.from(xmlDoc.getElementsByTagName('odeProperty'));
-  propertyNodes.forEach((property) => {
-    const keyNode = property.getElementsByTagName('key')[0];
+function readKeyValues(parent, tagName) {
+  const values = {};
+  if (!parent) {
+    return values;
+  }
+  Array.from(parent.getElementsByTagName(tagName)).forEach((entry) => {
+    const keyNode = entry.getElementsByTagName('key')[0];
     if (!keyNode || !keyNode.textContent) {
       return;
     }
-    const valueNode = property.getElementsByTagName('value')[0];
+    const valueNode = entry.getElementsByTagName('value')[0];
     const key = keyNode.textContent.trim();
     const value = valueNode && valueNode.textContent ? valueNode.textContent.trim() : '';
     if (key) {
-      metadata.properties[key] = value;
+      values[key] = value;
     }
   });
+  return values;
+}
 
-  const resourceNodes = Array.from(xmlDoc.getElementsByTagName('odeResource'));
-  resourceNodes.forEach((resource) => {
-    const keyNode = resource.getElementsByTagName('key')[0];
-    if (!keyNode || !keyNode.textContent) {
-      return;
-    }
-    const valueNode = resource.getElementsByTagName('value')[0];
-    const key = keyNode.textContent.trim();
-    const value = valueNode && valueNode.textContent ? valueNode.textContent.trim() : '';
-    if (key) {
-      metadata.resources[key] = value;
-    }
-  });
+// Per-page and per-block flags (visibility, teacherOnly, minimized, cssClass, titlePage…)
+// in document order. Each block records how many iDevices (odeComponent) it holds; their own
+// odeComponentsProperty entries are not read.
+function extractStructureProperties(xmlDoc) {
+  return Array.from(xmlDoc.getElementsByTagName('odeNavStructure')).map((navStructure) => ({
+    pageId: readChildText(navStructure, 'odePageId'),
+    pageName: readChildText(navStructure, 'pageName'),
+    properties: readKeyValues(navStructure, 'odeNavStructureProperty'),
+    blocks: Array.from(navStructure.getElementsByTagName('odePagStructure')).map((block) => ({
+      blockId: readChildText(block, 'odeBlockId'),
+      blockName: readChildText(block, 'blockName'),
+      components: block.getElementsByTagName('odeComponent').length,
+      properties: readKeyValues(block, 'odePagStructureProperty')
+    }))
+  }));
+}
 
-  return metadata;
+export function extractMetadata(xmlDoc) {
+  return {
+    properties: readKeyValues(xmlDoc, 'odeProperty'),
+    resources: readKeyValues(xmlDoc, 'odeResource'),
+    preferences: readKeyValues(xmlDoc, 'userPreference'),
+    pages: extractStructureProperties(xmlDoc)
+  };
 }
 
 export function extractLegacyMetadata(xmlDoc) {
@@ -412,6 +605,8 @@ export default {
   checkNavStructures,
   checkPagePresence,
   validateStructuralIntegrity,
+  listComponents,
+  listTranslatableStrings,
   extractResourcePaths,
   findMissingResources,
   normalizeResourcePath,
@@ -428,6 +623,8 @@ if (typeof module !== 'undefined' && module.exports) {
     checkNavStructures,
     checkPagePresence,
     validateStructuralIntegrity,
+    listComponents,
+    listTranslatableStrings,
     extractResourcePaths,
     findMissingResources,
     normalizeResourcePath,
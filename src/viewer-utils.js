@@ -24,7 +24,8 @@ const MIME_LOOKUP = new Map([
   ['pdf', 'application/pdf']
 ]);
 
-const SUPPORTED_EXTENSIONS = new Set(['elp', 'elpx']);
+// The extension only decides which files can be picked; detectPackageKind() reads the archive.
+const SUPPORTED_EXTENSIONS = new Set(['elp', 'elpx', 'zip']);
 
 function getExtension(name = '') {
   const match = /\.([^.]+)$/.exec(name.toLowerCase());
@@ -39,12 +40,62 @@ export function detectFileType(name) {
   return ext;
 }
 
+// A package is recognised by its manifest, whatever the archive is called: SCORM and Common
+// Cartridge exports are zips too, and only the ones that kept content.xml can be opened.
+export function detectPackageKind(paths) {
+  const names = new Set(paths);
+  let manifestKind = null;
+  if (names.has('content.xml')) {
+    manifestKind = 'modern';
+  } else if (names.has('contentv3.xml')) {
+    manifestKind = 'legacy';
+  }
+  return {
+    manifestKind,
+    manifestPath: { modern: 'content.xml', legacy: 'contentv3.xml' }[manifestKind] || null,
+    hasSite: names.has('index.html'),
+    hasImsManifest: names.has('imsmanifest.xml')
+  };
+}
+
+export function describeMissingManifest({ hasImsManifest }) {
+  return hasImsManifest
+    ? 'This archive is a SCORM or IMS Common Cartridge package without content.xml, so it is not an eXeLearning package.'
+    : 'The archive has no content.xml or contentv3.xml, so it is not an eXeLearning package.';
+}
+
 export function inferMimeType(path) {
   const ext = getExtension(path);
   if (!ext) return 'application/octet-stream';
   return MIME_LOOKUP.get(ext) || 'application/octet-stream';
 }
 
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '—';
+  const thresh = 1024;
+  if (Math.abs(bytes) < thresh) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let unitIndex = -1;
+  let value = bytes;
+  do {
+    value /= thresh;
+    unitIndex += 1;
+  } while (Math.abs(value) >= thresh && unitIndex < units.length - 1);
+  const precision = value < 10 ? 2 : value < 100 ? 1 : 0;
+  return `${value.toFixed(precision)} ${units[unitIndex]}`;
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export function hasIndexHtml(fileMap) {
   if (!fileMap) {
     return false;
@@ -93,14 +144,62 @@ export async function buildFileRecords(entries, onProgress = () => {}) {
   return { fileMap, fileList, totalSize };
 }
 
+export function computeCompatibility(metadata) {
+  const versionSource = metadata?.resources?.odeVersionName || metadata?.properties?.version || '';
+  return { isUnsupported: false, versionLabel: versionSource || '' };
+}
+
+export async function readBlobText(blob) {
+  if (typeof blob?.text === 'function') {
+    return blob.text();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+}
+
+export async function readBlobBytes(blob) {
+  if (typeof blob?.arrayBuffer === 'function') {
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 export { SUPPORTED_EXTENSIONS };
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     detectFileType,
+    detectPackageKind,
+    describeMissingManifest,
     inferMimeType,
+    formatBytes,
+    escapeHtml,
     hasIndexHtml,
     buildFileRecords,
+    computeCompatibility,
+    readBlobText,
+    readBlobBytes,
+    downloadBlob,
     SUPPORTED_EXTENSIONS
   };
 }
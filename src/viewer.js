@@ -1,18 +1,47 @@
 import JSZip from 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm';
 import {
-  checkNavStructures,
   checkPagePresence,
-  checkRootElement,
   extractMetadata,
   extractLegacyMetadata,
-  extractResourcePaths,
-  findMissingResources,
   normalizeLegacyMetadata,
-  parseContentXml,
-  validateStructuralIntegrity
+  parseContentXml
 } from './validator.js';
+import { comparePackages } from './compare.js';
+import { ComparePanel } from './compare-panel.js';
 import { InfoPanel } from './info.js';
-import { detectFileType, hasIndexHtml, buildFileRecords } from './viewer-utils.js';
+import { buildLegacySite } from './legacy-site.js';
+import { createDefaultRegistry, gatherMessages } from './rules.js';
+import { createDefaultSchemaRegistry } from './idevice-schemas.js';
+import { OutlinePanel } from './outline.js';
+import { generateElpViewData, resolvePageFiles } from './renderer.js';
+import { buildSearchIndex, createSearchDocuments, findTextRange, searchIndex } from './search.js';
+import { REPORT_FORMATS, createValidationReport, serializeReport } from './report.js';
+import { CATALOG_FORMATS, createCatalogRecord, serializeCatalogRecord } from './catalog.js';
+import { createCleanedArchive, getFileUsage } from './usage.js';
+import { createCanvasEncoder, optimizePackage } from './optimize.js';
+import { buildEditedPackage } from './metadata-editor.js';
+import { collectIdeviceStats } from './idevices.js';
+import { SCORM_VERSIONS, buildScormPackage } from './scorm.js';
+import { buildCommonCartridge } from './common-cartridge.js';
+import {
+  DEFAULT_BUNDLE_MAX_BYTES,
+  buildOfflineBundle,
+  estimateBundleSize
+} from './offline-bundle.js';
+import { buildEpub } from './epub.js';
+import { TEXT_FORMATS, buildTextExport } from './markdown.js';
+import { buildTranslatedPackage, createXliff } from './xliff.js';
+import { buildPrintDocument, choosePrintViewPath } from './print.js';
+import {
+  detectFileType,
+  detectPackageKind,
+  describeMissingManifest,
+  buildFileRecords,
+  computeCompatibility,
+  formatBytes,
+  downloadBlob,
+  readBlobText
+} from './viewer-utils.js';
 
 const dropzone = document.getElementById('dropzone');
 const fileInput = document.getElementById('fileInput');
@@ -23,9 +52,21 @@ const toastContainer = document.getElementById('toastContainer');
 const publishButton = document.getElementById('publishButton');
 const uploadButton = document.getElementById('uploadButton');
 const appHeader = document.getElementById('sdHeader');
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const searchResults = document.getElementById('searchResults');
+const compareInput = document.getElementById('compareInput');
+const viewModeToggle = document.getElementById('viewModeToggle');
+const printButton = document.getElementById('printButton');
 
 const infoPanel = new InfoPanel(document.getElementById('infoContent'));
+const comparePanel = new ComparePanel(document.getElementById('compareContent'));
+const outlinePanel = new OutlinePanel(document.getElementById('outlinePanel'), {
+  onNavigate: (path) => navigatePreview(path)
+});
 let currentSession = null;
+let pendingSearchTerm = '';
+let viewMode = 'student';
 
 const ERROR_SILENCE_PATTERNS = [/content-scripts\.js/i, /:has-text\(/i, /##body:has-text/i];
 
@@ -43,60 +84,63 @@ function postToServiceWorker(message) {
   }
 }
 
-async function registerPreviewSession(sessionId, files, transferList = []) {
-  if (!('serviceWorker' in navigator)) {
-    return;
-  }
-  const controller = navigator.serviceWorker.controller;
+// Sends a message with a reply port and waits for the service worker to answer with readyType or
+// errorType. A worker that never answers is not fatal: the preview goes ahead after SW_ACK_TIMEOUT.
+function postWithAck(message, readyType, errorType, { transferList = [], errorMessage } = {}) {
+  const controller = navigator.serviceWorker?.controller;
   if (!controller) {
-    throw new Error('Preview service worker is not available.');
+    return Promise.reject(new Error('Preview service worker is not available.'));
   }
-  await new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
     const channel = new MessageChannel();
-    const timer = setTimeout(() => {
+    const finish = () => {
+      clearTimeout(timer);
       channel.port1.onmessage = null;
-      console.warn('Preview session acknowledgement timed out. Proceeding anyway.');
       try {
         channel.port1.close();
       } catch {
         // ignore
       }
+    };
+    const timer = setTimeout(() => {
+      finish();
+      console.warn(`Service worker did not acknowledge "${message.type}". Proceeding anyway.`);
       resolve();
     }, SW_ACK_TIMEOUT);
-    channel.port1.onmessage = (event) => {
-      const { data } = event;
-      if (!data || typeof data !== 'object') {
-        return;
-      }
-      if (data.type === 'register-session:ready' && data.sessionId === sessionId) {
-        clearTimeout(timer);
-        channel.port1.onmessage = null;
-        try {
-          channel.port1.close();
-        } catch {
-          // ignore
-        }
+    channel.port1.onmessage = ({ data }) => {
+      if (data?.type === readyType && data.sessionId === message.sessionId) {
+        finish();
         resolve();
-      } else if (data.type === 'register-session:error') {
-        clearTimeout(timer);
-        channel.port1.onmessage = null;
-        try {
-          channel.port1.close();
-        } catch {
-          // ignore
-        }
-        reject(new Error(data.message || 'The preview session could not be prepared.'));
+      } else if (data?.type === errorType) {
+        finish();
+        reject(new Error(data.message || errorMessage));
       }
     };
-    controller.postMessage(
-      {
-        type: 'register-session',
-        sessionId,
-        files,
-        replyPort: channel.port2
-      },
-      [channel.port2, ...transferList]
-    );
+    controller.postMessage({ ...message, replyPort: channel.port2 }, [
+      channel.port2,
+      ...transferList
+    ]);
+  });
+}
+
+async function registerPreviewSession(sessionId, files, transferList = []) {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  await postWithAck(
+    { type: 'register-session', sessionId, files, viewMode },
+    'register-session:ready',
+    'register-session:error',
+    { transferList, errorMessage: 'The preview session could not be prepared.' }
+  );
+}
+
+// Files generated after loading (the print view) are added to the live session rather than
+// registering the whole package again.
+async function addPreviewFiles(sessionId, files, transferList = []) {
+  await postWithAck({ type: 'add-files', sessionId, files }, 'add-files:ready', 'add-files:error', {
+    transferList,
+    errorMessage: 'The preview files could not be added.'
   });
 }
 
@@ -105,6 +149,287 @@ function releaseCurrentSession() {
     postToServiceWorker({ type: 'invalidate-session', sessionId: currentSession.sessionId });
   }
   currentSession = null;
+  outlinePanel.clear();
+  resetSearch();
+  comparePanel.setChooseHandler(null);
+  comparePanel.update({ status: 'idle' });
+  infoPanel.setPageLinkHandler(null);
+  infoPanel.setOptimizeHandler(null);
+  infoPanel.setMetadataEditHandler(null);
+  infoPanel.setExportHandler(null);
+  infoPanel.setTranslationHandler(null);
+  infoPanel.setCleanArchiveHandler(null);
+  if (viewModeToggle) {
+    viewModeToggle.hidden = true;
+  }
+  if (printButton) {
+    printButton.hidden = true;
+  }
+}
+
+// The service worker applies the mode to pages it serves from now on; the page already in the
+// frame is switched in place so the reviewer keeps their scroll position.
+function setViewMode(mode) {
+  viewMode = mode === 'teacher' ? 'teacher' : 'student';
+  if (currentSession?.sessionId) {
+    postToServiceWorker({
+      type: 'set-view-mode',
+      sessionId: currentSession.sessionId,
+      mode: viewMode
+    });
+  }
+  try {
+    previewFrame?.contentWindow?.postMessage(
+      { type: 'elpx-view-mode', mode: viewMode },
+      window.location.origin
+    );
+  } catch (error) {
+    console.warn('Unable to update the preview view mode', error);
+  }
+}
+
+function showViewModeToggle() {
+  if (printButton) {
+    printButton.hidden = !currentSession?.pageFiles?.size;
+  }
+  if (!viewModeToggle) {
+    return;
+  }
+  viewModeToggle.hidden = false;
+  const teacherOnly = (currentSession?.metadata?.pages || [])
+    .flatMap((page) => page.blocks)
+    .filter((block) => block.properties.teacherOnly === 'true').length;
+  viewModeToggle.title = teacherOnly
+    ? `${teacherOnly} teacher-only block${teacherOnly === 1 ? '' : 's'} in this package`
+    : 'This package has no teacher-only blocks';
+}
+
+function getPreviewUrl(sessionId, path) {
+  return new URL(`preview/${sessionId}/${path}`, getAppBaseUrl());
+}
+
+function getPreviewPathFromFrame() {
+  if (!previewFrame || !currentSession?.sessionId) {
+    return '';
+  }
+  let pathname;
+  try {
+    pathname = previewFrame.contentWindow?.location?.pathname || '';
+  } catch {
+    return '';
+  }
+  const base = getPreviewUrl(currentSession.sessionId, '').pathname;
+  return pathname.startsWith(base) ? pathname.slice(base.length) : '';
+}
+
+function navigatePreview(path) {
+  if (!currentSession?.sessionId || !path) {
+    return;
+  }
+  setPreviewState({
+    showFrame: true,
+    src: getPreviewUrl(currentSession.sessionId, path).toString()
+  });
+}
+
+function showPreviewPage(pageId) {
+  const path = currentSession?.pageFiles?.get(pageId);
+  if (!path) {
+    showToast('This page has no exported file to preview.', 'warning');
+    return;
+  }
+  showPreviewTab();
+  navigatePreview(path);
+}
+
+function showPreviewTab() {
+  const previewTab = document.getElementById('preview-tab');
+  if (previewTab && typeof bootstrap !== 'undefined') {
+    bootstrap.Tab.getOrCreateInstance(previewTab).show();
+  }
+}
+
+// The print view is built once per session and served next to the package files, so its
+// stylesheets and images resolve exactly as they do for the pages themselves.
+async function openPrintView() {
+  const session = currentSession;
+  if (!session?.sessionId || !session.pageFiles?.size) {
+    return;
+  }
+  try {
+    if (!session.printViewPath) {
+      updateStatus('Preparing the print view…');
+      const properties = session.metadata?.properties || {};
+      const html = await buildPrintDocument(session.fileMap, {
+        pages: session.pages,
+        pageFiles: session.pageFiles,
+        title: properties.pp_title || '',
+        language: properties.pp_lang || ''
+      });
+      const buffer = new TextEncoder().encode(html).buffer;
+      const path = choosePrintViewPath(session.fileMap.keys());
+      await addPreviewFiles(
+        session.sessionId,
+        [{ path, buffer, mimeType: 'text/html', lastModified: Date.now() }],
+        [buffer]
+      );
+      session.printViewPath = path;
+      updateStatus('');
+    }
+    if (session !== currentSession) {
+      return;
+    }
+    showPreviewTab();
+    navigatePreview(session.printViewPath);
+  } catch (error) {
+    console.error(error);
+    updateStatus('');
+    showToast(error.message || 'The print view could not be prepared.');
+  }
+}
+
+const SEARCH_DEBOUNCE = 200;
+const PAGE_FILE_PATTERN = /^html\/[^/]+\.html$/;
+
+async function getSessionSearchIndex(session) {
+  if (!session.searchIndexPromise) {
+    session.searchIndexPromise = (async () => {
+      const pagePaths = new Set(session.pageFiles ? session.pageFiles.values() : []);
+      const htmlFiles = new Map();
+      for (const [path, record] of session.fileMap.entries()) {
+        if (path === 'index.html' || pagePaths.has(path) || PAGE_FILE_PATTERN.test(path)) {
+          htmlFiles.set(path, await record.blob.text());
+        }
+      }
+      const documents = createSearchDocuments({
+        pages: session.pages,
+        pageFiles: session.pageFiles,
+        htmlFiles
+      });
+      return buildSearchIndex(documents);
+    })();
+  }
+  return session.searchIndexPromise;
+}
+
+function hideSearchResults() {
+  if (!searchResults) {
+    return;
+  }
+  searchResults.classList.remove('show');
+  searchResults.innerHTML = '';
+}
+
+function resetSearch() {
+  pendingSearchTerm = '';
+  hideSearchResults();
+  if (searchInput) {
+    searchInput.value = '';
+  }
+  if (searchForm) {
+    searchForm.hidden = true;
+  }
+}
+
+function renderSearchResults(hits, query) {
+  if (!searchResults) {
+    return;
+  }
+  searchResults.innerHTML = '';
+  if (!hits.length) {
+    const empty = document.createElement('p');
+    empty.className = 'dropdown-item-text text-muted small mb-0';
+    empty.textContent = `No pages match “${query}”.`;
+    searchResults.appendChild(empty);
+  }
+  hits.forEach((hit) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'dropdown-item py-2';
+    button.disabled = !hit.path;
+    const title = document.createElement('span');
+    title.className = 'd-block fw-semibold';
+    title.textContent = hit.title;
+    const snippet = document.createElement('span');
+    snippet.className = 'd-block small text-muted';
+    const mark = document.createElement('mark');
+    mark.textContent = hit.snippet.match;
+    snippet.append(hit.snippet.before, mark, hit.snippet.after);
+    button.append(title, snippet);
+    button.addEventListener('click', () => {
+      hideSearchResults();
+      pendingSearchTerm = hit.term;
+      navigatePreview(hit.path);
+    });
+    searchResults.appendChild(button);
+  });
+  searchResults.classList.add('show');
+}
+
+async function runSearch(query) {
+  const session = currentSession;
+  if (!session || !query.trim()) {
+    hideSearchResults();
+    return;
+  }
+  try {
+    const index = await getSessionSearchIndex(session);
+    if (session !== currentSession || searchInput?.value !== query) {
+      return;
+    }
+    renderSearchResults(searchIndex(index, query), query);
+  } catch (error) {
+    console.error('Unable to search the package', error);
+    showToast('The package content could not be indexed for search.', 'warning');
+  }
+}
+
+function revealPendingSearchTerm() {
+  if (!pendingSearchTerm) {
+    return;
+  }
+  const term = pendingSearchTerm;
+  pendingSearchTerm = '';
+  let frameDocument;
+  try {
+    frameDocument = previewFrame.contentDocument;
+  } catch {
+    return;
+  }
+  const range = findTextRange(frameDocument?.body, term);
+  if (!range) {
+    return;
+  }
+  range.startContainer.parentElement?.scrollIntoView({ block: 'center' });
+  const selection = previewFrame.contentWindow.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function setupSearch() {
+  if (!searchForm || !searchInput) {
+    return;
+  }
+  let timer;
+  searchForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    clearTimeout(timer);
+    void runSearch(searchInput.value);
+  });
+  searchInput.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => void runSearch(searchInput.value), SEARCH_DEBOUNCE);
+  });
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      hideSearchResults();
+    }
+  });
+  document.addEventListener('click', (event) => {
+    if (!searchForm.contains(event.target)) {
+      hideSearchResults();
+    }
+  });
 }
 
 function updateStatus(message) {
@@ -373,76 +698,85 @@ async function ensureServiceWorkerController() {
   return navigator.serviceWorker.controller;
 }
 
-function computeCompatibility(metadata) {
-  const versionSource = metadata?.resources?.odeVersionName || metadata?.properties?.version || '';
-  return { isUnsupported: false, versionLabel: versionSource || '' };
-}
-
-function gatherMessages(manifestKind, xmlDoc, zip) {
-  const messages = [];
-  if (manifestKind === 'legacy') {
-    messages.push({
-      level: 'warning',
-      text: 'Legacy manifest format detected. Structural validation checks were skipped.'
+async function openPreviewSession(sessionId, fileMap, startFile = 'index.html') {
+  await ensureServiceWorkerController();
+  const sessionFiles = [];
+  const transferList = [];
+  const fileEntries = Array.from(fileMap.entries());
+  for (let i = 0; i < fileEntries.length; i += 1) {
+    const [path, record] = fileEntries[i];
+    const buffer = await record.blob.arrayBuffer();
+    sessionFiles.push({
+      path,
+      mimeType: record.mimeType,
+      lastModified: record.lastModified,
+      buffer
     });
-    return messages;
-  }
-
-  const rootResult = checkRootElement(xmlDoc);
-  messages.push({
-    level: rootResult.status === 'success' ? 'info' : 'error',
-    text: rootResult.message
-  });
-  if (rootResult.status === 'error') {
-    return messages;
+    transferList.push(buffer);
+    if ((i > 0 && i % 50 === 0) || i === fileEntries.length - 1) {
+      updateStatus(`Transferring preview files… ${i + 1}/${fileEntries.length}`);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
   }
 
-  const navResult = checkNavStructures(xmlDoc);
-  messages.push({
-    level: navResult.status === 'success' ? 'info' : 'error',
-    text: navResult.message
-  });
-  if (navResult.status === 'error') {
-    return messages;
+  let ackReceived = false;
+  try {
+    await registerPreviewSession(sessionId, sessionFiles, transferList);
+    ackReceived = true;
+  } catch (error) {
+    console.warn('Preview session wait timed out, proceeding anyway.', error);
   }
 
-  const pagesResult = checkPagePresence(xmlDoc);
-  messages.push({
-    level: pagesResult.status === 'success' ? 'info' : pagesResult.status,
-    text: pagesResult.message
-  });
-
-  const structureResult = validateStructuralIntegrity(xmlDoc);
-  messages.push({
-    level: structureResult.status === 'success' ? 'info' : 'error',
-    text: structureResult.message
-  });
+  const previewUrl = getPreviewUrl(sessionId, startFile);
+  setPreviewState({ showFrame: true, src: previewUrl.toString() });
+  updateStatus('Preview ready.');
+  console.info(`[preview] Session ${sessionId} ready${ackReceived ? '' : ' (no ack)'}.`);
+}
 
-  const resourcePaths = extractResourcePaths(xmlDoc);
-  const missingResources = findMissingResources(resourcePaths, zip);
-  if (missingResources.length > 0) {
-    const preview = missingResources.slice(0, 5).join(', ');
-    messages.push({
-      level: 'warning',
-      text: `Missing ${missingResources.length} referenced resource${missingResources.length === 1 ? '' : 's'} (first: ${preview}${missingResources.length > 5 ? ', …' : ''}).`
+function createValidationRegistry() {
+  const registry = createDefaultRegistry();
+  const customRules = window.APP_CONFIG?.validationRules;
+  if (Array.isArray(customRules)) {
+    customRules.forEach((rule) => {
+      try {
+        registry.register(rule);
+      } catch (error) {
+        console.warn('Ignoring invalid validation rule', error);
+      }
     });
-  } else if (resourcePaths.length > 0) {
-    messages.push({
-      level: 'info',
-      text: `All ${resourcePaths.length} linked resources are present.`
+  }
+  return registry;
+}
+
+function createIdeviceSchemaRegistry() {
+  const registry = createDefaultSchemaRegistry();
+  const customSchemas = window.APP_CONFIG?.ideviceSchemas;
+  if (Array.isArray(customSchemas)) {
+    customSchemas.forEach((schema) => {
+      try {
+        registry.register(schema);
+      } catch (error) {
+        console.warn('Ignoring invalid iDevice schema', error);
+      }
     });
-  } else {
-    messages.push({ level: 'info', text: 'No linked resources were detected in the manifest.' });
   }
+  return registry;
+}
 
-  return messages;
+function getValidationProfile() {
+  const config = window.APP_CONFIG || {};
+  const profile = config.validationProfile;
+  if (typeof profile === 'string') {
+    return config.validationProfiles?.[profile] || null;
+  }
+  return profile && typeof profile === 'object' ? profile : null;
 }
 
 function warnLargeArchive(totalSize) {
   const limit = 200 * 1024 * 1024;
   if (totalSize > limit) {
     showToast(
-      'This archive is larger than 200 MB. Preview and publish operations may be slow.',
+      'This archive is larger than 200 MB. Preview and publish operations may be slow. Use "Optimise package" in the Info tab to shrink it.',
       'warning'
     );
   }
@@ -459,7 +793,7 @@ function resetInterface() {
   }
 }
 
-async function handleElpxFile(file) {
+async function readPackageArchive(file) {
   updateStatus('Unzipping archive…');
   infoPanel.update({ status: 'loading' });
 
@@ -470,14 +804,16 @@ async function handleElpxFile(file) {
     console.error(error);
     throw new Error('The file could not be read as a ZIP archive.', { cause: error });
   }
-
-  const manifestFile = zip.file('content.xml') || zip.file('contentv3.xml');
-  if (!manifestFile) {
-    throw new Error('Missing content.xml in the ELPX archive.');
+  const kind = detectPackageKind(Object.keys(zip.files));
+  if (!kind.manifestKind) {
+    throw new Error(describeMissingManifest(kind));
   }
-  const manifestKind = zip.file('content.xml') ? 'modern' : 'legacy';
+  return { zip, kind };
+}
 
-  const contentString = await manifestFile.async('string');
+async function handleElpxFile(file, zip, kind) {
+  const { manifestKind, manifestPath } = kind;
+  const contentString = await zip.file(manifestPath).async('string');
   const parseResult = parseContentXml(contentString);
   if (parseResult.status === 'error') {
     throw new Error(parseResult.message);
@@ -499,46 +835,37 @@ async function handleElpxFile(file) {
   });
   warnLargeArchive(totalSize);
 
-  if (!hasIndexHtml(fileMap)) {
-    throw new Error('The archive does not contain an index.html file.');
-  }
-
   const sessionId = createSessionId();
+  await openPreviewSession(sessionId, fileMap);
 
-  await ensureServiceWorkerController();
-  const sessionFiles = [];
-  const transferList = [];
-  const fileEntries = Array.from(fileMap.entries());
-  for (let i = 0; i < fileEntries.length; i += 1) {
-    const [path, record] = fileEntries[i];
-    const buffer = await record.blob.arrayBuffer();
-    sessionFiles.push({
-      path,
-      mimeType: record.mimeType,
-      lastModified: record.lastModified,
-      buffer
+  const validationContext = {
+    manifestKind,
+    xmlDoc,
+    zip,
+    metadata,
+    fileMap,
+    schemaRegistry: createIdeviceSchemaRegistry()
+  };
+  const messages = await gatherMessages(validationContext, {
+    registry: createValidationRegistry(),
+    profile: getValidationProfile()
+  });
+  if (kind.hasImsManifest) {
+    messages.unshift({
+      level: 'info',
+      text: 'The archive also contains an imsmanifest.xml (SCORM or Common Cartridge export); it was opened as the eXeLearning package it carries.'
     });
-    transferList.push(buffer);
-    if ((i > 0 && i % 50 === 0) || i === fileEntries.length - 1) {
-      updateStatus(`Transferring preview files… ${i + 1}/${fileEntries.length}`);
-      await new Promise((resolve) => setTimeout(resolve, 0));
-    }
   }
-
-  let ackReceived = false;
-  try {
-    await registerPreviewSession(sessionId, sessionFiles, transferList);
-    ackReceived = true;
-  } catch (error) {
-    console.warn('Preview session wait timed out, proceeding anyway.', error);
-  }
-
-  const previewUrl = new URL(`preview/${sessionId}/index.html`, getAppBaseUrl());
-  setPreviewState({ showFrame: true, src: previewUrl.toString() });
-  updateStatus('Preview ready.');
-  console.info(`[preview] Session ${sessionId} ready${ackReceived ? '' : ' (no ack)'}.`);
-
-  const messages = gatherMessages(manifestKind, xmlDoc, zip);
+  const usage = manifestKind === 'modern' ? await getFileUsage(validationContext) : null;
+  const idevices = manifestKind === 'modern' ? collectIdeviceStats({ xmlDoc, fileList }) : null;
+  const pages = generateElpViewData(xmlDoc);
+  const pageFiles = resolvePageFiles(pages, fileMap);
+  const catalog = createCatalogRecord({
+    metadata,
+    pageCount: manifestKind === 'modern' ? checkPagePresence(xmlDoc).pageCount : pageFiles.size,
+    fileList,
+    totalSize
+  });
 
   currentSession = {
     sessionId,
@@ -552,11 +879,38 @@ async function handleElpxFile(file) {
     fileList,
     summary: { totalFiles: fileList.length, totalSize },
     messages,
+    usage,
+    catalog,
     versionLabel,
+    pages,
+    pageFiles,
+    xmlDoc,
     publishFiles: null,
     publishFilesPromise: null
   };
+  if (manifestKind === 'modern') {
+    comparePanel.setChooseHandler(() => compareInput?.click());
+  }
+  outlinePanel.update({ pages, pageFiles });
+  outlinePanel.setActivePath(getPreviewPathFromFrame() || 'index.html');
+  if (searchForm) {
+    searchForm.hidden = false;
+  }
+  showViewModeToggle();
 
+  infoPanel.setPageLinkHandler(showPreviewPage);
+  infoPanel.setOptimizeHandler(
+    manifestKind === 'modern' ? (options, paths) => optimizeCurrentPackage(options, paths) : null
+  );
+  infoPanel.setMetadataEditHandler(
+    manifestKind === 'modern' ? (changes) => saveMetadataChanges(changes) : null
+  );
+  infoPanel.setExportHandler(
+    pageFiles.size ? (format, options) => exportCurrentPackage(format, options) : null
+  );
+  infoPanel.setTranslationHandler(
+    manifestKind === 'modern' ? (file, options) => importTranslation(file, options) : null
+  );
   infoPanel.update({
     status: 'ready',
     fileName: file.name,
@@ -569,9 +923,15 @@ async function handleElpxFile(file) {
     fileList,
     summary: { totalFiles: fileList.length, totalSize },
     messages,
+    usage,
+    idevices,
+    catalog,
     downloadable: true
   });
   infoPanel.setDownloadHandler(() => downloadFileList(currentSession));
+  infoPanel.setCleanArchiveHandler((paths) => downloadCleanedArchive(currentSession, paths));
+  infoPanel.setReportHandler((format) => downloadReport(currentSession, format));
+  infoPanel.setCatalogHandler((format) => downloadCatalogRecord(currentSession, format));
 
   if (publishButton) {
     publishButton.disabled = false;
@@ -579,25 +939,9 @@ async function handleElpxFile(file) {
   }
 }
 
-async function handleElpFile(file) {
-  updateStatus('Reading package…');
-  infoPanel.update({ status: 'loading' });
-
-  let zip;
-  try {
-    zip = await JSZip.loadAsync(await file.arrayBuffer());
-  } catch (error) {
-    console.error(error);
-    throw new Error('The file could not be read as a ZIP archive.', { cause: error });
-  }
-
-  const manifestFile = zip.file('content.xml') || zip.file('contentv3.xml');
-  if (!manifestFile) {
-    throw new Error('Unable to find content.xml in the ELP archive.');
-  }
-  const manifestKind = zip.file('content.xml') ? 'modern' : 'legacy';
-
-  const contentString = await manifestFile.async('string');
+async function handleElpFile(file, zip, kind) {
+  const { manifestKind, manifestPath } = kind;
+  const contentString = await zip.file(manifestPath).async('string');
   const parseResult = parseContentXml(contentString);
   if (parseResult.status === 'error') {
     throw new Error(parseResult.message);
@@ -611,6 +955,11 @@ async function handleElpFile(file) {
 
   const { versionLabel } = computeCompatibility(metadata);
 
+  if (manifestKind === 'legacy') {
+    await handleLegacyPreview(file, zip, xmlDoc, metadata, versionLabel);
+    return;
+  }
+
   setPreviewState({ showFrame: false });
   infoPanel.update({
     status: 'ready',
@@ -626,11 +975,119 @@ async function handleElpFile(file) {
     messages: [
       {
         level: 'info',
-        text: 'Upload an .elpx export to render the preview. Only metadata is available for .elp files.'
+        text: 'The archive has no exported pages (index.html), so only its metadata is shown. Upload an .elpx export to render the preview.'
       }
     ]
   });
   infoPanel.setDownloadHandler(null);
+  infoPanel.setReportHandler(null);
+  infoPanel.setCatalogHandler(null);
+
+  if (publishButton) {
+    publishButton.disabled = true;
+    publishButton.setAttribute('aria-disabled', 'true');
+  }
+}
+
+function createGeneratedRecord(path, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  return { path, size: blob.size, mimeType, lastModified: Date.now(), blob };
+}
+
+async function handleLegacyPreview(file, zip, xmlDoc, metadata, versionLabel) {
+  const pages = generateElpViewData(xmlDoc);
+  const { fileMap, fileList, totalSize } = await buildFileMap(zip, (current, total) => {
+    updateStatus(`Preparing preview… ${current}/${total}`);
+  });
+  warnLargeArchive(totalSize);
+  // The catalogue record describes the package itself, not the pages generated for the preview.
+  const archiveFiles = fileList.slice();
+
+  const site = buildLegacySite(pages, metadata, { reservedPaths: fileMap.keys() });
+  let generatedSize = 0;
+  site.files.forEach(({ path, content, mimeType }) => {
+    const record = createGeneratedRecord(path, content, mimeType);
+    fileList.push({ path, size: record.size, mimeType });
+    fileMap.set(path, record);
+    generatedSize += record.size;
+  });
+
+  const sessionId = createSessionId();
+  await openPreviewSession(sessionId, fileMap, site.startFile);
+
+  const pageCount = site.pageFiles.size;
+  const messages = [
+    {
+      level: 'warning',
+      text: 'Legacy manifest format detected. Structural validation checks were skipped.'
+    },
+    {
+      level: 'info',
+      text: `Generated a simplified preview with ${pageCount} page${pageCount === 1 ? '' : 's'}. Styles and interactive iDevices from eXe 2.x are not reproduced.`
+    },
+    {
+      level: 'info',
+      text: 'Publishing is disabled for generated previews: the pages exist only in this browser session, not in the package.'
+    }
+  ];
+  if (site.startFile !== 'index.html') {
+    messages.push({
+      level: 'info',
+      text: `The archive already contains index.html, so the generated preview starts at ${site.startFile}.`
+    });
+  }
+  const summary = { totalFiles: fileList.length, totalSize: totalSize + generatedSize };
+  const catalog = createCatalogRecord({
+    metadata,
+    pageCount,
+    fileList: archiveFiles,
+    totalSize
+  });
+
+  currentSession = {
+    sessionId,
+    fileName: file.name,
+    fileSize: file.size,
+    fileType: 'elp',
+    metadata,
+    manifestKind: 'legacy',
+    startFile: site.startFile,
+    fileMap,
+    fileList,
+    summary,
+    messages,
+    catalog,
+    versionLabel,
+    pages,
+    pageFiles: site.pageFiles,
+    publishFiles: null,
+    publishFilesPromise: null
+  };
+  outlinePanel.update({ pages, pageFiles: site.pageFiles });
+  outlinePanel.setActivePath(getPreviewPathFromFrame() || site.startFile);
+  if (searchForm) {
+    searchForm.hidden = false;
+  }
+  showViewModeToggle();
+
+  infoPanel.update({
+    status: 'ready',
+    fileName: file.name,
+    fileSize: file.size,
+    fileType: 'elp',
+    elpVersion: versionLabel,
+    metadata,
+    manifestKind: 'legacy',
+    startFile: site.startFile,
+    fileList,
+    summary,
+    messages,
+    catalog,
+    downloadable: true
+  });
+  infoPanel.setDownloadHandler(() => downloadFileList(currentSession));
+  infoPanel.setReportHandler((format) => downloadReport(currentSession, format));
+  infoPanel.setCatalogHandler((format) => downloadCatalogRecord(currentSession, format));
 
   if (publishButton) {
     publishButton.disabled = true;
@@ -638,6 +1095,60 @@ async function handleElpFile(file) {
   }
 }
 
+async function readComparisonSource(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await file.arrayBuffer());
+  } catch (error) {
+    throw new Error('The revised file could not be read as a ZIP archive.', { cause: error });
+  }
+  const manifestFile = zip.file('content.xml');
+  if (!manifestFile) {
+    throw new Error('The revised package has no content.xml manifest to compare.');
+  }
+  const parseResult = parseContentXml(await manifestFile.async('string'));
+  if (parseResult.status === 'error') {
+    throw new Error(parseResult.message);
+  }
+  const { fileList } = await buildFileMap(zip);
+  return {
+    xmlDoc: parseResult.document,
+    metadata: extractMetadata(parseResult.document),
+    fileList
+  };
+}
+
+async function handleCompareFile(file) {
+  const session = currentSession;
+  if (!file || !session?.xmlDoc) {
+    return;
+  }
+  comparePanel.update({ status: 'loading' });
+  try {
+    const revised = await readComparisonSource(file);
+    if (session !== currentSession) {
+      return;
+    }
+    const result = comparePackages(
+      { xmlDoc: session.xmlDoc, metadata: session.metadata, fileList: session.fileList },
+      revised
+    );
+    comparePanel.update({
+      status: 'ready',
+      result,
+      beforeName: session.fileName,
+      afterName: file.name
+    });
+  } catch (error) {
+    console.error(error);
+    comparePanel.update({ status: 'error', error: error.message });
+  }
+}
+
+function getDownloadBaseName(session) {
+  return session.fileName.replace(/\.[^.]+$/, '');
+}
+
 function downloadFileList(session) {
   if (!session?.fileList?.length) {
     return;
@@ -650,14 +1161,279 @@ function downloadFileList(session) {
     files: session.fileList
   };
   const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `${session.fileName.replace(/\.[^.]+$/, '')}-inventory.json`;
-  document.body.appendChild(link);
-  link.click();
-  link.remove();
-  URL.revokeObjectURL(url);
+  downloadBlob(blob, `${getDownloadBaseName(session)}-inventory.json`);
+}
+
+async function downloadCleanedArchive(session, paths = []) {
+  const unused = new Set(session?.usage?.unused.map((file) => file.path));
+  const removed = paths.filter((path) => unused.has(path));
+  if (!removed.length) {
+    return;
+  }
+  try {
+    updateStatus('Building cleaned archive…');
+    const blob = await createCleanedArchive(session.fileMap, removed, { JSZip });
+    downloadBlob(blob, `${getDownloadBaseName(session)}-cleaned.elpx`);
+    updateStatus('');
+  } catch (error) {
+    console.error(error);
+    updateStatus('');
+    showToast('The cleaned archive could not be created.');
+  }
+}
+
+async function optimizeCurrentPackage(options, paths = []) {
+  const session = currentSession;
+  if (!session?.fileMap) {
+    return;
+  }
+  // Only files the user left ticked in the Info panel's unused list are dropped.
+  const unused = new Set(session.usage?.unused.map((file) => file.path));
+  const removed = paths.filter((path) => unused.has(path));
+  const canEncode =
+    typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+  if (!canEncode) {
+    showToast(
+      'This browser cannot re-encode images. Only the unused files you confirmed will be removed.',
+      'warning'
+    );
+  }
+  infoPanel.setOptimization({ status: 'running', settings: options });
+  try {
+    const { output, report } = await optimizePackage(session.fileMap, {
+      ...options,
+      JSZip,
+      encoder: canEncode ? createCanvasEncoder() : null,
+      unusedPaths: removed,
+      onProgress: (current, total, path) => {
+        updateStatus(`Optimising images… ${current}/${total} (${path})`);
+      }
+    });
+    updateStatus('');
+    if (session !== currentSession) {
+      return;
+    }
+    downloadBlob(output, `${getDownloadBaseName(session)}-optimised.elpx`);
+    infoPanel.setOptimization({ status: 'done', settings: options, report });
+  } catch (error) {
+    console.error(error);
+    updateStatus('');
+    infoPanel.setOptimization({ status: 'error', settings: options, error: error.message });
+  }
+}
+
+async function saveMetadataChanges(changes) {
+  const session = currentSession;
+  if (!session?.fileMap) {
+    return;
+  }
+  infoPanel.setMetadataEdit({ status: 'running', changes });
+  try {
+    updateStatus('Writing metadata…');
+    const { output, changed, rewritten } = await buildEditedPackage(session.fileMap, changes, {
+      JSZip
+    });
+    updateStatus('');
+    if (session !== currentSession) {
+      return;
+    }
+    downloadBlob(output, `${getDownloadBaseName(session)}-edited.elpx`);
+    infoPanel.setMetadataEdit({ status: 'done', changes, changed, rewritten });
+  } catch (error) {
+    console.error(error);
+    updateStatus('');
+    infoPanel.setMetadataEdit({ status: 'error', changes, error: error.message });
+  }
+}
+
+async function importTranslation(file, options = {}) {
+  const session = currentSession;
+  if (!session?.fileMap) {
+    return;
+  }
+  infoPanel.setTranslation({ status: 'running', options });
+  try {
+    updateStatus('Applying translation…');
+    const { output, language, translated, untranslated } = await buildTranslatedPackage(
+      session.fileMap,
+      await readBlobText(file),
+      { language: options.language, JSZip }
+    );
+    updateStatus('');
+    if (session !== currentSession) {
+      return;
+    }
+    downloadBlob(output, `${getDownloadBaseName(session)}-${language}.elpx`);
+    const message = untranslated
+      ? `${translated} units translated into ${language}; ${untranslated} had no translation and were left as they were.`
+      : `${translated} units translated into ${language}.`;
+    infoPanel.setTranslation({ status: 'done', options, message });
+  } catch (error) {
+    console.error(error);
+    updateStatus('');
+    infoPanel.setTranslation({ status: 'error', options, error: error.message });
+  }
+}
+
+async function buildExport(session, format, options) {
+  const baseName = getDownloadBaseName(session);
+  switch (format) {
+    case 'scorm': {
+      const version = options.version || 'scorm12';
+      const { output, scoCount } = await buildScormPackage(session.fileMap, {
+        pages: session.pages,
+        pageFiles: session.pageFiles,
+        metadata: session.metadata,
+        version,
+        JSZip
+      });
+      return {
+        blob: output,
+        fileName: `${baseName}-${version}.zip`,
+        message: `${scoCount} page${scoCount === 1 ? '' : 's'} packaged as ${SCORM_VERSIONS[version].label} SCOs.`
+      };
+    }
+    case 'cc': {
+      const { output, pageCount } = await buildCommonCartridge(session.fileMap, {
+        pages: session.pages,
+        pageFiles: session.pageFiles,
+        metadata: session.metadata,
+        JSZip
+      });
+      return {
+        blob: output,
+        fileName: `${baseName}.imscc`,
+        message: `${pageCount} page${pageCount === 1 ? '' : 's'} packaged as an IMS Common Cartridge.`
+      };
+    }
+    case 'offline': {
+      const configured = Number(window.APP_CONFIG?.offlineBundleMaxBytes);
+      const maxBytes = Number.isFinite(configured) ? configured : DEFAULT_BUNDLE_MAX_BYTES;
+      const estimate = estimateBundleSize(session.fileMap);
+      const warnedEarly = maxBytes > 0 && estimate > maxBytes;
+      if (warnedEarly) {
+        showToast(
+          `The offline bundle will be about ${formatBytes(estimate)}, above the ${formatBytes(maxBytes)} limit. It may be too large to send by email.`,
+          'warning'
+        );
+      }
+      const { output, size, fileCount, oversized } = await buildOfflineBundle(session.fileMap, {
+        startFile: session.startFile,
+        title: session.metadata?.properties?.pp_title || '',
+        maxBytes
+      });
+      return {
+        blob: output,
+        fileName: `${baseName}-offline.html`,
+        message: `${fileCount} files bundled into one ${formatBytes(size)} HTML file.`,
+        warning:
+          oversized && !warnedEarly
+            ? `The offline bundle is ${formatBytes(size)}, above the ${formatBytes(maxBytes)} limit. It may be too large to send by email.`
+            : ''
+      };
+    }
+    case 'epub': {
+      const { output, chapterCount, imageCount } = await buildEpub(session.fileMap, {
+        xmlDoc: session.xmlDoc,
+        pages: session.pages,
+        metadata: session.metadata,
+        JSZip
+      });
+      return {
+        blob: output,
+        fileName: `${baseName}.epub`,
+        message: `${chapterCount} chapter${chapterCount === 1 ? '' : 's'} and ${imageCount} image${imageCount === 1 ? '' : 's'} written to the EPUB.`
+      };
+    }
+    case 'text': {
+      const textFormat = options.textFormat || 'markdown';
+      const { output, pageCount } = await buildTextExport(session.pages, {
+        format: textFormat,
+        xmlDoc: session.xmlDoc,
+        fileMap: session.fileMap,
+        title: session.metadata?.properties?.pp_title || '',
+        language: session.metadata?.properties?.pp_lang || '',
+        JSZip
+      });
+      return {
+        blob: output,
+        fileName: `${baseName}-${TEXT_FORMATS[textFormat].extension}.zip`,
+        message: `${pageCount} page${pageCount === 1 ? '' : 's'} exported as ${TEXT_FORMATS[textFormat].label.toLowerCase()}.`
+      };
+    }
+    case 'xliff': {
+      if (session.manifestKind !== 'modern' || !session.xmlDoc) {
+        throw new Error(
+          'Only packages with a content.xml manifest can be exported for translation.'
+        );
+      }
+      const { xliff, unitCount } = createXliff(session.xmlDoc, {
+        sourceLanguage: session.metadata?.properties?.pp_lang || ''
+      });
+      return {
+        blob: new Blob([xliff], { type: 'application/xliff+xml' }),
+        fileName: `${baseName}.xlf`,
+        message: `${unitCount} translation unit${unitCount === 1 ? '' : 's'} written to the XLIFF file.`
+      };
+    }
+    default:
+      throw new Error(`Unknown export format "${format}".`);
+  }
+}
+
+async function exportCurrentPackage(format, options = {}) {
+  const session = currentSession;
+  if (!session?.fileMap) {
+    return;
+  }
+  infoPanel.setExport({ status: 'running', format, options });
+  try {
+    updateStatus('Building export…');
+    const { blob, fileName, message, warning } = await buildExport(session, format, options);
+    updateStatus('');
+    if (session !== currentSession) {
+      return;
+    }
+    downloadBlob(blob, fileName);
+    if (warning) {
+      showToast(warning, 'warning');
+    }
+    infoPanel.setExport({ status: 'done', format, options, message });
+  } catch (error) {
+    console.error(error);
+    updateStatus('');
+    infoPanel.setExport({ status: 'error', format, options, error: error.message });
+  }
+}
+
+function downloadCatalogRecord(session, format) {
+  const definition = CATALOG_FORMATS[format];
+  if (!session?.catalog || !definition) {
+    return;
+  }
+  const blob = new Blob([serializeCatalogRecord(session.catalog, format)], {
+    type: definition.mimeType
+  });
+  downloadBlob(blob, `${getDownloadBaseName(session)}.${definition.extension}`);
+}
+
+function downloadReport(session, format) {
+  const definition = REPORT_FORMATS[format];
+  if (!session || !definition) {
+    return;
+  }
+  const report = createValidationReport({
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    fileType: session.fileType,
+    manifestKind: session.manifestKind,
+    metadata: session.metadata,
+    compatibility: computeCompatibility(session.metadata),
+    messages: session.messages,
+    summary: session.summary
+  });
+  const blob = new Blob([serializeReport(report, format)], { type: definition.mimeType });
+  downloadBlob(blob, `${getDownloadBaseName(session)}-report.${definition.extension}`);
 }
 
 async function handleFile(file) {
@@ -666,7 +1442,7 @@ async function handleFile(file) {
   }
   const fileType = detectFileType(file.name);
   if (!fileType) {
-    showToast('Please choose a .elp or .elpx file.', 'warning');
+    showToast('Please choose a .elp, .elpx or .zip file.', 'warning');
     return;
   }
 
@@ -679,10 +1455,12 @@ async function handleFile(file) {
       publishButton.disabled = true;
       publishButton.setAttribute('aria-disabled', 'true');
     }
-    if (fileType === 'elpx') {
-      await handleElpxFile(file);
+    // Archives with an exported site get the live preview whatever their extension says.
+    const { zip, kind } = await readPackageArchive(file);
+    if (kind.hasSite) {
+      await handleElpxFile(file, zip, kind);
     } else {
-      await handleElpFile(file);
+      await handleElpFile(file, zip, kind);
     }
   } catch (error) {
     console.error(error);
@@ -853,6 +1631,41 @@ async function initialise() {
 
   resetInterface();
   setupDragAndDrop();
+  setupSearch();
+
+  if (previewFrame) {
+    previewFrame.addEventListener('load', () => {
+      const path = getPreviewPathFromFrame();
+      if (path) {
+        outlinePanel.setActivePath(path);
+      }
+      revealPendingSearchTerm();
+    });
+  }
+
+  if (viewModeToggle) {
+    viewModeToggle.addEventListener('change', (event) => {
+      if (event.target.name === 'viewMode') {
+        setViewMode(event.target.value);
+      }
+    });
+  }
+
+  if (printButton) {
+    printButton.addEventListener('click', () => {
+      void openPrintView();
+    });
+  }
+
+  if (compareInput) {
+    compareInput.addEventListener('change', (event) => {
+      const files = event.target.files;
+      if (files && files.length > 0) {
+        void handleCompareFile(files[0]);
+        compareInput.value = '';
+      }
+    });
+  }
 
   if (uploadButton && fileInput) {
     uploadButton.addEventListener('click', () => {
@@ -0,0 +1,289 @@
+import { applyPropertyChanges, serializeContentXml } from './metadata-editor.js';
+import { listTranslatableStrings, parseContentXml } from './validator.js';
+import { escapeHtml, readBlobText } from './viewer-utils.js';
+import { indent } from './xml-utils.js';
+
+export const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// Well-formed BCP 47 tags (RFC 5646 syntax, without checking the subtag registry).
+const LANGUAGE_TAG_PATTERN =
+  /^(?:(?:[a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4,8})(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\d{3}))?(?:-(?:[a-z\d]{5,8}|\d[a-z\d]{3}))*(?:-[\da-wy-z](?:-[a-z\d]{2,8})+)*(?:-x(?:-[a-z\d]{1,8})+)?|x(?:-[a-z\d]{1,8})+)$/i;
+
+export function isLanguageTag(value) {
+  return LANGUAGE_TAG_PATTERN.test(value || '');
+}
+
+function unitName(entry) {
+  return entry.field === 'jsonProperties' ? `jsonProperties:${entry.path.join('.')}` : entry.field;
+}
+
+function renderUnit(entry) {
+  return [
+    `<unit id="${escapeHtml(entry.id)}" name="${escapeHtml(unitName(entry))}" xml:space="preserve">`,
+    '  <segment>',
+    `    <source>${escapeHtml(entry.source)}</source>`,
+    '  </segment>',
+    '</unit>'
+  ];
+}
+
+function renderGroup(id, name, lines) {
+  return [
+    `<group id="${escapeHtml(id)}"${name ? ` name="${escapeHtml(name)}"` : ''}>`,
+    ...indent(lines, 1),
+    '</group>'
+  ];
+}
+
+// Units are grouped the way the package is: one group per page holding its blocks, and one group
+// per block holding its iDevices, so CAT tools show the text in reading order with its context.
+export function createXliff(xmlDoc, { sourceLanguage = '', targetLanguage = '' } = {}) {
+  const strings = listTranslatableStrings(xmlDoc);
+  const pages = new Map();
+  strings.forEach((entry) => {
+    if (!pages.has(entry.pageId)) {
+      pages.set(entry.pageId, { units: [], blocks: new Map() });
+    }
+    const page = pages.get(entry.pageId);
+    if (!entry.blockId) {
+      page.units.push(entry);
+      return;
+    }
+    if (!page.blocks.has(entry.blockId)) {
+      page.blocks.set(entry.blockId, []);
+    }
+    page.blocks.get(entry.blockId).push(entry);
+  });
+
+  const groups = [];
+  pages.forEach((page, pageId) => {
+    const blocks = [];
+    page.blocks.forEach((entries, blockId) => {
+      blocks.push(...renderGroup(`block-${blockId}`, '', entries.flatMap(renderUnit)));
+    });
+    const name = page.units.find((entry) => entry.field === 'pageName')?.source;
+    groups.push(
+      ...renderGroup(`page-${pageId}`, name, [...page.units.flatMap(renderUnit), ...blocks])
+    );
+  });
+
+  const languages = [
+    `srcLang="${escapeHtml(sourceLanguage || 'und')}"`,
+    ...(targetLanguage ? [`trgLang="${escapeHtml(targetLanguage)}"`] : [])
+  ].join(' ');
+  return {
+    xliff: [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" ${languages}>`,
+      '  <file id="content" original="content.xml">',
+      ...indent(groups, 2),
+      '  </file>',
+      '</xliff>',
+      ''
+    ].join('\n'),
+    unitCount: strings.length
+  };
+}
+
+function childrenNamed(node, localName) {
+  return Array.from(node.children).filter(
+    (child) => child.namespaceURI === XLIFF_NAMESPACE && child.localName === localName
+  );
+}
+
+// A unit counts as translated only when every segment has a target. Ignorable parts (whitespace
+// some tools split off between segments) fall back to their source.
+function readUnitTarget(unit) {
+  let text = '';
+  for (const part of Array.from(unit.children)) {
+    if (part.namespaceURI !== XLIFF_NAMESPACE) {
+      continue;
+    }
+    const [source] = childrenNamed(part, 'source');
+    const [target] = childrenNamed(part, 'target');
+    if (part.localName === 'segment') {
+      if (!target) {
+        return null;
+      }
+      text += target.textContent;
+    } else if (part.localName === 'ignorable') {
+      text += (target || source)?.textContent || '';
+    }
+  }
+  return text;
+}
+
+export function parseXliff(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('The XLIFF file is not well-formed XML.');
+  }
+  const root = doc.documentElement;
+  if (
+    root.localName !== 'xliff' ||
+    root.namespaceURI !== XLIFF_NAMESPACE ||
+    !/^2\./.test(root.getAttribute('version') || '')
+  ) {
+    throw new Error('Only XLIFF 2.0 files can be imported.');
+  }
+  const translations = new Map();
+  Array.from(doc.getElementsByTagNameNS(XLIFF_NAMESPACE, 'unit')).forEach((unit) => {
+    const target = readUnitTarget(unit);
+    if (target !== null && unit.getAttribute('id')) {
+      translations.set(unit.getAttribute('id'), target);
+    }
+  });
+  return {
+    sourceLanguage: root.getAttribute('srcLang') || '',
+    targetLanguage: root.getAttribute('trgLang') || '',
+    translations
+  };
+}
+
+function setJsonValue(data, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => node?.[key], data);
+  if (parent && typeof parent === 'object') {
+    parent[path[path.length - 1]] = value;
+  }
+}
+
+function replaceJsonStrings(value, from, to) {
+  if (typeof value === 'string') {
+    return value.trim() === from ? to : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => replaceJsonStrings(item, from, to));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, replaceJsonStrings(item, from, to)])
+    );
+  }
+  return value;
+}
+
+// The page title is also stored as the titlePage property, which the exported pages show.
+function renameTitlePage(navStructure, from, to) {
+  Array.from(navStructure.getElementsByTagName('odeNavStructureProperty')).forEach((property) => {
+    const key = property.getElementsByTagName('key')[0];
+    const value = property.getElementsByTagName('value')[0];
+    if (key?.textContent.trim() === 'titlePage' && value?.textContent.trim() === from) {
+      value.textContent = to;
+    }
+  });
+}
+
+export function applyTranslations(xmlDoc, translations) {
+  const strings = listTranslatableStrings(xmlDoc);
+  const jsonData = new Map();
+  const readJson = (node) => {
+    if (!jsonData.has(node)) {
+      jsonData.set(node, JSON.parse(node.textContent));
+    }
+    return jsonData.get(node);
+  };
+  let translated = 0;
+  strings.forEach((entry) => {
+    if (!translations.has(entry.id)) {
+      return;
+    }
+    const value = translations.get(entry.id);
+    translated += 1;
+    if (entry.field === 'jsonProperties') {
+      setJsonValue(readJson(entry.node), entry.path, value);
+      return;
+    }
+    entry.node.textContent = value;
+    if (entry.field === 'pageName') {
+      renameTitlePage(entry.node.parentNode, entry.source, value);
+    } else if (entry.field === 'htmlView') {
+      const jsonProperties = entry.component.getElementsByTagName('jsonProperties')[0];
+      try {
+        jsonData.set(
+          jsonProperties,
+          replaceJsonStrings(readJson(jsonProperties), entry.source, value)
+        );
+      } catch {
+        // Missing or unparseable jsonProperties are left as they are.
+      }
+    }
+  });
+  jsonData.forEach((data, node) => {
+    node.textContent = JSON.stringify(data);
+  });
+  return { translated, untranslated: strings.length - translated };
+}
+
+// Builds a copy of the package whose content.xml carries the translation. The exported HTML
+// pages are left as they are; opening the .elpx in eXeLearning and exporting it rebuilds them.
+export async function buildTranslatedPackage(
+  fileMap,
+  xliffText,
+  { language = '', JSZip, type = 'blob' } = {}
+) {
+  if (!JSZip) {
+    throw new Error('JSZip is required to build the translated package.');
+  }
+  const manifest = fileMap.get('content.xml');
+  if (!manifest?.blob) {
+    throw new Error('Only packages with a content.xml manifest can be translated.');
+  }
+  const originalXml = await readBlobText(manifest.blob);
+  const { document: xmlDoc, status, message } = parseContentXml(originalXml);
+  if (status === 'error') {
+    throw new Error(message);
+  }
+  const { targetLanguage, translations } = parseXliff(xliffText);
+  const lang = (language || targetLanguage).trim();
+  if (!lang) {
+    throw new Error('The XLIFF file has no trgLang; enter the language of the translation.');
+  }
+  // The tag becomes pp_lang and part of the download name, so anything else is refused.
+  if (!isLanguageTag(lang)) {
+    throw new Error(`"${lang}" is not a BCP 47 language tag such as "en" or "pt-BR".`);
+  }
+  const { translated, untranslated } = applyTranslations(xmlDoc, translations);
+  if (!translated) {
+    throw new Error('None of the translated units in the XLIFF file belong to this package.');
+  }
+  applyPropertyChanges(xmlDoc, { pp_lang: lang });
+
+  const content = new Blob([serializeContentXml(xmlDoc, originalXml)], {
+    type: 'application/xml'
+  });
+  const zip = new JSZip();
+  fileMap.forEach((record, path) => {
+    const blob = path === 'content.xml' ? content : record?.blob;
+    if (blob) {
+      zip.file(path, blob, {
+        date: record.lastModified ? new Date(record.lastModified) : undefined
+      });
+    }
+  });
+  const output = await zip.generateAsync({
+    type,
+    compression: 'DEFLATE',
+    mimeType: 'application/zip'
+  });
+  return { output, language: lang, translated, untranslated };
+}
+
+export default {
+  XLIFF_NAMESPACE,
+  isLanguageTag,
+  createXliff,
+  parseXliff,
+  applyTranslations,
+  buildTranslatedPackage
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    XLIFF_NAMESPACE,
+    isLanguageTag,
+    createXliff,
+    parseXliff,
+    applyTranslations,
+    buildTranslatedPackage
+  };
+}
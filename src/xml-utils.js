@@ -0,0 +1,17 @@
+import { escapeHtml } from './viewer-utils.js';
+
+// The exporters build their XML as arrays of lines; nested blocks are indented two spaces a level.
+export function indent(lines, depth) {
+  return lines.map((line) => `${'  '.repeat(depth)}${line}`);
+}
+
+// Archive paths become URL-encoded, attribute-safe href values.
+export function fileHref(path) {
+  return escapeHtml(encodeURI(path));
+}
+
+export default { indent, fileHref };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { indent, fileHref };
+}
@@ -1,5 +1,7 @@
 const SESSION_TTL = 30 * 60 * 1000; // 30 minutes
 const sessions = new Map();
+const VIEW_MODES = new Set(['student', 'teacher']);
+const VIEW_MODE_MESSAGE = 'elpx-view-mode';
 
 function parsePreviewRequest(url, { basePath = '/' } = {}) {
   const { pathname, origin } = url instanceof URL ? url : new URL(url);
@@ -20,6 +22,54 @@ function parsePreviewRequest(url, { basePath = '/' } = {}) {
   return { sessionId, path, origin };
 }
 
+function normalizeViewMode(mode) {
+  return VIEW_MODES.has(mode) ? mode : 'student';
+}
+
+// Exported pages hide `.teacher-only` blocks unless <html> has the `mode-teacher` class, which
+// eXeLearning's own toggler stores in localStorage. The snippet pins the class to the mode chosen
+// in the viewer and follows later changes posted by the parent window without a reload.
+function createViewModeSnippet(mode) {
+  const viewMode = normalizeViewMode(mode);
+  return [
+    '<style id="elpx-viewer-mode-style">',
+    'html[data-elpx-view="student"] .teacher-only { display: none !important; }',
+    'html[data-elpx-view="teacher"] .teacher-only { outline: 2px dashed #0dcaf0; outline-offset: 4px; }',
+    '</style>',
+    '<script id="elpx-viewer-mode-script">',
+    '(function () {',
+    '  var root = document.documentElement;',
+    '  function apply(mode) {',
+    "    root.setAttribute('data-elpx-view', mode);",
+    "    root.classList.toggle('mode-teacher', mode === 'teacher');",
+    '  }',
+    `  apply(${JSON.stringify(viewMode)});`,
+    "  window.addEventListener('message', function (event) {",
+    '    var data = event.data;',
+    `    if (event.source === window.parent && data && data.type === '${VIEW_MODE_MESSAGE}') {`,
+    "      apply(data.mode === 'teacher' ? 'teacher' : 'student');",
+    '    }',
+    '  });',
+    '})();',
+    '</script>'
+  ].join('\n');
+}
+
+function injectViewMode(html, mode) {
+  const snippet = createViewModeSnippet(mode);
+  const headMatch = html.match(/<head\b[^>]*>/i);
+  if (headMatch) {
+    const index = headMatch.index + headMatch[0].length;
+    return `${html.slice(0, index)}\n${snippet}${html.slice(index)}`;
+  }
+  const htmlMatch = html.match(/<html\b[^>]*>/i);
+  if (htmlMatch) {
+    const index = htmlMatch.index + htmlMatch[0].length;
+    return `${html.slice(0, index)}\n${snippet}${html.slice(index)}`;
+  }
+  return `${snippet}\n${html}`;
+}
+
 function cleanStaleSessions() {
   const now = Date.now();
   [...sessions.entries()].forEach(([sessionId, data]) => {
@@ -29,8 +79,7 @@ function cleanStaleSessions() {
   });
 }
 
-function storeSession(sessionId, files) {
-  const fileMap = new Map();
+function addSessionFiles(fileMap, files) {
   files.forEach((file) => {
     if (!file.path || !file.buffer) {
       return;
@@ -42,7 +91,16 @@ function storeSession(sessionId, files) {
       lastModified: file.lastModified || Date.now()
     });
   });
-  sessions.set(sessionId, { files: fileMap, updatedAt: Date.now() });
+}
+
+function storeSession(sessionId, files, viewMode) {
+  const fileMap = new Map();
+  addSessionFiles(fileMap, files);
+  sessions.set(sessionId, {
+    files: fileMap,
+    viewMode: normalizeViewMode(viewMode),
+    updatedAt: Date.now()
+  });
   cleanStaleSessions();
 }
 
@@ -82,7 +140,7 @@ if (scope) {
         }
         return;
       }
-      storeSession(data.sessionId, data.files);
+      storeSession(data.sessionId, data.files, data.viewMode);
       if (replyPort) {
         if (typeof replyPort.start === 'function') {
           replyPort.start();
@@ -92,8 +150,31 @@ if (scope) {
           sessionId: data.sessionId
         });
       }
+    } else if (data.type === 'add-files' && data.sessionId && Array.isArray(data.files)) {
+      // Generated pages (such as the print view) join a live session without re-sending it.
+      const session = sessions.get(data.sessionId);
+      if (session) {
+        addSessionFiles(session.files, data.files);
+        session.updatedAt = Date.now();
+      }
+      const replyPort = data.replyPort || (event.ports && event.ports[0]);
+      if (replyPort) {
+        if (typeof replyPort.start === 'function') {
+          replyPort.start();
+        }
+        replyPort.postMessage(
+          session
+            ? { type: 'add-files:ready', sessionId: data.sessionId }
+            : { type: 'add-files:error', message: 'The preview session has expired.' }
+        );
+      }
     } else if (data.type === 'cleanup-sessions') {
       cleanStaleSessions();
+    } else if (data.type === 'set-view-mode' && data.sessionId) {
+      const session = sessions.get(data.sessionId);
+      if (session) {
+        session.viewMode = normalizeViewMode(data.mode);
+      }
     } else if (data.type === 'invalidate-session' && data.sessionId) {
       sessions.delete(data.sessionId);
     }
@@ -121,6 +202,16 @@ if (scope) {
         if (!record) {
           return new Response('Not found', { status: 404 });
         }
+        if (record.mimeType.startsWith('text/html')) {
+          const html = injectViewMode(await record.blob.text(), session.viewMode);
+          return new Response(html, {
+            status: 200,
+            headers: {
+              'Content-Type': 'text/html; charset=utf-8',
+              'Cache-Control': 'no-store'
+            }
+          });
+        }
         return new Response(record.blob, {
           status: 200,
           headers: {
@@ -136,5 +227,5 @@ if (scope) {
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { parsePreviewRequest };
+  module.exports = { parsePreviewRequest, createViewModeSnippet, injectViewMode };
 }
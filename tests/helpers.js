@@ -0,0 +1,37 @@
+const path = require('path');
+const fs = require('fs/promises');
+const JSZip = require('jszip');
+const { parseContentXml } = require('../src/validator.js');
+
+const FIXTURE_PATH = path.join(
+  __dirname,
+  'fixtures',
+  'un-contenido-de-ejemplo-para-probar-estilos-y-catalogacion.elpx'
+);
+
+// The same shape the viewer keeps in its file map for every archive entry.
+function record(content, mimeType = 'text/html') {
+  const blob = new Blob([content], { type: mimeType });
+  return { blob, size: blob.size, mimeType };
+}
+
+// A file map built from { path: content } pairs, for tests that need a few small archive entries.
+function createFileMap(files) {
+  return new Map(
+    Object.entries(files).map(([path, content]) => [path, { path, ...record(content, '') }])
+  );
+}
+
+// Loads the example package as the exporters receive it: every entry as a file record, plus the
+// parsed content.xml.
+async function loadFixture() {
+  const zip = await JSZip.loadAsync(await fs.readFile(FIXTURE_PATH));
+  const files = new Map();
+  for (const entry of Object.values(zip.files).filter((file) => !file.dir)) {
+    files.set(entry.name, record(await entry.async('uint8array'), ''));
+  }
+  const xml = await zip.file('content.xml').async('string');
+  return { zip, files, xml, document: parseContentXml(xml).document };
+}
+
+module.exports = { FIXTURE_PATH, record, createFileMap, loadFixture };